@@ -0,0 +1,73 @@
+-- Normalize transcript times to milliseconds since Meeting.startTime
+--
+-- Segments used to be stamped with Date.now() when the RTMS service received
+-- them (epoch milliseconds, with the schema claiming microseconds from Zoom), so
+-- every segment had zero duration and exports showed wall-clock times as
+-- offsets. Rows copied from segments (chunks, action items, decisions, alerts,
+-- citations) carry the same values.
+--
+-- Safe to run more than once: only values that can only be epochs are touched
+-- (>= 1e14 is epoch microseconds, >= 1e11 epoch milliseconds; offsets that
+-- large would be a three-year meeting).
+--
+-- Run with: npm run db:normalize-times
+
+BEGIN;
+
+UPDATE transcript_segments t SET
+  t_start_ms = GREATEST(0, (CASE WHEN t.t_start_ms >= 100000000000000 THEN t.t_start_ms / 1000 ELSE t.t_start_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint),
+  t_end_ms = GREATEST(0, (CASE WHEN t.t_end_ms >= 100000000000000 THEN t.t_end_ms / 1000 ELSE t.t_end_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint)
+FROM meetings m
+WHERE m.id = t.meeting_id AND t.t_start_ms >= 100000000000;
+
+UPDATE transcript_chunks t SET
+  t_start_ms = GREATEST(0, (CASE WHEN t.t_start_ms >= 100000000000000 THEN t.t_start_ms / 1000 ELSE t.t_start_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint),
+  t_end_ms = GREATEST(0, (CASE WHEN t.t_end_ms >= 100000000000000 THEN t.t_end_ms / 1000 ELSE t.t_end_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint)
+FROM meetings m
+WHERE m.id = t.meeting_id AND t.t_start_ms >= 100000000000;
+
+UPDATE highlights t SET
+  t_start_ms = GREATEST(0, (CASE WHEN t.t_start_ms >= 100000000000000 THEN t.t_start_ms / 1000 ELSE t.t_start_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint),
+  t_end_ms = GREATEST(0, (CASE WHEN t.t_end_ms >= 100000000000000 THEN t.t_end_ms / 1000 ELSE t.t_end_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint)
+FROM meetings m
+WHERE m.id = t.meeting_id AND t.t_start_ms >= 100000000000;
+
+UPDATE ai_citations t SET
+  t_start_ms = GREATEST(0, (CASE WHEN t.t_start_ms >= 100000000000000 THEN t.t_start_ms / 1000 ELSE t.t_start_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint),
+  t_end_ms = GREATEST(0, (CASE WHEN t.t_end_ms >= 100000000000000 THEN t.t_end_ms / 1000 ELSE t.t_end_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint)
+FROM meetings m
+WHERE m.id = t.meeting_id AND t.t_start_ms >= 100000000000;
+
+UPDATE action_items t SET
+  t_start_ms = GREATEST(0, (CASE WHEN t.t_start_ms >= 100000000000000 THEN t.t_start_ms / 1000 ELSE t.t_start_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint)
+FROM meetings m
+WHERE m.id = t.meeting_id AND t.t_start_ms >= 100000000000;
+
+UPDATE decisions t SET
+  t_start_ms = GREATEST(0, (CASE WHEN t.t_start_ms >= 100000000000000 THEN t.t_start_ms / 1000 ELSE t.t_start_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint)
+FROM meetings m
+WHERE m.id = t.meeting_id AND t.t_start_ms >= 100000000000;
+
+UPDATE search_alerts t SET
+  t_start_ms = GREATEST(0, (CASE WHEN t.t_start_ms >= 100000000000000 THEN t.t_start_ms / 1000 ELSE t.t_start_ms END) - (EXTRACT(EPOCH FROM m.start_time) * 1000)::bigint)
+FROM meetings m
+WHERE m.id = t.meeting_id AND t.t_start_ms >= 100000000000;
+
+-- Zero-length segments end where the next one starts, or after an estimate of
+-- their speaking time (~150 words/min, at least 1s)
+WITH timed AS (
+  SELECT
+    id,
+    LEAD(t_start_ms) OVER (PARTITION BY meeting_id ORDER BY seq_no) AS next_start_ms,
+    GREATEST(1000, 400 * array_length(regexp_split_to_array(btrim(text), '\s+'), 1)) AS estimate_ms
+  FROM transcript_segments
+)
+UPDATE transcript_segments t SET
+  t_end_ms = CASE
+    WHEN timed.next_start_ms > t.t_start_ms THEN LEAST(t.t_start_ms + timed.estimate_ms, timed.next_start_ms)
+    ELSE t.t_start_ms + timed.estimate_ms
+  END
+FROM timed
+WHERE timed.id = t.id AND t.t_end_ms <= t.t_start_ms;
+
+COMMIT;
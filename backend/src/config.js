@@ -62,6 +62,15 @@ module.exports = {
   openrouterApiKey: process.env.OPENROUTER_API_KEY || null,
   defaultModel: process.env.DEFAULT_MODEL || 'google/gemini-2.0-flash-thinking-exp:free',
   fallbackModel: process.env.FALLBACK_MODEL || 'meta-llama/llama-3.2-3b-instruct:free',
+  rollingSummarySegments: parseInt(process.env.ROLLING_SUMMARY_SEGMENTS || '25', 10),
+  aiContextTokens: parseInt(process.env.AI_CONTEXT_TOKENS || '16000', 10),
+  summaryChunkTokens: parseInt(process.env.SUMMARY_CHUNK_TOKENS || '24000', 10),
+  aiRequestTimeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS || '120000', 10),
+  // Private/local hosts users may point an OpenAI-compatible provider at (host or host:port)
+  aiCustomAllowedHosts: (process.env.AI_CUSTOM_ALLOWED_HOSTS || '')
+    .split(',')
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean),
 
   // Feature Flags
   extractionEnabled: process.env.EXTRACTION_ENABLED === 'true',
@@ -74,6 +83,8 @@ module.exports = {
 
   // RTMS
   rtmsWebhookSecret: process.env.RTMS_WEBHOOK_SECRET || null,
+  // Shared secret signing calls between the RTMS service and the backend
+  rtmsInternalSecret: process.env.RTMS_INTERNAL_SECRET || process.env.ZOOM_CLIENT_SECRET,
   rtmsPort: parseInt(process.env.RTMS_PORT || '3002', 10),
 
   // Logging
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Signed internal (and Zoom webhook) calls may be this far off our clock
+const MAX_CLOCK_SKEW_S = 300;
+
+/**
+ * Signature for an internal call between the RTMS service and the backend:
+ * 'v1=' + HMAC-SHA256(RTMS_INTERNAL_SECRET, `v1:${timestamp}:${raw body}`)
+ * (must match rtms/src/internalSignature.js; backend/test/internalAuth.test.js
+ * checks both sides)
+ */
+function signInternal(timestamp, body) {
+  return 'v1=' + crypto
+    .createHmac('sha256', config.rtmsInternalSecret)
+    .update(`v1:${timestamp}:${body}`)
+    .digest('hex');
+}
+
+/**
+ * Middleware: only accept calls signed by the RTMS service
+ * Headers: x-arlo-request-timestamp (Unix seconds), x-arlo-signature
+ */
+function requireInternalSignature(req, res, next) {
+  const signature = req.headers['x-arlo-signature'];
+  const timestamp = req.headers['x-arlo-request-timestamp'];
+
+  const reject = (reason) => {
+    console.warn(`🚫 Rejected internal call ${req.method} ${req.originalUrl} from ${req.ip}: ${reason}`);
+    return res.status(401).json({ error: 'Invalid or missing signature' });
+  };
+
+  if (!signature || !timestamp) {
+    return reject('missing signature headers');
+  }
+
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (!Number.isFinite(skew) || skew > MAX_CLOCK_SKEW_S) {
+    return reject(`timestamp outside ±${MAX_CLOCK_SKEW_S}s (skew: ${skew}s)`);
+  }
+
+  const expectedSignature = signInternal(timestamp, req.rawBody || '');
+  if (signature.length !== expectedSignature.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature))) {
+    return reject('signature mismatch');
+  }
+
+  next();
+}
+
+module.exports = { MAX_CLOCK_SKEW_S, signInternal, requireInternalSignature };
@@ -0,0 +1,185 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const config = require('../config');
+const { requireAuth, devAuthBypass } = require('../middleware/auth');
+const {
+  PRIORITIES,
+  STATUSES,
+  normalizePriority,
+  parseDueDate,
+  serializeActionItem,
+  ensureActionItems,
+} = require('../services/actionItems');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+// IMPORTANT: devAuthBypass must run BEFORE requireAuth so it can set req.user in dev mode
+router.use(devAuthBypass); // Allow dev mode query param bypass
+router.use(requireAuth);
+
+/**
+ * GET /api/action-items
+ * List the authenticated user's action items
+ * Query: meetingId, status, assignee, priority, from, to (meeting start), limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { meetingId, status, assignee, priority, from, to, limit = 50 } = req.query;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+    if (priority && !PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: `priority must be one of: ${PRIORITIES.join(', ')}` });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+
+    const meetingWhere = {
+      ownerId: req.user.id,
+      ...(meetingId && { id: meetingId }),
+    };
+    if (fromDate) meetingWhere.startTime = { ...meetingWhere.startTime, gte: fromDate };
+    if (toDate) meetingWhere.startTime = { ...meetingWhere.startTime, lte: toDate };
+
+    const where = {
+      meeting: meetingWhere,
+      ...(status && { status }),
+      ...(priority && { priority }),
+      ...(assignee && { assignee: { contains: assignee, mode: 'insensitive' } }),
+    };
+
+    const [items, total] = await Promise.all([
+      prisma.actionItem.findMany({
+        where,
+        include: { meeting: { select: { title: true, startTime: true } } },
+        orderBy: [{ meeting: { startTime: 'desc' } }, { tStartMs: 'asc' }, { createdAt: 'asc' }],
+        take: Math.min(parseInt(limit) || 50, 100),
+      }),
+      prisma.actionItem.count({ where }),
+    ]);
+
+    // Let single-meeting callers know whether extraction still needs to run
+    let extracted;
+    if (meetingId) {
+      const meeting = await prisma.meeting.findFirst({
+        where: { id: meetingId, ownerId: req.user.id },
+        select: { actionItemsExtractedAt: true },
+      });
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      extracted = !!meeting.actionItemsExtractedAt;
+    }
+
+    res.json({
+      actionItems: items.map(serializeActionItem),
+      total,
+      ...(extracted !== undefined && { extracted }),
+    });
+  } catch (error) {
+    console.error('Get action items error:', error);
+    res.status(500).json({ error: 'Failed to fetch action items' });
+  }
+});
+
+/**
+ * POST /api/action-items/extract
+ * Extract action items for a meeting (runs the AI once, then returns stored items)
+ */
+router.post('/extract', async (req, res) => {
+  const { meetingId } = req.body;
+
+  if (!meetingId) {
+    return res.status(400).json({ error: 'meetingId is required' });
+  }
+
+  try {
+    const meeting = await prisma.meeting.findFirst({
+      where: { id: meetingId, ownerId: req.user.id },
+    });
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    if (!meeting.actionItemsExtractedAt && !config.aiEnabled) {
+      return res.status(503).json({ error: 'AI features are disabled' });
+    }
+
+    const items = await ensureActionItems(meeting);
+
+    if (!items) {
+      return res.status(400).json({ error: 'No transcript available for this meeting' });
+    }
+
+    res.json({
+      meetingId: meeting.id,
+      actionItems: items.map(serializeActionItem),
+      extracted: true,
+    });
+  } catch (error) {
+    console.error('❌ Action items extraction error:', error.message);
+    res.status(500).json({ error: 'Failed to extract action items' });
+  }
+});
+
+/**
+ * PATCH /api/action-items/:id
+ * Update an action item (status, task, assignee, priority, dueDate)
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, task, assignee, priority, dueDate } = req.body;
+
+    // Verify the item belongs to one of the user's meetings
+    const existing = await prisma.actionItem.findFirst({
+      where: { id, meeting: { ownerId: req.user.id } },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+
+    const data = {};
+    if (status !== undefined) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+      data.status = status;
+      data.completedAt = status === 'done' ? (existing.completedAt || new Date()) : null;
+    }
+    if (task !== undefined) {
+      if (typeof task !== 'string' || !task.trim()) {
+        return res.status(400).json({ error: 'task cannot be empty' });
+      }
+      data.task = task.trim();
+    }
+    if (assignee !== undefined) data.assignee = assignee || null;
+    if (priority !== undefined) data.priority = normalizePriority(priority);
+    if (dueDate !== undefined) data.dueDate = parseDueDate(dueDate);
+    data.editedAt = new Date();
+
+    const updated = await prisma.actionItem.update({
+      where: { id },
+      data,
+      include: { meeting: { select: { title: true } } },
+    });
+
+    res.json({ actionItem: serializeActionItem(updated) });
+  } catch (error) {
+    console.error('Update action item error:', error);
+    if (error.code === 'P2025') {
+      return res.status(404).json({ error: 'Action item not found' });
+    }
+    res.status(500).json({ error: 'Failed to update action item' });
+  }
+});
+
+module.exports = router;
@@ -4,12 +4,39 @@ const prisma = require('../lib/prisma');
 const config = require('../config');
 const { requireAuth, optionalAuth, devAuthBypass } = require('../middleware/auth');
 const {
-  generateSummary,
   generateTitle,
-  extractActionItems,
   chatWithTranscript,
+  streamChatWithTranscript,
   extractSOAPNotes,
 } = require('../services/openrouter');
+const { ensureActionItems, serializeActionItem } = require('../services/actionItems');
+const {
+  generateMeetingInsights,
+  regenerateSummary,
+  getGenerationProgress,
+} = require('../services/meetingInsights');
+const { getCatchUp } = require('../services/catchUp');
+const { refreshRollingSummary } = require('../services/rollingSummary');
+const { getAiContext } = require('../services/verticals');
+const {
+  buildChatContext,
+  findSession,
+  getHistory,
+  serializeMessages,
+  saveExchange,
+} = require('../services/aiChat');
+const {
+  PROVIDERS,
+  validateSettings,
+  checkCustomBaseUrl,
+  resolveSettings,
+  getUserAiSettings,
+  toPublicSettings,
+  estimateTokens,
+  transcriptTokenBudget,
+  buildStoredSettings,
+  testConnection,
+} = require('../services/aiProviders');
 
 // Apply dev auth bypass at router level (must run before requireAuth/optionalAuth)
 router.use(devAuthBypass);
@@ -59,7 +86,6 @@ async function getTranscriptText(meetingId) {
     where: { meetingId },
     orderBy: { seqNo: 'asc' },
     include: { speaker: true },
-    take: 500,
   });
 
   if (segments.length === 0) {
@@ -75,12 +101,61 @@ async function getTranscriptText(meetingId) {
     .join('\n');
 }
 
+/**
+ * Helper: Resolve the session, meeting and numbered transcript for a chat turn.
+ * A sessionId continues that session (and its meeting); otherwise meetingId scopes
+ * a new session to one meeting, or it searches across all of the user's meetings.
+ * @returns {Promise<{ session, meeting, context, ai }|{ status, error }>}
+ */
+async function prepareChat({ meetingId, sessionId, question }, userId) {
+  let session = null;
+  let meeting = null;
+
+  if (sessionId) {
+    session = await findSession(sessionId, userId);
+    if (!session) {
+      return { status: 404, error: 'Chat session not found' };
+    }
+  }
+
+  const scopedMeetingId = session ? session.meetingId : meetingId;
+  if (scopedMeetingId) {
+    // Supports both database ID and Zoom meeting ID
+    meeting = await findMeeting(scopedMeetingId, userId);
+    if (!meeting) {
+      return { status: 404, error: 'Meeting not found' };
+    }
+  }
+
+  // Cross-meeting follow-ups ("what about the budget?") retrieve with the previous question too
+  let query = question;
+  if (!meeting && session) {
+    const previous = await prisma.aiMessage.findFirst({
+      where: { sessionId: session.id, role: 'user' },
+      orderBy: { createdAt: 'desc' },
+    });
+    if (previous) {
+      query = `${previous.content}\n${question}`;
+    }
+  }
+
+  const ai = await getAiContext(userId, meeting);
+  const context = await buildChatContext(meeting, userId, query, ai);
+  if (context.error) {
+    return context;
+  }
+
+  return { session, meeting, context, ai };
+}
+
 /**
  * POST /api/ai/summary
- * Generate meeting summary
+ * Generate meeting summary. The same call also extracts and stores
+ * decisions, topics and action items (see services/meetingInsights).
+ * templateId picks a summary template (defaults to the user's default template).
  */
 router.post('/summary', requireAuth, async (req, res) => {
-  const { meetingId } = req.body;
+  const { meetingId, templateId } = req.body;
 
   if (!config.aiEnabled) {
     return res.status(503).json({ error: 'AI features are disabled' });
@@ -98,13 +173,6 @@ router.post('/summary', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Meeting not found' });
     }
 
-    // Get transcript text using the database ID
-    const transcript = await getTranscriptText(meeting.id);
-
-    if (!transcript) {
-      return res.status(400).json({ error: 'No transcript available for this meeting' });
-    }
-
     // Check for cached summary first
     if (meeting.summary) {
       return res.json({
@@ -117,23 +185,23 @@ router.post('/summary', requireAuth, async (req, res) => {
 
     console.log(`🤖 Generating summary for meeting: ${meeting.title}`);
 
-    // Generate summary
-    const summary = await generateSummary(transcript, meeting.title);
+    // Generate and store summary, decisions, topics and action items in one call
+    const insights = await generateMeetingInsights(meeting, { templateId });
 
-    // Cache the summary
-    try {
-      await prisma.meeting.update({
-        where: { id: meeting.id },
-        data: { summary },
-      });
-    } catch (cacheErr) {
-      console.warn('Failed to cache summary:', cacheErr.message);
+    if (!insights) {
+      return res.status(400).json({ error: 'No transcript available for this meeting' });
     }
 
+    const actionItems = await prisma.actionItem.findMany({
+      where: { meetingId: meeting.id },
+      orderBy: [{ tStartMs: 'asc' }, { createdAt: 'asc' }],
+    });
+
     res.json({
       meetingId: meeting.id,
       title: meeting.title,
-      summary,
+      summary: insights.summary,
+      actionItems: actionItems.map(serializeActionItem),
     });
   } catch (error) {
     console.error('❌ Summary generation error:', error.message);
@@ -141,9 +209,116 @@ router.post('/summary', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ai/summary/regenerate
+ * Replace the cached summary with a new one, optionally guided by instructions
+ * ("focus on the budget", "shorter overview"). The user's edits to the overview,
+ * key points and next steps are kept unless keepEdits is false.
+ * templateId switches template (defaults to the one the summary was written with).
+ */
+router.post('/summary/regenerate', requireAuth, async (req, res) => {
+  const { meetingId, templateId, instructions, keepEdits = true } = req.body;
+
+  if (!config.aiEnabled) {
+    return res.status(503).json({ error: 'AI features are disabled' });
+  }
+
+  if (!meetingId) {
+    return res.status(400).json({ error: 'meetingId is required' });
+  }
+
+  if (instructions !== undefined && (typeof instructions !== 'string' || instructions.length > 1000)) {
+    return res.status(400).json({ error: 'instructions must be a string of at most 1000 characters' });
+  }
+
+  try {
+    const meeting = await findMeeting(meetingId, req.user.id);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const insights = await regenerateSummary(meeting.id, {
+      templateId,
+      instructions: instructions?.trim() || null,
+      keepEdits: keepEdits !== false,
+    });
+
+    if (!insights) {
+      return res.status(400).json({ error: 'No transcript available for this meeting' });
+    }
+
+    res.json({
+      meetingId: meeting.id,
+      title: meeting.title,
+      summary: insights.summary,
+    });
+  } catch (error) {
+    console.error('❌ Summary regeneration error:', error.message);
+    res.status(500).json({ error: 'Failed to regenerate summary' });
+  }
+});
+
+/**
+ * GET /api/ai/summary/progress/:meetingId
+ * Progress of a summary being generated in parts (long meetings), for clients
+ * waiting on /summary or /summary/regenerate. progress is null otherwise.
+ */
+router.get('/summary/progress/:meetingId', requireAuth, async (req, res) => {
+  try {
+    const meeting = await findMeeting(req.params.meetingId, req.user.id);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    res.json({ meetingId: meeting.id, progress: getGenerationProgress(meeting.id) });
+  } catch (error) {
+    console.error('Summary progress error:', error);
+    res.status(500).json({ error: 'Failed to fetch summary progress' });
+  }
+});
+
+/**
+ * POST /api/ai/rolling-summary
+ * Fold the latest transcript lines into a live meeting's rolling summary now,
+ * instead of waiting for the next N segments. Viewers also get `summary.updated`.
+ */
+router.post('/rolling-summary', requireAuth, async (req, res) => {
+  const { meetingId } = req.body;
+
+  if (!config.aiEnabled) {
+    return res.status(503).json({ error: 'AI features are disabled' });
+  }
+
+  if (!meetingId) {
+    return res.status(400).json({ error: 'meetingId is required' });
+  }
+
+  try {
+    const meeting = await findMeeting(meetingId, req.user.id);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const rollingSummary = await refreshRollingSummary(meeting.id, meeting.zoomMeetingId);
+
+    if (!rollingSummary) {
+      return res.status(400).json({ error: 'No transcript available for this meeting' });
+    }
+
+    res.json({ meetingId: meeting.id, rollingSummary });
+  } catch (error) {
+    console.error('❌ Rolling summary error:', error.message);
+    res.status(500).json({ error: 'Failed to update summary' });
+  }
+});
+
 /**
  * POST /api/ai/action-items
- * Extract action items from meeting
+ * Extract action items from meeting.
+ * Kept for older clients — results are persisted, see /api/action-items.
  */
 router.post('/action-items', requireAuth, async (req, res) => {
   const { meetingId } = req.body;
@@ -164,22 +339,17 @@ router.post('/action-items', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Meeting not found' });
     }
 
-    // Get transcript text using the database ID
-    const transcript = await getTranscriptText(meeting.id);
+    // Extracts once per meeting, then returns the stored items
+    const actionItems = await ensureActionItems(meeting);
 
-    if (!transcript) {
+    if (!actionItems) {
       return res.status(400).json({ error: 'No transcript available for this meeting' });
     }
 
-    console.log(`🤖 Extracting action items for meeting: ${meeting.title}`);
-
-    // Extract action items
-    const actionItems = await extractActionItems(transcript);
-
     res.json({
       meetingId: meeting.id,
       title: meeting.title,
-      actionItems,
+      actionItems: actionItems.map(serializeActionItem),
     });
   } catch (error) {
     console.error('❌ Action items extraction error:', error.message);
@@ -206,7 +376,8 @@ router.post('/extract-soap', requireAuth, async (req, res) => {
     console.log(`🏥 Extracting SOAP notes for meeting: ${meetingId || 'live'}`);
 
     // Extract SOAP notes using AI
-    const soapNotes = await extractSOAPNotes(transcript, currentSoap || {});
+    const ai = await getAiContext(req.user.id);
+    const soapNotes = await extractSOAPNotes(transcript, currentSoap || {}, ai);
 
     res.json(soapNotes);
   } catch (error) {
@@ -217,10 +388,11 @@ router.post('/extract-soap', requireAuth, async (req, res) => {
 
 /**
  * POST /api/ai/chat
- * Chat with transcripts (RAG-based Q&A)
+ * Chat with transcripts. Pass sessionId to ask a follow-up in an existing session;
+ * the answer cites transcript segments as [1], [2], ... (see message.citations).
  */
 router.post('/chat', requireAuth, async (req, res) => {
-  const { meetingId, question } = req.body;
+  const { meetingId, sessionId, question } = req.body;
 
   if (!config.aiEnabled) {
     return res.status(503).json({ error: 'AI features are disabled' });
@@ -231,70 +403,239 @@ router.post('/chat', requireAuth, async (req, res) => {
   }
 
   try {
-    let transcript = '';
-    let meetingTitle = 'Meeting';
+    const chat = await prepareChat({ meetingId, sessionId, question }, req.user.id);
+
+    if (chat.error) {
+      return res.status(chat.status).json({ error: chat.error });
+    }
+
+    console.log(`🤖 Chat question: "${question.substring(0, 50)}..."`);
+
+    // Get AI response
+    const { ai } = chat;
+    const history = await getHistory(chat.session?.id);
+    const answer = await chatWithTranscript(
+      question,
+      chat.context.transcript,
+      chat.context.meetingTitle,
+      ai,
+      history
+    );
+
+    const saved = await saveExchange({
+      session: chat.session,
+      userId: req.user.id,
+      meetingId: chat.meeting?.id || null,
+      question,
+      answer,
+      lines: chat.context.lines,
+    });
+
+    res.json({
+      sessionId: saved.sessionId,
+      meetingId: chat.meeting?.id || null,
+      question,
+      answer: saved.message.content,
+      message: saved.message,
+      excerpted: chat.context.excerpted,
+    });
+  } catch (error) {
+    console.error('❌ Chat error:', error.message);
+    res.status(500).json({ error: 'Failed to process question' });
+  }
+});
+
+/**
+ * POST /api/ai/chat/stream
+ * Same as /chat, but streams the answer as Server-Sent Events:
+ *   event: token  data: { "text": "..." }   (raw model text, [#line] markers included)
+ *   event: done   data: { "sessionId", "answer", "message" }
+ *   event: error  data: { "error": "..." }
+ * Closing the request (e.g. fetch AbortController) cancels the upstream completion;
+ * a cancelled turn is not saved.
+ */
+router.post('/chat/stream', requireAuth, async (req, res) => {
+  const { meetingId, sessionId, question } = req.body;
+
+  if (!config.aiEnabled) {
+    return res.status(503).json({ error: 'AI features are disabled' });
+  }
+
+  if (!question) {
+    return res.status(400).json({ error: 'question is required' });
+  }
+
+  const controller = new AbortController();
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) {
+      console.log('🛑 Chat stream cancelled by client');
+      controller.abort();
+    }
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const chat = await prepareChat({ meetingId, sessionId, question }, req.user.id);
+
+    if (chat.error) {
+      finished = true;
+      return res.status(chat.status).json({ error: chat.error });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform', // no-transform keeps dev-server compression from buffering
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx/ngrok)
+    });
+
+    console.log(`🤖 Streaming chat question: "${question.substring(0, 50)}..."`);
+
+    const { ai } = chat;
+    const history = await getHistory(chat.session?.id);
+    const answer = await streamChatWithTranscript(
+      question,
+      chat.context.transcript,
+      chat.context.meetingTitle,
+      ai,
+      {
+        history,
+        signal: controller.signal,
+        onToken: (text) => sendEvent('token', { text }),
+      }
+    );
+
+    const saved = await saveExchange({
+      session: chat.session,
+      userId: req.user.id,
+      meetingId: chat.meeting?.id || null,
+      question,
+      answer,
+      lines: chat.context.lines,
+    });
+
+    finished = true;
+    sendEvent('done', {
+      sessionId: saved.sessionId,
+      answer: saved.message.content,
+      message: saved.message,
+      excerpted: chat.context.excerpted,
+    });
+    res.end();
+  } catch (error) {
+    finished = true;
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    console.error('❌ Chat stream error:', error.message);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to process question' });
+    }
+    sendEvent('error', { error: 'Failed to process question' });
+    res.end();
+  }
+});
+
+/**
+ * GET /api/ai/sessions
+ * List the user's chat sessions, most recent first
+ * Query: meetingId (database or Zoom meeting ID), limit
+ */
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const { meetingId, limit = 20 } = req.query;
+    const where = { userId: req.user.id };
 
     if (meetingId) {
-      // Chat about specific meeting (supports both database ID and Zoom meeting ID)
       const meeting = await findMeeting(meetingId, req.user.id);
-
       if (!meeting) {
         return res.status(404).json({ error: 'Meeting not found' });
       }
+      where.meetingId = meeting.id;
+    }
 
-      meetingTitle = meeting.title;
-      transcript = await getTranscriptText(meeting.id);
+    const sessions = await prisma.aiSession.findMany({
+      where,
+      orderBy: { updatedAt: 'desc' },
+      take: Math.min(parseInt(limit) || 20, 100),
+      include: { _count: { select: { messages: true } } },
+    });
 
-      if (!transcript) {
-        return res.status(400).json({ error: 'No transcript available for this meeting' });
-      }
-    } else {
-      // Chat across all meetings - get recent transcripts
-      const recentMeetings = await prisma.meeting.findMany({
-        where: { ownerId: req.user.id },
-        orderBy: { startTime: 'desc' },
-        take: 5,
-        include: {
-          segments: {
-            orderBy: { seqNo: 'asc' },
-            include: { speaker: true },
-          },
-        },
-      });
+    res.json({
+      sessions: sessions.map((s) => ({
+        id: s.id,
+        title: s.title,
+        meetingId: s.meetingId,
+        messageCount: s._count.messages,
+        createdAt: s.createdAt,
+        updatedAt: s.updatedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('Get chat sessions error:', error);
+    res.status(500).json({ error: 'Failed to fetch chat sessions' });
+  }
+});
 
-      if (recentMeetings.length === 0) {
-        return res.status(400).json({ error: 'No meetings with transcripts found' });
-      }
+/**
+ * GET /api/ai/sessions/:id
+ * Get a chat session with its messages and citations
+ */
+router.get('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const session = await prisma.aiSession.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+      include: {
+        messages: {
+          orderBy: { createdAt: 'asc' },
+          include: { citations: true },
+        },
+      },
+    });
 
-      // Combine transcripts from recent meetings
-      transcript = recentMeetings
-        .map((m) => {
-          const text = m.segments
-            .map((seg) => {
-              const speaker = seg.speaker?.displayName || seg.speaker?.label || 'Speaker';
-              return `[${speaker}]: ${seg.text}`;
-            })
-            .join('\n');
-          return `--- Meeting: ${m.title} (${m.startTime.toLocaleDateString()}) ---\n${text}`;
-        })
-        .join('\n\n');
-
-      meetingTitle = 'Recent Meetings';
+    if (!session) {
+      return res.status(404).json({ error: 'Chat session not found' });
     }
 
-    console.log(`🤖 Chat question: "${question.substring(0, 50)}..."`);
-
-    // Get AI response
-    const answer = await chatWithTranscript(question, transcript, meetingTitle);
-
     res.json({
-      meetingId: meetingId || null,
-      question,
-      answer,
+      session: {
+        id: session.id,
+        title: session.title,
+        meetingId: session.meetingId,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+      },
+      messages: await serializeMessages(session.messages),
     });
   } catch (error) {
-    console.error('❌ Chat error:', error.message);
-    res.status(500).json({ error: 'Failed to process question' });
+    console.error('Get chat session error:', error);
+    res.status(500).json({ error: 'Failed to fetch chat session' });
+  }
+});
+
+/**
+ * DELETE /api/ai/sessions/:id
+ * Delete a chat session and its messages
+ */
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const result = await prisma.aiSession.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ error: 'Chat session not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete chat session error:', error);
+    res.status(500).json({ error: 'Failed to delete chat session' });
   }
 });
 
@@ -320,23 +661,36 @@ router.post('/generate-title', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Meeting not found' });
     }
 
-    // Prefer summary (shorter/cheaper) over full transcript
+    const ai = await getAiContext(req.user.id, meeting);
+
+    // Prefer summary (shorter/cheaper) over full transcript. A transcript too long
+    // for one call is summarized first (in parts, see meetingInsights).
     let content;
-    if (meeting.summary?.overview) {
-      content = meeting.summary.overview;
-      if (meeting.summary.keyPoints?.length) {
-        content += '\n' + meeting.summary.keyPoints.join('\n');
-      }
-    } else {
-      content = await getTranscriptText(meeting.id);
-      if (!content) {
+    let summary = meeting.summary;
+    if (!summary?.overview) {
+      const transcript = await getTranscriptText(meeting.id);
+      if (!transcript) {
         return res.status(400).json({ error: 'No transcript available for this meeting' });
       }
+      if (estimateTokens(transcript) <= transcriptTokenBudget(ai)) {
+        content = transcript;
+      } else {
+        summary = (await generateMeetingInsights(meeting))?.summary;
+        if (!summary?.overview) {
+          return res.status(400).json({ error: 'No transcript available for this meeting' });
+        }
+      }
+    }
+    if (!content) {
+      content = summary.overview;
+      if (summary.keyPoints?.length) {
+        content += '\n' + summary.keyPoints.join('\n');
+      }
     }
 
     console.log(`🤖 Generating title for meeting: ${meeting.title}`);
 
-    const title = await generateTitle(content, meeting.title);
+    const title = await generateTitle(content, meeting.title, ai);
 
     res.json({ title });
   } catch (error) {
@@ -345,6 +699,44 @@ router.post('/generate-title', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/ai/catch-up
+ * "What did I miss?" — summarize the live transcript since a point in time
+ * Body: { meetingId, since } — since is an ISO date or epoch ms (omit for the whole meeting)
+ * Summaries are cached per window of segments, see services/catchUp
+ */
+router.post('/catch-up', requireAuth, async (req, res) => {
+  const { meetingId, since } = req.body;
+
+  if (!config.aiEnabled) {
+    return res.status(503).json({ error: 'AI features are disabled' });
+  }
+
+  if (!meetingId) {
+    return res.status(400).json({ error: 'meetingId is required' });
+  }
+
+  const sinceDate = since === undefined || since === null ? new Date(0) : new Date(since);
+  if (isNaN(sinceDate.getTime())) {
+    return res.status(400).json({ error: 'since must be a date or timestamp' });
+  }
+
+  try {
+    const meeting = await findMeeting(meetingId, req.user.id);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const catchUp = await getCatchUp(meeting, sinceDate, req.user.id);
+
+    res.json({ meetingId: meeting.id, catchUp });
+  } catch (error) {
+    console.error('❌ Catch-up error:', error.message);
+    res.status(500).json({ error: 'Failed to generate catch-up' });
+  }
+});
+
 // Rate limit: one suggest call per meeting per 5 minutes
 const suggestRateLimit = new Map();
 
@@ -375,7 +767,8 @@ router.post('/suggest', optionalAuth, async (req, res) => {
   try {
     const { generateSuggestions } = require('../services/openrouter');
 
-    const suggestions = await generateSuggestions(recentTranscript);
+    const ai = await getAiContext(req.user?.id);
+    const suggestions = await generateSuggestions(recentTranscript, ai);
 
     res.json({ suggestions });
   } catch (error) {
@@ -385,6 +778,122 @@ router.post('/suggest', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/ai/provider
+ * Get the user's AI provider settings (API keys are never returned)
+ */
+router.get('/provider', requireAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { preferences: true },
+    });
+
+    res.json({
+      settings: toPublicSettings(user?.preferences?.ai),
+      providers: Object.entries(PROVIDERS).map(([id, p]) => ({
+        id,
+        label: p.label,
+        requiresApiKey: p.requiresApiKey,
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching AI provider settings:', error);
+    res.status(500).json({ error: 'Failed to fetch AI provider settings' });
+  }
+});
+
+/**
+ * PUT /api/ai/provider
+ * Save the user's AI provider settings
+ * Body: { provider, model, baseUrl, apiKey } — omit apiKey to keep the stored key, '' clears it
+ */
+router.put('/provider', requireAuth, async (req, res) => {
+  const { provider, model, baseUrl, apiKey } = req.body;
+
+  const validationError = validateSettings({ provider, model, baseUrl });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const blocked = provider === 'custom' && await checkCustomBaseUrl(baseUrl);
+    if (blocked) {
+      return res.status(400).json({ error: blocked });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { preferences: true },
+    });
+
+    const prefs = (user?.preferences && typeof user.preferences === 'object') ? user.preferences : {};
+    const ai = buildStoredSettings(prefs.ai, { provider, model, baseUrl, apiKey });
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { preferences: { ...prefs, ai } },
+    });
+
+    console.log(`🔧 AI provider set to ${provider} for user ${req.user.id}`);
+
+    res.json({ settings: toPublicSettings(ai) });
+  } catch (error) {
+    console.error('Error saving AI provider settings:', error);
+    res.status(500).json({ error: 'Failed to save AI provider settings' });
+  }
+});
+
+/**
+ * POST /api/ai/provider/test
+ * Send a tiny prompt to check a provider/model/key combination.
+ * Body: { provider, model, baseUrl, apiKey } (unsaved form values); omitted apiKey uses the stored key.
+ * With an empty body, tests the saved settings.
+ */
+router.post('/provider/test', requireAuth, async (req, res) => {
+  const { provider, model, baseUrl, apiKey } = req.body;
+
+  try {
+    let settings;
+
+    if (provider) {
+      const validationError = validateSettings({ provider, model, baseUrl });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const blocked = provider === 'custom' && await checkCustomBaseUrl(baseUrl);
+      if (blocked) {
+        return res.status(400).json({ error: blocked });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { preferences: true },
+      });
+
+      // Resolve as if saved, then swap in the unsaved key without encrypting it
+      const stored = buildStoredSettings(user?.preferences?.ai, { provider, model, baseUrl });
+      settings = resolveSettings(stored);
+      if (apiKey) {
+        settings.apiKey = apiKey;
+      }
+    } else {
+      settings = await getUserAiSettings(req.user.id);
+    }
+
+    const result = await testConnection(settings);
+
+    res.json({
+      ...result,
+      provider: settings.provider,
+      model: settings.model,
+    });
+  } catch (error) {
+    console.error('❌ AI provider test error:', error.message);
+    res.status(500).json({ error: 'Failed to test AI provider' });
+  }
+});
+
 /**
  * GET /api/ai/status
  * Check AI service status
@@ -0,0 +1,142 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { requireAuth, devAuthBypass } = require('../middleware/auth');
+const { SOURCES, serializeDecision } = require('../services/decisions');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+// IMPORTANT: devAuthBypass must run BEFORE requireAuth so it can set req.user in dev mode
+router.use(devAuthBypass); // Allow dev mode query param bypass
+router.use(requireAuth);
+
+const MEETING_FIELDS = { meeting: { select: { title: true, startTime: true } } };
+
+/**
+ * GET /api/decisions
+ * Decision log across the authenticated user's meetings, newest meetings first
+ * Query: q (text contains), participant, meetingId, source, from, to (meeting start), limit, cursor
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, participant, meetingId, source, from, to, limit = 20, cursor } = req.query;
+
+    if (source && !SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of: ${SOURCES.join(', ')}` });
+    }
+
+    const meetingWhere = {
+      ownerId: req.user.id,
+      ...(meetingId && { id: meetingId }),
+    };
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+    if (fromDate) meetingWhere.startTime = { ...meetingWhere.startTime, gte: fromDate };
+    if (toDate) meetingWhere.startTime = { ...meetingWhere.startTime, lte: toDate };
+
+    const where = {
+      meeting: meetingWhere,
+      ...(source && { source }),
+      ...(q && { text: { contains: q, mode: 'insensitive' } }),
+      ...(participant && { participants: { has: participant } }),
+    };
+
+    const [decisions, total] = await Promise.all([
+      prisma.decision.findMany({
+        where,
+        include: MEETING_FIELDS,
+        orderBy: [{ meeting: { startTime: 'desc' } }, { seqNo: 'asc' }, { createdAt: 'asc' }, { id: 'asc' }],
+        take: Math.min(parseInt(limit) || 20, 100),
+        ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      }),
+      prisma.decision.count({ where }),
+    ]);
+
+    res.json({
+      decisions: decisions.map(serializeDecision),
+      total,
+      cursor: decisions.length > 0 ? decisions[decisions.length - 1].id : null,
+    });
+  } catch (error) {
+    console.error('Get decisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch decisions' });
+  }
+});
+
+/**
+ * POST /api/decisions
+ * Record a decision by hand
+ * Body: { meetingId, text, participants?, seqNo? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { meetingId, text, participants = [], seqNo } = req.body;
+
+    if (!meetingId || typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'meetingId and text are required' });
+    }
+    if (seqNo != null && !(['number', 'string'].includes(typeof seqNo) && /^\d+$/.test(String(seqNo)))) {
+      return res.status(400).json({ error: 'seqNo must be a non-negative integer' });
+    }
+
+    const meeting = await prisma.meeting.findFirst({
+      where: { id: meetingId, ownerId: req.user.id },
+      select: { id: true },
+    });
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    // Anchor to a transcript segment if one was given
+    const segment = seqNo != null ? await prisma.transcriptSegment.findUnique({
+      where: { meetingId_seqNo: { meetingId: meeting.id, seqNo: BigInt(seqNo) } },
+      select: { seqNo: true, tStartMs: true },
+    }) : null;
+
+    const decision = await prisma.decision.create({
+      data: {
+        meetingId: meeting.id,
+        text: text.trim(),
+        participants: Array.isArray(participants)
+          ? participants.map((name) => String(name).trim()).filter(Boolean)
+          : [],
+        seqNo: segment?.seqNo ?? null,
+        tStartMs: segment?.tStartMs ?? null,
+        source: 'manual',
+      },
+      include: MEETING_FIELDS,
+    });
+
+    res.status(201).json({ decision: serializeDecision(decision) });
+  } catch (error) {
+    console.error('Create decision error:', error);
+    res.status(500).json({ error: 'Failed to create decision' });
+  }
+});
+
+/**
+ * DELETE /api/decisions/:id
+ * Remove a decision from the log
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.decision.deleteMany({
+      where: { id: req.params.id, meeting: { ownerId: req.user.id } },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Decision not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete decision error:', error);
+    res.status(500).json({ error: 'Failed to delete decision' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const prisma = require('../lib/prisma');
 const { optionalAuth } = require('../middleware/auth');
+const { getIsoWeek, parseIsoWeek, getWeeklyDigest } = require('../services/weeklyDigest');
+const { ensureMeetingTopics, getTopicCounts, getTopicTrends } = require('../services/topics');
 
 const router = express.Router();
 
@@ -110,4 +112,105 @@ router.get('/reminders', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/home/weekly-digest
+ * Meeting count, total duration, speaking time and topics for an ISO week,
+ * plus a cached AI narrative when AI is enabled.
+ * Query: week (e.g. "2026-W42", defaults to the current week), narrative=false for stats only
+ */
+router.get('/weekly-digest', async (req, res) => {
+  try {
+    const week = req.query.week ? parseIsoWeek(req.query.week) : getIsoWeek();
+    if (!week) {
+      return res.status(400).json({ error: 'week must be an ISO week like 2026-W42' });
+    }
+
+    // Require authenticated user or return empty
+    if (!req.user) {
+      return res.json({ digest: null });
+    }
+
+    const digest = await getWeeklyDigest(req.user.id, week, {
+      narrative: req.query.narrative !== 'false',
+    });
+
+    res.json({ digest });
+  } catch (error) {
+    console.error('Weekly digest error:', error);
+    res.status(500).json({ error: 'Failed to fetch weekly digest' });
+  }
+});
+
+const MAX_TREND_WEEKS = 26;
+
+/**
+ * Monday of the ISO week `weeks - 1` weeks before the current one
+ */
+function startOfWeeksAgo(weeks) {
+  const start = getIsoWeek().start;
+  start.setDate(start.getDate() - (weeks - 1) * 7);
+  return start;
+}
+
+/**
+ * GET /api/home/recurring-topics
+ * Topics that came up in 2+ of the user's meetings over the last N weeks
+ * Query: weeks (default 1 = this week), min (default 2), limit
+ */
+router.get('/recurring-topics', async (req, res) => {
+  try {
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 1, 1), MAX_TREND_WEEKS);
+    const minMeetings = Math.max(parseInt(req.query.min) || 2, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    // Require authenticated user or return empty
+    if (!req.user) {
+      return res.json({ topics: [] });
+    }
+
+    await ensureMeetingTopics(req.user.id);
+    const topics = await getTopicCounts(req.user.id, {
+      from: startOfWeeksAgo(weeks),
+      to: getIsoWeek().end,
+      minMeetings,
+      limit,
+    });
+
+    res.json({ topics });
+  } catch (error) {
+    console.error('Recurring topics error:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring topics' });
+  }
+});
+
+/**
+ * GET /api/home/topic-trends
+ * Weekly meeting counts for the most frequent topics, oldest week first,
+ * each marked rising, fading or steady
+ * Query: weeks (default 8, max 26), limit
+ */
+router.get('/topic-trends', async (req, res) => {
+  try {
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 8, 2), MAX_TREND_WEEKS);
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+
+    // Require authenticated user or return empty
+    if (!req.user) {
+      return res.json({ weeks: [], topics: [] });
+    }
+
+    await ensureMeetingTopics(req.user.id);
+    const trends = await getTopicTrends(req.user.id, {
+      start: startOfWeeksAgo(weeks),
+      weeks,
+      limit,
+    });
+
+    res.json(trends);
+  } catch (error) {
+    console.error('Topic trends error:', error);
+    res.status(500).json({ error: 'Failed to fetch topic trends' });
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,17 @@
 const express = require('express');
 const prisma = require('../lib/prisma');
 const { requireAuth, optionalAuth, devAuthBypass } = require('../middleware/auth');
+const { serializeDecision } = require('../services/decisions');
+const { assignMeetingSeries, removeFromSeries } = require('../services/meetingSeries');
+const { getMeetingContext } = require('../services/meetingContext');
+const { findMeetingByZoomId } = require('../services/meetingLookup');
+const {
+  validateEdits,
+  serializeVersion,
+  editSummary,
+  revertSummary,
+} = require('../services/summaryVersions');
+const { VERTICAL_IDS, isVertical } = require('../services/verticals');
 
 const router = express.Router();
 
@@ -9,32 +20,6 @@ const router = express.Router();
 router.use(devAuthBypass); // Allow dev mode query param bypass
 // NOTE: Not using requireAuth on GET routes to allow anonymous access to meetings
 
-/**
- * Find a meeting by Zoom meeting UUID, with fallback for SDK/RTMS UUID mismatch.
- * The Zoom SDK provides a different UUID than the RTMS webhook — when the exact
- * match fails, falls back to the user's most recent ongoing meeting.
- */
-async function findMeetingByZoomId(zoomMeetingId, userId, findOptions = {}) {
-  let meeting = await prisma.meeting.findUnique({
-    where: { zoomMeetingId },
-    ...findOptions,
-  });
-  if (meeting) return meeting;
-
-  // Fallback: SDK UUID may differ from RTMS UUID
-  if (userId) {
-    meeting = await prisma.meeting.findFirst({
-      where: { ownerId: userId, status: 'ongoing' },
-      orderBy: { startTime: 'desc' },
-      ...findOptions,
-    });
-    if (meeting) {
-      console.log(`📡 UUID fallback: SDK "${zoomMeetingId}" → RTMS "${meeting.zoomMeetingId}"`);
-    }
-  }
-  return meeting;
-}
-
 /**
  * GET /api/meetings
  * List meetings (all meetings if no auth, user's meetings if authenticated)
@@ -206,6 +191,7 @@ router.get('/by-zoom-id/:zoomMeetingId/transcript', optionalAuth, async (req, re
       text: seg.text,
       tStartMs: Number(seg.tStartMs),
       tEndMs: Number(seg.tEndMs),
+      timestamp: meeting.startTime.getTime() + Number(seg.tStartMs),
       seqNo: seg.seqNo.toString(),
     }));
 
@@ -250,6 +236,351 @@ router.get('/by-zoom-id/:zoomMeetingId/participant-events', optionalAuth, async
   }
 });
 
+/**
+ * GET /api/meetings/by-zoom-id/:zoomMeetingId/decisions
+ * Get a meeting's decisions by Zoom meeting UUID (for the in-meeting decision log)
+ */
+router.get('/by-zoom-id/:zoomMeetingId/decisions', optionalAuth, async (req, res) => {
+  try {
+    const { zoomMeetingId } = req.params;
+
+    const meeting = await findMeetingByZoomId(zoomMeetingId, req.user?.id);
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const decisions = await prisma.decision.findMany({
+      where: { meetingId: meeting.id },
+      include: { meeting: { select: { title: true, startTime: true } } },
+      orderBy: [{ seqNo: 'asc' }, { createdAt: 'asc' }],
+    });
+
+    res.json({ decisions: decisions.map(serializeDecision), meetingDbId: meeting.id });
+  } catch (error) {
+    console.error('Get decisions by zoom ID error:', error);
+    res.status(500).json({ error: 'Failed to fetch decisions' });
+  }
+});
+
+const CONTEXT_FIELDS = { id: true, ownerId: true, startTime: true, meetingSeriesId: true, zoomMeetingNumber: true };
+
+// Names read from the SDK participant list
+const MAX_BRIEFING_PARTICIPANTS = 100;
+
+/**
+ * GET /api/meetings/by-zoom-id/:zoomMeetingId/context
+ * Pre-meeting briefing for the meeting the app is open in, before transcription
+ * has started (no meeting row yet) as well as after.
+ * Query: meetingNumber (Zoom meeting number from the SDK), participant (repeated,
+ * one per name in the SDK participant list)
+ */
+router.get('/by-zoom-id/:zoomMeetingId/context', requireAuth, async (req, res) => {
+  try {
+    const { zoomMeetingId } = req.params;
+    const meetingNumber = req.query.meetingNumber ? String(req.query.meetingNumber) : null;
+    const participants = [].concat(req.query.participant || [])
+      .map((v) => String(v).trim())
+      .filter(Boolean)
+      .slice(0, MAX_BRIEFING_PARTICIPANTS);
+
+    if (meetingNumber && !/^\d+$/.test(meetingNumber)) {
+      return res.status(400).json({ error: 'meetingNumber must be numeric' });
+    }
+
+    let meeting = await findMeetingByZoomId(zoomMeetingId, req.user.id, { select: CONTEXT_FIELDS });
+
+    // Someone else's recording of this meeting, or a live meeting found by the
+    // UUID fallback that is a different Zoom meeting, doesn't describe this one
+    if (meeting && (meeting.ownerId !== req.user.id
+      || (meetingNumber && meeting.zoomMeetingNumber && meeting.zoomMeetingNumber !== meetingNumber))) {
+      meeting = null;
+    }
+
+    const context = await getMeetingContext(meeting || {
+      id: null,
+      ownerId: req.user.id,
+      startTime: new Date(),
+      meetingSeriesId: null,
+      zoomMeetingNumber: meetingNumber,
+    }, { participants });
+    res.json(context);
+  } catch (error) {
+    console.error('Get meeting context by zoom ID error:', error);
+    res.status(500).json({ error: 'Failed to fetch meeting context' });
+  }
+});
+
+/**
+ * Meeting length in ms (ongoing meetings count up to now)
+ */
+function meetingDurationMs(meeting) {
+  if (meeting.duration) return meeting.duration;
+  const end = meeting.endTime ? meeting.endTime.getTime() : Date.now();
+  return Math.max(0, end - meeting.startTime.getTime());
+}
+
+/**
+ * GET /api/meetings/series/:seriesId
+ * Series timeline: every meeting in the series, oldest first, with its summary
+ * overview, topics, decisions, action item counts and speakers
+ */
+router.get('/series/:seriesId', requireAuth, async (req, res) => {
+  try {
+    const series = await prisma.meetingSeries.findFirst({
+      where: { id: req.params.seriesId, ownerId: req.user.id },
+      include: {
+        meetings: {
+          orderBy: { startTime: 'asc' },
+          include: {
+            speakers: { where: { NOT: { role: 'system' } }, select: { displayName: true, label: true } },
+            topics: { select: { name: true, key: true } },
+            decisions: { orderBy: { seqNo: 'asc' }, select: { id: true, text: true, seqNo: true } },
+            actionItems: { select: { status: true } },
+          },
+        },
+      },
+    });
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    // Topics that carry across meetings in the series
+    const topicMeetings = new Map();
+    series.meetings.forEach((m) => m.topics.forEach((t) => {
+      const entry = topicMeetings.get(t.key) || { topic: t.name, key: t.key, meetingCount: 0 };
+      entry.meetingCount++;
+      topicMeetings.set(t.key, entry);
+    }));
+
+    res.json({
+      series: {
+        id: series.id,
+        title: series.title,
+        zoomMeetingNumber: series.zoomMeetingNumber,
+        meetingCount: series.meetings.length,
+        recurringTopics: [...topicMeetings.values()]
+          .filter((t) => t.meetingCount >= 2)
+          .sort((a, b) => b.meetingCount - a.meetingCount),
+      },
+      meetings: series.meetings.map((m) => ({
+        id: m.id,
+        title: m.title,
+        startTime: m.startTime,
+        status: m.status,
+        durationMs: meetingDurationMs(m),
+        overview: m.summary?.overview || null,
+        speakers: m.speakers.map((s) => s.displayName || s.label),
+        topics: m.topics.map((t) => ({ topic: t.name, key: t.key })),
+        decisions: m.decisions.map((d) => ({ id: d.id, text: d.text, seqNo: d.seqNo != null ? d.seqNo.toString() : null })),
+        actionItems: {
+          open: m.actionItems.filter((a) => a.status === 'open').length,
+          done: m.actionItems.filter((a) => a.status === 'done').length,
+        },
+      })),
+    });
+  } catch (error) {
+    console.error('Get meeting series error:', error);
+    res.status(500).json({ error: 'Failed to fetch meeting series' });
+  }
+});
+
+/**
+ * GET /api/meetings/:id/related
+ * Other meetings in the same series (detected on first request if it hasn't run yet)
+ */
+router.get('/:id/related', requireAuth, async (req, res) => {
+  try {
+    let meeting = await prisma.meeting.findFirst({
+      where: { id: req.params.id, ownerId: req.user.id },
+      select: { id: true, status: true, meetingSeriesId: true, seriesCheckedAt: true },
+    });
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    if (!meeting.seriesCheckedAt && meeting.status === 'completed') {
+      meeting = { ...meeting, meetingSeriesId: await assignMeetingSeries(meeting.id) };
+    }
+
+    if (!meeting.meetingSeriesId) {
+      return res.json({ series: null, meetings: [] });
+    }
+
+    const series = await prisma.meetingSeries.findUnique({
+      where: { id: meeting.meetingSeriesId },
+      include: {
+        meetings: {
+          where: { id: { not: meeting.id } },
+          orderBy: { startTime: 'desc' },
+          select: { id: true, title: true, startTime: true, status: true, duration: true, endTime: true },
+        },
+      },
+    });
+
+    if (!series) {
+      return res.json({ series: null, meetings: [] });
+    }
+
+    res.json({
+      series: { id: series.id, title: series.title, meetingCount: series.meetings.length + 1 },
+      meetings: series.meetings.map((m) => ({
+        id: m.id,
+        title: m.title,
+        startTime: m.startTime,
+        status: m.status,
+        durationMs: meetingDurationMs(m),
+      })),
+    });
+  } catch (error) {
+    console.error('Get related meetings error:', error);
+    res.status(500).json({ error: 'Failed to fetch related meetings' });
+  }
+});
+
+/**
+ * GET /api/meetings/:id/context
+ * Pre-meeting briefing: earlier meetings in the same series or with the same
+ * people, with their open action items, recent decisions and shared topics
+ */
+router.get('/:id/context', requireAuth, async (req, res) => {
+  try {
+    const meeting = await prisma.meeting.findFirst({
+      where: { id: req.params.id, ownerId: req.user.id },
+      select: CONTEXT_FIELDS,
+    });
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const context = await getMeetingContext(meeting);
+    res.json(context);
+  } catch (error) {
+    console.error('Get meeting context error:', error);
+    res.status(500).json({ error: 'Failed to fetch meeting context' });
+  }
+});
+
+/**
+ * DELETE /api/meetings/:id/series
+ * Remove a meeting from its series (it won't be re-detected)
+ */
+router.delete('/:id/series', requireAuth, async (req, res) => {
+  try {
+    const meeting = await prisma.meeting.findFirst({
+      where: { id: req.params.id, ownerId: req.user.id },
+      select: { id: true, meetingSeriesId: true },
+    });
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    await removeFromSeries(meeting);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove from series error:', error);
+    res.status(500).json({ error: 'Failed to remove meeting from series' });
+  }
+});
+
+/**
+ * PATCH /api/meetings/:id/summary
+ * Edit the summary's overview, key points or next steps.
+ * Edits are kept when the summary is regenerated.
+ * Body: { overview?, keyPoints?, nextSteps? }
+ */
+router.patch('/:id/summary', requireAuth, async (req, res) => {
+  try {
+    const { changes, error } = validateEdits(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const meeting = await prisma.meeting.findFirst({
+      where: { id: req.params.id, ownerId: req.user.id },
+    });
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    if (!meeting.summary) {
+      return res.status(409).json({ error: 'Meeting has no summary yet' });
+    }
+
+    const { summary, version } = await editSummary(meeting, changes);
+    res.json({ summary, editedFields: Object.keys(version.edits || {}), version: serializeVersion(version) });
+  } catch (error) {
+    console.error('Edit summary error:', error);
+    res.status(500).json({ error: 'Failed to update summary' });
+  }
+});
+
+/**
+ * GET /api/meetings/:id/summary/versions
+ * Summary history, newest first (generated, edited and reverted versions)
+ */
+router.get('/:id/summary/versions', requireAuth, async (req, res) => {
+  try {
+    const meeting = await prisma.meeting.findFirst({
+      where: { id: req.params.id, ownerId: req.user.id },
+      select: { id: true, summaryEdits: true },
+    });
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const versions = await prisma.summaryVersion.findMany({
+      where: { meetingId: meeting.id },
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+    });
+
+    res.json({
+      versions: versions.map(serializeVersion),
+      editedFields: Object.keys(meeting.summaryEdits || {}),
+    });
+  } catch (error) {
+    console.error('List summary versions error:', error);
+    res.status(500).json({ error: 'Failed to fetch summary versions' });
+  }
+});
+
+/**
+ * POST /api/meetings/:id/summary/versions/:versionId/revert
+ * Restore an earlier summary version, including the edits it had
+ */
+router.post('/:id/summary/versions/:versionId/revert', requireAuth, async (req, res) => {
+  try {
+    const meeting = await prisma.meeting.findFirst({
+      where: { id: req.params.id, ownerId: req.user.id },
+    });
+
+    if (!meeting) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    const target = await prisma.summaryVersion.findFirst({
+      where: { id: req.params.versionId, meetingId: meeting.id },
+    });
+
+    if (!target) {
+      return res.status(404).json({ error: 'Summary version not found' });
+    }
+
+    const { summary, version } = await revertSummary(meeting, target);
+    res.json({ summary, editedFields: Object.keys(version.edits || {}), version: serializeVersion(version) });
+  } catch (error) {
+    console.error('Revert summary error:', error);
+    res.status(500).json({ error: 'Failed to revert summary' });
+  }
+});
+
 /**
  * GET /api/meetings/:id
  * Get meeting details
@@ -332,6 +663,7 @@ router.get('/:id/transcript', optionalAuth, async (req, res) => {
       seqNo: seg.seqNo.toString(),
       tStartMs: Number(seg.tStartMs),
       tEndMs: Number(seg.tEndMs),
+      timestamp: meeting.startTime.getTime() + Number(seg.tStartMs),
     }));
 
     res.json({
@@ -387,15 +719,27 @@ router.get('/:id/participant-events', optionalAuth, async (req, res) => {
 
 /**
  * PATCH /api/meetings/:id
- * Update meeting (rename, etc.)
+ * Update meeting (rename, vertical override)
+ * Body: { title?, vertical? } — vertical null goes back to the owner's vertical
  */
 router.patch('/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { title } = req.body;
+    const { title, vertical } = req.body;
+    const data = {};
 
-    if (!title || title.trim().length === 0) {
-      return res.status(400).json({ error: 'Title is required' });
+    if (title !== undefined || vertical === undefined) {
+      if (!title || title.trim().length === 0) {
+        return res.status(400).json({ error: 'Title is required' });
+      }
+      data.title = title.trim();
+    }
+
+    if (vertical !== undefined) {
+      if (vertical !== null && !isVertical(vertical)) {
+        return res.status(400).json({ error: `vertical must be one of: ${VERTICAL_IDS.join(', ')}` });
+      }
+      data.vertical = vertical;
     }
 
     // Verify ownership — users can only rename their own meetings
@@ -409,7 +753,7 @@ router.patch('/:id', requireAuth, async (req, res) => {
 
     const updated = await prisma.meeting.update({
       where: { id: meeting.id },
-      data: { title: title.trim() },
+      data,
     });
 
     res.json({ meeting: updated });
@@ -450,8 +794,10 @@ router.get('/:id/vtt', requireAuth, async (req, res) => {
     let vtt = 'WEBVTT\n\n';
 
     meeting.segments.forEach((segment, index) => {
-      const startTime = formatVTTTime(Number(segment.tStartMs));
-      const endTime = formatVTTTime(Number(segment.tEndMs) || Number(segment.tStartMs) + 5000);
+      const startMs = Number(segment.tStartMs);
+      const endMs = Number(segment.tEndMs);
+      const startTime = formatVTTTime(startMs);
+      const endTime = formatVTTTime(endMs > startMs ? endMs : startMs + 5000);
       const speaker = segment.speaker?.displayName || segment.speaker?.label || 'Speaker';
 
       vtt += `${index + 1}\n`;
@@ -2,6 +2,18 @@ const express = require('express');
 const router = express.Router();
 const prisma = require('../lib/prisma');
 const { requireAuth } = require('../middleware/auth');
+const { VERTICAL_IDS, isVertical } = require('../services/verticals');
+const { withUserPreferences } = require('../services/summaryTemplates');
+
+// Keys managed by dedicated endpoints (AI settings hold an encrypted API key, see /api/ai/provider;
+// summary templates are validated by /api/summary-templates)
+const PROTECTED_KEYS = ['ai', 'summaryTemplates'];
+
+function withoutProtectedKeys(prefs) {
+  const result = { ...prefs };
+  PROTECTED_KEYS.forEach((key) => delete result[key]);
+  return result;
+}
 
 // GET /api/preferences — Return user preferences
 router.get('/', requireAuth, async (req, res) => {
@@ -11,7 +23,7 @@ router.get('/', requireAuth, async (req, res) => {
       select: { preferences: true },
     });
 
-    res.json(user?.preferences || {});
+    res.json(withoutProtectedKeys(user?.preferences || {}));
   } catch (error) {
     console.error('Error fetching preferences:', error);
     res.status(500).json({ error: 'Failed to fetch preferences' });
@@ -19,23 +31,22 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // PUT /api/preferences — Update user preferences (shallow merge at top level)
+// `vertical` sets the AI prompts and summary details used for the user's meetings.
+// Merged with the user's row locked, so a template saved meanwhile isn't overwritten.
 router.put('/', requireAuth, async (req, res) => {
-  try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.user.id },
-      select: { preferences: true },
-    });
-
-    const existing = (user?.preferences && typeof user.preferences === 'object') ? user.preferences : {};
-    const merged = { ...existing, ...req.body };
+  const { vertical } = req.body;
+  if (vertical !== undefined && vertical !== null && !isVertical(vertical)) {
+    return res.status(400).json({ error: `vertical must be one of: ${VERTICAL_IDS.join(', ')}` });
+  }
 
-    const updated = await prisma.user.update({
+  try {
+    const updated = await withUserPreferences(req.user.id, ({ preferences }, tx) => tx.user.update({
       where: { id: req.user.id },
-      data: { preferences: merged },
+      data: { preferences: { ...preferences, ...withoutProtectedKeys(req.body) } },
       select: { preferences: true },
-    });
+    }));
 
-    res.json(updated.preferences);
+    res.json(withoutProtectedKeys(updated.preferences));
   } catch (error) {
     console.error('Error updating preferences:', error);
     res.status(500).json({ error: 'Failed to update preferences' });
@@ -5,11 +5,40 @@ const router = express.Router();
 const config = require('../config');
 const { broadcastTranscriptSegment, broadcastParticipantEvent, broadcastMeetingStatus, crossRegisterUser, getStats } = require('../services/websocket');
 const { zoomGet } = require('../services/zoomApi');
+const { indexMeeting } = require('../services/retrieval');
+const { checkSegmentForAlerts, checkMeetingForAlerts } = require('../services/searchAlerts');
+const { assignMeetingSeries } = require('../services/meetingSeries');
+const { recordSegment, finalizeMeetingSummary } = require('../services/rollingSummary');
+const { findMeetingByZoomId } = require('../services/meetingLookup');
+const { requireAuth, devAuthBypass } = require('../middleware/auth');
+const { MAX_CLOCK_SKEW_S, signInternal, requireInternalSignature } = require('../middleware/internalAuth');
 const prisma = require('../lib/prisma');
 
 // Cache for meeting IDs -> database meeting records
 const meetingCache = new Map();
 
+/**
+ * Verify a Zoom webhook's x-zm-signature before acting on (or forwarding) it
+ */
+function verifyZoomSignature(req) {
+  const signature = req.headers['x-zm-signature'];
+  const timestamp = req.headers['x-zm-request-timestamp'];
+  if (!signature || !timestamp) return false;
+
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (!Number.isFinite(skew) || skew > MAX_CLOCK_SKEW_S) return false;
+
+  const expectedSignature = 'v0=' + crypto
+    .createHmac('sha256', config.zoomClientSecret)
+    .update(`v0:${timestamp}:${req.rawBody || ''}`)
+    .digest('hex');
+  return signature.length === expectedSignature.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature));
+}
+
+// Cache for meeting IDs -> Meeting.startTime (epoch ms), the zero point of segment times
+const meetingStartCache = new Map();
+
 /**
  * POST /api/rtms/webhook
  * Receive RTMS webhooks from Zoom
@@ -39,6 +68,12 @@ router.post('/webhook', async (req, res) => {
     });
   }
 
+  // Forwarded webhooks are signed as internal calls, so only forward Zoom's own
+  if (!verifyZoomSignature(req)) {
+    console.warn(`🚫 Rejected webhook ${event} from ${req.ip}: invalid or missing Zoom signature`);
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
   console.log(`📨 RTMS Webhook: ${event}`);
   if (payload?.operator_id) {
     console.log(`📨 Operator ID: ${payload.operator_id}`);
@@ -49,14 +84,18 @@ router.post('/webhook', async (req, res) => {
   if (event === 'meeting.rtms_started' || event === 'meeting.rtms_stopped') {
     try {
       const rtmsServiceUrl = process.env.RTMS_SERVICE_URL || 'http://rtms:3002';
-      await axios.post(`${rtmsServiceUrl}/webhook`, req.body, {
+      const body = JSON.stringify(req.body);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      await axios.post(`${rtmsServiceUrl}/webhook`, body, {
         timeout: 5000,
         headers: {
+          'Content-Type': 'application/json',
           // Forward Zoom signature headers for verification
           'x-zm-signature': req.headers['x-zm-signature'] || '',
           'x-zm-request-timestamp': req.headers['x-zm-request-timestamp'] || '',
-          // Mark as internally forwarded (backend already validated the source)
-          'x-arlo-internal': 'true',
+          // Sign as internally forwarded (backend already validated the source)
+          'x-arlo-request-timestamp': timestamp,
+          'x-arlo-signature': signInternal(timestamp, body),
         },
       });
       console.log(`✅ Forwarded ${event} to RTMS service`);
@@ -74,7 +113,7 @@ router.post('/webhook', async (req, res) => {
  * POST /api/rtms/status
  * Receive RTMS status updates from RTMS service
  */
-router.post('/status', async (req, res) => {
+router.post('/status', requireInternalSignature, async (req, res) => {
   const { meetingId, status, meetingTopic, operatorId } = req.body;
 
   console.log(`📡 RTMS Status Update: ${status} for meeting ${meetingId}`);
@@ -82,6 +121,8 @@ router.post('/status', async (req, res) => {
 
   // Track dbMeetingId across all processing steps
   let dbMeetingId = null;
+  // Set to false when a repeated status changed nothing, so the timeline gets no duplicate event
+  let recordLifecycle = true;
 
   try {
     if (status === 'rtms_started') {
@@ -118,13 +159,15 @@ router.post('/status', async (req, res) => {
       });
 
       if (dbMeeting) {
-        // Reopen completed meetings (same RTMS session, app was closed/reopened)
-        if (dbMeeting.status === 'completed') {
+        // Reopen completed meetings (same RTMS session, app was closed/reopened),
+        // and interrupted ones the RTMS service gave up rejoining
+        if (dbMeeting.status === 'completed' || dbMeeting.status === 'interrupted') {
+          const previousStatus = dbMeeting.status;
           dbMeeting = await prisma.meeting.update({
             where: { id: dbMeeting.id },
             data: { status: 'ongoing', endTime: null },
           });
-          console.log(`✅ Reopened completed meeting: ${dbMeeting.id}`);
+          console.log(`✅ Reopened ${previousStatus} meeting: ${dbMeeting.id}`);
         }
 
         // If meeting exists under system user but we now have a real owner, reassign
@@ -153,6 +196,7 @@ router.post('/status', async (req, res) => {
 
       // Cache the meeting ID mapping
       meetingCache.set(meetingId, dbMeeting.id);
+      meetingStartCache.set(meetingId, dbMeeting.startTime.getTime());
       dbMeetingId = dbMeeting.id;
 
       // Cross-register any existing WS connections for this user under the RTMS UUID.
@@ -167,6 +211,23 @@ router.post('/status', async (req, res) => {
         });
       }
 
+    } else if (status === 'rtms_interrupted' || status === 'rtms_reconnected') {
+      // The RTMS connection dropped and is being rejoined, or was rejoined.
+      // Reported again for every rejoin after a restart, so only a change counts.
+      const [from, to] = status === 'rtms_interrupted'
+        ? ['ongoing', 'interrupted']
+        : ['interrupted', 'ongoing'];
+
+      dbMeetingId = await getDbMeetingId(meetingId);
+      if (dbMeetingId) {
+        const { count } = await prisma.meeting.updateMany({
+          where: { id: dbMeetingId, status: from },
+          data: { status: to },
+        });
+        recordLifecycle = count > 0;
+        if (count > 0) console.log(`✅ Marked meeting ${dbMeetingId} as ${to}`);
+      }
+
     } else if (status === 'rtms_stopped') {
       // Mark meeting as completed
       dbMeetingId = meetingCache.get(meetingId);
@@ -188,13 +249,35 @@ router.post('/status', async (req, res) => {
           },
         });
         console.log(`✅ Marked meeting ${dbMeetingId} as completed`);
+
+        // Index the final transcript for cross-meeting Q&A (non-blocking)
+        indexMeeting(dbMeetingId).catch(err => {
+          console.warn('⚠️ Transcript indexing failed (non-fatal):', err.message);
+        });
+
+        // Run saved-search alerts over the full transcript (non-blocking)
+        checkMeetingForAlerts(dbMeetingId).catch(err => {
+          console.warn('⚠️ Search alert check failed (non-fatal):', err.message);
+        });
+
+        // Link the meeting to earlier meetings in its series (non-blocking)
+        assignMeetingSeries(dbMeetingId).catch(err => {
+          console.warn('⚠️ Series detection failed (non-fatal):', err.message);
+        });
+
+        // Regenerate any summary cached mid-meeting from the full transcript (non-blocking)
+        finalizeMeetingSummary(dbMeetingId, meetingId).catch(err => {
+          console.warn('⚠️ Final summary generation failed (non-fatal):', err.message);
+        });
+
         // Don't delete from cache yet — lifecycle event save below still needs it
       }
     }
   } catch (error) {
     console.error('❌ Database error in status update:', error.message);
     console.error('❌ Full error:', error);
-    // Don't fail the request - we still want to broadcast
+    // Fail the request, so the RTMS delivery queue retries the status change
+    return res.status(500).json({ error: 'Failed to record status update' });
   }
 
   // Broadcast status change to WebSocket clients
@@ -202,63 +285,109 @@ router.post('/status', async (req, res) => {
   console.log(`📡 Broadcast status to ${sentCount} clients`);
 
   // Also broadcast a transcription lifecycle event for the timeline
-  const lifecycleMap = {
-    rtms_started: 'transcription_started',
-    rtms_stopped: 'transcription_stopped',
-    rtms_paused: 'transcription_paused',
-    rtms_resumed: 'transcription_resumed',
-  };
-  const eventType = lifecycleMap[status];
-  if (eventType) {
-    const lifecycleEvent = {
-      eventType,
-      participantName: 'Arlo',
-      participantId: null,
-      timestamp: Date.now(),
-    };
-    broadcastParticipantEvent(meetingId, lifecycleEvent);
-
-    // Save to database using local dbMeetingId (not cache, which may be deleted)
-    if (dbMeetingId) {
-      prisma.participantEvent.create({
-        data: {
-          meetingId: dbMeetingId,
-          eventType,
-          participantName: 'Arlo',
-          participantId: null,
-          timestamp: BigInt(lifecycleEvent.timestamp),
-        },
-      }).catch(err => {
-        console.error('❌ Failed to save lifecycle event:', err.message);
-      });
-    }
+  // (local dbMeetingId, not the cache, which may be deleted)
+  if (recordLifecycle) {
+    recordLifecycleEvent(meetingId, status, dbMeetingId);
   }
 
   // Clean up cache after all processing is complete
   if (status === 'rtms_stopped') {
     meetingCache.delete(meetingId);
+    meetingStartCache.delete(meetingId);
   }
 
   res.status(200).json({ received: true, broadcast: sentCount });
 });
 
+/**
+ * POST /api/rtms/lifecycle
+ * Transcription paused/resumed from the Zoom App (user-authenticated; the
+ * signed /status endpoint is for the RTMS service only). Only the meeting's
+ * owner can add events to its timeline.
+ */
+router.post('/lifecycle', devAuthBypass, requireAuth, async (req, res) => {
+  const { meetingId, status } = req.body;
+
+  if (!meetingId || !['rtms_paused', 'rtms_resumed'].includes(status)) {
+    return res.status(400).json({ error: 'meetingId and status (rtms_paused|rtms_resumed) are required' });
+  }
+
+  try {
+    const meeting = await findMeetingByZoomId(meetingId, req.user.id, {
+      select: { id: true, ownerId: true, zoomMeetingId: true },
+    });
+    if (!meeting || meeting.ownerId !== req.user.id) {
+      return res.status(404).json({ error: 'Meeting not found' });
+    }
+
+    console.log(`📡 RTMS ${status} by ${req.user.id} for meeting ${meetingId}`);
+    recordLifecycleEvent(meetingId, status, meeting.id);
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error('Lifecycle event error:', error);
+    res.status(500).json({ error: 'Failed to record lifecycle event' });
+  }
+});
+
+/**
+ * Broadcast a transcription lifecycle event (started/stopped/paused/resumed,
+ * interrupted/reconnected)
+ * for the timeline, and save it when the meeting's database ID is known
+ */
+function recordLifecycleEvent(meetingId, status, dbMeetingId) {
+  const lifecycleMap = {
+    rtms_started: 'transcription_started',
+    rtms_stopped: 'transcription_stopped',
+    rtms_paused: 'transcription_paused',
+    rtms_resumed: 'transcription_resumed',
+    rtms_interrupted: 'transcription_interrupted',
+    rtms_reconnected: 'transcription_reconnected',
+  };
+  const eventType = lifecycleMap[status];
+  if (!eventType) return;
+
+  const lifecycleEvent = {
+    eventType,
+    participantName: 'Arlo',
+    participantId: null,
+    timestamp: Date.now(),
+  };
+  broadcastParticipantEvent(meetingId, lifecycleEvent);
+
+  if (dbMeetingId) {
+    prisma.participantEvent.create({
+      data: participantEventData(dbMeetingId, lifecycleEvent),
+    }).catch(err => {
+      console.error('❌ Failed to save lifecycle event:', err.message);
+    });
+  }
+}
+
 /**
  * POST /api/rtms/broadcast
- * Receive transcript segments from RTMS service to broadcast to clients
+ * Receive a single transcript segment to broadcast to clients (saved in the
+ * background; the RTMS service itself now sends batches to /segments)
  */
-router.post('/broadcast', async (req, res) => {
+router.post('/broadcast', requireInternalSignature, async (req, res) => {
   const { meetingId, segment } = req.body;
   const stats = getStats();
 
   console.log(`📝 Transcript segment for meeting ${meetingId}:`, segment?.text?.substring(0, 50));
 
+  let timedSegment = segment;
+  try {
+    timedSegment = await toMeetingTime(meetingId, segment);
+  } catch (error) {
+    console.warn('⚠️ Could not re-base segment times (non-fatal):', error.message);
+  }
+
   // Broadcast transcript segment to all WebSocket clients immediately
-  const sentCount = broadcastTranscriptSegment(meetingId, segment);
+  const sentCount = broadcastTranscriptSegment(meetingId, timedSegment);
   console.log(`📡 Broadcast transcript to ${sentCount} clients`);
 
   // Save to database in the background (don't block the response)
   console.log('💾 Starting background save of transcript segment...');
-  saveTranscriptSegment(meetingId, segment).catch(err => {
+  saveTranscriptSegment(meetingId, timedSegment).catch(err => {
     console.error('❌ Failed to save transcript segment:', err.message);
     console.error('❌ Full error:', err);
   });
@@ -267,10 +396,68 @@ router.post('/broadcast', async (req, res) => {
 });
 
 /**
- * Save transcript segment to database
+ * POST /api/rtms/segments
+ * Receive a batch of transcript segments from the RTMS service's delivery queue
+ *
+ * Idempotent: segments are keyed by (meeting, seqNo), so a batch retried after a
+ * lost response only saves and broadcasts the segments not seen before. Responds
+ * once the batch is saved, so the RTMS service can drop it from its queue; 409
+ * (meeting not registered yet) and 500 tell it to retry.
  */
-async function saveTranscriptSegment(zoomMeetingId, segment) {
-  // Get the database meeting ID from cache
+router.post('/segments', requireInternalSignature, async (req, res) => {
+  const { meetingId, segments } = req.body;
+
+  if (!meetingId || !Array.isArray(segments) || segments.some(s => s?.seqNo == null)) {
+    return res.status(400).json({ error: 'meetingId and segments with seqNo are required' });
+  }
+
+  console.log(`📝 ${segments.length} transcript segment(s) for meeting ${meetingId}`);
+
+  try {
+    const dbMeetingId = await getDbMeetingId(meetingId);
+    if (!dbMeetingId) {
+      console.log('⚠️ No meeting record found for segments, asking RTMS to retry');
+      return res.status(409).json({ error: 'Meeting not registered yet' });
+    }
+
+    const ordered = [...segments].sort((a, b) => Number(a.seqNo) - Number(b.seqNo));
+    const existing = await prisma.transcriptSegment.findMany({
+      where: { meetingId: dbMeetingId, seqNo: { in: ordered.map(s => BigInt(s.seqNo)) } },
+      select: { seqNo: true },
+    });
+    const seen = new Set(existing.map(s => s.seqNo.toString()));
+
+    let saved = 0;
+    let sentCount = 0;
+    for (const segment of ordered) {
+      const seqKey = String(segment.seqNo);
+      if (seen.has(seqKey)) continue;
+      seen.add(seqKey);
+
+      const timedSegment = await toMeetingTime(meetingId, segment);
+      await saveTranscriptSegment(meetingId, timedSegment);
+      saved++;
+      sentCount += broadcastTranscriptSegment(meetingId, timedSegment);
+    }
+
+    console.log(`💾 Saved ${saved} of ${segments.length} segments, broadcast to ${sentCount} clients`);
+    res.status(200).json({
+      received: segments.length,
+      saved,
+      duplicates: segments.length - saved,
+      broadcast: sentCount,
+    });
+  } catch (error) {
+    console.error('❌ Failed to save transcript segments:', error.message);
+    res.status(500).json({ error: 'Failed to save transcript segments' });
+  }
+});
+
+/**
+ * Database meeting ID for a Zoom meeting UUID (cached)
+ * @returns {Promise<string|null>}
+ */
+async function getDbMeetingId(zoomMeetingId) {
   let dbMeetingId = meetingCache.get(zoomMeetingId);
 
   // If not in cache, look up the unique meeting by UUID
@@ -278,13 +465,54 @@ async function saveTranscriptSegment(zoomMeetingId, segment) {
     const dbMeeting = await prisma.meeting.findUnique({
       where: { zoomMeetingId: zoomMeetingId },
     });
-    if (dbMeeting) {
-      dbMeetingId = dbMeeting.id;
-      meetingCache.set(zoomMeetingId, dbMeetingId);
-    } else {
-      console.log('⚠️ No meeting record found for segment, skipping save');
-      return;
-    }
+    if (!dbMeeting) return null;
+    dbMeetingId = dbMeeting.id;
+    meetingCache.set(zoomMeetingId, dbMeetingId);
+  }
+
+  return dbMeetingId;
+}
+
+/**
+ * Re-base a segment's times from its RTMS session onto the meeting's clock
+ *
+ * RTMS times segments from its own session start (sessionStartMs). A meeting
+ * whose transcription was stopped and restarted has several sessions, so times
+ * are shifted by the session's offset from Meeting.startTime to keep the whole
+ * transcript on one timeline. Adds `timestamp` (epoch ms) for wall-clock display.
+ */
+async function toMeetingTime(zoomMeetingId, segment) {
+  const { sessionStartMs, ...rest } = segment;
+  if (!sessionStartMs) return rest;
+
+  let meetingStartMs = meetingStartCache.get(zoomMeetingId);
+  if (meetingStartMs === undefined) {
+    const dbMeeting = await prisma.meeting.findUnique({
+      where: { zoomMeetingId: zoomMeetingId },
+      select: { startTime: true },
+    });
+    if (!dbMeeting) return rest;
+    meetingStartMs = dbMeeting.startTime.getTime();
+    meetingStartCache.set(zoomMeetingId, meetingStartMs);
+  }
+
+  const offsetMs = Math.max(0, sessionStartMs - meetingStartMs);
+  const tStartMs = (rest.tStartMs || 0) + offsetMs;
+  return {
+    ...rest,
+    tStartMs,
+    tEndMs: (rest.tEndMs || 0) + offsetMs,
+    timestamp: meetingStartMs + tStartMs,
+  };
+}
+
+/**
+ * Save transcript segment to database
+ */
+async function saveTranscriptSegment(zoomMeetingId, segment) {
+  const dbMeetingId = await getDbMeetingId(zoomMeetingId);
+  if (!dbMeetingId) {
+    throw new Error(`No meeting record found for ${zoomMeetingId}`);
   }
 
   // Find or create speaker
@@ -310,16 +538,17 @@ async function saveTranscriptSegment(zoomMeetingId, segment) {
     });
   }
 
-  // RTMS service sends timestamps in milliseconds (Date.now())
+  // Milliseconds since the meeting started (see toMeetingTime)
   const tStartMs = segment.tStartMs || 0;
-  const tEndMs = segment.tEndMs || tStartMs;
+  const tEndMs = Math.max(segment.tEndMs || 0, tStartMs);
+  const seqNo = BigInt(segment.seqNo || Date.now());
 
   // Save transcript segment (upsert to handle duplicates)
-  await prisma.transcriptSegment.upsert({
+  const saved = await prisma.transcriptSegment.upsert({
     where: {
       meetingId_seqNo: {
         meetingId: dbMeetingId,
-        seqNo: BigInt(segment.seqNo || Date.now()),
+        seqNo,
       },
     },
     create: {
@@ -327,7 +556,7 @@ async function saveTranscriptSegment(zoomMeetingId, segment) {
       speakerId: speaker?.id,
       tStartMs: tStartMs,
       tEndMs: tEndMs,
-      seqNo: BigInt(segment.seqNo || Date.now()),
+      seqNo,
       text: segment.text || '',
       confidence: segment.confidence,
     },
@@ -338,63 +567,97 @@ async function saveTranscriptSegment(zoomMeetingId, segment) {
   });
 
   console.log(`💾 Saved transcript segment to database (${tStartMs}ms - ${tEndMs}ms)`);
+
+  // Caption end times are estimated from their length; end the previous line
+  // where this one starts rather than overlapping it
+  if (segment.tEndEstimated) {
+    await prisma.transcriptSegment.updateMany({
+      where: {
+        meetingId: dbMeetingId,
+        seqNo: seqNo - 1n,
+        tStartMs: { lte: tStartMs },
+        tEndMs: { gt: tStartMs },
+      },
+      data: { tEndMs: tStartMs },
+    });
+  }
+
+  // Keyword alerts for the meeting owner's saved searches
+  checkSegmentForAlerts(dbMeetingId, saved, speaker?.displayName || segment.speakerLabel).catch(err => {
+    console.warn('⚠️ Search alert check failed (non-fatal):', err.message);
+  });
+
+  // Every N segments, fold the new lines into the live summary
+  recordSegment(dbMeetingId, zoomMeetingId);
 }
 
 /**
  * POST /api/rtms/participant-event
  * Receive participant join/leave events from RTMS service
  */
-router.post('/participant-event', async (req, res) => {
+router.post('/participant-event', requireInternalSignature, async (req, res) => {
   const { meetingId, events } = req.body;
 
+  const valid = Array.isArray(events) && events.length > 0 && events.every(e =>
+    typeof e?.eventType === 'string' &&
+    typeof e.participantName === 'string' &&
+    Number.isSafeInteger(Number(e.timestamp))
+  );
+  if (!meetingId || !valid) {
+    return res.status(400).json({ error: 'meetingId and events with eventType, participantName and timestamp are required' });
+  }
+
   console.log(`👥 Participant event for meeting ${meetingId}:`, events);
 
-  // Broadcast each event to WebSocket clients immediately
-  let sentCount = 0;
-  for (const event of events) {
-    sentCount += broadcastParticipantEvent(meetingId, event);
-  }
+  try {
+    const dbMeetingId = await getDbMeetingId(meetingId);
+    if (!dbMeetingId) {
+      console.log('⚠️ No meeting record found for participant events, asking RTMS to retry');
+      return res.status(409).json({ error: 'Meeting not registered yet' });
+    }
 
-  // Save to database in the background
-  saveParticipantEvents(meetingId, events).catch(err => {
-    console.error('❌ Failed to save participant events:', err.message);
-  });
+    // Save before broadcasting and acknowledging, so the RTMS delivery queue
+    // retries on failure without the events being shown twice
+    await saveParticipantEvents(dbMeetingId, events);
 
-  res.status(200).json({ received: true, broadcast: sentCount });
+    let sentCount = 0;
+    for (const event of events) {
+      sentCount += broadcastParticipantEvent(meetingId, event);
+    }
+
+    res.status(200).json({ received: true, broadcast: sentCount });
+  } catch (err) {
+    console.error('❌ Failed to save participant events:', err.message);
+    res.status(500).json({ error: 'Failed to save participant events' });
+  }
 });
 
 /**
- * Save participant events to database
+ * Participant event row. eventKey identifies the event, so a batch the RTMS
+ * delivery queue retries is not stored twice.
  */
-async function saveParticipantEvents(zoomMeetingId, events) {
-  let dbMeetingId = meetingCache.get(zoomMeetingId);
-
-  if (!dbMeetingId) {
-    const dbMeeting = await prisma.meeting.findUnique({
-      where: { zoomMeetingId: zoomMeetingId },
-    });
-    if (dbMeeting) {
-      dbMeetingId = dbMeeting.id;
-      meetingCache.set(zoomMeetingId, dbMeetingId);
-    } else {
-      console.log('⚠️ No meeting record found for participant events, skipping save');
-      return;
-    }
-  }
+function participantEventData(dbMeetingId, event) {
+  const participantId = event.participantId ? String(event.participantId) : null;
+  return {
+    meetingId: dbMeetingId,
+    eventType: event.eventType,
+    participantName: event.participantName,
+    participantId,
+    timestamp: BigInt(event.timestamp),
+    eventKey: `${event.eventType}:${participantId || event.participantName}:${event.timestamp}`,
+  };
+}
 
-  for (const event of events) {
-    await prisma.participantEvent.create({
-      data: {
-        meetingId: dbMeetingId,
-        eventType: event.eventType,
-        participantName: event.participantName,
-        participantId: event.participantId || null,
-        timestamp: BigInt(event.timestamp),
-      },
-    });
-  }
+/**
+ * Save participant events to database (idempotent, see participantEventData)
+ */
+async function saveParticipantEvents(dbMeetingId, events) {
+  const { count } = await prisma.participantEvent.createMany({
+    data: events.map(event => participantEventData(dbMeetingId, event)),
+    skipDuplicates: true,
+  });
 
-  console.log(`💾 Saved ${events.length} participant events to database`);
+  console.log(`💾 Saved ${count} of ${events.length} participant events to database`);
 }
 
 // Debug endpoints — only available in non-production environments
@@ -0,0 +1,200 @@
+const express = require('express');
+const prisma = require('../lib/prisma');
+const { requireAuth, devAuthBypass } = require('../middleware/auth');
+const { parseSearchQuery } = require('../services/search');
+const { serializeAlert } = require('../services/searchAlerts');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+// IMPORTANT: devAuthBypass must run BEFORE requireAuth so it can set req.user in dev mode
+router.use(devAuthBypass); // Allow dev mode query param bypass
+router.use(requireAuth);
+
+/**
+ * Shape a saved search for the client
+ */
+function serializeSavedSearch(savedSearch) {
+  return {
+    id: savedSearch.id,
+    name: savedSearch.name,
+    query: savedSearch.query,
+    alertsEnabled: savedSearch.alertsEnabled,
+    unreadAlerts: savedSearch._count?.alerts ?? 0,
+    createdAt: savedSearch.createdAt,
+  };
+}
+
+const UNREAD_COUNT = { _count: { select: { alerts: { where: { readAt: null } } } } };
+
+/**
+ * GET /api/saved-searches
+ * List the user's saved searches with unread alert counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const savedSearches = await prisma.savedSearch.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' },
+      include: UNREAD_COUNT,
+    });
+
+    res.json({ savedSearches: savedSearches.map(serializeSavedSearch) });
+  } catch (error) {
+    console.error('List saved searches error:', error);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+/**
+ * POST /api/saved-searches
+ * Save a query (same syntax as /api/search). Alerts are on by default.
+ * Body: { query, name?, alertsEnabled? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { query, name, alertsEnabled = true } = req.body;
+    const trimmed = typeof query === 'string' ? query.trim() : '';
+
+    if (!parseSearchQuery(trimmed).text) {
+      return res.status(400).json({ error: 'query must contain search terms' });
+    }
+    if (name != null && typeof name !== 'string') {
+      return res.status(400).json({ error: 'name must be a string' });
+    }
+
+    const savedSearch = await prisma.savedSearch.create({
+      data: {
+        userId: req.user.id,
+        query: trimmed,
+        name: (name && name.trim()) || trimmed,
+        alertsEnabled: !!alertsEnabled,
+      },
+      include: UNREAD_COUNT,
+    });
+
+    console.log(`🔖 Saved search "${savedSearch.query}" for user ${req.user.id}`);
+    res.status(201).json({ savedSearch: serializeSavedSearch(savedSearch) });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'This search is already saved' });
+    }
+    console.error('Create saved search error:', error);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+/**
+ * GET /api/saved-searches/alerts
+ * Recent alerts across all saved searches, newest first
+ * Query: unread=true, limit
+ */
+router.get('/alerts', async (req, res) => {
+  try {
+    const { unread, limit = 20 } = req.query;
+
+    const alerts = await prisma.searchAlert.findMany({
+      where: {
+        userId: req.user.id,
+        ...(unread === 'true' && { readAt: null }),
+      },
+      include: {
+        savedSearch: { select: { name: true, query: true } },
+        meeting: { select: { title: true } },
+      },
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(parseInt(limit) || 20, 100),
+    });
+
+    res.json({ alerts: alerts.map(serializeAlert) });
+  } catch (error) {
+    console.error('List search alerts error:', error);
+    res.status(500).json({ error: 'Failed to fetch alerts' });
+  }
+});
+
+/**
+ * POST /api/saved-searches/alerts/read
+ * Mark alerts as read. Body: { ids? } — omit ids to mark all
+ */
+router.post('/alerts/read', async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    const { count } = await prisma.searchAlert.updateMany({
+      where: {
+        userId: req.user.id,
+        readAt: null,
+        ...(Array.isArray(ids) && { id: { in: ids } }),
+      },
+      data: { readAt: new Date() },
+    });
+
+    res.json({ updated: count });
+  } catch (error) {
+    console.error('Mark alerts read error:', error);
+    res.status(500).json({ error: 'Failed to update alerts' });
+  }
+});
+
+/**
+ * PATCH /api/saved-searches/:id
+ * Rename a saved search or toggle its alerts
+ * Body: { name?, alertsEnabled? }
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const { name, alertsEnabled } = req.body;
+
+    const existing = await prisma.savedSearch.findFirst({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const data = {};
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name must be a non-empty string' });
+      }
+      data.name = name.trim();
+    }
+    if (alertsEnabled !== undefined) data.alertsEnabled = !!alertsEnabled;
+
+    const savedSearch = await prisma.savedSearch.update({
+      where: { id: existing.id },
+      data,
+      include: UNREAD_COUNT,
+    });
+
+    res.json({ savedSearch: serializeSavedSearch(savedSearch) });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+/**
+ * DELETE /api/saved-searches/:id
+ * Delete a saved search and its alerts
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { count } = await prisma.savedSearch.deleteMany({
+      where: { id: req.params.id, userId: req.user.id },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
+module.exports = router;
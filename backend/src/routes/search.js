@@ -2,6 +2,22 @@ const express = require('express');
 const { Prisma } = require('@prisma/client');
 const prisma = require('../lib/prisma');
 const { requireAuth, devAuthBypass } = require('../middleware/auth');
+const {
+  HEADLINE_OPTIONS,
+  TRANSCRIPT_DOCUMENT,
+  TITLE_DOCUMENT,
+  SUMMARY_DOCUMENT,
+  DECISION_DOCUMENT,
+  DURATION_MS,
+  parseSearchQuery,
+  containsPattern,
+  parseSearchFilters,
+  meetingFilterCondition,
+  meetingSpeakerCondition,
+  computeFacets,
+  speakerCondition,
+  markSnippet,
+} = require('../services/search');
 
 const router = express.Router();
 
@@ -10,50 +26,15 @@ const router = express.Router();
 router.use(devAuthBypass); // Allow dev mode query param bypass
 router.use(requireAuth);
 
-/**
- * Extract a snippet from a summary field that matches the query.
- * Returns { text, field } or null if no match found.
- */
-function getSummarySnippet(summary, query) {
-  if (!summary || !query) return null;
-  const q = query.toLowerCase();
-
-  const fields = [
-    { key: 'overview', label: 'Overview', value: summary.overview },
-    { key: 'keyPoints', label: 'Key Points', values: summary.keyPoints },
-    { key: 'decisions', label: 'Decisions', values: summary.decisions },
-    { key: 'nextSteps', label: 'Next Steps', values: summary.nextSteps },
-  ];
-
-  for (const field of fields) {
-    if (field.value) {
-      const idx = field.value.toLowerCase().indexOf(q);
-      if (idx !== -1) {
-        const start = Math.max(0, idx - 30);
-        const end = Math.min(field.value.length, idx + query.length + 30);
-        const text = (start > 0 ? '...' : '') + field.value.substring(start, end) + (end < field.value.length ? '...' : '');
-        return { text, field: field.label };
-      }
-    }
-    if (field.values && Array.isArray(field.values)) {
-      for (const item of field.values) {
-        const idx = item.toLowerCase().indexOf(q);
-        if (idx !== -1) {
-          const start = Math.max(0, idx - 30);
-          const end = Math.min(item.length, idx + query.length + 30);
-          const text = (start > 0 ? '...' : '') + item.substring(start, end) + (end < item.length ? '...' : '');
-          return { text, field: field.label };
-        }
-      }
-    }
-  }
-
-  return null;
-}
-
 /**
  * GET /api/search
- * Multi-source search: titles -> summaries -> transcripts
+ * Multi-source full-text search: titles -> summaries -> decisions -> transcripts.
+ * Results are ranked with ts_rank and snippets come from ts_headline, with
+ * matches wrapped in <mark>. Supports "phrases", OR, -exclusions and
+ * speaker:Name filters (see services/search).
+ *
+ * Filters: ?speaker=&tag=&status=&duration= (comma-separated lists).
+ * Response includes facets — meeting counts per speaker, tag, status and duration.
  */
 router.get('/', async (req, res) => {
   try {
@@ -65,185 +46,260 @@ router.get('/', async (req, res) => {
 
     console.log(`🔍 Searching for: "${q}"`);
 
-    // Build meeting filter — only search the authenticated user's meetings
+    const { text, speakers: querySpeakers } = parseSearchQuery(q);
+    const filters = parseSearchFilters(req.query);
+    const speakers = [...new Set([...querySpeakers, ...filters.speakers])];
+    filters.speakers = speakers;
+    const take = Math.min(parseInt(limit) || 20, 100);
+
+    if (!text && speakers.length === 0) {
+      return res.status(400).json({ error: 'Missing search query (q parameter)' });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+
+    // Only search the authenticated user's meetings
     const ownerIds = [req.user.id];
+    const scopeFilter = Prisma.sql`
+      m.owner_id = ANY(${ownerIds})
+      ${meeting_id ? Prisma.sql`AND m.id = ${meeting_id}` : Prisma.empty}
+      ${fromDate ? Prisma.sql`AND m.start_time >= ${fromDate}` : Prisma.empty}
+      ${toDate ? Prisma.sql`AND m.start_time <= ${toDate}` : Prisma.empty}
+    `;
+    const meetingFilter = Prisma.sql`${scopeFilter} ${meetingFilterCondition(filters, req.user.id)}`;
 
-    const meetingWhere = {
-      ownerId: req.user.id,
-      ...(meeting_id && { id: meeting_id }),
-      ...(from && { startTime: { gte: new Date(from) } }),
-      ...(to && { startTime: { lte: new Date(to) } }),
-    };
+    // Titles and summaries match meetings the speaker took part in; transcripts match their lines
+    const meetingLevelFilter = Prisma.sql`${meetingFilter} ${meetingSpeakerCondition(speakers)}`;
 
-    // Run all three searches in parallel
-    const [titleMatches, summaryMeetings, transcriptSegments] = await Promise.all([
-      // 1. Title search
-      prisma.meeting.findMany({
-        where: {
-          ...meetingWhere,
-          title: { contains: q, mode: 'insensitive' },
-        },
-        select: {
-          id: true,
-          title: true,
-          startTime: true,
-          status: true,
-          _count: { select: { segments: true } },
-        },
-        orderBy: { startTime: 'desc' },
-        take: parseInt(limit),
-      }),
+    const tsQuery = Prisma.sql`websearch_to_tsquery('english', ${text})`;
 
-      // 2. Summary search (JSONB fields)
-      prisma.$queryRaw`
-        SELECT m.id, m.title, m.start_time as "startTime", m.summary
+    const [titleMatches, summaryMatches, decisionMatches, transcriptMatches, facetMeetings] = await Promise.all([
+      // 1. Title search (full-text, plus substring for partial words)
+      text ? prisma.$queryRaw`
+        SELECT
+          m.id,
+          m.title,
+          m.start_time as "startTime",
+          ts_headline('english', m.title, query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') as "titleHighlight",
+          (SELECT COUNT(*) FROM transcript_segments WHERE meeting_id = m.id)::int as "segmentCount",
+          ts_rank(${TITLE_DOCUMENT}, query) as rank
+        FROM meetings m, ${tsQuery} query
+        WHERE ${meetingLevelFilter}
+          AND (${TITLE_DOCUMENT} @@ query OR m.title ILIKE ${containsPattern(text)})
+        ORDER BY rank DESC, m.start_time DESC
+        LIMIT ${take}
+      ` : [],
+
+      // 2. Summary search — snippet from the first matching field
+      text ? prisma.$queryRaw`
+        SELECT
+          m.id,
+          m.title,
+          m.start_time as "startTime",
+          hit.label as "matchField",
+          ts_headline('english', hit.text, query, ${HEADLINE_OPTIONS}) as snippet,
+          ts_rank(${SUMMARY_DOCUMENT}, query) as rank
         FROM meetings m
-        WHERE m.owner_id = ANY(${ownerIds})
+        CROSS JOIN ${tsQuery} query
+        CROSS JOIN LATERAL (
+          SELECT f.label, f.text
+          FROM (
+            SELECT 'Overview' as label, m.summary->>'overview' as text, 0 as ord
+            UNION ALL
+            SELECT 'Key Points', elem, 1 FROM jsonb_array_elements_text(
+              CASE WHEN jsonb_typeof(m.summary->'keyPoints') = 'array' THEN m.summary->'keyPoints' ELSE '[]'::jsonb END
+            ) elem
+            UNION ALL
+            SELECT 'Decisions', elem, 2 FROM jsonb_array_elements_text(
+              CASE WHEN jsonb_typeof(m.summary->'decisions') = 'array' THEN m.summary->'decisions' ELSE '[]'::jsonb END
+            ) elem
+            UNION ALL
+            SELECT 'Next Steps', elem, 3 FROM jsonb_array_elements_text(
+              CASE WHEN jsonb_typeof(m.summary->'nextSteps') = 'array' THEN m.summary->'nextSteps' ELSE '[]'::jsonb END
+            ) elem
+          ) f
+          WHERE to_tsvector('english', coalesce(f.text, '')) @@ query
+          ORDER BY f.ord
+          LIMIT 1
+        ) hit
+        WHERE ${meetingLevelFilter}
           AND m.summary IS NOT NULL
-          ${meeting_id ? Prisma.sql`AND m.id = ${meeting_id}` : Prisma.empty}
-          ${from ? Prisma.sql`AND m.start_time >= ${new Date(from)}` : Prisma.empty}
-          ${to ? Prisma.sql`AND m.start_time <= ${new Date(to)}` : Prisma.empty}
-          AND (
-            m.summary->>'overview' ILIKE ${'%' + q + '%'}
-            OR EXISTS (
-              SELECT 1 FROM jsonb_array_elements_text(
-                CASE WHEN jsonb_typeof(m.summary->'keyPoints') = 'array' THEN m.summary->'keyPoints' ELSE '[]'::jsonb END
-              ) elem WHERE elem ILIKE ${'%' + q + '%'}
-            )
-            OR EXISTS (
-              SELECT 1 FROM jsonb_array_elements_text(
-                CASE WHEN jsonb_typeof(m.summary->'decisions') = 'array' THEN m.summary->'decisions' ELSE '[]'::jsonb END
-              ) elem WHERE elem ILIKE ${'%' + q + '%'}
-            )
-            OR EXISTS (
-              SELECT 1 FROM jsonb_array_elements_text(
-                CASE WHEN jsonb_typeof(m.summary->'nextSteps') = 'array' THEN m.summary->'nextSteps' ELSE '[]'::jsonb END
-              ) elem WHERE elem ILIKE ${'%' + q + '%'}
-            )
-          )
-        ORDER BY m.start_time DESC
-        LIMIT ${parseInt(limit)}
-      `,
+          AND ${SUMMARY_DOCUMENT} @@ query
+        ORDER BY rank DESC, m.start_time DESC
+        LIMIT ${take}
+      ` : [],
 
-      // 3. Transcript full-text search (existing)
-      prisma.$queryRaw`
+      // 3. Decision search (the Decision log, with participants and source segment)
+      text ? prisma.$queryRaw`
+        SELECT
+          d.id,
+          d.meeting_id as "meetingId",
+          d.participants,
+          d.seq_no as "seqNo",
+          d.t_start_ms as "tStartMs",
+          ts_headline('english', d.text, query, ${HEADLINE_OPTIONS}) as snippet,
+          m.title as "meetingTitle",
+          m.start_time as "meetingDate",
+          ts_rank(${DECISION_DOCUMENT}, query) as rank
+        FROM decisions d
+        INNER JOIN meetings m ON d.meeting_id = m.id
+        CROSS JOIN ${tsQuery} query
+        WHERE ${DECISION_DOCUMENT} @@ query
+          AND ${meetingLevelFilter}
+        ORDER BY rank DESC, m.start_time DESC, d.seq_no ASC
+        LIMIT ${take}
+      ` : [],
+
+      // 4. Transcript search
+      text ? prisma.$queryRaw`
         SELECT
           ts.id,
           ts.meeting_id as "meetingId",
-          ts.speaker_id as "speakerId",
+          ts.seq_no as "seqNo",
           ts.t_start_ms as "tStartMs",
           ts.t_end_ms as "tEndMs",
           ts.text,
-          ts.confidence,
-          m.id as "meeting.id",
-          m.title as "meeting.title",
-          m.start_time as "meeting.startTime",
-          s.label as "speaker.label",
-          s.display_name as "speaker.displayName",
-          ts_rank(to_tsvector('english', ts.text), plainto_tsquery('english', ${q})) as rank
+          ts_headline('english', ts.text, query, ${HEADLINE_OPTIONS}) as snippet,
+          m.title as "meetingTitle",
+          m.start_time as "meetingDate",
+          s.label as "speakerLabel",
+          s.display_name as "speakerName",
+          ts_rank(${TRANSCRIPT_DOCUMENT}, query) as rank
         FROM transcript_segments ts
         INNER JOIN meetings m ON ts.meeting_id = m.id
         LEFT JOIN speakers s ON ts.speaker_id = s.id
-        WHERE
-          to_tsvector('english', ts.text) @@ plainto_tsquery('english', ${q})
-          AND m.owner_id = ANY(${ownerIds})
-          ${meeting_id ? Prisma.sql`AND m.id = ${meeting_id}` : Prisma.empty}
-          ${from ? Prisma.sql`AND m.start_time >= ${new Date(from)}` : Prisma.empty}
-          ${to ? Prisma.sql`AND m.start_time <= ${new Date(to)}` : Prisma.empty}
+        CROSS JOIN ${tsQuery} query
+        WHERE ${TRANSCRIPT_DOCUMENT} @@ query
+          AND ${meetingFilter}
+          ${speakerCondition(speakers)}
         ORDER BY rank DESC, m.start_time DESC, ts.t_start_ms ASC
-        LIMIT ${parseInt(limit)}
+        LIMIT ${take}
+      ` : [],
+
+      // 5. Facets — every meeting in scope that matches the query, with its filterable attributes
+      prisma.$queryRaw`
+        SELECT
+          m.id,
+          m.status,
+          ${DURATION_MS} as "durationMs",
+          ARRAY(
+            SELECT DISTINCT COALESCE(sp.display_name, sp.label) FROM speakers sp
+            WHERE sp.meeting_id = m.id AND COALESCE(sp.role, '') <> 'system'
+          ) as speakers,
+          ARRAY(
+            SELECT DISTINCT unnest(h.tags) FROM highlights h
+            WHERE h.meeting_id = m.id AND h.user_id = ${req.user.id}
+          ) as tags
+        FROM meetings m, ${tsQuery} query
+        WHERE ${scopeFilter}
+          ${text ? Prisma.sql`AND (
+            ${TITLE_DOCUMENT} @@ query
+            OR m.title ILIKE ${containsPattern(text)}
+            OR (m.summary IS NOT NULL AND ${SUMMARY_DOCUMENT} @@ query)
+            OR EXISTS (
+              SELECT 1 FROM decisions d
+              WHERE d.meeting_id = m.id AND ${DECISION_DOCUMENT} @@ query
+            )
+            OR EXISTS (
+              SELECT 1 FROM transcript_segments ts
+              WHERE ts.meeting_id = m.id AND ${TRANSCRIPT_DOCUMENT} @@ query
+            )
+          )` : Prisma.empty}
       `,
     ]);
 
+    // Fallback to substring search (partial words, stopword-only queries), or
+    // list a speaker's lines when the query is only speaker: filters
+    const transcriptRows = transcriptMatches.length > 0 ? transcriptMatches : await prisma.$queryRaw`
+      SELECT
+        ts.id,
+        ts.meeting_id as "meetingId",
+        ts.seq_no as "seqNo",
+        ts.t_start_ms as "tStartMs",
+        ts.t_end_ms as "tEndMs",
+        ts.text,
+        m.title as "meetingTitle",
+        m.start_time as "meetingDate",
+        s.label as "speakerLabel",
+        s.display_name as "speakerName"
+      FROM transcript_segments ts
+      INNER JOIN meetings m ON ts.meeting_id = m.id
+      LEFT JOIN speakers s ON ts.speaker_id = s.id
+      WHERE ${meetingFilter}
+        ${text ? Prisma.sql`AND ts.text ILIKE ${containsPattern(text)}` : Prisma.empty}
+        ${speakerCondition(speakers)}
+      ORDER BY m.start_time DESC, ts.t_start_ms ASC
+      LIMIT ${take}
+    `;
+
     // Format title results
     const titleResults = titleMatches.map(m => ({
       type: 'title',
       meetingId: m.id,
       meetingTitle: m.title,
+      meetingTitleHighlight: m.titleHighlight,
       meetingDate: m.startTime,
-      segmentCount: m._count.segments,
+      segmentCount: m.segmentCount,
     }));
 
-    // Format summary results (deduplicate against title matches)
+    // Format summary results (deduplicate against title matches, and against
+    // decision matches when the summary hit is one of the meeting's decisions)
     const titleMatchIds = new Set(titleMatches.map(m => m.id));
-    const summaryResults = summaryMeetings
+    const decisionMeetingIds = new Set(decisionMatches.map(d => d.meetingId));
+    const summaryResults = summaryMatches
       .filter(m => !titleMatchIds.has(m.id))
-      .map(m => {
-        const snippet = getSummarySnippet(m.summary, q);
-        return {
-          type: 'summary',
-          meetingId: m.id,
-          meetingTitle: m.title,
-          meetingDate: m.startTime,
-          snippet: snippet?.text || '',
-          matchField: snippet?.field || '',
-        };
-      });
+      .filter(m => !(m.matchField === 'Decisions' && decisionMeetingIds.has(m.id)))
+      .map(m => ({
+        type: 'summary',
+        meetingId: m.id,
+        meetingTitle: m.title,
+        meetingDate: m.startTime,
+        snippet: m.snippet || '',
+        matchField: m.matchField || '',
+      }));
+
+    // Format decision results
+    const decisionResults = decisionMatches.map(d => ({
+      type: 'decision',
+      decisionId: d.id,
+      meetingId: d.meetingId,
+      meetingTitle: d.meetingTitle || '',
+      meetingDate: d.meetingDate || '',
+      participants: d.participants || [],
+      seqNo: d.seqNo != null ? d.seqNo.toString() : null,
+      tStartMs: d.tStartMs != null ? d.tStartMs.toString() : null,
+      snippet: d.snippet || '',
+    }));
 
     // Format transcript results
-    const formattedSegments = transcriptSegments.map(seg => ({
-      id: seg.id,
-      meetingId: seg.meetingId || seg['meeting.id'],
-      speakerId: seg.speakerId,
-      tStartMs: seg.tStartMs,
-      tEndMs: seg.tEndMs,
+    const transcriptResults = transcriptRows.map(seg => ({
+      type: 'transcript',
+      meetingId: seg.meetingId,
+      meetingTitle: seg.meetingTitle || '',
+      meetingDate: seg.meetingDate || '',
+      segmentId: seg.id,
+      seqNo: seg.seqNo.toString(),
+      speaker: seg.speakerName || seg.speakerLabel,
+      tStartMs: (seg.tStartMs || '').toString(),
+      tEndMs: (seg.tEndMs || '').toString(),
       text: seg.text,
-      confidence: seg.confidence,
-      meeting: {
-        id: seg['meeting.id'],
-        title: seg['meeting.title'],
-        startTime: seg['meeting.startTime'],
-      },
-      speaker: seg['speaker.label'] ? {
-        label: seg['speaker.label'],
-        displayName: seg['speaker.displayName'],
-      } : null,
+      snippet: seg.snippet || markSnippet(seg.text, text),
     }));
 
-    // Fallback to basic search if full-text search returns nothing
-    const finalSegments = transcriptSegments.length > 0 ? formattedSegments : await prisma.transcriptSegment.findMany({
-      where: {
-        text: { contains: q, mode: 'insensitive' },
-        meeting: meetingWhere,
-      },
-      include: {
-        meeting: { select: { id: true, title: true, startTime: true } },
-        speaker: { select: { label: true, displayName: true } },
-      },
-      orderBy: [
-        { meeting: { startTime: 'desc' } },
-        { tStartMs: 'asc' },
-      ],
-      take: parseInt(limit),
-    });
-
-    const transcriptResults = finalSegments.map(segment => {
-      const matchIndex = segment.text.toLowerCase().indexOf(q.toLowerCase());
-      const start = Math.max(0, matchIndex - 50);
-      const end = Math.min(segment.text.length, matchIndex + q.length + 50);
-      const snippet = (start > 0 ? '...' : '') + segment.text.substring(start, end) + (end < segment.text.length ? '...' : '');
-
-      return {
-        type: 'transcript',
-        meetingId: segment.meeting?.id || segment.meetingId,
-        meetingTitle: segment.meeting?.title || '',
-        meetingDate: segment.meeting?.startTime || '',
-        segmentId: segment.id,
-        speaker: segment.speaker?.displayName || segment.speaker?.label,
-        tStartMs: (segment.tStartMs || '').toString(),
-        tEndMs: (segment.tEndMs || '').toString(),
-        text: segment.text,
-        snippet,
-      };
-    });
-
     // Flattened results array (priority-ordered) for backward compat + AppShell dropdown
-    const results = [...titleResults, ...summaryResults, ...transcriptResults];
+    const results = [...titleResults, ...summaryResults, ...decisionResults, ...transcriptResults];
 
     res.json({
       query: q,
+      filters,
+      facets: computeFacets(facetMeetings, filters),
       titleResults,
       summaryResults,
+      decisionResults,
       transcriptResults,
       results,
       total: results.length,
@@ -0,0 +1,100 @@
+const express = require('express');
+const { requireAuth, devAuthBypass } = require('../middleware/auth');
+const {
+  TONES,
+  LENGTHS,
+  validateTemplate,
+  listTemplates,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} = require('../services/summaryTemplates');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+// IMPORTANT: devAuthBypass must run BEFORE requireAuth so it can set req.user in dev mode
+router.use(devAuthBypass); // Allow dev mode query param bypass
+router.use(requireAuth);
+
+/**
+ * GET /api/summary-templates
+ * Built-in templates for a vertical plus the user's own templates
+ * Query: vertical (omit for all built-ins)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { templates, defaultTemplateId } = await listTemplates(req.user.id, req.query.vertical);
+    res.json({ templates, defaultTemplateId, tones: TONES, lengths: LENGTHS });
+  } catch (error) {
+    console.error('List summary templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch summary templates' });
+  }
+});
+
+/**
+ * POST /api/summary-templates
+ * Create a template
+ * Body: { name, sections?: [{ title, instructions? }], tone?, length?, language? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { value, error } = validateTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await createTemplate(req.user.id, value);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`📋 Created summary template "${result.template.name}" for user ${req.user.id}`);
+    res.status(201).json({ template: { ...result.template, builtIn: false } });
+  } catch (error) {
+    console.error('Create summary template error:', error);
+    res.status(500).json({ error: 'Failed to create summary template' });
+  }
+});
+
+/**
+ * PUT /api/summary-templates/:id
+ * Replace one of the user's templates (built-in templates can't be changed)
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { value, error } = validateTemplate(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await updateTemplate(req.user.id, req.params.id, value);
+    if (!result) {
+      return res.status(404).json({ error: 'Summary template not found' });
+    }
+
+    res.json({ template: { ...result.template, builtIn: false } });
+  } catch (error) {
+    console.error('Update summary template error:', error);
+    res.status(500).json({ error: 'Failed to update summary template' });
+  }
+});
+
+/**
+ * DELETE /api/summary-templates/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteTemplate(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Summary template not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete summary template error:', error);
+    res.status(500).json({ error: 'Failed to delete summary template' });
+  }
+});
+
+module.exports = router;
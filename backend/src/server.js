@@ -6,6 +6,7 @@ const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
 const http = require('http');
 const { initWebSocketServer } = require('./services/websocket');
+const { ensureSearchIndexes } = require('./services/search');
 const config = require('./config');
 const prisma = require('./lib/prisma');
 const { version } = require('../package.json');
@@ -49,8 +50,13 @@ app.use(cors(corsOptions));
 // Cookie parsing (required for session management)
 app.use(cookieParser());
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing (internal RTMS calls keep the raw body for signature verification)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/rtms/')) req.rawBody = buf.toString('utf8');
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging
@@ -113,8 +119,12 @@ app.use('/api/search', require('./routes/search'));
 app.use('/api/ai', require('./routes/ai'));
 app.use('/api/rtms', require('./routes/rtms'));
 app.use('/api/highlights', require('./routes/highlights'));
+app.use('/api/action-items', require('./routes/action-items'));
+app.use('/api/decisions', require('./routes/decisions'));
+app.use('/api/saved-searches', require('./routes/saved-searches'));
 app.use('/api/home', require('./routes/home'));
 app.use('/api/preferences', require('./routes/preferences'));
+app.use('/api/summary-templates', require('./routes/summary-templates'));
 app.use('/api/zoom-meetings', require('./routes/zoom-meetings'));
 
 // =============================================================================
@@ -297,6 +307,10 @@ server.listen(PORT, () => {
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`WebSocket: ws://localhost:${PORT}`);
   console.log('='.repeat(60));
+
+  ensureSearchIndexes().catch(err => {
+    console.warn('⚠️ Could not create full-text search indexes (search still works, unindexed):', err.message);
+  });
 });
 
 // Graceful shutdown
@@ -0,0 +1,81 @@
+/**
+ * Action Items Service
+ * Action items are extracted once per meeting (as part of the meeting insights
+ * call) and persisted, so later reads (Tasks tab, home dashboard) see stable,
+ * user-editable rows. Items extracted while the meeting was live are replaced
+ * from the full transcript when it completes, except those the user edited
+ * (ActionItem.editedAt).
+ */
+
+const prisma = require('../lib/prisma');
+const { generateMeetingInsights } = require('./meetingInsights');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const STATUSES = ['open', 'done'];
+
+/**
+ * Normalize a priority string to one of PRIORITIES (defaults to 'medium')
+ */
+function normalizePriority(priority) {
+  const value = String(priority || '').toLowerCase();
+  return PRIORITIES.includes(value) ? value : 'medium';
+}
+
+/**
+ * Parse a due date from the LLM or a client. Returns null if missing or invalid.
+ */
+function parseDueDate(due) {
+  if (!due || due === 'null') return null;
+  const date = new Date(due);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Convert an ActionItem row to a JSON-safe object (BigInt -> Number)
+ */
+function serializeActionItem(item) {
+  return {
+    id: item.id,
+    meetingId: item.meetingId,
+    meetingTitle: item.meeting?.title,
+    task: item.task,
+    assignee: item.assignee,
+    priority: item.priority,
+    dueDate: item.dueDate,
+    status: item.status,
+    tStartMs: item.tStartMs != null ? Number(item.tStartMs) : null,
+    completedAt: item.completedAt,
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+  };
+}
+
+/**
+ * Ensure a meeting's action items have been extracted, then return them.
+ * Extraction runs at most once per meeting; afterwards the stored rows are returned.
+ * @param {object} meeting - Meeting record
+ * @returns {Promise<array|null>} Action items, or null if there is no transcript yet
+ */
+async function ensureActionItems(meeting) {
+  if (!meeting.actionItemsExtractedAt) {
+    const result = await generateMeetingInsights(meeting);
+    if (!result) {
+      return null;
+    }
+  }
+
+  return prisma.actionItem.findMany({
+    where: { meetingId: meeting.id },
+    orderBy: [{ tStartMs: 'asc' }, { createdAt: 'asc' }],
+    include: { meeting: { select: { title: true } } },
+  });
+}
+
+module.exports = {
+  PRIORITIES,
+  STATUSES,
+  normalizePriority,
+  parseDueDate,
+  serializeActionItem,
+  ensureActionItems,
+};
@@ -0,0 +1,361 @@
+/**
+ * AI Chat Service
+ * Multi-turn transcript Q&A persisted to AiSession / AiMessage / AiCitation.
+ *
+ * The model sees the transcript with numbered lines ("#12 [Speaker]: ...") and
+ * cites them as [#12]. Before saving, those markers are rewritten to [1], [2], ...
+ * pointing at the message's citations, ordered by (tStartMs, segmentId).
+ *
+ * A meeting transcript longer than the model's budget (transcriptTokenBudget)
+ * is sent as excerpts: the latest discussion plus the passages that best match
+ * the question, and the model is told the transcript is partial.
+ */
+
+const prisma = require('../lib/prisma');
+const { retrieveChunks } = require('./retrieval');
+const { estimateTokens, transcriptTokenBudget } = require('./aiProviders');
+
+// Transcript chunks retrieved for a cross-meeting question
+const RETRIEVAL_LIMIT = 8;
+
+// Chunks of one long meeting considered for its excerpts, and the share of the
+// budget kept for its latest lines (live questions are mostly about those)
+const MEETING_RETRIEVAL_LIMIT = 40;
+const RECENT_SHARE = 0.25;
+
+// Prior turns sent back to the model with each question
+const HISTORY_LIMIT = 10;
+
+// One or more adjacent markers: [#12], [#12, #15], [#12][#15]
+const CITATION_MARKER = /\[#\d+(?:\s*,\s*#?\d+)*\](?:\s*\[#\d+(?:\s*,\s*#?\d+)*\])*/g;
+
+/**
+ * Format a segment as a numbered transcript line
+ */
+function formatLine(seg, lineNo) {
+  const speaker = seg.speaker?.displayName || seg.speaker?.label || 'Speaker';
+  return `#${lineNo} [${speaker}]: ${seg.text}`;
+}
+
+/**
+ * Number a run of segments, marking gaps between non-adjacent ones with "..."
+ */
+function formatExcerpts(segments, toLine) {
+  let lastSeqNo = null;
+  return segments
+    .map((seg) => {
+      const gap = lastSeqNo !== null && seg.seqNo > lastSeqNo + 1n ? '...\n' : '';
+      lastSeqNo = seg.seqNo;
+      return gap + toLine(seg);
+    })
+    .join('\n');
+}
+
+/**
+ * Pick the segments of a long meeting that fit the token budget: its latest
+ * lines, then the chunks that best match the query, then earlier lines
+ * @param {array} segments - All of the meeting's segments, in seqNo order
+ * @returns {Promise<array>} The chosen segments, in seqNo order
+ */
+async function selectExcerpts(meeting, userId, query, segments, budget) {
+  const selected = new Set();
+  let used = 0;
+  const take = (seg) => {
+    if (selected.has(seg)) return true;
+    const cost = estimateTokens(formatLine(seg, segments.length));
+    if (used + cost > budget) return false;
+    selected.add(seg);
+    used += cost;
+    return true;
+  };
+
+  let next = segments.length - 1;
+  const takeRecent = (limit) => {
+    while (next >= 0 && used < limit && take(segments[next])) next--;
+  };
+
+  takeRecent(budget * RECENT_SHARE);
+
+  const chunks = await retrieveChunks(userId, query || '', {
+    meetingId: meeting.id,
+    limit: MEETING_RETRIEVAL_LIMIT,
+  });
+  for (const chunk of chunks) {
+    const inChunk = segments.filter((seg) => seg.seqNo >= chunk.startSeqNo && seg.seqNo <= chunk.endSeqNo);
+    if (!inChunk.every(take)) break;
+  }
+
+  takeRecent(budget);
+
+  return segments.filter((seg) => selected.has(seg));
+}
+
+/**
+ * Build the numbered transcript for a chat.
+ * With a meeting, uses that meeting; otherwise the excerpts from all of the
+ * user's meetings that best match the query (see services/retrieval).
+ * @param {object|null} meeting - Meeting record, or null for cross-meeting chat
+ * @param {string} userId - Owner of the meetings
+ * @param {string} [query] - Retrieval query (cross-meeting chat, and excerpts of a long meeting)
+ * @param {object} [ai] - Provider settings, for the meeting's token budget
+ * @returns {Promise<{ transcript, meetingTitle, lines, excerpted }|{ status, error }>}
+ *   lines[n - 1] describes transcript line #n; excerpted is true when only
+ *   part of the transcript was included
+ */
+async function buildChatContext(meeting, userId, query, ai = null) {
+  const lines = [];
+  const toLine = (seg) => {
+    lines.push({
+      segmentId: seg.id,
+      meetingId: seg.meetingId,
+      tStartMs: seg.tStartMs,
+      tEndMs: seg.tEndMs,
+    });
+    return formatLine(seg, lines.length);
+  };
+
+  if (meeting) {
+    const segments = await prisma.transcriptSegment.findMany({
+      where: { meetingId: meeting.id },
+      orderBy: { seqNo: 'asc' },
+      include: { speaker: true },
+    });
+
+    if (segments.length === 0) {
+      return { status: 400, error: 'No transcript available for this meeting' };
+    }
+
+    const budget = transcriptTokenBudget(ai);
+    const fullTokens = segments.reduce((sum, seg) => sum + estimateTokens(formatLine(seg, segments.length)), 0);
+    if (fullTokens <= budget) {
+      return {
+        transcript: segments.map(toLine).join('\n'),
+        meetingTitle: meeting.title,
+        lines,
+        excerpted: false,
+      };
+    }
+
+    const excerpts = await selectExcerpts(meeting, userId, query, segments, budget);
+    console.log(`🔎 Chat context: ${excerpts.length} of ${segments.length} segments (~${fullTokens} tokens > ${budget} budget)`);
+
+    return {
+      transcript: `[Excerpts only: this transcript is too long to include in full. Shown are the most recent discussion and the passages that best match the question; "..." marks omitted lines. If the answer isn't in these excerpts, say so rather than guessing.]\n${formatExcerpts(excerpts, toLine)}`,
+      meetingTitle: meeting.title,
+      lines,
+      excerpted: true,
+    };
+  }
+
+  // Chat across all meetings - retrieve the most relevant transcript chunks
+  const chunks = await retrieveChunks(userId, query || '', { limit: RETRIEVAL_LIMIT });
+
+  if (chunks.length === 0) {
+    return { status: 400, error: 'No relevant transcript excerpts found in your meetings' };
+  }
+
+  // Group excerpts by meeting (most recent first) and in transcript order within each
+  const byMeeting = new Map();
+  chunks.forEach((chunk) => {
+    if (!byMeeting.has(chunk.meetingId)) {
+      byMeeting.set(chunk.meetingId, { meeting: chunk.meeting, ranges: [] });
+    }
+    byMeeting.get(chunk.meetingId).ranges.push({ gte: chunk.startSeqNo, lte: chunk.endSeqNo });
+  });
+
+  const groups = [...byMeeting.values()]
+    .sort((a, b) => b.meeting.startTime - a.meeting.startTime);
+
+  const sections = [];
+  for (const { meeting: m, ranges } of groups) {
+    const segments = await prisma.transcriptSegment.findMany({
+      where: {
+        meetingId: m.id,
+        OR: ranges.map((seqNo) => ({ seqNo })),
+      },
+      orderBy: { seqNo: 'asc' },
+      include: { speaker: true },
+    });
+
+    sections.push(`--- Meeting: ${m.title} (${m.startTime.toLocaleDateString()}) ---\n${formatExcerpts(segments, toLine)}`);
+  }
+
+  return { transcript: sections.join('\n\n'), meetingTitle: 'Your Meetings', lines, excerpted: true };
+}
+
+/**
+ * Sort key shared by extraction and reads, so [n] markers line up with citations[n - 1]
+ */
+function compareCitations(a, b) {
+  const diff = Number(a.tStartMs) - Number(b.tStartMs);
+  if (diff !== 0) return diff;
+  return String(a.segmentId).localeCompare(String(b.segmentId));
+}
+
+/**
+ * Replace [#line] markers in an answer with [n] citation numbers
+ * @param {string} answer - Raw model output
+ * @param {array} lines - Line map from buildChatContext()
+ * @returns {{ content: string, citations: array }}
+ */
+function extractCitations(answer, lines) {
+  const cited = new Map();
+
+  const markers = answer.match(CITATION_MARKER) || [];
+  markers.forEach((marker) => {
+    (marker.match(/\d+/g) || []).forEach((num) => {
+      const line = lines[parseInt(num, 10) - 1];
+      if (line) cited.set(line.segmentId, line);
+    });
+  });
+
+  const citations = [...cited.values()].sort(compareCitations);
+  const indexBySegment = new Map(citations.map((c, i) => [c.segmentId, i + 1]));
+
+  const content = answer
+    .replace(CITATION_MARKER, (marker) => {
+      const refs = new Set();
+      (marker.match(/\d+/g) || []).forEach((num) => {
+        const line = lines[parseInt(num, 10) - 1];
+        if (line) refs.add(indexBySegment.get(line.segmentId));
+      });
+      return [...refs].sort((x, y) => x - y).map((n) => `[${n}]`).join('');
+    })
+    .trim();
+
+  return { content, citations };
+}
+
+/**
+ * Load a user's chat session
+ * @returns {Promise<object|null>} null if missing or not owned by the user
+ */
+function findSession(sessionId, userId) {
+  return prisma.aiSession.findFirst({
+    where: { id: sessionId, userId },
+  });
+}
+
+/**
+ * Prior turns for the model, oldest first (citation numbers stripped)
+ */
+async function getHistory(sessionId) {
+  if (!sessionId) return [];
+
+  const messages = await prisma.aiMessage.findMany({
+    where: { sessionId, role: { in: ['user', 'assistant'] } },
+    orderBy: { createdAt: 'desc' },
+    take: HISTORY_LIMIT,
+  });
+
+  return messages.reverse().map((m) => ({
+    role: m.role,
+    content: m.role === 'assistant' ? m.content.replace(/\[\d+\]/g, '') : m.content,
+  }));
+}
+
+/**
+ * Serialize messages with their citations, resolving cited segments for the UI
+ * @param {array} messages - AiMessage rows including citations
+ * @returns {Promise<array>}
+ */
+async function serializeMessages(messages) {
+  const segmentIds = messages
+    .flatMap((m) => m.citations || [])
+    .map((c) => c.segmentId)
+    .filter(Boolean);
+
+  const segments = segmentIds.length > 0
+    ? await prisma.transcriptSegment.findMany({
+      where: { id: { in: segmentIds } },
+      include: { speaker: true, meeting: { select: { title: true } } },
+    })
+    : [];
+  const segmentsById = new Map(segments.map((s) => [s.id, s]));
+
+  return messages.map((m) => ({
+    id: m.id,
+    role: m.role,
+    content: m.content,
+    createdAt: m.createdAt,
+    citations: [...(m.citations || [])].sort(compareCitations).map((c, i) => {
+      const seg = segmentsById.get(c.segmentId);
+      return {
+        id: c.id,
+        index: i + 1,
+        meetingId: c.meetingId,
+        meetingTitle: seg?.meeting?.title || null,
+        segmentId: c.segmentId,
+        seqNo: seg ? seg.seqNo.toString() : null,
+        tStartMs: Number(c.tStartMs),
+        tEndMs: Number(c.tEndMs),
+        speaker: seg?.speaker?.displayName || seg?.speaker?.label || null,
+        text: seg?.text || null,
+      };
+    }),
+  }));
+}
+
+/**
+ * Store a question and its answer, creating the session on the first turn
+ * @param {object} params
+ * @param {object|null} params.session - Existing session, or null to start one
+ * @param {string} params.userId
+ * @param {string|null} params.meetingId - Database meeting ID (new sessions only)
+ * @param {string} params.question
+ * @param {string} params.answer - Raw model output with [#line] markers
+ * @param {array} params.lines - Line map from buildChatContext()
+ * @returns {Promise<{ sessionId: string, message: object }>} Serialized assistant message
+ */
+async function saveExchange({ session, userId, meetingId, question, answer, lines }) {
+  const { content, citations } = extractCitations(answer, lines);
+
+  const sessionId = session
+    ? session.id
+    : (await prisma.aiSession.create({
+      data: {
+        userId,
+        meetingId,
+        title: question.length > 60 ? `${question.substring(0, 57)}...` : question,
+      },
+    })).id;
+
+  await prisma.aiMessage.create({
+    data: { sessionId, role: 'user', content: question },
+  });
+
+  const message = await prisma.aiMessage.create({
+    data: {
+      sessionId,
+      role: 'assistant',
+      content,
+      citations: {
+        create: citations.map((c) => ({
+          meetingId: c.meetingId,
+          segmentId: c.segmentId,
+          tStartMs: c.tStartMs,
+          tEndMs: c.tEndMs,
+        })),
+      },
+    },
+    include: { citations: true },
+  });
+
+  // Bump updatedAt so the session sorts as most recent
+  await prisma.aiSession.update({
+    where: { id: sessionId },
+    data: { updatedAt: new Date() },
+  });
+
+  const [serialized] = await serializeMessages([message]);
+  return { sessionId, message: serialized };
+}
+
+module.exports = {
+  buildChatContext,
+  extractCitations,
+  findSession,
+  getHistory,
+  serializeMessages,
+  saveExchange,
+};
@@ -0,0 +1,517 @@
+/**
+ * AI Provider Service
+ * Routes chat completions to the provider a user picked in Settings:
+ * OpenRouter (server default), Anthropic, OpenAI, or a self-hosted
+ * OpenAI-compatible endpoint (Ollama, vLLM, LM Studio, ...).
+ *
+ * Per-user settings live in User.preferences.ai:
+ *   { provider, model, baseUrl, apiKeyEncrypted }
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const prisma = require('../lib/prisma');
+const config = require('../config');
+const { encryptToken, decryptToken } = require('./auth');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Context windows (tokens) by model name; unknown models get AI_CONTEXT_TOKENS
+const MODEL_CONTEXT_TOKENS = [
+  [/gemini/i, 1000000],
+  [/claude/i, 200000],
+  [/gpt-4o|gpt-4-turbo|gpt-4\.1|\bo[134]\b|\bo[134]-/i, 128000],
+  [/llama-3\.[1-3]|qwen-2\.5|qwen2\.5/i, 32000],
+  [/mistral|mixtral/i, 32000],
+  [/gpt-3\.5/i, 16000],
+];
+
+// Tokens kept free for the instructions and the response
+const RESERVED_TOKENS = 6000;
+
+// A connection test should answer quickly; real calls get AI_REQUEST_TIMEOUT_MS
+const TEST_TIMEOUT_MS = 15000;
+
+const PROVIDERS = {
+  openrouter: {
+    label: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    requiresApiKey: false, // Falls back to the server's OPENROUTER_API_KEY / free models
+  },
+  anthropic: {
+    label: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    requiresApiKey: true,
+  },
+  openai: {
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    requiresApiKey: true,
+  },
+  custom: {
+    label: 'OpenAI-compatible',
+    baseUrl: null, // Supplied by the user, e.g. http://localhost:11434/v1
+    requiresApiKey: false,
+  },
+};
+
+// Addresses a user-supplied baseUrl may not reach unless the operator allows
+// the host (AI_CUSTOM_ALLOWED_HOSTS): loopback, private, link-local (cloud
+// metadata), carrier-grade NAT and unspecified. BlockList also matches
+// IPv4-mapped IPv6 addresses against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10],
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check that an OpenAI-compatible baseUrl may be called: private and local
+ * addresses (including hostnames resolving to them) only if the operator
+ * allowed the host
+ * @returns {Promise<string|null>} Error message, or null if allowed
+ */
+async function checkCustomBaseUrl(baseUrl) {
+  const url = new URL(baseUrl);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (config.aiCustomAllowedHosts.includes(url.host.toLowerCase()) || config.aiCustomAllowedHosts.includes(hostname)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  } catch {
+    return `baseUrl host ${hostname} could not be resolved`;
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return `baseUrl ${url.host} is a private or local address; the server operator must allow it (AI_CUSTOM_ALLOWED_HOSTS)`;
+  }
+  return null;
+}
+
+/**
+ * Server default settings (OpenRouter, configured via env)
+ */
+function getDefaultSettings() {
+  return {
+    provider: 'openrouter',
+    model: config.defaultModel,
+    baseUrl: PROVIDERS.openrouter.baseUrl,
+    apiKey: config.openrouterApiKey,
+    isDefault: true,
+  };
+}
+
+/**
+ * Validate AI settings submitted by a client
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSettings({ provider, model, baseUrl }) {
+  if (!PROVIDERS[provider]) {
+    return `provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`;
+  }
+  if (model !== undefined && model !== null && typeof model !== 'string') {
+    return 'model must be a string';
+  }
+  if (provider === 'custom') {
+    if (!baseUrl) {
+      return 'baseUrl is required for OpenAI-compatible providers';
+    }
+    try {
+      const url = new URL(baseUrl);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'baseUrl must be an http(s) URL';
+      }
+    } catch {
+      return 'baseUrl must be a valid URL';
+    }
+  }
+  return null;
+}
+
+/**
+ * Build runtime settings from stored preferences.ai
+ * @param {object} stored - User.preferences.ai
+ * @returns {object} { provider, model, baseUrl, apiKey, isDefault }
+ */
+function resolveSettings(stored) {
+  if (!stored || !PROVIDERS[stored.provider]) {
+    return getDefaultSettings();
+  }
+
+  const provider = PROVIDERS[stored.provider];
+  let apiKey = null;
+  if (stored.apiKeyEncrypted) {
+    try {
+      apiKey = decryptToken(stored.apiKeyEncrypted);
+    } catch (error) {
+      console.error('❌ Failed to decrypt AI provider key:', error.message);
+    }
+  }
+
+  // OpenRouter users without their own key share the server key
+  if (!apiKey && stored.provider === 'openrouter') {
+    apiKey = config.openrouterApiKey;
+  }
+
+  return {
+    provider: stored.provider,
+    model: stored.model || (stored.provider === 'openrouter' ? config.defaultModel : null),
+    baseUrl: (stored.baseUrl || provider.baseUrl || '').replace(/\/+$/, ''),
+    apiKey,
+    isDefault: false,
+  };
+}
+
+/**
+ * Load a user's AI settings (falls back to the server default)
+ * @param {string} userId - User ID (may be null for unauthenticated calls)
+ * @returns {Promise<object>} Runtime settings for callAI()
+ */
+async function getUserAiSettings(userId) {
+  if (!userId) {
+    return getDefaultSettings();
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { preferences: true },
+  });
+
+  return resolveSettings(user?.preferences?.ai);
+}
+
+/**
+ * Rough token count for budgeting (~4 characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Context window of the settings' model
+ * @returns {number} Tokens
+ */
+function contextTokens(settings) {
+  const match = MODEL_CONTEXT_TOKENS.find(([pattern]) => pattern.test(settings?.model || ''));
+  return match ? match[1] : config.aiContextTokens;
+}
+
+/**
+ * Most transcript tokens to send in one call: what fits in the model's
+ * context, capped at SUMMARY_CHUNK_TOKENS (very long prompts summarize worse)
+ * @returns {number} Tokens
+ */
+function transcriptTokenBudget(settings) {
+  const available = contextTokens(settings) - RESERVED_TOKENS;
+  return Math.max(1000, Math.min(available, config.summaryChunkTokens));
+}
+
+/**
+ * Shape stored settings for the client — never returns the key itself
+ */
+function toPublicSettings(stored) {
+  const settings = resolveSettings(stored);
+  return {
+    provider: settings.provider,
+    model: settings.model,
+    baseUrl: stored?.provider === 'custom' ? settings.baseUrl : null,
+    hasApiKey: !!stored?.apiKeyEncrypted,
+    isDefault: settings.isDefault,
+  };
+}
+
+/**
+ * Merge a settings update into stored preferences.ai, encrypting a new key.
+ * An omitted apiKey keeps the stored one; an empty string clears it.
+ * Switching provider or baseUrl drops the old key, so it is never sent to a
+ * host it wasn't entered for.
+ */
+function buildStoredSettings(existing, { provider, model, baseUrl, apiKey }) {
+  const sameEndpoint = existing?.provider === provider
+    && (provider !== 'custom' || existing?.baseUrl === baseUrl);
+  let apiKeyEncrypted = sameEndpoint ? existing?.apiKeyEncrypted || null : null;
+
+  if (apiKey !== undefined) {
+    apiKeyEncrypted = apiKey ? encryptToken(apiKey) : null;
+  }
+
+  return {
+    provider,
+    model: model || null,
+    baseUrl: provider === 'custom' ? baseUrl : null,
+    apiKeyEncrypted,
+  };
+}
+
+/**
+ * Build the HTTP request for a provider. Anthropic uses its Messages API;
+ * everything else speaks the OpenAI /chat/completions format.
+ */
+function buildRequest(settings, messages, { model, maxTokens, temperature, stream = false }) {
+  if (settings.provider === 'anthropic') {
+    const system = messages
+      .filter((m) => m.role === 'system')
+      .map((m) => m.content)
+      .join('\n\n');
+
+    return {
+      url: `${settings.baseUrl}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': settings.apiKey || '',
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        ...(stream && { stream: true }),
+        ...(system && { system }),
+        messages: messages.filter((m) => m.role !== 'system'),
+      },
+    };
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey) {
+    headers['Authorization'] = `Bearer ${settings.apiKey}`;
+  }
+  if (settings.provider === 'openrouter') {
+    headers['HTTP-Referer'] = config.publicUrl;
+    headers['X-Title'] = 'Arlo Meeting Assistant';
+  }
+
+  return {
+    url: `${settings.baseUrl}/chat/completions`,
+    headers,
+    body: {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(stream && { stream: true }),
+    },
+  };
+}
+
+/**
+ * Abort signal for a provider call: the caller's signal plus a timeout.
+ * touch() restarts the timeout, so a stream stays alive while tokens arrive;
+ * clear() stops it once the call is done.
+ */
+function requestTimeout(settings, options) {
+  const timeoutMs = options.timeoutMs || config.aiRequestTimeoutMs;
+  const controller = new AbortController();
+  let timer = null;
+
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const error = new Error(`${PROVIDERS[settings.provider].label} did not respond within ${Math.round(timeoutMs / 1000)}s`);
+      error.status = 504;
+      controller.abort(error);
+    }, timeoutMs);
+  };
+  touch();
+
+  return {
+    signal: options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal,
+    touch,
+    clear: () => clearTimeout(timer),
+  };
+}
+
+/**
+ * Resolve request options and send to the provider, throwing on HTTP errors
+ * (error.status / error.detail carry the provider's response)
+ */
+async function sendRequest(settings, messages, options, stream, signal) {
+  const provider = PROVIDERS[settings.provider];
+  const model = options.model || settings.model;
+
+  if (!model) {
+    throw new Error(`No model configured for ${provider.label}`);
+  }
+  if (provider.requiresApiKey && !settings.apiKey) {
+    throw new Error(`${provider.label} requires an API key`);
+  }
+  if (settings.provider === 'custom') {
+    const blocked = await checkCustomBaseUrl(settings.baseUrl);
+    if (blocked) {
+      const error = new Error(blocked);
+      error.status = 403;
+      throw error;
+    }
+  }
+
+  const { url, headers, body } = buildRequest(settings, messages, {
+    model,
+    maxTokens: options.maxTokens || 2048,
+    temperature: options.temperature ?? 0.7,
+    stream,
+  });
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`${provider.label} API error: ${response.status}`);
+    error.status = response.status;
+    error.detail = errorText;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Send a chat completion to the configured provider
+ * @param {object} settings - Runtime settings from getUserAiSettings()
+ * @param {array} messages - [{ role: 'system'|'user'|'assistant', content }]
+ * @param {object} options - { model, maxTokens, temperature, signal, timeoutMs }
+ * @returns {Promise<string>} The AI response text
+ */
+async function complete(settings, messages, options = {}) {
+  const timeout = requestTimeout(settings, options);
+  let data;
+  try {
+    const response = await sendRequest(settings, messages, options, false, timeout.signal);
+    data = await response.json();
+  } finally {
+    timeout.clear();
+  }
+
+  if (settings.provider === 'anthropic') {
+    return (data.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+  }
+  return data.choices?.[0]?.message?.content || '';
+}
+
+/**
+ * Read a server-sent event stream, calling onData(data) for each event's data
+ */
+async function readEventStream(body, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = rawEvent
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+      if (data) {
+        onData(data);
+      }
+    }
+  }
+}
+
+/**
+ * Stream a chat completion from the configured provider, token by token
+ * @param {object} settings - Runtime settings from getUserAiSettings()
+ * @param {array} messages - [{ role, content }]
+ * @param {object} options - { model, maxTokens, temperature, signal, timeoutMs, onToken(text) }
+ * @returns {Promise<string>} The full response text
+ */
+async function stream(settings, messages, options = {}) {
+  // The timeout applies between events, not to the whole (possibly long) answer
+  const timeout = requestTimeout(settings, options);
+  try {
+    const response = await sendRequest(settings, messages, options, true, timeout.signal);
+    return await readCompletionStream(settings, response, options, timeout.touch);
+  } finally {
+    timeout.clear();
+  }
+}
+
+/**
+ * Collect a streamed completion's text, calling options.onToken as it arrives
+ */
+async function readCompletionStream(settings, response, options, onEvent) {
+  const isAnthropic = settings.provider === 'anthropic';
+  let text = '';
+
+  await readEventStream(response.body, (data) => {
+    onEvent();
+    if (data === '[DONE]') return;
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      return; // Not a JSON frame (e.g. keep-alive)
+    }
+
+    const token = isAnthropic
+      ? (payload.type === 'content_block_delta' ? payload.delta?.text : null)
+      : payload.choices?.[0]?.delta?.content;
+
+    if (token) {
+      text += token;
+      if (options.onToken) options.onToken(token);
+    }
+  });
+
+  return text;
+}
+
+/**
+ * Send a tiny prompt to check that the provider, model and key work
+ * @returns {Promise<{ ok: boolean, latencyMs: number, error?: string }>}
+ */
+async function testConnection(settings) {
+  const started = Date.now();
+  try {
+    await complete(settings, [{ role: 'user', content: 'Reply with the single word: OK' }], {
+      maxTokens: 8,
+      temperature: 0,
+      timeoutMs: TEST_TIMEOUT_MS,
+    });
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (error) {
+    console.error('❌ AI provider test failed:', error.message, error.detail || '');
+    return { ok: false, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  getDefaultSettings,
+  validateSettings,
+  checkCustomBaseUrl,
+  resolveSettings,
+  getUserAiSettings,
+  toPublicSettings,
+  buildStoredSettings,
+  estimateTokens,
+  contextTokens,
+  transcriptTokenBudget,
+  complete,
+  stream,
+  testConnection,
+};
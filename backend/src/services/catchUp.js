@@ -0,0 +1,104 @@
+/**
+ * Catch-up Service
+ * "What did I miss?" summaries of a live meeting since a point in time — when
+ * the user stepped away from the panel, or joined late.
+ *
+ * A window is the range of transcript segments spoken since that time (by
+ * tStartMs on the meeting's clock, not when a segment reached the database:
+ * segments delivered late from the RTMS outbox arrive together), so
+ * requests that start and end on the same segments (another viewer, a retry,
+ * a double click) share one cached summary instead of another AI call.
+ */
+
+const prisma = require('../lib/prisma');
+const { generateCatchUp } = require('./openrouter');
+const { getAiContext } = require('./verticals');
+
+const MAX_SEGMENTS = 500;
+const MAX_TRANSCRIPT_CHARS = 12000;
+
+// Summaries per window (meeting + first/last segment), evicted oldest first
+const CACHE_TTL_MS = 2 * 60 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 200;
+const catchUpCache = new Map();
+
+// In-flight generations per window
+const pendingCatchUps = new Map();
+
+function getCached(key) {
+  const entry = catchUpCache.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.createdAt > CACHE_TTL_MS) {
+    catchUpCache.delete(key);
+    return null;
+  }
+  return entry.result;
+}
+
+function setCached(key, result) {
+  catchUpCache.set(key, { result, createdAt: Date.now() });
+  if (catchUpCache.size > CACHE_MAX_ENTRIES) {
+    catchUpCache.delete(catchUpCache.keys().next().value);
+  }
+}
+
+/**
+ * Summarize a meeting's transcript since a point in time
+ * @param {object} meeting - Meeting row
+ * @param {Date} since - Start of the window (wall-clock time)
+ * @param {string} userId - For the user's AI provider settings
+ * @returns {Promise<object>} { since, fromSeqNo, toSeqNo, segmentCount, overview, keyPoints[], cached }
+ *   (overview is null when nothing was said in the window)
+ */
+async function getCatchUp(meeting, since, userId) {
+  // Segment times are ms since Meeting.startTime
+  const sinceMs = Math.max(0, since.getTime() - meeting.startTime.getTime());
+
+  // The most recent segments, if more than fit in one prompt
+  const segments = (await prisma.transcriptSegment.findMany({
+    where: { meetingId: meeting.id, tStartMs: { gte: BigInt(sinceMs) } },
+    orderBy: { seqNo: 'desc' },
+    include: { speaker: true },
+    take: MAX_SEGMENTS,
+  })).reverse();
+
+  if (segments.length === 0) {
+    return { since, fromSeqNo: null, toSeqNo: null, segmentCount: 0, overview: null, keyPoints: [], cached: false };
+  }
+
+  const fromSeqNo = segments[0].seqNo.toString();
+  const toSeqNo = segments[segments.length - 1].seqNo.toString();
+  const window = { since, fromSeqNo, toSeqNo, segmentCount: segments.length };
+
+  const key = `${meeting.id}:${fromSeqNo}:${toSeqNo}`;
+  const cached = getCached(key);
+  if (cached) {
+    return { ...window, ...cached, cached: true };
+  }
+
+  if (!pendingCatchUps.has(key)) {
+    const promise = (async () => {
+      const transcript = segments
+        .map((seg) => `[${seg.speaker?.displayName || seg.speaker?.label || 'Speaker'}]: ${seg.text}`)
+        .join('\n')
+        .slice(-MAX_TRANSCRIPT_CHARS);
+      const minutes = (Number(segments[segments.length - 1].tEndMs) - Math.max(sinceMs, Number(segments[0].tStartMs))) / 60000;
+
+      console.log(`🤖 Generating catch-up for ${meeting.title} (${segments.length} segments)`);
+      const ai = await getAiContext(userId, meeting);
+      const result = await generateCatchUp(transcript, meeting.title, minutes, ai);
+      setCached(key, result);
+      return result;
+    })().finally(() => {
+      pendingCatchUps.delete(key);
+    });
+    pendingCatchUps.set(key, promise);
+  }
+
+  const result = await pendingCatchUps.get(key);
+  return { ...window, ...result, cached: false };
+}
+
+module.exports = {
+  getCatchUp,
+};
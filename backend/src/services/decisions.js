@@ -0,0 +1,32 @@
+/**
+ * Decisions Service
+ * Decisions are extracted alongside action items (see services/meetingInsights),
+ * once and again from the full transcript when the meeting completes, and can
+ * also be added by hand. Each row links back
+ * to the transcript segment it came from, so the log can jump to it.
+ */
+
+const SOURCES = ['ai', 'manual'];
+
+/**
+ * Convert a Decision row to a JSON-safe object (BigInt -> string/Number)
+ */
+function serializeDecision(decision) {
+  return {
+    id: decision.id,
+    meetingId: decision.meetingId,
+    meetingTitle: decision.meeting?.title,
+    meetingDate: decision.meeting?.startTime,
+    text: decision.text,
+    participants: decision.participants,
+    seqNo: decision.seqNo != null ? decision.seqNo.toString() : null,
+    tStartMs: decision.tStartMs != null ? Number(decision.tStartMs) : null,
+    source: decision.source,
+    createdAt: decision.createdAt,
+  };
+}
+
+module.exports = {
+  SOURCES,
+  serializeDecision,
+};
@@ -0,0 +1,145 @@
+/**
+ * Meeting Context Service
+ * Builds the pre-meeting briefing: earlier meetings in the same series or with
+ * the same people, and what is still relevant from them — open action items,
+ * recent decisions and the topics they share.
+ */
+
+const prisma = require('../lib/prisma');
+const { speakerNames } = require('./meetingSeries');
+const { serializeActionItem } = require('./actionItems');
+const { serializeDecision } = require('./decisions');
+
+const LOOKBACK_DAYS = 90;
+const MAX_CANDIDATES = 100;
+const MAX_MEETINGS = 5;
+const MAX_ACTION_ITEMS = 10;
+const MAX_DECISIONS = 8;
+const MAX_TOPICS = 6;
+
+/**
+ * Lowercased names of everyone seen in a meeting (speakers and roster),
+ * without the meeting owner — they're in all of their own meetings
+ */
+function attendeeNames(meeting, ownerName) {
+  const names = speakerNames(meeting);
+  (meeting.participantEvents || []).forEach((e) => {
+    const name = (e.participantName || '').trim().toLowerCase();
+    if (name) names.add(name);
+  });
+  names.delete((ownerName || '').trim().toLowerCase());
+  return names;
+}
+
+const ATTENDEE_FIELDS = {
+  speakers: { select: { displayName: true, label: true, role: true } },
+  participantEvents: { select: { participantName: true }, distinct: ['participantName'] },
+};
+
+/**
+ * Build the briefing for a meeting
+ * @param {object} meeting - Meeting row (id, ownerId, startTime, meetingSeriesId, zoomMeetingNumber).
+ *   Before transcription starts there is no row yet: pass id: null, the Zoom
+ *   meeting number and the current time.
+ * @param {object} [options] - { participants: names from the Zoom SDK's participant list }
+ * @returns {Promise<object>} { meetings[], actionItems[], decisions[], topics[] }
+ */
+async function getMeetingContext(meeting, { participants = [] } = {}) {
+  const [current, owner] = await Promise.all([
+    meeting.id
+      ? prisma.meeting.findUnique({ where: { id: meeting.id }, select: ATTENDEE_FIELDS })
+      : null,
+    prisma.user.findUnique({ where: { id: meeting.ownerId }, select: { displayName: true } }),
+  ]);
+  const attendees = attendeeNames({
+    speakers: current?.speakers,
+    participantEvents: [
+      ...(current?.participantEvents || []),
+      ...participants.map((participantName) => ({ participantName })),
+    ],
+  }, owner?.displayName);
+
+  const candidates = await prisma.meeting.findMany({
+    where: {
+      ownerId: meeting.ownerId,
+      ...(meeting.id && { id: { not: meeting.id } }),
+      startTime: {
+        lt: meeting.startTime,
+        gte: new Date(meeting.startTime.getTime() - LOOKBACK_DAYS * 86400000),
+      },
+    },
+    select: {
+      id: true,
+      title: true,
+      startTime: true,
+      meetingSeriesId: true,
+      zoomMeetingNumber: true,
+      ...ATTENDEE_FIELDS,
+    },
+    orderBy: { startTime: 'desc' },
+    take: MAX_CANDIDATES,
+  });
+
+  // Same series (or, before series detection has run, the same Zoom meeting number) first,
+  // then by how many of today's attendees were there, then most recent
+  const related = candidates
+    .map((m) => {
+      const sameSeries = (!!meeting.meetingSeriesId && m.meetingSeriesId === meeting.meetingSeriesId)
+        || (!!meeting.zoomMeetingNumber && m.zoomMeetingNumber === meeting.zoomMeetingNumber);
+      const others = attendeeNames(m, owner?.displayName);
+      const sharedAttendees = [...attendees].filter((name) => others.has(name));
+      return { meeting: m, sameSeries, sharedAttendees };
+    })
+    .filter((r) => r.sameSeries || r.sharedAttendees.length > 0)
+    .sort((a, b) => (b.sameSeries - a.sameSeries)
+      || (b.sharedAttendees.length - a.sharedAttendees.length)
+      || (b.meeting.startTime - a.meeting.startTime))
+    .slice(0, MAX_MEETINGS);
+
+  if (related.length === 0) {
+    return { meetings: [], actionItems: [], decisions: [], topics: [] };
+  }
+
+  const meetingIds = related.map((r) => r.meeting.id);
+  const meetingFields = { meeting: { select: { title: true, startTime: true } } };
+
+  const [actionItems, decisions, topics] = await Promise.all([
+    prisma.actionItem.findMany({
+      where: { meetingId: { in: meetingIds }, status: 'open' },
+      include: meetingFields,
+      orderBy: [{ meeting: { startTime: 'desc' } }, { tStartMs: 'asc' }],
+      take: MAX_ACTION_ITEMS,
+    }),
+    prisma.decision.findMany({
+      where: { meetingId: { in: meetingIds } },
+      include: meetingFields,
+      orderBy: [{ meeting: { startTime: 'desc' } }, { seqNo: 'asc' }],
+      take: MAX_DECISIONS,
+    }),
+    prisma.meetingTopic.groupBy({
+      by: ['key'],
+      where: { meetingId: { in: meetingIds } },
+      _count: { meetingId: true },
+      _min: { name: true },
+      orderBy: [{ _count: { meetingId: 'desc' } }, { key: 'asc' }],
+      take: MAX_TOPICS,
+    }),
+  ]);
+
+  return {
+    meetings: related.map((r) => ({
+      id: r.meeting.id,
+      title: r.meeting.title,
+      startTime: r.meeting.startTime,
+      reason: r.sameSeries ? 'series' : 'attendees',
+      sharedAttendees: r.sharedAttendees.length,
+    })),
+    actionItems: actionItems.map(serializeActionItem),
+    decisions: decisions.map(serializeDecision),
+    topics: topics.map((t) => ({ topic: t._min.name, key: t.key, meetingCount: t._count.meetingId })),
+  };
+}
+
+module.exports = {
+  getMeetingContext,
+};
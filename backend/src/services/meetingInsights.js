@@ -0,0 +1,318 @@
+/**
+ * Meeting Insights Service
+ * Runs the consolidated insights extraction (summary, decisions, action items,
+ * topics) for a meeting and stores everything from that single LLM call.
+ * Meeting.summary keeps decisions as plain strings; the Decision rows add who
+ * made each one and where in the transcript it happened.
+ *
+ * Each newly stored summary (with the user's edits applied) is recorded as a
+ * SummaryVersion; see summaryVersions.
+ *
+ * Transcripts longer than the model's budget (aiProviders.transcriptTokenBudget)
+ * are summarized map-reduce style: each part on its own, then the part
+ * summaries combined. Progress is kept per meeting and pushed as `summary.progress`.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+const { extractMeetingInsights, combineMeetingInsights } = require('./openrouter');
+const { estimateTokens, transcriptTokenBudget } = require('./aiProviders');
+const { getAiContext } = require('./verticals');
+const { broadcastSummaryProgress } = require('./websocket');
+const { meetingTopicOperations } = require('./topics');
+const { applyEdits, versionOperation } = require('./summaryVersions');
+const { resolveTemplate } = require('./summaryTemplates');
+
+// In-flight generations per meeting, so concurrent requests share one LLM call
+const pendingGenerations = new Map();
+
+// Progress of multi-part generations per meeting: { stage, completed, total, startedAt }
+const generationProgress = new Map();
+
+/**
+ * Load a meeting's whole transcript with numbered lines the model can cite.
+ * @returns {Promise<{ transcript: string, lines: string[], segments: array }|null>} null if no segments
+ */
+async function getNumberedTranscript(meetingId) {
+  const segments = await prisma.transcriptSegment.findMany({
+    where: { meetingId },
+    orderBy: { seqNo: 'asc' },
+    include: { speaker: true },
+  });
+
+  if (segments.length === 0) {
+    return null;
+  }
+
+  const lines = segments.map((seg, i) => {
+    const speaker = seg.speaker?.displayName || seg.speaker?.label || 'Speaker';
+    return `#${i + 1} [${speaker}]: ${seg.text}`;
+  });
+
+  return { transcript: lines.join('\n'), lines, segments };
+}
+
+/**
+ * Split items into consecutive groups of at most `budget` tokens
+ * @param {array} items
+ * @param {function} tokensOf - Token estimate for one item
+ * @param {number} minPerGroup - Groups take at least this many items, even over budget
+ * @returns {array[]}
+ */
+function packByTokens(items, tokensOf, budget, minPerGroup = 1) {
+  const groups = [];
+  let group = [];
+  let tokens = 0;
+
+  items.forEach((item) => {
+    const itemTokens = tokensOf(item);
+    if (group.length >= minPerGroup && tokens + itemTokens > budget) {
+      groups.push(group);
+      group = [];
+      tokens = 0;
+    }
+    group.push(item);
+    tokens += itemTokens;
+  });
+  if (group.length > 0) groups.push(group);
+
+  return groups;
+}
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Drop repeats of the same decision or action item raised in several parts
+ * @param {array} [existing] - Texts already stored, also treated as repeats
+ */
+function uniqueBy(items, textOf, existing = []) {
+  const seen = new Set(existing.map(normalizeText));
+  return items.filter((item) => {
+    const key = normalizeText(textOf(item));
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function setProgress(meeting, stage, completed, total) {
+  const progress = {
+    stage,
+    completed,
+    total,
+    startedAt: generationProgress.get(meeting.id)?.startedAt || new Date().toISOString(),
+  };
+  generationProgress.set(meeting.id, progress);
+  broadcastSummaryProgress(meeting.zoomMeetingId, progress);
+}
+
+/**
+ * Progress of a meeting's summary generation, if it is being summarized in parts
+ * @returns {object|null} { stage: 'map'|'reduce', completed, total, startedAt }
+ */
+function getGenerationProgress(meetingId) {
+  return generationProgress.get(meetingId) || null;
+}
+
+/**
+ * Extract insights from the whole transcript: in one call if it fits the
+ * model's budget, otherwise part by part (map) and then combined (reduce)
+ * @returns {Promise<object>} As extractMeetingInsights()
+ */
+async function extractInsights(meeting, numbered, ai, promptOptions) {
+  const budget = transcriptTokenBudget(ai);
+  const parts = packByTokens(numbered.lines, (line) => estimateTokens(line) + 1, budget);
+
+  if (parts.length === 1) {
+    return extractMeetingInsights(numbered.transcript, meeting.title, ai, promptOptions);
+  }
+
+  console.log(`🧩 Summarizing ${meeting.title} in ${parts.length} parts (~${budget} tokens each)`);
+  try {
+    // Line numbers stay global, so decisions and action items point at the right segment
+    const partials = [];
+    for (let i = 0; i < parts.length; i++) {
+      setProgress(meeting, 'map', i, parts.length);
+      partials.push(await extractMeetingInsights(
+        parts[i].join('\n'),
+        `${meeting.title} (part ${i + 1} of ${parts.length})`,
+        ai,
+        promptOptions
+      ));
+    }
+
+    // Combine part summaries in groups that fit the budget, until one is left
+    let level = partials.map(({ actionItems, decisions, ...partial }) => ({
+      ...partial,
+      decisions: decisions.map((decision) => decision.text),
+    }));
+    while (level.length > 1) {
+      const groups = packByTokens(level, (partial) => estimateTokens(JSON.stringify(partial)), budget, 2);
+      setProgress(meeting, 'reduce', 0, groups.length);
+      const next = [];
+      for (let i = 0; i < groups.length; i++) {
+        next.push(groups[i].length === 1
+          ? groups[i][0]
+          : await combineMeetingInsights(groups[i], meeting.title, ai, promptOptions));
+        setProgress(meeting, 'reduce', i + 1, groups.length);
+      }
+      level = next;
+    }
+
+    return {
+      ...level[0],
+      decisions: uniqueBy(partials.flatMap((p) => p.decisions), (d) => d.text),
+      actionItems: uniqueBy(partials.flatMap((p) => p.actionItems), (item) => item.task),
+    };
+  } finally {
+    generationProgress.delete(meeting.id);
+  }
+}
+
+/**
+ * Extract insights for a meeting and persist them.
+ * Writes Meeting.summary (unless one is already cached) and its MeetingTopic
+ * rows, and on first run the meeting's ActionItem and Decision rows.
+ * With refreshExtracted, the AI's earlier ActionItem and Decision rows are
+ * replaced instead (e.g. rows extracted from a partial transcript while the
+ * meeting was live); action items the user edited and decisions they added
+ * are kept, and new rows repeating them are skipped.
+ * @param {object} options - { templateId, instructions, keepEdits = true, refreshExtracted }
+ *   (templateId defaults to the owner's default summary template, then the
+ *   vertical's built-in one)
+ */
+async function runGeneration(meeting, options = {}) {
+  const numbered = await getNumberedTranscript(meeting.id);
+  if (!numbered) {
+    return null;
+  }
+
+  console.log(`🤖 Extracting meeting insights for: ${meeting.title}`);
+  const ai = await getAiContext(meeting.ownerId, meeting);
+  const template = await resolveTemplate(meeting.ownerId, options.templateId, ai.vertical);
+  const { actionItems, decisions, ...insights } = await extractInsights(
+    meeting,
+    numbered,
+    ai,
+    { template, instructions: options.instructions }
+  );
+
+  const edits = options.keepEdits === false ? null : meeting.summaryEdits;
+  const summary = applyEdits({
+    ...insights,
+    decisions: decisions.map((decision) => decision.text),
+    vertical: ai.vertical,
+    template: template ? { id: template.id, name: template.name } : null,
+  }, edits);
+  const storedSummary = meeting.summary || summary;
+  const operations = [];
+
+  if (!meeting.summary) {
+    operations.push(versionOperation(meeting.id, summary, edits, 'ai', options.instructions));
+  }
+
+  if (!meeting.actionItemsExtractedAt || options.refreshExtracted) {
+    const [keptDecisions, keptActionItems] = await Promise.all([
+      prisma.decision.findMany({ where: { meetingId: meeting.id, source: { not: 'ai' } }, select: { text: true } }),
+      prisma.actionItem.findMany({ where: { meetingId: meeting.id, editedAt: { not: null } }, select: { task: true } }),
+    ]);
+    operations.push(
+      prisma.decision.deleteMany({ where: { meetingId: meeting.id, source: 'ai' } }),
+      prisma.actionItem.deleteMany({ where: { meetingId: meeting.id, editedAt: null } })
+    );
+
+    const newDecisions = uniqueBy(decisions, (d) => d.text, keptDecisions.map((d) => d.text));
+    const decisionRows = newDecisions.map((decision) => {
+      const source = decision.line ? numbered.segments[decision.line - 1] : null;
+      const speaker = source?.speaker?.displayName || source?.speaker?.label;
+      return {
+        meetingId: meeting.id,
+        text: decision.text,
+        participants: decision.participants.length > 0 ? decision.participants : (speaker ? [speaker] : []),
+        seqNo: source ? source.seqNo : null,
+        tStartMs: source ? source.tStartMs : null,
+      };
+    });
+    operations.push(prisma.decision.createMany({ data: decisionRows }));
+    console.log(`💾 Saving ${decisionRows.length} decisions for meeting ${meeting.id}`);
+
+    const newActionItems = uniqueBy(actionItems, (item) => item.task, keptActionItems.map((item) => item.task));
+    const rows = newActionItems.map((item) => {
+      const source = item.line ? numbered.segments[item.line - 1] : null;
+      return {
+        meetingId: meeting.id,
+        task: item.task,
+        assignee: item.owner,
+        priority: item.priority,
+        dueDate: item.due,
+        tStartMs: source ? source.tStartMs : null,
+      };
+    });
+    operations.push(prisma.actionItem.createMany({ data: rows }));
+    console.log(`💾 Saving ${rows.length} action items for meeting ${meeting.id}`);
+  }
+
+  operations.push(...meetingTopicOperations(meeting.id, storedSummary.topics));
+
+  operations.push(prisma.meeting.update({
+    where: { id: meeting.id },
+    data: {
+      summary: storedSummary,
+      ...(options.keepEdits === false && { summaryEdits: Prisma.DbNull }),
+      actionItemsExtractedAt: meeting.actionItemsExtractedAt || new Date(),
+    },
+  }));
+
+  await prisma.$transaction(operations);
+
+  return { summary: storedSummary };
+}
+
+/**
+ * Generate and store insights for a meeting (deduplicated per meeting)
+ * @param {object} meeting - Meeting record
+ * @param {object} [options] - { templateId, instructions, keepEdits }, see runGeneration
+ * @returns {Promise<{ summary: object }|null>} null if the meeting has no transcript
+ */
+function generateMeetingInsights(meeting, options = {}) {
+  if (!pendingGenerations.has(meeting.id)) {
+    const promise = runGeneration(meeting, options).finally(() => {
+      pendingGenerations.delete(meeting.id);
+    });
+    pendingGenerations.set(meeting.id, promise);
+  }
+  return pendingGenerations.get(meeting.id);
+}
+
+/**
+ * Replace a meeting's cached summary with a freshly generated one
+ * @param {string} meetingId - Database meeting ID
+ * @param {object} [options] - { templateId, instructions, keepEdits = true, refreshExtracted }
+ *   (templateId defaults to the template the current summary was written with;
+ *   see runGeneration for refreshExtracted)
+ * @returns {Promise<{ summary: object }|null>} null if the meeting has no transcript
+ */
+async function regenerateSummary(meetingId, options = {}) {
+  // Start from the result of any generation already running
+  await pendingGenerations.get(meetingId)?.catch(() => null);
+
+  const meeting = await prisma.meeting.findUnique({ where: { id: meetingId } });
+  if (!meeting) return null;
+
+  console.log(`🔄 Regenerating summary for: ${meeting.title}`);
+  return generateMeetingInsights({ ...meeting, summary: null }, {
+    ...options,
+    templateId: options.templateId || meeting.summary?.template?.id,
+  });
+}
+
+module.exports = {
+  packByTokens,
+  uniqueBy,
+  getNumberedTranscript,
+  getGenerationProgress,
+  generateMeetingInsights,
+  regenerateSummary,
+};
@@ -0,0 +1,62 @@
+/**
+ * Meeting Lookup Service
+ * Resolves the Zoom meeting UUID the frontend has to a Meeting row.
+ *
+ * The Zoom SDK reports a different UUID than the RTMS webhook the meeting was
+ * stored under, so when the exact match fails the user's live meeting is used
+ * instead. Only meetings started in the last few hours count as live: an
+ * interrupted meeting the RTMS service gave up on stays interrupted, and must
+ * not be picked up by a meeting held days later.
+ */
+
+const prisma = require('../lib/prisma');
+
+const FALLBACK_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+/**
+ * Where clause for a user's live meeting (the UUID fallback)
+ * @param {string} userId
+ * @param {Date} [now]
+ */
+function liveMeetingWhere(userId, now = new Date()) {
+  return {
+    ownerId: userId,
+    status: { in: ['ongoing', 'interrupted'] },
+    startTime: { gte: new Date(now.getTime() - FALLBACK_WINDOW_MS) },
+  };
+}
+
+/**
+ * Find a meeting by Zoom meeting UUID, falling back to the user's most recent
+ * live meeting when the SDK UUID doesn't match the RTMS one
+ * @param {string} zoomMeetingId - SDK or RTMS meeting UUID
+ * @param {string} [userId] - Owner for the fallback (no fallback without one)
+ * @param {object} [findOptions] - Extra Prisma options (select / include)
+ * @returns {Promise<object|null>}
+ */
+async function findMeetingByZoomId(zoomMeetingId, userId, findOptions = {}) {
+  let meeting = await prisma.meeting.findUnique({
+    where: { zoomMeetingId },
+    ...findOptions,
+  });
+  if (meeting) return meeting;
+
+  // Fallback: SDK UUID may differ from RTMS UUID
+  if (userId) {
+    meeting = await prisma.meeting.findFirst({
+      where: liveMeetingWhere(userId),
+      orderBy: { startTime: 'desc' },
+      ...findOptions,
+    });
+    if (meeting) {
+      console.log(`📡 UUID fallback: SDK "${zoomMeetingId}" → RTMS "${meeting.zoomMeetingId}"`);
+    }
+  }
+  return meeting;
+}
+
+module.exports = {
+  FALLBACK_WINDOW_MS,
+  liveMeetingWhere,
+  findMeetingByZoomId,
+};
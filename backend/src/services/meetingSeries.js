@@ -0,0 +1,197 @@
+/**
+ * Meeting Series Service
+ * Groups a user's recurring meetings and follow-ups into a MeetingSeries by
+ * scoring each completed meeting against the user's recent meetings:
+ *   - same Zoom meeting number (recurring meetings reuse it)
+ *   - title similarity (dates, numbers and generic words like "meeting" ignored)
+ *   - speaker overlap
+ *
+ * Detection runs once per meeting (Meeting.seriesCheckedAt) — when RTMS stops,
+ * or lazily the first time related meetings are requested — so a meeting the
+ * user removed from a series isn't pulled back in.
+ */
+
+const prisma = require('../lib/prisma');
+
+// How far back to look for an earlier meeting in the same series
+const LOOKBACK_DAYS = 90;
+const MAX_CANDIDATES = 50;
+
+// Score weights and the minimum score to join a series
+const WEIGHTS = { meetingNumber: 0.4, title: 0.35, speakers: 0.25 };
+const MATCH_THRESHOLD = 0.5;
+
+// Words that say nothing about what a meeting is (default titles, filler)
+const GENERIC_TITLE_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'for', 'with', 'meeting', 'zoom', 'untitled',
+  'follow', 'up', 'followup', 'continued', 'part', 'pt', 'round',
+  'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+  'mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun',
+]);
+
+// In-flight detections per meeting
+const pendingDetections = new Map();
+
+/**
+ * Significant title words: lowercase, without dates, numbers or generic words
+ * @returns {Set<string>}
+ */
+function titleTerms(title) {
+  return new Set(
+    (String(title || '').toLowerCase().match(/[a-z][a-z0-9']*/g) || [])
+      .map((word) => word.replace(/'s$/, ''))
+      .filter((word) => word.length > 1 && !GENERIC_TITLE_WORDS.has(word))
+  );
+}
+
+/**
+ * Jaccard similarity of two sets (0 when either is empty)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach((value) => {
+    if (b.has(value)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Lowercased names of the people who spoke in a meeting
+ */
+function speakerNames(meeting) {
+  return new Set(
+    (meeting.speakers || [])
+      .filter((s) => s.role !== 'system')
+      .map((s) => (s.displayName || s.label || '').trim().toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * How likely two meetings belong to the same series (0–1)
+ * @returns {{ score: number, sameMeetingNumber: boolean, titleSimilarity: number, speakerOverlap: number }}
+ */
+function scoreMeetingPair(a, b) {
+  const sameMeetingNumber = !!a.zoomMeetingNumber && a.zoomMeetingNumber === b.zoomMeetingNumber;
+  const titleSimilarity = jaccard(titleTerms(a.title), titleTerms(b.title));
+  const speakerOverlap = jaccard(speakerNames(a), speakerNames(b));
+
+  return {
+    score: (sameMeetingNumber ? WEIGHTS.meetingNumber : 0)
+      + titleSimilarity * WEIGHTS.title
+      + speakerOverlap * WEIGHTS.speakers,
+    sameMeetingNumber,
+    titleSimilarity,
+    speakerOverlap,
+  };
+}
+
+const SERIES_FIELDS = {
+  id: true,
+  title: true,
+  zoomMeetingNumber: true,
+  meetingSeriesId: true,
+  startTime: true,
+  speakers: { select: { displayName: true, label: true, role: true } },
+};
+
+/**
+ * Match a meeting against the owner's recent meetings and join (or start) a series
+ */
+async function runDetection(meetingId) {
+  const meeting = await prisma.meeting.findUnique({
+    where: { id: meetingId },
+    select: { ...SERIES_FIELDS, ownerId: true },
+  });
+  if (!meeting) return null;
+
+  const candidates = await prisma.meeting.findMany({
+    where: {
+      ownerId: meeting.ownerId,
+      id: { not: meeting.id },
+      startTime: { gte: new Date(meeting.startTime.getTime() - LOOKBACK_DAYS * 86400000) },
+    },
+    select: SERIES_FIELDS,
+    orderBy: { startTime: 'desc' },
+    take: MAX_CANDIDATES,
+  });
+
+  let best = null;
+  for (const candidate of candidates) {
+    const match = scoreMeetingPair(meeting, candidate);
+    if (match.score >= MATCH_THRESHOLD && (!best || match.score > best.score)) {
+      best = { candidate, ...match };
+    }
+  }
+
+  let seriesId = meeting.meetingSeriesId;
+  if (best && !seriesId) {
+    seriesId = best.candidate.meetingSeriesId;
+    if (!seriesId) {
+      // Start a new series named after the earlier meeting
+      const [first] = [meeting, best.candidate].sort((a, b) => a.startTime - b.startTime);
+      const series = await prisma.meetingSeries.create({
+        data: {
+          ownerId: meeting.ownerId,
+          title: first.title,
+          zoomMeetingNumber: best.sameMeetingNumber ? meeting.zoomMeetingNumber : null,
+        },
+      });
+      seriesId = series.id;
+      await prisma.meeting.update({
+        where: { id: best.candidate.id },
+        data: { meetingSeriesId: seriesId },
+      });
+    }
+    console.log(`🔗 Meeting ${meeting.id} joined series ${seriesId} (score ${best.score.toFixed(2)})`);
+  }
+
+  await prisma.meeting.update({
+    where: { id: meeting.id },
+    data: { meetingSeriesId: seriesId, seriesCheckedAt: new Date() },
+  });
+  return seriesId;
+}
+
+/**
+ * Detect a meeting's series (once; deduplicated per meeting)
+ * @param {string} meetingId - Database meeting ID
+ * @returns {Promise<string|null>} Series ID, or null if the meeting stands alone
+ */
+function assignMeetingSeries(meetingId) {
+  if (!pendingDetections.has(meetingId)) {
+    const promise = runDetection(meetingId).finally(() => {
+      pendingDetections.delete(meetingId);
+    });
+    pendingDetections.set(meetingId, promise);
+  }
+  return pendingDetections.get(meetingId);
+}
+
+/**
+ * Remove a meeting from its series; deletes the series if one meeting is left
+ * @returns {Promise<void>}
+ */
+async function removeFromSeries(meeting) {
+  if (!meeting.meetingSeriesId) return;
+
+  await prisma.meeting.update({
+    where: { id: meeting.id },
+    data: { meetingSeriesId: null, seriesCheckedAt: new Date() },
+  });
+
+  const remaining = await prisma.meeting.count({ where: { meetingSeriesId: meeting.meetingSeriesId } });
+  if (remaining < 2) {
+    // onDelete: SetNull detaches the last meeting
+    await prisma.meetingSeries.delete({ where: { id: meeting.meetingSeriesId } });
+  }
+}
+
+module.exports = {
+  titleTerms,
+  speakerNames,
+  scoreMeetingPair,
+  assignMeetingSeries,
+  removeFromSeries,
+};
@@ -1,199 +1,335 @@
 /**
- * OpenRouter AI Service
- * Handles all AI-related API calls using OpenRouter's free models
+ * AI Service
+ * Prompt helpers for summaries, chat, suggestions and titles. Requests go to the
+ * user's configured provider (see aiProviders.js), defaulting to OpenRouter's free models.
  */
 
+const Joi = require('joi');
 const config = require('../config');
-
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
+const { getDefaultSettings, complete, stream } = require('./aiProviders');
+const { templateInstructions } = require('./summaryTemplates');
+const { withVerticalPrompt, verticalDetails } = require('./verticals');
 
 /**
- * Call OpenRouter API
+ * Call the configured AI provider
  * @param {string} prompt - The user prompt
  * @param {string} systemPrompt - System instructions
- * @param {object} options - Additional options (model, maxTokens, etc.)
+ * @param {object} options - Additional options (ai settings, history, model, maxTokens, etc.)
+ *   ai.vertical (see verticals.getAiContext) prefixes the system prompt with the vertical's persona
  * @returns {Promise<string>} The AI response text
  */
-async function callOpenRouter(prompt, systemPrompt = '', options = {}) {
-  const model = options.model || config.defaultModel;
-  const maxTokens = options.maxTokens || 2048;
-
-  const headers = {
-    'Content-Type': 'application/json',
-    'HTTP-Referer': config.publicUrl,
-    'X-Title': 'Arlo Meeting Assistant',
-  };
-
-  // Add API key if available (enables higher rate limits)
-  if (config.openrouterApiKey) {
-    headers['Authorization'] = `Bearer ${config.openrouterApiKey}`;
-  }
+async function callAI(prompt, systemPrompt = '', options = {}) {
+  const ai = options.ai || getDefaultSettings();
+  const model = options.model || ai.model;
+  const system = withVerticalPrompt(systemPrompt, ai.vertical);
 
   const messages = [];
-  if (systemPrompt) {
-    messages.push({ role: 'system', content: systemPrompt });
+  if (system) {
+    messages.push({ role: 'system', content: system });
   }
+  messages.push(...(options.history || []));
   messages.push({ role: 'user', content: prompt });
 
   try {
-    const response = await fetch(OPENROUTER_API_URL, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({
-        model,
-        messages,
-        max_tokens: maxTokens,
-        temperature: 0.7,
-      }),
-    });
+    return await complete(ai, messages, { model, maxTokens: options.maxTokens || 2048 });
+  } catch (error) {
+    if (error.detail) {
+      console.error('❌ AI provider error:', error.status, error.detail);
+    }
+
+    // Try fallback model if the server default (OpenRouter) fails
+    if (ai.isDefault && error.status && model !== config.fallbackModel) {
+      console.log('🔄 Trying fallback model:', config.fallbackModel);
+      return callAI(prompt, systemPrompt, {
+        ...options,
+        model: config.fallbackModel,
+      });
+    }
+
+    console.error('❌ AI call failed:', error.message);
+    throw error;
+  }
+}
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ OpenRouter API error:', response.status, errorText);
+// A list of strings where items that aren't non-empty strings are dropped, not
+// the whole list
+const textList = (item = Joi.string().trim().min(1)) => Joi.array().items(item, Joi.any().strip()).default([]);
+
+// Schema for the consolidated insights extraction. Each field (and each list
+// item) is validated on its own so one malformed field or item doesn't throw
+// away the rest.
+const INSIGHTS_FIELDS = {
+  overview: Joi.string().allow('').default(''),
+  keyPoints: textList(),
+  decisions: Joi.array().default([]),
+  nextSteps: textList(),
+  topics: textList(Joi.string().trim().min(1).max(60).truncate()),
+  actionItems: Joi.array().default([]),
+  // Only requested by summary templates with sections
+  sections: Joi.array().items(Joi.object({
+    title: Joi.string().trim().min(1).required(),
+    items: textList(),
+  }).unknown(true), Joi.any().strip()).default([]),
+};
 
-      // Try fallback model if primary fails
-      if (model !== config.fallbackModel) {
-        console.log('🔄 Trying fallback model:', config.fallbackModel);
-        return callOpenRouter(prompt, systemPrompt, {
-          ...options,
-          model: config.fallbackModel,
-        });
-      }
+const ACTION_ITEM_SCHEMA = Joi.object({
+  task: Joi.string().trim().min(1).required(),
+  owner: Joi.string().allow(null, '').empty(['', 'null']).default(null),
+  priority: Joi.string().lowercase().valid('high', 'medium', 'low').default('medium').failover('medium'),
+  due: Joi.date().allow(null).empty(['', 'null']).default(null).failover(null),
+  line: Joi.number().integer().min(1).allow(null).failover(null),
+}).options({ stripUnknown: true });
+
+// Decisions may come back as plain strings (older prompt format) or with sources
+const DECISION_SCHEMA = Joi.alternatives().try(
+  Joi.string().trim().min(1).custom((text) => ({ text, participants: [], line: null })),
+  Joi.object({
+    text: Joi.string().trim().min(1).required(),
+    participants: Joi.array().items(Joi.string().trim().min(1)).default([]).failover([]),
+    line: Joi.number().integer().min(1).allow(null).default(null).failover(null),
+  }).rename('decision', 'text').options({ stripUnknown: true }),
+);
 
-      throw new Error(`OpenRouter API error: ${response.status}`);
+/**
+ * Validate parsed insights JSON against INSIGHTS_FIELDS
+ * @param {object} parsed - Parsed model output
+ * @param {object|null} [details] - The vertical's details schema (see verticals.verticalDetails)
+ * @returns {object} Insights with every field present and well-typed
+ */
+function validateInsights(parsed, details = null) {
+  const insights = {};
+  const fields = details
+    ? { ...INSIGHTS_FIELDS, details: details.schema.options({ stripUnknown: true }) }
+    : INSIGHTS_FIELDS;
+
+  for (const [key, schema] of Object.entries(fields)) {
+    const { value, error } = schema.validate(parsed?.[key]);
+    if (error) {
+      console.warn(`⚠️ Insights field "${key}" failed validation: ${error.message}`);
+      insights[key] = schema.validate(undefined).value;
+    } else {
+      insights[key] = value;
     }
+  }
 
-    const data = await response.json();
-    return data.choices?.[0]?.message?.content || '';
-  } catch (error) {
-    console.error('❌ OpenRouter call failed:', error.message);
-    throw error;
+  insights.actionItems = insights.actionItems
+    .map((item) => ACTION_ITEM_SCHEMA.validate(item))
+    .filter(({ error }) => !error)
+    .map(({ value }) => value);
+  insights.decisions = insights.decisions
+    .map((decision) => DECISION_SCHEMA.validate(decision))
+    .filter(({ error }) => !error)
+    .map(({ value }) => value);
+  insights.topics = insights.topics.slice(0, 5);
+
+  return insights;
+}
+
+/**
+ * Vertical details, template and user instructions appended to a summary prompt
+ * @returns {{ details: object|null, instructions: string }}
+ */
+function summaryInstructions(ai, options = {}) {
+  const details = verticalDetails(ai?.vertical);
+  const template = templateInstructions(options.template);
+  const instructions = [
+    details && `\n\nAlso include "details": ${details.format}`,
+    template && `\n\n${template}`,
+    options.instructions && `\n\nAdditional instructions for the summary (keep the JSON structure):\n${options.instructions}`,
+  ].filter(Boolean).join('');
+
+  return { details, instructions };
+}
+
+/**
+ * Parse a JSON insights reply and validate it
+ */
+function parseInsights(response, details) {
+  // Strip markdown code fences if present (e.g., ```json ... ```)
+  const cleaned = response.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch {
+    // If JSON parsing fails, keep the text as the overview
+    console.warn('⚠️ Could not parse meeting insights JSON');
+    parsed = { overview: cleaned };
   }
+
+  return validateInsights(parsed, details);
 }
 
 /**
- * Generate meeting summary
- * @param {string} transcript - Full transcript text
+ * Extract all meeting insights in a single call
+ * @param {string} transcript - Transcript text, one "#<line> [Speaker]: text" entry per line
  * @param {string} meetingTitle - Meeting title for context
- * @returns {Promise<object>} Summary object with sections
+ * @param {object} [ai] - Settings from verticals.getAiContext() (defaults to OpenRouter); verticals
+ *   with their own details (e.g. BANT for sales) add a `details` object to the output
+ * @param {object} [options] - { template, instructions } — a summary template (see summaryTemplates)
+ *   and extra guidance from the user when regenerating
+ * @returns {Promise<object>} { overview, keyPoints, decisions, nextSteps, topics, actionItems, sections, details? }
+ *   where decisions are { text, participants[], line }
  */
-async function generateSummary(transcript, meetingTitle = 'Meeting') {
-  const systemPrompt = `You are an expert meeting assistant. Your job is to create clear, concise meeting summaries.
-Focus on the key points, decisions made, and important discussions.
+async function extractMeetingInsights(transcript, meetingTitle = 'Meeting', ai = null, options = {}) {
+  const systemPrompt = `You are an expert meeting assistant. Your job is to create clear, concise meeting summaries
+and identify the decisions, action items and topics discussed.
+Each transcript line starts with a line number like "#12" — use it to report where a decision was made or an action item was raised.
 Format your response as JSON with the following structure:
 {
   "overview": "2-3 sentence high-level summary",
   "keyPoints": ["point 1", "point 2", ...],
-  "decisions": ["decision 1", "decision 2", ...],
-  "nextSteps": ["next step 1", "next step 2", ...]
+  "decisions": [
+    {"decision": "what was decided", "participants": ["names of who made or agreed to it"], "line": 12}
+  ],
+  "nextSteps": ["next step 1", "next step 2", ...],
+  "actionItems": [
+    {"task": "description of task", "owner": "person name or null", "priority": "high|medium|low", "due": "YYYY-MM-DD or null", "line": 12}
+  ],
+  "topics": ["3-5 short topic names, 1-3 words each, in Title Case"]
 }
 Only output valid JSON, no markdown or explanation.`;
 
-  const prompt = `Please summarize this meeting transcript from "${meetingTitle}":
+  const { details, instructions } = summaryInstructions(ai, options);
 
-${transcript}`;
+  const prompt = `Please analyze this meeting transcript from "${meetingTitle}":
 
-  try {
-    const response = await callOpenRouter(prompt, systemPrompt, { maxTokens: 1024 });
-
-    // Strip markdown code fences if present (e.g., ```json ... ```)
-    const cleaned = response.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+${transcript}${instructions}`;
 
-    // Try to parse as JSON
-    try {
-      const parsed = JSON.parse(cleaned);
-      return parsed;
-    } catch {
-      // If JSON parsing fails, return structured response
-      return {
-        overview: cleaned,
-        keyPoints: [],
-        decisions: [],
-        nextSteps: [],
-      };
-    }
+  try {
+    const response = await callAI(prompt, systemPrompt, { ai, maxTokens: 2048 });
+    return parseInsights(response, details);
   } catch (error) {
-    console.error('❌ Summary generation failed:', error.message);
+    console.error('❌ Meeting insights extraction failed:', error.message);
     throw error;
   }
 }
 
 /**
- * Extract action items from transcript
- * @param {string} transcript - Full transcript text
- * @returns {Promise<array>} Array of action items
+ * Combine summaries of consecutive parts of a long meeting into one (the
+ * "reduce" step of map-reduce summarization, see meetingInsights)
+ * @param {object[]} partials - Insights of each part, in order
+ *   ({ overview, keyPoints, decisions: string[], nextSteps, topics, sections, details? })
+ * @param {string} meetingTitle - Meeting title for context
+ * @param {object} [ai] - Settings from verticals.getAiContext() (defaults to OpenRouter)
+ * @param {object} [options] - { template, instructions }, as for extractMeetingInsights
+ * @returns {Promise<object>} { overview, keyPoints, nextSteps, topics, sections, details? }
+ *   (decisions and action items come from the parts, not from this call)
  */
-async function extractActionItems(transcript) {
-  const systemPrompt = `You are an expert at identifying action items from meeting transcripts.
-Extract specific, actionable tasks that were mentioned or assigned during the meeting.
-For each action item, identify who it was assigned to if mentioned.
+async function combineMeetingInsights(partials, meetingTitle = 'Meeting', ai = null, options = {}) {
+  const systemPrompt = `You are an expert meeting assistant. A long meeting was summarized in consecutive parts.
+Combine the part summaries into one summary of the whole meeting: merge overlapping points,
+keep the most important ones, and drop points that a later part reversed.
+Format your response as JSON with the following structure:
+{
+  "overview": "2-3 sentence high-level summary of the whole meeting",
+  "keyPoints": ["point 1", "point 2", ...],
+  "nextSteps": ["next step 1", "next step 2", ...],
+  "topics": ["3-5 short topic names, 1-3 words each, in Title Case"]
+}
+Only output valid JSON, no markdown or explanation.`;
 
-Format your response as a JSON array:
-[
-  {"task": "description of task", "owner": "person name or null", "priority": "high|medium|low"},
-  ...
-]
-Only output valid JSON array, no markdown or explanation.`;
+  const { details, instructions } = summaryInstructions(ai, options);
+  const parts = partials
+    .map((partial, i) => `Part ${i + 1} of ${partials.length}:\n${JSON.stringify(partial)}`)
+    .join('\n\n');
 
-  const prompt = `Extract all action items from this meeting transcript:
+  const prompt = `Combine these summaries of the parts of "${meetingTitle}":
 
-${transcript}`;
+${parts}${instructions}`;
 
   try {
-    const response = await callOpenRouter(prompt, systemPrompt, { maxTokens: 1024 });
-
-    // Strip markdown code fences if present (e.g., ```json ... ```)
-    const cleaned = response.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
-
-    // Try to parse as JSON
-    try {
-      const parsed = JSON.parse(cleaned);
-      return Array.isArray(parsed) ? parsed : [];
-    } catch {
-      // If JSON parsing fails, return empty array
-      console.warn('⚠️ Could not parse action items JSON');
-      return [];
-    }
+    const response = await callAI(prompt, systemPrompt, { ai, maxTokens: 2048 });
+    const { decisions, actionItems, ...combined } = parseInsights(response, details);
+    return combined;
   } catch (error) {
-    console.error('❌ Action items extraction failed:', error.message);
+    console.error('❌ Combining meeting insights failed:', error.message);
     throw error;
   }
 }
 
-/**
- * Chat with transcript (RAG-style Q&A)
- * @param {string} question - User's question
- * @param {string} transcript - Relevant transcript context
- * @param {string} meetingTitle - Meeting title for context
- * @returns {Promise<string>} AI response
- */
-async function chatWithTranscript(question, transcript, meetingTitle = 'Meeting') {
-  const systemPrompt = `You are a helpful meeting assistant. Answer questions about the meeting based on the transcript provided.
-Be specific and cite relevant parts of the conversation when possible.
+const CHAT_SYSTEM_PROMPT = `You are a helpful meeting assistant. Answer questions about the meeting based on the transcript provided.
+Each transcript line starts with a line number like "#12". Cite the lines that support your answer
+by putting their numbers in square brackets right after the claim, e.g. "The launch moved to May [#12][#15]."
+Only cite lines that exist in the transcript.
 If the answer is not in the transcript, say so clearly.
 Keep answers concise but informative.`;
 
-  const prompt = `Meeting: "${meetingTitle}"
+/**
+ * Build the chat messages for a transcript Q&A.
+ * The transcript goes in the system message so follow-up turns can refer back to it.
+ */
+function buildChatMessages(question, transcript, meetingTitle, history = []) {
+  return [
+    {
+      role: 'system',
+      content: `${CHAT_SYSTEM_PROMPT}
+
+Meeting: "${meetingTitle}"
 
 Transcript:
-${transcript}
+${transcript}`,
+    },
+    ...history,
+    { role: 'user', content: question },
+  ];
+}
 
-Question: ${question}`;
+/**
+ * Chat with transcript (RAG-style Q&A)
+ * @param {string} question - User's question
+ * @param {string} transcript - Numbered transcript ("#<line> [Speaker]: text")
+ * @param {string} meetingTitle - Meeting title for context
+ * @param {object} [ai] - Provider settings from getUserAiSettings() (defaults to OpenRouter)
+ * @param {array} [history] - Prior turns [{ role: 'user'|'assistant', content }]
+ * @returns {Promise<string>} AI response, citing lines as [#12]
+ */
+async function chatWithTranscript(question, transcript, meetingTitle = 'Meeting', ai = null, history = []) {
+  const [system] = buildChatMessages(question, transcript, meetingTitle);
 
   try {
-    return await callOpenRouter(prompt, systemPrompt, { maxTokens: 512 });
+    return await callAI(question, system.content, { ai, history, maxTokens: 768 });
   } catch (error) {
     console.error('❌ Chat failed:', error.message);
     throw error;
   }
 }
 
+/**
+ * Chat with transcript, streaming the answer token by token
+ * @param {string} question - User's question
+ * @param {string} transcript - Numbered transcript ("#<line> [Speaker]: text")
+ * @param {string} meetingTitle - Meeting title for context
+ * @param {object} [ai] - Provider settings from getUserAiSettings() (defaults to OpenRouter)
+ * @param {object} [options] - { history, onToken(text), signal } — abort the signal to cancel
+ * @returns {Promise<string>} The full AI response, citing lines as [#12]
+ */
+async function streamChatWithTranscript(question, transcript, meetingTitle = 'Meeting', ai = null, options = {}) {
+  const settings = ai || getDefaultSettings();
+  const messages = buildChatMessages(question, transcript, meetingTitle, options.history);
+  messages[0].content = withVerticalPrompt(messages[0].content, settings.vertical);
+
+  try {
+    return await stream(settings, messages, {
+      maxTokens: 768,
+      onToken: options.onToken,
+      signal: options.signal,
+    });
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('❌ Streaming chat failed:', error.message);
+    }
+    throw error;
+  }
+}
+
 /**
  * Generate real-time meeting suggestions
  * @param {string} recentTranscript - Last few minutes of transcript
+ * @param {object} [ai] - Provider settings from getUserAiSettings() (defaults to OpenRouter)
  * @returns {Promise<array>} Array of suggestion objects
  */
-async function generateSuggestions(recentTranscript) {
+async function generateSuggestions(recentTranscript, ai = null) {
   const systemPrompt = `You are a real-time meeting assistant. Based on the recent transcript, generate 1-2 brief, actionable suggestions or observations.
 Examples: "Clarify the timeline for the feature release", "Assign an owner for the database migration task"
 Format as JSON array: [{"type": "suggestion", "text": "brief text"}]
@@ -202,7 +338,7 @@ Only output valid JSON array.`;
   const prompt = `Recent transcript:\n\n${recentTranscript}`;
 
   try {
-    const response = await callOpenRouter(prompt, systemPrompt, { maxTokens: 256 });
+    const response = await callAI(prompt, systemPrompt, { ai, maxTokens: 256 });
     const cleaned = response.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
     try {
       const parsed = JSON.parse(cleaned);
@@ -220,9 +356,10 @@ Only output valid JSON array.`;
  * Generate a concise meeting title from transcript or summary content
  * @param {string} content - Transcript text or summary overview
  * @param {string} currentTitle - Current meeting title for context
+ * @param {object} [ai] - Provider settings from getUserAiSettings() (defaults to OpenRouter)
  * @returns {Promise<string>} Generated title (under 60 chars)
  */
-async function generateTitle(content, currentTitle = 'Meeting') {
+async function generateTitle(content, currentTitle = 'Meeting', ai = null) {
   const systemPrompt = `You are an expert at creating concise, descriptive meeting titles.
 Given the meeting content, generate a short, meaningful title that captures the main topic or purpose.
 Rules:
@@ -240,7 +377,7 @@ ${content.substring(0, 3000)}
 Generate a better, more descriptive title:`;
 
   try {
-    const response = await callOpenRouter(prompt, systemPrompt, { maxTokens: 64 });
+    const response = await callAI(prompt, systemPrompt, { ai, maxTokens: 64 });
     // Clean up: remove quotes, trim whitespace, truncate if needed
     return response.replace(/^["']|["']$/g, '').trim().substring(0, 60);
   } catch (error) {
@@ -253,9 +390,10 @@ Generate a better, more descriptive title:`;
  * Extract SOAP notes from healthcare transcript
  * @param {string} transcript - Full transcript text
  * @param {object} currentSoap - Current SOAP data (for incremental updates)
+ * @param {object} [ai] - Provider settings from getUserAiSettings() (defaults to OpenRouter)
  * @returns {Promise<object>} SOAP notes object with subjective, objective, assessment, plan
  */
-async function extractSOAPNotes(transcript, currentSoap = {}) {
+async function extractSOAPNotes(transcript, currentSoap = {}, ai = null) {
   const systemPrompt = `You are a clinical documentation assistant helping healthcare providers document patient encounters.
 Extract SOAP notes from the transcript. Be accurate and use clinical terminology.
 
@@ -295,7 +433,7 @@ P: ${currentSoap.plan || '(empty)'}
 ` : ''}`;
 
   try {
-    const response = await callOpenRouter(prompt, systemPrompt, { maxTokens: 1536 });
+    const response = await callAI(prompt, systemPrompt, { ai, maxTokens: 1536 });
 
     // Strip markdown code fences if present
     const cleaned = response.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
@@ -325,12 +463,164 @@ P: ${currentSoap.plan || '(empty)'}
   }
 }
 
+/**
+ * Fold new transcript lines into a live meeting's running summary
+ * @param {object|null} previous - The current rolling summary ({ overview, keyPoints[], decisions[] }), or null
+ * @param {string} transcript - Transcript lines since the previous update
+ * @param {string} meetingTitle - Meeting title for context
+ * @param {object} [ai] - Provider settings from getUserAiSettings() (defaults to OpenRouter)
+ * @returns {Promise<object>} { overview, keyPoints[], decisions[] }
+ */
+async function updateRollingSummary(previous, transcript, meetingTitle = 'Meeting', ai = null) {
+  const systemPrompt = `You maintain the running summary of a meeting that is still in progress.
+You are given the summary so far and the transcript lines spoken since it was written.
+Return the updated summary of the whole meeting so far: keep what still matters, fold in the new lines,
+and drop points that were later reversed.
+Format your response as JSON:
+{
+  "overview": "2-3 sentences",
+  "keyPoints": ["up to 6 short bullets"],
+  "decisions": ["decisions made so far"]
+}
+Only output valid JSON, no markdown or explanation.`;
+
+  const summarySoFar = previous
+    ? `Overview: ${previous.overview || '(none)'}
+Key points:
+${(previous.keyPoints || []).map((p) => `- ${p}`).join('\n') || '(none)'}
+Decisions:
+${(previous.decisions || []).map((d) => `- ${d}`).join('\n') || '(none)'}`
+    : '(nothing yet — the meeting just started)';
+
+  const prompt = `Meeting: ${meetingTitle}
+
+Summary so far:
+${summarySoFar}
+
+New transcript lines:
+${transcript}`;
+
+  const strings = (value) => (Array.isArray(value) ? value.filter((v) => typeof v === 'string') : []);
+
+  try {
+    const response = await callAI(prompt, systemPrompt, { ai, maxTokens: 768 });
+    const cleaned = response.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+
+    try {
+      const parsed = JSON.parse(cleaned);
+      return {
+        overview: typeof parsed.overview === 'string' ? parsed.overview : '',
+        keyPoints: strings(parsed.keyPoints),
+        decisions: strings(parsed.decisions),
+      };
+    } catch {
+      // Keep the previous points rather than losing them to a malformed reply
+      console.warn('⚠️ Could not parse rolling summary JSON');
+      return {
+        overview: cleaned,
+        keyPoints: previous?.keyPoints || [],
+        decisions: previous?.decisions || [],
+      };
+    }
+  } catch (error) {
+    console.error('❌ Rolling summary update failed:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Summarize a stretch of a live meeting for someone who missed it
+ * @param {string} transcript - Transcript lines from the window
+ * @param {string} meetingTitle - Meeting title for context
+ * @param {number} minutes - Length of the window in minutes
+ * @param {object} [ai] - Provider settings from getUserAiSettings() (defaults to OpenRouter)
+ * @returns {Promise<object>} { overview, keyPoints[] }
+ */
+async function generateCatchUp(transcript, meetingTitle = 'Meeting', minutes = 0, ai = null) {
+  const systemPrompt = `You help someone who stepped away from a meeting (or joined late) catch up quickly.
+Summarize only what was said in the transcript excerpt provided.
+Format your response as JSON:
+{
+  "overview": "1-2 sentences on what was discussed",
+  "keyPoints": ["up to 5 short bullets: decisions, questions raised, anything asked of attendees"]
+}
+Only output valid JSON, no markdown or explanation.`;
+
+  const prompt = `Meeting: ${meetingTitle}
+Missed: the last ${Math.max(1, Math.round(minutes))} minutes
+
+Transcript:
+${transcript}`;
+
+  try {
+    const response = await callAI(prompt, systemPrompt, { ai, maxTokens: 512 });
+    const cleaned = response.replace(/^```(?:json)?\s*\n?/i, '').replace(/\n?```\s*$/i, '').trim();
+
+    try {
+      const parsed = JSON.parse(cleaned);
+      return {
+        overview: typeof parsed.overview === 'string' ? parsed.overview : '',
+        keyPoints: Array.isArray(parsed.keyPoints) ? parsed.keyPoints.filter((p) => typeof p === 'string') : [],
+      };
+    } catch {
+      // Keep the text as the overview
+      console.warn('⚠️ Could not parse catch-up JSON');
+      return { overview: cleaned, keyPoints: [] };
+    }
+  } catch (error) {
+    console.error('❌ Catch-up generation failed:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Write a short narrative for the weekly digest
+ * @param {object} digest - { meetingCount, totalDurationMs, topTopics[], meetings: [{ title, overview, decisions[] }] }
+ * @param {object} [ai] - Provider settings from getUserAiSettings() (defaults to OpenRouter)
+ * @returns {Promise<string>} 2-3 sentence summary of the week
+ */
+async function generateWeeklyNarrative(digest, ai = null) {
+  const systemPrompt = `You write the "week in review" blurb on a meeting assistant's home screen.
+Summarize what the user's meetings this week focused on and the key decisions made.
+Rules:
+- 2-3 sentences, under 60 words
+- Plain prose, no lists, headings or markdown
+- Only use facts from the meeting notes provided; don't invent names or numbers
+- Output ONLY the summary`;
+
+  const meetingNotes = digest.meetings
+    .map((m) => {
+      const decisions = m.decisions.length > 0 ? `\n  Decisions: ${m.decisions.join('; ')}` : '';
+      return `- ${m.title}: ${m.overview || '(no summary)'}${decisions}`;
+    })
+    .join('\n');
+
+  const prompt = `This week: ${digest.meetingCount} meetings, ${Math.round(digest.totalDurationMs / 60000)} minutes total.
+Top topics: ${digest.topTopics.map((t) => t.topic).join(', ') || '(none)'}
+
+Meeting notes:
+${meetingNotes.substring(0, 6000)}`;
+
+  try {
+    const response = await callAI(prompt, systemPrompt, { ai, maxTokens: 256 });
+    return response.trim();
+  } catch (error) {
+    console.error('❌ Weekly narrative generation failed:', error.message);
+    throw error;
+  }
+}
+
 module.exports = {
-  callOpenRouter,
-  generateSummary,
+  callAI,
+  extractMeetingInsights,
+  combineMeetingInsights,
+  validateInsights,
   generateTitle,
-  extractActionItems,
+  generateCatchUp,
+  updateRollingSummary,
   chatWithTranscript,
+  streamChatWithTranscript,
   generateSuggestions,
   extractSOAPNotes,
+  generateWeeklyNarrative,
 };
@@ -0,0 +1,270 @@
+/**
+ * Transcript Retrieval Service
+ * Splits transcripts into overlapping chunks (TranscriptChunk) and ranks them
+ * with BM25 so cross-meeting questions only send relevant excerpts to the model.
+ *
+ * Chunks are built when a meeting completes, and lazily before a query for
+ * meetings that have never been indexed or have new segments since their
+ * last indexing while still in progress.
+ */
+
+const prisma = require('../lib/prisma');
+
+// Chunking: ~8 segments per chunk, sharing 2 segments with the previous chunk
+const CHUNK_SEGMENTS = 8;
+const CHUNK_OVERLAP = 2;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Upper bound on candidate chunks scored per query
+const MAX_CANDIDATES = 500;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'last', 'like', 'me',
+  'meeting', 'meetings', 'month', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out',
+  'over', 'say', 'said', 'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'those', 'to', 'up', 'us', 'was', 'we',
+  'week', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'would', 'yeah', 'yes', 'you', 'your', 'um', 'uh', 'okay', 'ok',
+]);
+
+/**
+ * Light suffix stripping so "decided"/"deciding"/"decides" share a term
+ */
+function stem(word) {
+  let stemmed = word;
+  if (stemmed.length > 5 && stemmed.endsWith('ing')) stemmed = stemmed.slice(0, -3);
+  else if (stemmed.length > 4 && stemmed.endsWith('ed')) stemmed = stemmed.slice(0, -2);
+  else if (stemmed.length > 4 && stemmed.endsWith('ies')) stemmed = `${stemmed.slice(0, -3)}y`;
+  else if (stemmed.length > 3 && stemmed.endsWith('s') && !stemmed.endsWith('ss')) stemmed = stemmed.slice(0, -1);
+
+  // "decide" and "decid(ed)" should match
+  if (stemmed.length > 4 && stemmed.endsWith('e')) stemmed = stemmed.slice(0, -1);
+  return stemmed;
+}
+
+/**
+ * Normalize text into BM25 terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?/g) || [])
+    .map((word) => word.replace(/'[a-z]+$/, ''))
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Rebuild the chunk index for one meeting
+ * @param {string} meetingId - Database meeting ID
+ * @returns {Promise<number>} Number of chunks written
+ */
+async function indexMeeting(meetingId) {
+  const segments = await prisma.transcriptSegment.findMany({
+    where: { meetingId },
+    orderBy: { seqNo: 'asc' },
+    include: { speaker: true },
+  });
+
+  const chunks = [];
+  const step = CHUNK_SEGMENTS - CHUNK_OVERLAP;
+  for (let start = 0; start < segments.length; start += step) {
+    const window = segments.slice(start, start + CHUNK_SEGMENTS);
+    const text = window
+      .map((seg) => {
+        const speaker = seg.speaker?.displayName || seg.speaker?.label || 'Speaker';
+        return `[${speaker}]: ${seg.text}`;
+      })
+      .join('\n');
+
+    const termFreqs = {};
+    const tokens = tokenize(text);
+    tokens.forEach((term) => {
+      termFreqs[term] = (termFreqs[term] || 0) + 1;
+    });
+
+    chunks.push({
+      meetingId,
+      chunkIndex: chunks.length,
+      startSeqNo: window[0].seqNo,
+      endSeqNo: window[window.length - 1].seqNo,
+      tStartMs: window[0].tStartMs,
+      tEndMs: window[window.length - 1].tEndMs,
+      text,
+      terms: Object.keys(termFreqs),
+      termFreqs,
+      length: tokens.length,
+    });
+
+    if (start + CHUNK_SEGMENTS >= segments.length) break;
+  }
+
+  await prisma.$transaction([
+    prisma.transcriptChunk.deleteMany({ where: { meetingId } }),
+    prisma.transcriptChunk.createMany({ data: chunks }),
+  ]);
+
+  return chunks.length;
+}
+
+/**
+ * Index a user's meetings that have no chunks yet, and refresh live ones
+ * (their transcripts grow without a completion hook firing) once segments
+ * newer than the last chunk have arrived
+ */
+async function ensureIndexed(userId) {
+  const meetings = await prisma.meeting.findMany({
+    where: { ownerId: userId },
+    select: {
+      id: true,
+      status: true,
+      _count: { select: { segments: true, chunks: true } },
+    },
+  });
+
+  const candidateIds = meetings
+    .filter((m) =>
+      m._count.segments > 0 && (m._count.chunks === 0 || m.status === 'ongoing' || m.status === 'interrupted')
+    )
+    .map((m) => m.id);
+  if (candidateIds.length === 0) return;
+
+  const [latestSegments, latestChunks] = await Promise.all([
+    prisma.transcriptSegment.groupBy({
+      by: ['meetingId'],
+      where: { meetingId: { in: candidateIds } },
+      _max: { seqNo: true },
+    }),
+    prisma.transcriptChunk.groupBy({
+      by: ['meetingId'],
+      where: { meetingId: { in: candidateIds } },
+      _max: { endSeqNo: true },
+    }),
+  ]);
+
+  // The last chunk always ends at the meeting's last segment
+  const indexedThrough = new Map(latestChunks.map((c) => [c.meetingId, c._max.endSeqNo]));
+  const stale = latestSegments.filter((s) => {
+    const through = indexedThrough.get(s.meetingId);
+    return through === undefined || through === null || s._max.seqNo > through;
+  });
+
+  for (const { meetingId } of stale) {
+    const count = await indexMeeting(meetingId);
+    console.log(`🔎 Indexed ${count} transcript chunks for meeting ${meetingId}`);
+  }
+}
+
+/**
+ * Translate relative time phrases ("last month", "yesterday") into a date range
+ * @param {string} question
+ * @param {Date} [now]
+ * @returns {{ from: Date, to: Date }|null}
+ */
+function parseTimeRange(question, now = new Date()) {
+  const text = question.toLowerCase();
+  const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const today = startOfDay(now);
+  const daysAgo = (n) => new Date(today.getTime() - n * 86400000);
+  const mondayOffset = (today.getDay() + 6) % 7;
+
+  if (/\btoday\b/.test(text)) return { from: today, to: now };
+  if (/\byesterday\b/.test(text)) return { from: daysAgo(1), to: today };
+  if (/\bthis week\b/.test(text)) return { from: daysAgo(mondayOffset), to: now };
+  if (/\blast week\b/.test(text)) return { from: daysAgo(mondayOffset + 7), to: daysAgo(mondayOffset) };
+  if (/\bthis month\b/.test(text)) return { from: new Date(now.getFullYear(), now.getMonth(), 1), to: now };
+  if (/\blast month\b/.test(text)) {
+    return {
+      from: new Date(now.getFullYear(), now.getMonth() - 1, 1),
+      to: new Date(now.getFullYear(), now.getMonth(), 1),
+    };
+  }
+
+  const match = text.match(/\b(?:past|last) (\d+) (day|week|month)s?\b/);
+  if (match) {
+    const days = parseInt(match[1], 10) * { day: 1, week: 7, month: 30 }[match[2]];
+    return { from: daysAgo(days), to: now };
+  }
+
+  return null;
+}
+
+/**
+ * Find the transcript chunks most relevant to a question across a user's meetings
+ * @param {string} userId
+ * @param {string} query - Question text (relative dates narrow the meeting range)
+ * @param {object} [options] - { limit, from, to, meetingId } (meetingId: search one meeting)
+ * @returns {Promise<array>} Chunks with score and meeting { id, title, startTime }, best first
+ */
+async function retrieveChunks(userId, query, options = {}) {
+  const limit = options.limit || 8;
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) {
+    return [];
+  }
+
+  await ensureIndexed(userId);
+
+  const range = (options.from || options.to || options.meetingId)
+    ? { from: options.from, to: options.to }
+    : parseTimeRange(query);
+
+  const meetingWhere = { ownerId: userId, ...(options.meetingId && { id: options.meetingId }) };
+  if (range?.from || range?.to) {
+    meetingWhere.startTime = {
+      ...(range.from && { gte: range.from }),
+      ...(range.to && { lte: range.to }),
+    };
+  }
+
+  const scope = { meeting: meetingWhere };
+
+  const [totalChunks, lengthStats, candidates, ...docFreqs] = await Promise.all([
+    prisma.transcriptChunk.count({ where: scope }),
+    prisma.transcriptChunk.aggregate({ where: scope, _avg: { length: true } }),
+    prisma.transcriptChunk.findMany({
+      where: { ...scope, terms: { hasSome: queryTerms } },
+      include: { meeting: { select: { id: true, title: true, startTime: true } } },
+      take: MAX_CANDIDATES,
+    }),
+    ...queryTerms.map((term) => prisma.transcriptChunk.count({ where: { ...scope, terms: { has: term } } })),
+  ]);
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const avgLength = lengthStats._avg.length || 1;
+  const idf = {};
+  queryTerms.forEach((term, i) => {
+    const df = docFreqs[i];
+    idf[term] = Math.log(1 + (totalChunks - df + 0.5) / (df + 0.5));
+  });
+
+  return candidates
+    .map((chunk) => {
+      const freqs = chunk.termFreqs || {};
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * (chunk.length / avgLength));
+      const score = queryTerms.reduce((sum, term) => {
+        const tf = freqs[term] || 0;
+        return tf ? sum + idf[term] * ((tf * (BM25_K1 + 1)) / (tf + norm)) : sum;
+      }, 0);
+      return { ...chunk, score };
+    })
+    .sort((a, b) => b.score - a.score || b.meeting.startTime - a.meeting.startTime)
+    .slice(0, limit);
+}
+
+module.exports = {
+  tokenize,
+  indexMeeting,
+  ensureIndexed,
+  parseTimeRange,
+  retrieveChunks,
+};
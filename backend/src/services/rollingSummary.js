@@ -0,0 +1,150 @@
+/**
+ * Rolling Summary Service
+ * Keeps a live summary of an ongoing meeting. Every N saved transcript segments
+ * (ROLLING_SUMMARY_SEGMENTS) the new lines are folded into Meeting.rollingSummary
+ * and pushed to viewers as `summary.updated`.
+ *
+ * When the meeting completes, a Meeting.summary cached mid-meeting no longer
+ * covers the whole transcript, so it is cleared and regenerated from the full
+ * transcript (see meetingInsights), along with the AI's action items and
+ * decisions.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+const config = require('../config');
+const { updateRollingSummary } = require('./openrouter');
+const { getAiContext } = require('./verticals');
+const { regenerateSummary } = require('./meetingInsights');
+const { broadcastSummaryUpdate } = require('./websocket');
+
+// Most new lines folded into one update; the rest wait for the next one
+const MAX_NEW_SEGMENTS = 300;
+
+// Segments saved since the last update, per database meeting ID
+const segmentCounts = new Map();
+
+// In-flight updates per meeting
+const pendingUpdates = new Map();
+
+/**
+ * Fold segments saved since the last update into the meeting's rolling summary
+ * @returns {Promise<object|null>} The rolling summary, or null if there was nothing new
+ */
+async function runUpdate(dbMeetingId, zoomMeetingId) {
+  const meeting = await prisma.meeting.findUnique({ where: { id: dbMeetingId } });
+  if (!meeting) return null;
+
+  const previous = meeting.rollingSummary;
+  const segments = await prisma.transcriptSegment.findMany({
+    where: {
+      meetingId: dbMeetingId,
+      ...(previous?.throughSeqNo && { seqNo: { gt: BigInt(previous.throughSeqNo) } }),
+    },
+    orderBy: { seqNo: 'asc' },
+    include: { speaker: true },
+    take: MAX_NEW_SEGMENTS,
+  });
+
+  if (segments.length === 0) {
+    return previous;
+  }
+
+  const transcript = segments
+    .map((seg) => `[${seg.speaker?.displayName || seg.speaker?.label || 'Speaker'}]: ${seg.text}`)
+    .join('\n');
+
+  console.log(`🤖 Updating rolling summary for ${meeting.title} (+${segments.length} segments)`);
+  const ai = await getAiContext(meeting.ownerId, meeting);
+  const updated = await updateRollingSummary(previous, transcript, meeting.title, ai);
+
+  const rollingSummary = {
+    ...updated,
+    throughSeqNo: segments[segments.length - 1].seqNo.toString(),
+    segmentCount: (previous?.segmentCount || 0) + segments.length,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await prisma.meeting.update({
+    where: { id: dbMeetingId },
+    data: { rollingSummary },
+  });
+
+  broadcastSummaryUpdate(zoomMeetingId, rollingSummary);
+  return rollingSummary;
+}
+
+/**
+ * Update a meeting's rolling summary now (deduplicated per meeting)
+ * @param {string} dbMeetingId - Database meeting ID
+ * @param {string} zoomMeetingId - Zoom meeting UUID the viewers are subscribed under
+ * @returns {Promise<object|null>}
+ */
+function refreshRollingSummary(dbMeetingId, zoomMeetingId) {
+  if (!pendingUpdates.has(dbMeetingId)) {
+    segmentCounts.set(dbMeetingId, 0);
+    const promise = runUpdate(dbMeetingId, zoomMeetingId).finally(() => {
+      pendingUpdates.delete(dbMeetingId);
+    });
+    pendingUpdates.set(dbMeetingId, promise);
+  }
+  return pendingUpdates.get(dbMeetingId);
+}
+
+/**
+ * Count a saved transcript segment; every N segments, update the rolling summary
+ * Called from saveTranscriptSegment (non-blocking)
+ */
+function recordSegment(dbMeetingId, zoomMeetingId) {
+  if (!config.aiEnabled || config.rollingSummarySegments <= 0) return;
+
+  const count = (segmentCounts.get(dbMeetingId) || 0) + 1;
+  segmentCounts.set(dbMeetingId, count);
+
+  // Segments saved while an update is running count toward the next one
+  if (count >= config.rollingSummarySegments && !pendingUpdates.has(dbMeetingId)) {
+    refreshRollingSummary(dbMeetingId, zoomMeetingId).catch((err) => {
+      console.warn('⚠️ Rolling summary update failed (non-fatal):', err.message);
+    });
+  }
+}
+
+/**
+ * Replace summaries, action items and decisions written while the meeting was
+ * live with ones generated from the full transcript. Called when RTMS stops.
+ * Action items the user edited and decisions they added are kept.
+ * @returns {Promise<object|null>} The final summary, or null if none was needed
+ */
+async function finalizeMeetingSummary(dbMeetingId, zoomMeetingId) {
+  segmentCounts.delete(dbMeetingId);
+  if (!config.aiEnabled) return null;
+
+  const meeting = await prisma.meeting.findUnique({ where: { id: dbMeetingId } });
+  if (!meeting || (!meeting.summary && !meeting.rollingSummary && !meeting.actionItemsExtractedAt)) {
+    return null;
+  }
+
+  // Invalidate first, so a failed regeneration still leaves /api/ai/summary to redo it
+  await prisma.meeting.update({
+    where: { id: dbMeetingId },
+    data: { summary: Prisma.DbNull },
+  });
+
+  // Keep the template the mid-meeting summary was written with. Waits for any
+  // generation still running on the partial transcript, then replaces its results.
+  const insights = await regenerateSummary(dbMeetingId, {
+    templateId: meeting.summary?.template?.id,
+    refreshExtracted: true,
+  });
+  if (!insights) return null;
+
+  console.log(`📝 Final summary generated for meeting ${dbMeetingId}`);
+  broadcastSummaryUpdate(zoomMeetingId, insights.summary, true);
+  return insights.summary;
+}
+
+module.exports = {
+  recordSegment,
+  refreshRollingSummary,
+  finalizeMeetingSummary,
+};
@@ -0,0 +1,271 @@
+/**
+ * Search Service
+ * Postgres full-text search helpers for /api/search: query parsing, the
+ * GIN expression indexes, and the SQL fragments that must match those indexes.
+ *
+ * Query syntax (websearch_to_tsquery):
+ *   budget review          both words (stemmed: "reviews", "reviewed" match)
+ *   "launch date"          exact phrase
+ *   pricing OR discount    either word
+ *   -hiring / NOT hiring   exclude a word
+ *   speaker:Alice          only lines spoken by a matching speaker (and meetings they joined)
+ *   speaker:"Alice Smith"  speaker names with spaces
+ *
+ * Filters (query params, comma-separated lists) narrow meetings by speaker,
+ * highlight tag, status and duration; facets count matching meetings per value.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+
+// ts_headline options: <mark> delimiters are rendered (as text, never HTML) by the frontend
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=12, ShortWord=2, MaxFragments=2, FragmentDelimiter=" ... "';
+
+const SPEAKER_FILTER = /\bspeaker:(?:"([^"]+)"|(\S+))/gi;
+
+const MEETING_STATUSES = [
+  { value: 'ongoing', label: 'Ongoing' },
+  { value: 'interrupted', label: 'Interrupted' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'failed', label: 'Failed' },
+];
+
+// Duration filter buckets (minutes, min inclusive / max exclusive)
+const DURATION_BUCKETS = [
+  { value: 'short', label: 'Under 15 min', min: 0, max: 15 },
+  { value: 'medium', label: '15–45 min', min: 15, max: 45 },
+  { value: 'long', label: 'Over 45 min', min: 45, max: null },
+];
+
+// Speaker names listed in facets
+const SPEAKER_FACET_LIMIT = 15;
+
+// Meeting length in ms — ongoing meetings (no duration yet) count up to now
+const DURATION_MS = Prisma.sql`COALESCE(m.duration::float, EXTRACT(EPOCH FROM (COALESCE(m.end_time, NOW()) - m.start_time)) * 1000)`;
+
+// Indexed document expressions. Queries must use these exact expressions so the planner picks the indexes.
+const TRANSCRIPT_DOCUMENT = Prisma.sql`to_tsvector('english', ts.text)`;
+const TITLE_DOCUMENT = Prisma.sql`to_tsvector('english', coalesce(m.title, ''))`;
+const DECISION_DOCUMENT = Prisma.sql`to_tsvector('english', d.text)`;
+const SUMMARY_DOCUMENT = Prisma.sql`to_tsvector('english',
+  coalesce(m.summary->>'overview', '') || ' ' ||
+  coalesce(m.summary->>'keyPoints', '') || ' ' ||
+  coalesce(m.summary->>'decisions', '') || ' ' ||
+  coalesce(m.summary->>'nextSteps', '')
+)`;
+
+const INDEXES = [
+  `CREATE INDEX IF NOT EXISTS transcript_segments_text_fts
+     ON transcript_segments USING GIN (to_tsvector('english', text))`,
+  `CREATE INDEX IF NOT EXISTS decisions_text_fts
+     ON decisions USING GIN (to_tsvector('english', text))`,
+  `CREATE INDEX IF NOT EXISTS meetings_title_fts
+     ON meetings USING GIN (to_tsvector('english', coalesce(title, '')))`,
+  `CREATE INDEX IF NOT EXISTS meetings_summary_fts
+     ON meetings USING GIN (to_tsvector('english',
+       coalesce(summary->>'overview', '') || ' ' ||
+       coalesce(summary->>'keyPoints', '') || ' ' ||
+       coalesce(summary->>'decisions', '') || ' ' ||
+       coalesce(summary->>'nextSteps', '')
+     ))`,
+];
+
+/**
+ * Create the full-text GIN indexes if they are missing.
+ * Prisma can't declare expression indexes, and `prisma db push` drops indexes it
+ * doesn't know about, so this runs on every server start.
+ */
+async function ensureSearchIndexes() {
+  for (const sql of INDEXES) {
+    await prisma.$executeRawUnsafe(sql);
+  }
+  console.log('🔍 Full-text search indexes ready');
+}
+
+/**
+ * Split a raw query into full-text terms and speaker filters
+ * @param {string} q - Raw query, e.g. '"launch date" OR pricing speaker:Alice'
+ * @returns {{ text: string, speakers: string[] }}
+ */
+function parseSearchQuery(q) {
+  const speakers = [];
+  const text = q
+    .replace(SPEAKER_FILTER, (match, quoted, bare) => {
+      speakers.push((quoted || bare).trim());
+      return ' ';
+    })
+    // websearch_to_tsquery understands "-word" but not NOT/AND keywords;
+    // rewrite them outside "phrases" only (odd parts are the quoted ones)
+    .split(/("[^"]*")/)
+    .map((part, i) => (i % 2 === 1 ? part : part
+      .replace(/\bNOT\s+/g, '-')
+      .replace(/\bAND\b/g, ' ')))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { text, speakers: speakers.filter(Boolean) };
+}
+
+/**
+ * ILIKE pattern matching a literal substring (escapes %, _ and the \ escape character)
+ */
+function containsPattern(text) {
+  return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * Read filter query params. Each accepts a comma-separated list (or repeated param).
+ * @param {object} query - req.query
+ * @returns {{ speakers: string[], tags: string[], statuses: string[], durations: string[] }}
+ */
+function parseSearchFilters(query) {
+  const list = (value) => [].concat(value || [])
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+  return {
+    speakers: list(query.speaker),
+    tags: list(query.tag),
+    statuses: list(query.status).filter((s) => MEETING_STATUSES.some((st) => st.value === s)),
+    durations: list(query.duration).filter((d) => DURATION_BUCKETS.some((b) => b.value === d)),
+  };
+}
+
+/**
+ * SQL condition (alias m = meetings) for the status, duration and tag filters.
+ * Tags come from the user's own highlights.
+ */
+function meetingFilterCondition(filters, userId) {
+  const conditions = [];
+
+  if (filters.statuses.length > 0) {
+    conditions.push(Prisma.sql`AND m.status = ANY(${filters.statuses})`);
+  }
+
+  if (filters.durations.length > 0) {
+    const ranges = DURATION_BUCKETS
+      .filter((b) => filters.durations.includes(b.value))
+      .map((b) => (b.max === null
+        ? Prisma.sql`${DURATION_MS} >= ${b.min * 60000}`
+        : Prisma.sql`(${DURATION_MS} >= ${b.min * 60000} AND ${DURATION_MS} < ${b.max * 60000})`));
+    conditions.push(Prisma.sql`AND (${Prisma.join(ranges, ' OR ')})`);
+  }
+
+  if (filters.tags.length > 0) {
+    conditions.push(Prisma.sql`AND EXISTS (
+      SELECT 1 FROM highlights h
+      WHERE h.meeting_id = m.id AND h.user_id = ${userId} AND h.tags && ${filters.tags}::text[]
+    )`);
+  }
+
+  return conditions.length > 0 ? Prisma.join(conditions, ' ') : Prisma.empty;
+}
+
+/**
+ * SQL condition keeping meetings (alias m) where any of the named speakers took part
+ */
+function meetingSpeakerCondition(speakers) {
+  if (speakers.length === 0) return Prisma.empty;
+  const clauses = speakers.map((name) => Prisma.sql`(sp.display_name ILIKE ${containsPattern(name)} OR sp.label ILIKE ${containsPattern(name)})`);
+  return Prisma.sql`AND EXISTS (
+    SELECT 1 FROM speakers sp WHERE sp.meeting_id = m.id AND (${Prisma.join(clauses, ' OR ')})
+  )`;
+}
+
+/**
+ * Count meetings per filter value. Each facet ignores its own filter, so the
+ * other values in a group stay selectable (e.g. picking "completed" still shows
+ * how many "ongoing" meetings match).
+ * @param {array} meetings - [{ status, durationMs, speakers[], tags[] }] matching the query
+ * @param {object} filters - From parseSearchFilters()
+ */
+function computeFacets(meetings, filters) {
+  const nameMatches = (names, wanted) => wanted.some((w) =>
+    names.some((name) => name.toLowerCase().includes(w.toLowerCase()))
+  );
+  const bucketOf = (durationMs) => {
+    const minutes = durationMs / 60000;
+    return DURATION_BUCKETS.find((b) => minutes >= b.min && (b.max === null || minutes < b.max))?.value;
+  };
+
+  const passes = {
+    speakers: (m) => filters.speakers.length === 0 || nameMatches(m.speakers, filters.speakers),
+    tags: (m) => filters.tags.length === 0 || m.tags.some((t) => filters.tags.includes(t)),
+    statuses: (m) => filters.statuses.length === 0 || filters.statuses.includes(m.status),
+    durations: (m) => filters.durations.length === 0 || filters.durations.includes(bucketOf(m.durationMs)),
+  };
+  const except = (facet) => meetings.filter((m) =>
+    Object.entries(passes).every(([key, pass]) => key === facet || pass(m))
+  );
+
+  const count = (facet, valuesOf) => {
+    const counts = new Map();
+    except(facet).forEach((m) => {
+      new Set(valuesOf(m)).forEach((value) => {
+        if (value) counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+    return counts;
+  };
+
+  const sorted = (counts) => [...counts.entries()]
+    .map(([value, n]) => ({ value, count: n }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+  const statusCounts = count('statuses', (m) => [m.status]);
+  const durationCounts = count('durations', (m) => [bucketOf(m.durationMs)]);
+
+  return {
+    speakers: sorted(count('speakers', (m) => m.speakers)).slice(0, SPEAKER_FACET_LIMIT),
+    tags: sorted(count('tags', (m) => m.tags)),
+    statuses: MEETING_STATUSES.map(({ value, label }) => ({ value, label, count: statusCounts.get(value) || 0 })),
+    durations: DURATION_BUCKETS.map(({ value, label }) => ({ value, label, count: durationCounts.get(value) || 0 })),
+  };
+}
+
+/**
+ * SQL condition restricting segments (alias s = speakers) to the given speaker names
+ */
+function speakerCondition(speakers) {
+  if (speakers.length === 0) return Prisma.empty;
+  const clauses = speakers.map((name) => Prisma.sql`(s.display_name ILIKE ${containsPattern(name)} OR s.label ILIKE ${containsPattern(name)})`);
+  return Prisma.sql`AND (${Prisma.join(clauses, ' OR ')})`;
+}
+
+/**
+ * Wrap the first case-insensitive occurrence of a term in <mark> and trim around it
+ * (snippets for the ILIKE fallback, in the same format as ts_headline)
+ */
+function markSnippet(text, term, radius = 50) {
+  const index = text.toLowerCase().indexOf(term.toLowerCase());
+  if (!term || index === -1) {
+    return text.length > radius * 2 ? `${text.substring(0, radius * 2)}...` : text;
+  }
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + term.length + radius);
+  return (start > 0 ? '...' : '')
+    + text.substring(start, index)
+    + `<mark>${text.substring(index, index + term.length)}</mark>`
+    + text.substring(index + term.length, end)
+    + (end < text.length ? '...' : '');
+}
+
+module.exports = {
+  HEADLINE_OPTIONS,
+  TRANSCRIPT_DOCUMENT,
+  TITLE_DOCUMENT,
+  DECISION_DOCUMENT,
+  SUMMARY_DOCUMENT,
+  DURATION_MS,
+  ensureSearchIndexes,
+  parseSearchQuery,
+  containsPattern,
+  parseSearchFilters,
+  meetingFilterCondition,
+  meetingSpeakerCondition,
+  computeFacets,
+  speakerCondition,
+  markSnippet,
+};
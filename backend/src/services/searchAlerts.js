@@ -0,0 +1,194 @@
+/**
+ * Search Alerts Service
+ * Matches a user's saved searches against their meetings and notifies them
+ * over WebSocket ('search.alert'):
+ *   - live, as each transcript segment arrives through /api/rtms/broadcast
+ *   - once more when the meeting completes (catches phrases split across segments)
+ *
+ * Each saved search alerts at most once per meeting (SearchAlert is unique on
+ * savedSearchId + meetingId). Matching uses the same Postgres full-text rules as
+ * /api/search, so "phrases", OR, -exclusions and speaker:Name filters all apply.
+ */
+
+const prisma = require('../lib/prisma');
+const { broadcastToUser } = require('./websocket');
+const {
+  HEADLINE_OPTIONS,
+  TRANSCRIPT_DOCUMENT,
+  parseSearchQuery,
+  speakerCondition,
+} = require('./search');
+
+/**
+ * Shape an alert for the API / WebSocket
+ */
+function serializeAlert(alert) {
+  return {
+    id: alert.id,
+    savedSearchId: alert.savedSearchId,
+    savedSearchName: alert.savedSearch?.name || null,
+    query: alert.savedSearch?.query || null,
+    meetingId: alert.meetingId,
+    meetingTitle: alert.meeting?.title || null,
+    segmentId: alert.segmentId,
+    seqNo: alert.seqNo !== null ? alert.seqNo.toString() : null,
+    tStartMs: alert.tStartMs !== null ? Number(alert.tStartMs) : null,
+    snippet: alert.snippet,
+    source: alert.source,
+    read: !!alert.readAt,
+    createdAt: alert.createdAt,
+  };
+}
+
+/**
+ * Saved searches with alerts on that haven't fired for this meeting yet
+ */
+function findPendingSearches(userId, meetingId) {
+  return prisma.savedSearch.findMany({
+    where: {
+      userId,
+      alertsEnabled: true,
+      alerts: { none: { meetingId } },
+    },
+  });
+}
+
+/**
+ * Store an alert (ignoring a race with another segment) and push it to the user
+ * @returns {Promise<object|null>} Serialized alert, or null if one already existed
+ */
+async function createAlert(savedSearch, meeting, match, source) {
+  try {
+    const alert = await prisma.searchAlert.create({
+      data: {
+        savedSearchId: savedSearch.id,
+        userId: savedSearch.userId,
+        meetingId: meeting.id,
+        segmentId: match.segmentId,
+        seqNo: match.seqNo,
+        tStartMs: match.tStartMs,
+        snippet: match.snippet,
+        source,
+      },
+      include: {
+        savedSearch: { select: { name: true, query: true } },
+        meeting: { select: { title: true } },
+      },
+    });
+
+    const serialized = serializeAlert(alert);
+    broadcastToUser(savedSearch.userId, {
+      type: 'search.alert',
+      data: {
+        alert: serialized,
+        timestamp: new Date().toISOString(),
+      },
+    });
+    console.log(`🔔 Search alert "${savedSearch.name}" fired for meeting ${meeting.id} (${source})`);
+    return serialized;
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return null; // Already alerted for this meeting
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check one live transcript segment against the meeting owner's saved searches
+ * @param {string} meetingId - Database meeting ID
+ * @param {object} segment - Saved TranscriptSegment row
+ * @param {string|null} speakerName - Display name of the segment's speaker
+ * @returns {Promise<number>} Number of alerts fired
+ */
+async function checkSegmentForAlerts(meetingId, segment, speakerName) {
+  if (!segment.text?.trim()) return 0;
+
+  const meeting = await prisma.meeting.findUnique({
+    where: { id: meetingId },
+    select: { id: true, ownerId: true },
+  });
+  if (!meeting) return 0;
+
+  const pending = await findPendingSearches(meeting.ownerId, meeting.id);
+  if (pending.length === 0) return 0;
+
+  // speaker: filters are checked here; the text part goes to Postgres in one query
+  const candidates = pending
+    .map((savedSearch) => ({ savedSearch, ...parseSearchQuery(savedSearch.query) }))
+    .filter(({ text, speakers }) => text && (
+      speakers.length === 0
+      || speakers.some((name) => (speakerName || '').toLowerCase().includes(name.toLowerCase()))
+    ));
+  if (candidates.length === 0) return 0;
+
+  const matches = await prisma.$queryRaw`
+    SELECT
+      q.id,
+      ts_headline('english', ${segment.text}, websearch_to_tsquery('english', q.text), ${HEADLINE_OPTIONS}) as snippet
+    FROM unnest(${candidates.map((c) => c.savedSearch.id)}::text[], ${candidates.map((c) => c.text)}::text[]) AS q(id, text)
+    WHERE to_tsvector('english', ${segment.text}) @@ websearch_to_tsquery('english', q.text)
+  `;
+
+  let fired = 0;
+  for (const match of matches) {
+    const { savedSearch } = candidates.find((c) => c.savedSearch.id === match.id);
+    const alert = await createAlert(savedSearch, meeting, {
+      segmentId: segment.id,
+      seqNo: segment.seqNo,
+      tStartMs: segment.tStartMs,
+      snippet: match.snippet,
+    }, 'live');
+    if (alert) fired++;
+  }
+  return fired;
+}
+
+/**
+ * Check a completed meeting's full transcript against the owner's saved searches
+ * @param {string} meetingId - Database meeting ID
+ * @returns {Promise<number>} Number of alerts fired
+ */
+async function checkMeetingForAlerts(meetingId) {
+  const meeting = await prisma.meeting.findUnique({
+    where: { id: meetingId },
+    select: { id: true, ownerId: true },
+  });
+  if (!meeting) return 0;
+
+  const pending = await findPendingSearches(meeting.ownerId, meeting.id);
+
+  let fired = 0;
+  for (const savedSearch of pending) {
+    const { text, speakers } = parseSearchQuery(savedSearch.query);
+    if (!text) continue;
+
+    const [match] = await prisma.$queryRaw`
+      SELECT
+        ts.id as "segmentId",
+        ts.seq_no as "seqNo",
+        ts.t_start_ms as "tStartMs",
+        ts_headline('english', ts.text, query, ${HEADLINE_OPTIONS}) as snippet
+      FROM transcript_segments ts
+      LEFT JOIN speakers s ON ts.speaker_id = s.id
+      CROSS JOIN websearch_to_tsquery('english', ${text}) query
+      WHERE ts.meeting_id = ${meeting.id}
+        AND ${TRANSCRIPT_DOCUMENT} @@ query
+        ${speakerCondition(speakers)}
+      ORDER BY ts.seq_no ASC
+      LIMIT 1
+    `;
+
+    if (match) {
+      const alert = await createAlert(savedSearch, meeting, match, 'completed');
+      if (alert) fired++;
+    }
+  }
+  return fired;
+}
+
+module.exports = {
+  serializeAlert,
+  checkSegmentForAlerts,
+  checkMeetingForAlerts,
+};
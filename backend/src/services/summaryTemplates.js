@@ -0,0 +1,295 @@
+/**
+ * Summary Templates Service
+ * A template shapes how a meeting summary is written: extra sections (each
+ * with its own instructions), tone, length and output language. The standard
+ * fields (overview, key points, decisions, ...) are always extracted, so search,
+ * digests and exports keep working whatever template is used.
+ *
+ * Built-in templates are defined per vertical below; users' own templates and
+ * their default template live in User.preferences (summaryTemplates,
+ * defaultSummaryTemplateId). Without a default, a meeting is summarized with
+ * its vertical's built-in template, if it has one.
+ *
+ * Template changes read and rewrite the whole preferences object, so they run
+ * in a transaction holding the user's row (see withUserPreferences).
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const prisma = require('../lib/prisma');
+
+const TONES = ['neutral', 'formal', 'casual'];
+const LENGTHS = ['brief', 'standard', 'detailed'];
+const MAX_USER_TEMPLATES = 20;
+
+const LENGTH_GUIDANCE = {
+  brief: 'Keep it short: a 1-2 sentence overview, at most 3 key points, 1-3 items per section.',
+  standard: '',
+  detailed: 'Be thorough: a 3-5 sentence overview, up to 10 key points, and complete sections.',
+};
+
+// Built-in templates; vertical null = offered in every vertical
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'standard',
+    name: 'Standard summary',
+    vertical: null,
+    sections: [],
+    tone: 'neutral',
+    length: 'standard',
+    language: null,
+  },
+  {
+    id: 'brief-recap',
+    name: 'Brief recap',
+    vertical: null,
+    sections: [],
+    tone: 'casual',
+    length: 'brief',
+    language: null,
+  },
+  {
+    id: 'sales-call-recap',
+    name: 'Sales call recap',
+    vertical: 'sales',
+    sections: [
+      { title: 'Customer needs', instructions: 'Pain points, goals and requirements the customer described' },
+      { title: 'Budget and timeline', instructions: 'Budget, pricing discussion, decision timeline and decision makers' },
+      { title: 'Objections', instructions: 'Concerns or objections raised, and how they were answered' },
+      { title: 'Competitors', instructions: 'Competitors or alternatives mentioned, and what was said about them' },
+      { title: 'Commitments', instructions: 'What each side agreed to do next, with owners' },
+    ],
+    tone: 'neutral',
+    length: 'standard',
+    language: null,
+  },
+  {
+    id: 'deposition-digest',
+    name: 'Deposition digest',
+    vertical: 'legal',
+    sections: [
+      { title: 'Participants', instructions: 'Witness, examining and defending counsel, and anyone else on the record' },
+      { title: 'Key testimony', instructions: 'Significant statements by the witness, attributed to the speaker' },
+      { title: 'Admissions', instructions: 'Facts the witness admitted or conceded' },
+      { title: 'Objections', instructions: 'Objections raised, by whom, and on what grounds' },
+      { title: 'Exhibits', instructions: 'Exhibits introduced or referenced' },
+      { title: 'Follow-up for counsel', instructions: 'Open issues, inconsistencies and items to investigate' },
+    ],
+    tone: 'formal',
+    length: 'detailed',
+    language: null,
+  },
+  {
+    id: 'clinical-visit',
+    name: 'Clinical visit summary',
+    vertical: 'healthcare',
+    sections: [
+      { title: 'Chief complaint', instructions: "The patient's main concern, in their words where possible" },
+      { title: 'History', instructions: 'Relevant history of present illness, medications and allergies discussed' },
+      { title: 'Assessment', instructions: 'Clinical impressions and diagnoses discussed' },
+      { title: 'Plan', instructions: 'Treatment, referrals, patient education and follow-up' },
+    ],
+    tone: 'formal',
+    length: 'standard',
+    language: null,
+  },
+  {
+    id: 'support-case-recap',
+    name: 'Support case recap',
+    vertical: 'support',
+    sections: [
+      { title: 'Issue', instructions: "The customer's problem, product area and impact" },
+      { title: 'Troubleshooting', instructions: 'Steps taken and what they showed' },
+      { title: 'Resolution', instructions: 'How the issue was resolved, or why it is still open' },
+      { title: 'Follow-up', instructions: 'Escalations, promised callbacks and customer commitments' },
+    ],
+    tone: 'neutral',
+    length: 'brief',
+    language: null,
+  },
+];
+
+const TEMPLATE_SCHEMA = Joi.object({
+  name: Joi.string().trim().min(1).max(80).required(),
+  sections: Joi.array().items(Joi.object({
+    title: Joi.string().trim().min(1).max(80).required(),
+    instructions: Joi.string().trim().max(500).allow('').default(''),
+  })).max(10).default([]),
+  tone: Joi.string().valid(...TONES).default('neutral'),
+  length: Joi.string().valid(...LENGTHS).default('standard'),
+  language: Joi.string().trim().max(40).allow(null, '').default(null),
+});
+
+/**
+ * Validate a user template from a request body
+ * @returns {{ value: object }|{ error: string }}
+ */
+function validateTemplate(body) {
+  const { value, error } = TEMPLATE_SCHEMA.validate(body, { stripUnknown: true });
+  if (error) return { error: error.message };
+  return { value: { ...value, language: value.language || null } };
+}
+
+/**
+ * A user's templates and default template ID from their preferences
+ * @param {string} userId
+ * @param {object} [db] - Prisma client or transaction client
+ */
+async function getUserTemplateSettings(userId, db = prisma) {
+  const user = await db.user.findUnique({
+    where: { id: userId },
+    select: { preferences: true },
+  });
+  const preferences = (user?.preferences && typeof user.preferences === 'object') ? user.preferences : {};
+
+  return {
+    preferences,
+    templates: Array.isArray(preferences.summaryTemplates) ? preferences.summaryTemplates : [],
+    defaultTemplateId: preferences.defaultSummaryTemplateId || null,
+  };
+}
+
+/**
+ * Read-modify-write a user's preferences in one transaction, with the user's
+ * row locked so concurrent changes can't overwrite each other
+ * @param {string} userId
+ * @param {function} change - (settings, tx) => result; settings from getUserTemplateSettings
+ * @returns {Promise<*>} What change returned
+ */
+async function withUserPreferences(userId, change) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT 1 FROM users WHERE id = ${userId} FOR UPDATE`;
+    return change(await getUserTemplateSettings(userId, tx), tx);
+  });
+}
+
+/**
+ * Save a user's templates back into their preferences
+ */
+async function saveUserTemplates(tx, userId, preferences, templates) {
+  await tx.user.update({
+    where: { id: userId },
+    data: { preferences: { ...preferences, summaryTemplates: templates } },
+  });
+}
+
+/**
+ * Templates offered to a user: built-ins for their vertical, then their own
+ * @param {string} userId
+ * @param {string} [vertical] - Vertical ID; omit for every built-in
+ * @returns {Promise<{ templates: object[], defaultTemplateId: string|null }>}
+ */
+async function listTemplates(userId, vertical) {
+  const { templates, defaultTemplateId } = await getUserTemplateSettings(userId);
+  const builtIns = BUILT_IN_TEMPLATES
+    .filter((t) => !vertical || !t.vertical || t.vertical === vertical)
+    .map((t) => ({ ...t, builtIn: true }));
+
+  return {
+    templates: [...builtIns, ...templates.map((t) => ({ ...t, builtIn: false }))],
+    defaultTemplateId,
+  };
+}
+
+/**
+ * Resolve the template to summarize with
+ * @param {string} userId
+ * @param {string} [templateId] - Falls back to the user's default template
+ * @param {string} [vertical] - The meeting's vertical; without a default template,
+ *   its built-in template is used
+ * @returns {Promise<object|null>} Template, or null for the plain summary
+ */
+async function resolveTemplate(userId, templateId, vertical) {
+  const { templates, defaultTemplateId } = await getUserTemplateSettings(userId);
+  const id = templateId || defaultTemplateId;
+  if (!id) {
+    return (vertical && BUILT_IN_TEMPLATES.find((t) => t.vertical === vertical)) || null;
+  }
+
+  return BUILT_IN_TEMPLATES.find((t) => t.id === id)
+    || templates.find((t) => t.id === id)
+    || null;
+}
+
+/**
+ * Create a user template
+ * @returns {Promise<{ template: object }|{ error: string, status: number }>}
+ */
+async function createTemplate(userId, fields) {
+  return withUserPreferences(userId, async ({ preferences, templates }, tx) => {
+    if (templates.length >= MAX_USER_TEMPLATES) {
+      return { status: 400, error: `You can save up to ${MAX_USER_TEMPLATES} templates` };
+    }
+
+    const template = { id: crypto.randomUUID(), ...fields, createdAt: new Date().toISOString() };
+    await saveUserTemplates(tx, userId, preferences, [...templates, template]);
+    return { template };
+  });
+}
+
+/**
+ * Replace a user template's fields
+ * @returns {Promise<{ template: object }|null>} null if the user has no such template
+ */
+async function updateTemplate(userId, templateId, fields) {
+  return withUserPreferences(userId, async ({ preferences, templates }, tx) => {
+    const existing = templates.find((t) => t.id === templateId);
+    if (!existing) return null;
+
+    const template = { ...existing, ...fields };
+    await saveUserTemplates(tx, userId, preferences, templates.map((t) => (t.id === templateId ? template : t)));
+    return { template };
+  });
+}
+
+/**
+ * Delete a user template (and unset it as the default)
+ * @returns {Promise<boolean>} false if the user has no such template
+ */
+async function deleteTemplate(userId, templateId) {
+  return withUserPreferences(userId, async ({ preferences, templates, defaultTemplateId }, tx) => {
+    if (!templates.some((t) => t.id === templateId)) return false;
+
+    const next = { ...preferences, summaryTemplates: templates.filter((t) => t.id !== templateId) };
+    if (defaultTemplateId === templateId) delete next.defaultSummaryTemplateId;
+
+    await tx.user.update({ where: { id: userId }, data: { preferences: next } });
+    return true;
+  });
+}
+
+/**
+ * Extra prompt instructions for a template ('' for the plain summary)
+ */
+function templateInstructions(template) {
+  if (!template) return '';
+
+  const lines = [`Summary template: "${template.name}"`];
+  if (template.tone && template.tone !== 'neutral') lines.push(`- Tone: ${template.tone}`);
+  if (LENGTH_GUIDANCE[template.length]) lines.push(`- ${LENGTH_GUIDANCE[template.length]}`);
+  if (template.language) {
+    lines.push(`- Write every text value in ${template.language}; keep the JSON keys in English.`);
+  }
+  if (template.sections?.length > 0) {
+    lines.push('- Also include "sections": [{"title": "...", "items": ["..."]}] with exactly these sections, in this order (use an empty items list if nothing applies):');
+    template.sections.forEach((section, i) => {
+      lines.push(`  ${i + 1}. ${section.title}${section.instructions ? ` — ${section.instructions}` : ''}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  TONES,
+  LENGTHS,
+  BUILT_IN_TEMPLATES,
+  validateTemplate,
+  withUserPreferences,
+  listTemplates,
+  resolveTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  templateInstructions,
+};
@@ -0,0 +1,152 @@
+/**
+ * Summary Versions Service
+ * Every change to Meeting.summary — generated, edited or reverted — is kept as
+ * a SummaryVersion so it can be compared and restored.
+ *
+ * User edits to the overview, key points and next steps are also kept in
+ * Meeting.summaryEdits and applied on top of each regenerated summary, so
+ * regenerating doesn't throw away corrections.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../lib/prisma');
+const { meetingTopicOperations } = require('./topics');
+
+const SOURCES = ['ai', 'edit', 'revert'];
+
+// Fields users can edit, with the type each must have
+const EDITABLE_FIELDS = {
+  overview: 'string',
+  keyPoints: 'list',
+  nextSteps: 'list',
+};
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_LIST_ITEMS = 20;
+
+/**
+ * Apply a meeting's saved edits to a summary
+ * @returns {object} The summary with edited fields replaced
+ */
+function applyEdits(summary, edits) {
+  if (!edits) return summary;
+  const edited = { ...summary };
+  Object.keys(EDITABLE_FIELDS).forEach((field) => {
+    if (edits[field] !== undefined) edited[field] = edits[field];
+  });
+  return edited;
+}
+
+/**
+ * Validate a summary edit request body
+ * @returns {{ changes: object }|{ error: string }}
+ */
+function validateEdits(body) {
+  const changes = {};
+
+  for (const [field, type] of Object.entries(EDITABLE_FIELDS)) {
+    const value = body?.[field];
+    if (value === undefined) continue;
+
+    if (type === 'string') {
+      if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+        return { error: `${field} must be a string of at most ${MAX_TEXT_LENGTH} characters` };
+      }
+      changes[field] = value.trim();
+    } else {
+      if (!Array.isArray(value) || value.length > MAX_LIST_ITEMS
+        || value.some((item) => typeof item !== 'string' || item.length > MAX_TEXT_LENGTH)) {
+        return { error: `${field} must be a list of at most ${MAX_LIST_ITEMS} strings` };
+      }
+      changes[field] = value.map((item) => item.trim()).filter(Boolean);
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: `Provide at least one of: ${Object.keys(EDITABLE_FIELDS).join(', ')}` };
+  }
+  return { changes };
+}
+
+/**
+ * Record a summary version
+ * @returns Prisma operation, to run inside the caller's transaction
+ */
+function versionOperation(meetingId, summary, edits, source, instructions = null) {
+  return prisma.summaryVersion.create({
+    data: {
+      meetingId,
+      summary,
+      edits: edits || undefined,
+      source,
+      instructions: instructions || null,
+    },
+  });
+}
+
+/**
+ * Shape a summary version for the client
+ */
+function serializeVersion(version) {
+  return {
+    id: version.id,
+    summary: version.summary,
+    editedFields: Object.keys(version.edits || {}),
+    source: version.source,
+    instructions: version.instructions,
+    createdAt: version.createdAt,
+  };
+}
+
+/**
+ * Save user edits to a meeting's summary
+ * @param {object} meeting - Meeting row (with summary)
+ * @param {object} changes - From validateEdits()
+ * @returns {Promise<{ summary: object, version: object }>}
+ */
+async function editSummary(meeting, changes) {
+  const edits = { ...(meeting.summaryEdits || {}), ...changes };
+  const summary = applyEdits(meeting.summary, edits);
+
+  const [version] = await prisma.$transaction([
+    versionOperation(meeting.id, summary, edits, 'edit'),
+    prisma.meeting.update({
+      where: { id: meeting.id },
+      data: { summary, summaryEdits: edits },
+    }),
+  ]);
+
+  console.log(`✏️ Summary edited for meeting ${meeting.id} (${Object.keys(changes).join(', ')})`);
+  return { summary, version };
+}
+
+/**
+ * Restore an earlier summary version (its edits come back with it)
+ * @returns {Promise<{ summary: object, version: object }>}
+ */
+async function revertSummary(meeting, target) {
+  const summary = target.summary;
+  const edits = target.edits || null;
+
+  const [version] = await prisma.$transaction([
+    versionOperation(meeting.id, summary, edits, 'revert'),
+    ...meetingTopicOperations(meeting.id, summary.topics),
+    prisma.meeting.update({
+      where: { id: meeting.id },
+      data: { summary, summaryEdits: edits === null ? Prisma.DbNull : edits },
+    }),
+  ]);
+
+  console.log(`↩️ Summary for meeting ${meeting.id} reverted to version ${target.id}`);
+  return { summary, version };
+}
+
+module.exports = {
+  SOURCES,
+  applyEdits,
+  validateEdits,
+  versionOperation,
+  serializeVersion,
+  editSummary,
+  revertSummary,
+};
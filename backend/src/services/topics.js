@@ -0,0 +1,177 @@
+/**
+ * Topics Service
+ * Stores the 3–5 topics extracted with each meeting's insights as MeetingTopic
+ * rows, normalized so "Q3 budget", "Q3 Budgets" and "the Q3 budget" group
+ * together, and answers the home page's recurring-topic and trend queries.
+ *
+ * Rows are written when insights are generated, and backfilled lazily from
+ * Meeting.summary.topics for meetings summarized before topics were stored.
+ */
+
+const prisma = require('../lib/prisma');
+
+const MAX_TOPICS_PER_MEETING = 5;
+const WEEK_MS = 7 * 86400000;
+
+// A topic's recent half must be this much above/below its earlier half to count as a trend
+const TREND_THRESHOLD = 0.25;
+
+/**
+ * Normalize a topic name into a grouping key
+ * @param {string} name
+ * @returns {string} e.g. "The Q3 Budgets" -> "q3 budget" ('' if nothing is left)
+ */
+function normalizeTopic(name) {
+  const words = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (words[0] === 'the' && words.length > 1) words.shift();
+
+  // Singularize the last word ("budgets" -> "budget", "priorities" -> "priority")
+  const last = words[words.length - 1];
+  if (last && last.length > 3) {
+    if (last.endsWith('ies')) words[words.length - 1] = `${last.slice(0, -3)}y`;
+    else if (last.endsWith('s') && !/(ss|us|is)$/.test(last)) words[words.length - 1] = last.slice(0, -1);
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Replace a meeting's stored topics
+ * @param {string} meetingId
+ * @param {string[]} topics - Topic names from the insights extraction
+ * @returns {Array} Prisma operations, to run inside the caller's transaction
+ */
+function meetingTopicOperations(meetingId, topics) {
+  const byKey = new Map();
+  (Array.isArray(topics) ? topics : []).forEach((topic) => {
+    const name = String(topic || '').trim();
+    const key = normalizeTopic(name);
+    if (key && !byKey.has(key)) byKey.set(key, { meetingId, name, key });
+  });
+
+  return [
+    prisma.meetingTopic.deleteMany({ where: { meetingId } }),
+    prisma.meetingTopic.createMany({ data: [...byKey.values()].slice(0, MAX_TOPICS_PER_MEETING) }),
+  ];
+}
+
+/**
+ * Backfill MeetingTopic rows for a user's summarized meetings that have none
+ */
+async function ensureMeetingTopics(userId) {
+  const meetings = await prisma.meeting.findMany({
+    where: { ownerId: userId, topics: { none: {} } },
+    select: { id: true, summary: true },
+  });
+
+  const pending = meetings.filter((m) => Array.isArray(m.summary?.topics) && m.summary.topics.length > 0);
+  for (const meeting of pending) {
+    await prisma.$transaction(meetingTopicOperations(meeting.id, meeting.summary.topics));
+  }
+  if (pending.length > 0) {
+    console.log(`🏷️ Stored topics for ${pending.length} meetings`);
+  }
+}
+
+/**
+ * Topics ranked by how many of the user's meetings in a range mention them
+ * @param {string} userId
+ * @param {object} options - { from, to, minMeetings = 1, limit = 10 }
+ * @returns {Promise<Array<{ topic: string, key: string, meetingCount: number }>>}
+ */
+async function getTopicCounts(userId, { from, to, minMeetings = 1, limit = 10 }) {
+  const rows = await prisma.$queryRaw`
+    SELECT
+      t.key,
+      mode() WITHIN GROUP (ORDER BY t.name) as topic,
+      COUNT(DISTINCT t.meeting_id)::int as "meetingCount"
+    FROM meeting_topics t
+    INNER JOIN meetings m ON t.meeting_id = m.id
+    WHERE m.owner_id = ${userId}
+      AND m.start_time >= ${from}
+      AND m.start_time < ${to}
+    GROUP BY t.key
+    HAVING COUNT(DISTINCT t.meeting_id) >= ${minMeetings}
+    ORDER BY 3 DESC, 2 ASC
+    LIMIT ${limit}
+  `;
+
+  return rows.map((row) => ({ topic: row.topic, key: row.key, meetingCount: row.meetingCount }));
+}
+
+/**
+ * Classify a weekly series as rising, fading or steady by comparing the
+ * average of its recent half with its earlier half
+ */
+function classifyTrend(series) {
+  if (series.length < 2) return 'steady';
+
+  const half = Math.floor(series.length / 2);
+  const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const earlier = average(series.slice(0, half));
+  const recent = average(series.slice(series.length - half));
+
+  if (recent > earlier * (1 + TREND_THRESHOLD)) return 'rising';
+  if (recent < earlier * (1 - TREND_THRESHOLD)) return 'fading';
+  return 'steady';
+}
+
+/**
+ * Weekly meeting counts for the user's most frequent topics
+ * @param {string} userId
+ * @param {object} options - { start: Date (Monday of the first week), weeks, limit = 8 }
+ * @returns {Promise<object>} { weeks: [{ start }], topics: [{ topic, key, total, counts[], trend }] }
+ */
+async function getTopicTrends(userId, { start, weeks, limit = 8 }) {
+  const end = new Date(start.getTime() + weeks * WEEK_MS);
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      t.key,
+      mode() WITHIN GROUP (ORDER BY t.name) as topic,
+      FLOOR(EXTRACT(EPOCH FROM (m.start_time - ${start}::timestamp)) / ${WEEK_MS / 1000})::int as "weekIndex",
+      COUNT(DISTINCT t.meeting_id)::int as "meetingCount"
+    FROM meeting_topics t
+    INNER JOIN meetings m ON t.meeting_id = m.id
+    WHERE m.owner_id = ${userId}
+      AND m.start_time >= ${start}
+      AND m.start_time < ${end}
+    GROUP BY t.key, 3
+  `;
+
+  const byKey = new Map();
+  rows.forEach((row) => {
+    if (!byKey.has(row.key)) {
+      byKey.set(row.key, { topic: row.topic, key: row.key, total: 0, counts: new Array(weeks).fill(0) });
+    }
+    const entry = byKey.get(row.key);
+    if (row.weekIndex >= 0 && row.weekIndex < weeks) {
+      entry.counts[row.weekIndex] += row.meetingCount;
+      entry.total += row.meetingCount;
+    }
+  });
+
+  const topics = [...byKey.values()]
+    .sort((a, b) => b.total - a.total || a.topic.localeCompare(b.topic))
+    .slice(0, limit)
+    .map((entry) => ({ ...entry, trend: classifyTrend(entry.counts) }));
+
+  return {
+    weeks: Array.from({ length: weeks }, (_, i) => ({ start: new Date(start.getTime() + i * WEEK_MS) })),
+    topics,
+  };
+}
+
+module.exports = {
+  normalizeTopic,
+  meetingTopicOperations,
+  ensureMeetingTopics,
+  getTopicCounts,
+  getTopicTrends,
+};
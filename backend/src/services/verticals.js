@@ -0,0 +1,146 @@
+/**
+ * Verticals Service
+ * A vertical (notes, healthcare, legal, sales, support) tunes the AI for a kind
+ * of meeting: every system prompt is prefixed with the vertical's persona, and
+ * summary extraction asks for vertical-specific `details` (e.g. BANT for sales).
+ *
+ * The user's vertical lives in User.preferences.vertical; Meeting.vertical
+ * overrides it for one meeting. The frontend keeps its own copy of the
+ * personas and features in contexts/VerticalContext.js.
+ */
+
+const Joi = require('joi');
+const prisma = require('../lib/prisma');
+const { getUserAiSettings } = require('./aiProviders');
+
+const DEFAULT_VERTICAL = 'notes';
+
+const list = Joi.array().items(Joi.string()).default([]);
+const optionalText = Joi.string().allow(null, '').default(null);
+
+const VERTICALS = {
+  notes: {
+    name: 'Arlo for Notes',
+    promptPrefix: 'You are Arlo, an intelligent meeting assistant that helps capture key information from meetings.',
+    details: null,
+  },
+  healthcare: {
+    name: 'Arlo for Healthcare',
+    promptPrefix: 'You are Arlo, a clinical documentation assistant that helps healthcare providers capture patient encounters accurately and efficiently. Focus on clinical accuracy, patient privacy, and structured documentation.',
+    details: {
+      format: '{"symptoms": ["..."], "medications": ["name, dose and any change discussed"], "followUps": ["..."]}',
+      schema: Joi.object({ symptoms: list, medications: list, followUps: list }),
+    },
+  },
+  legal: {
+    name: 'Arlo for Legal',
+    promptPrefix: 'You are Arlo, a legal transcription assistant that helps attorneys and legal professionals capture depositions, client meetings, and hearings. Focus on accuracy, identifying key legal terms, and detecting contradictions in testimony.',
+    details: {
+      format: '{"keyTerms": ["..."], "exhibits": ["..."], "objections": ["who objected, and the grounds"], "contradictions": ["..."]}',
+      schema: Joi.object({ keyTerms: list, exhibits: list, objections: list, contradictions: list }),
+    },
+  },
+  sales: {
+    name: 'Arlo for Sales',
+    promptPrefix: 'You are Arlo, a sales coaching assistant that helps sales professionals track deals, identify buyer signals, and close more deals. Focus on qualification criteria, competitive intelligence, and next steps.',
+    details: {
+      format: '{"budget": "... or null", "authority": "... or null", "need": "... or null", "timeline": "... or null", "competitors": ["..."], "buyingSignals": ["..."]}',
+      schema: Joi.object({
+        budget: optionalText,
+        authority: optionalText,
+        need: optionalText,
+        timeline: optionalText,
+        competitors: list,
+        buyingSignals: list,
+      }),
+    },
+  },
+  support: {
+    name: 'Arlo for Support',
+    promptPrefix: 'You are Arlo, a customer support assistant that helps agents resolve issues efficiently and maintain high customer satisfaction. Focus on customer sentiment, escalation detection, and resolution tracking.',
+    details: {
+      format: '{"issue": "... or null", "sentiment": "positive|neutral|negative", "resolved": true, "escalationRequested": false}',
+      schema: Joi.object({
+        issue: optionalText,
+        sentiment: Joi.string().valid('positive', 'neutral', 'negative').default('neutral'),
+        resolved: Joi.boolean().default(false),
+        escalationRequested: Joi.boolean().default(false),
+      }),
+    },
+  },
+};
+
+const VERTICAL_IDS = Object.keys(VERTICALS);
+
+function isVertical(id) {
+  return VERTICAL_IDS.includes(id);
+}
+
+/**
+ * A user's chosen vertical (User.preferences.vertical)
+ * @returns {Promise<string|null>} null if they haven't chosen one
+ */
+async function getUserVertical(userId) {
+  if (!userId) return null;
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { preferences: true },
+  });
+  const vertical = user?.preferences?.vertical;
+  return isVertical(vertical) ? vertical : null;
+}
+
+/**
+ * The vertical that applies to a meeting: its own override, else the user's
+ * @param {object|null} meeting - Meeting row (uses vertical and ownerId)
+ * @param {string} [userId] - Whose preference to fall back to (defaults to the owner)
+ * @returns {Promise<string>}
+ */
+async function resolveVertical(meeting, userId) {
+  if (isVertical(meeting?.vertical)) return meeting.vertical;
+  return (await getUserVertical(userId || meeting?.ownerId)) || DEFAULT_VERTICAL;
+}
+
+/**
+ * Provider settings for an AI call, tagged with the vertical that applies
+ * (see openrouter.callAI). Use instead of getUserAiSettings() wherever the
+ * output is shown to a user.
+ * @param {string} userId
+ * @param {object|null} [meeting]
+ * @returns {Promise<object>}
+ */
+async function getAiContext(userId, meeting = null) {
+  const [ai, vertical] = await Promise.all([
+    getUserAiSettings(userId),
+    resolveVertical(meeting, userId),
+  ]);
+  return { ...ai, vertical };
+}
+
+/**
+ * Prefix a system prompt with the vertical's persona
+ */
+function withVerticalPrompt(systemPrompt, vertical) {
+  const prefix = VERTICALS[vertical]?.promptPrefix;
+  if (!prefix) return systemPrompt;
+  return systemPrompt ? `${prefix}\n\n${systemPrompt}` : prefix;
+}
+
+/**
+ * Vertical-specific summary details: the JSON shape to ask for and its schema
+ * @returns {{ format: string, schema: object }|null} null if the vertical has none
+ */
+function verticalDetails(vertical) {
+  return VERTICALS[vertical]?.details || null;
+}
+
+module.exports = {
+  DEFAULT_VERTICAL,
+  VERTICAL_IDS,
+  isVertical,
+  getUserVertical,
+  resolveVertical,
+  getAiContext,
+  withVerticalPrompt,
+  verticalDetails,
+};
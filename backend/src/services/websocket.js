@@ -1,7 +1,7 @@
 const WebSocket = require('ws');
 const url = require('url');
 const { verifyToken } = require('./auth');
-const prisma = require('../lib/prisma');
+const { findMeetingByZoomId } = require('./meetingLookup');
 
 // Store active connections
 const connections = new Map(); // meetingId -> Set of WebSocket connections
@@ -184,18 +184,8 @@ async function handleWebSocketMessage(ws, data) {
 
         // Check current meeting status and inform the subscriber
         console.log(`📡 WS subscribe: looking up meeting by zoomMeetingId="${meetingId}"`);
-        prisma.meeting.findUnique({
-          where: { zoomMeetingId: meetingId },
-        }).then(meeting => {
-          if (!meeting && ws.userId) {
-            // Fallback: SDK UUID may differ from RTMS UUID — find user's ongoing meeting
-            return prisma.meeting.findFirst({
-              where: { ownerId: ws.userId, status: 'ongoing' },
-              orderBy: { startTime: 'desc' },
-            });
-          }
-          return meeting;
-        }).then(meeting => {
+        // Falls back to the user's live meeting: the SDK UUID may differ from the RTMS UUID
+        findMeetingByZoomId(meetingId, ws.userId).then(meeting => {
           if (!meeting) {
             console.log(`📡 WS subscribe: no meeting found for zoomMeetingId="${meetingId}"`);
             return;
@@ -221,6 +211,11 @@ async function handleWebSocketMessage(ws, data) {
               type: 'meeting.status',
               data: { meetingId, status: 'rtms_started', timestamp: new Date().toISOString() },
             }));
+          } else if (meeting.status === 'interrupted') {
+            ws.send(JSON.stringify({
+              type: 'meeting.status',
+              data: { meetingId, status: 'rtms_interrupted', timestamp: new Date().toISOString() },
+            }));
           } else if (meeting.status === 'completed') {
             ws.send(JSON.stringify({
               type: 'meeting.status',
@@ -414,6 +409,36 @@ function broadcastMeetingStatus(meetingId, status) {
   });
 }
 
+/**
+ * Broadcast an updated meeting summary (rolling during the meeting, final once it completes)
+ */
+function broadcastSummaryUpdate(meetingId, summary, final = false) {
+  return broadcastToMeeting(meetingId, {
+    type: 'summary.updated',
+    data: {
+      meetingId,
+      summary,
+      final,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Broadcast progress of a long meeting's summary (see meetingInsights)
+ * @param {object} progress - { stage: 'map'|'reduce', completed, total }
+ */
+function broadcastSummaryProgress(meetingId, progress) {
+  return broadcastToMeeting(meetingId, {
+    type: 'summary.progress',
+    data: {
+      meetingId,
+      ...progress,
+      timestamp: new Date().toISOString(),
+    },
+  });
+}
+
 /**
  * Cross-register a user's existing WS connections under an RTMS meeting UUID.
  * Called when a new RTMS session starts — the user's WS is subscribed under the
@@ -470,6 +495,8 @@ module.exports = {
   broadcastParticipantEvent,
   broadcastAiSuggestion,
   broadcastMeetingStatus,
+  broadcastSummaryUpdate,
+  broadcastSummaryProgress,
   crossRegisterUser,
   getStats,
 };
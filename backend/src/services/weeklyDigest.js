@@ -0,0 +1,220 @@
+/**
+ * Weekly Digest Service
+ * Stats for a user's meetings in one ISO week (count, duration, speaking time,
+ * topics) plus an optional AI narrative cached in WeeklyDigest.
+ *
+ * Stats are always computed from the database; the narrative is only generated
+ * when AI is enabled, and regenerated when what it was written from changes:
+ * meetings added, retitled or re-summarized, or the week's top topics.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const config = require('../config');
+const { generateWeeklyNarrative } = require('./openrouter');
+const { getAiContext } = require('./verticals');
+const { ensureMeetingTopics, getTopicCounts } = require('./topics');
+
+const DAY_MS = 86400000;
+const TOP_TOPICS = 5;
+const TOP_SPEAKERS = 5;
+
+// In-flight narrative generations per user + week
+const pendingNarratives = new Map();
+
+/**
+ * ISO week (Monday to Monday, server local time) containing a date
+ * @returns {{ key: string, start: Date, end: Date }} key like "2026-W42"
+ */
+function getIsoWeek(date = new Date()) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+  const end = new Date(start);
+  end.setDate(start.getDate() + 7);
+
+  // The week belongs to the year its Thursday falls in
+  const thursday = new Date(start);
+  thursday.setDate(start.getDate() + 3);
+  const dayOfYear = Math.round((thursday - new Date(thursday.getFullYear(), 0, 1)) / DAY_MS);
+  const week = Math.floor(dayOfYear / 7) + 1;
+
+  return {
+    key: `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`,
+    start,
+    end,
+  };
+}
+
+/**
+ * Parse an ISO week key ("2026-W42")
+ * @returns {{ key, start, end }|null} null if malformed
+ */
+function parseIsoWeek(key) {
+  const match = /^(\d{4})-W(\d{2})$/.exec(key || '');
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const week = parseInt(match[2], 10);
+  if (week < 1 || week > 53) return null;
+
+  // January 4th is always in week 1
+  const monday = new Date(year, 0, 4);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7) + (week - 1) * 7);
+
+  const parsed = getIsoWeek(monday);
+  return parsed.key === key ? parsed : null;
+}
+
+/**
+ * Compute digest stats for a user's meetings in a week
+ * @returns {Promise<object>} { meetingCount, totalDurationMs, speakingTime, topTopics }
+ *   plus the meetings themselves (for the narrative prompt)
+ */
+async function computeWeeklyStats(userId, week) {
+  const meetings = await prisma.meeting.findMany({
+    where: {
+      ownerId: userId,
+      startTime: { gte: week.start, lt: week.end },
+    },
+    select: {
+      id: true,
+      title: true,
+      startTime: true,
+      endTime: true,
+      duration: true,
+      summary: true,
+    },
+    orderBy: { startTime: 'asc' },
+  });
+
+  const now = Date.now();
+  const totalDurationMs = meetings.reduce((sum, m) => {
+    if (m.duration) return sum + m.duration;
+    const end = m.endTime ? m.endTime.getTime() : now;
+    return sum + Math.max(0, end - m.startTime.getTime());
+  }, 0);
+
+  // Speaking time per speaker, from segment timestamps
+  const speakers = meetings.length > 0 ? await prisma.$queryRaw`
+    SELECT
+      COALESCE(s.display_name, s.label, 'Unknown') as name,
+      SUM(GREATEST(ts.t_end_ms - ts.t_start_ms, 0))::float as "speakingMs"
+    FROM transcript_segments ts
+    INNER JOIN meetings m ON ts.meeting_id = m.id
+    LEFT JOIN speakers s ON ts.speaker_id = s.id
+    WHERE m.owner_id = ${userId}
+      AND m.start_time >= ${week.start}
+      AND m.start_time < ${week.end}
+    GROUP BY 1
+    ORDER BY 2 DESC
+  ` : [];
+
+  // Topics come from each meeting's stored insights (MeetingTopic)
+  await ensureMeetingTopics(userId);
+  const topTopics = meetings.length > 0
+    ? await getTopicCounts(userId, { from: week.start, to: week.end, limit: TOP_TOPICS })
+    : [];
+
+  return {
+    meetingCount: meetings.length,
+    totalDurationMs,
+    speakingTime: {
+      totalMs: speakers.reduce((sum, s) => sum + s.speakingMs, 0),
+      speakers: speakers.slice(0, TOP_SPEAKERS).map((s) => ({ name: s.name, speakingMs: s.speakingMs })),
+    },
+    topTopics,
+    meetings,
+  };
+}
+
+/**
+ * Return the cached narrative for a week, generating it if missing or stale
+ * @returns {Promise<object|null>} WeeklyDigest row, or null if there is nothing to summarize
+ */
+async function getNarrative(userId, week, stats) {
+  if (stats.meetingCount === 0) {
+    return null;
+  }
+
+  const input = {
+    meetingCount: stats.meetingCount,
+    topTopics: stats.topTopics,
+    meetings: stats.meetings.map((m) => ({
+      title: m.title,
+      overview: m.summary?.overview || '',
+      decisions: Array.isArray(m.summary?.decisions) ? m.summary.decisions : [],
+    })),
+  };
+  // Duration is left out: it grows by the second while a meeting is live
+  const sourceHash = crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+
+  const cached = await prisma.weeklyDigest.findUnique({
+    where: { userId_week: { userId, week: week.key } },
+  });
+  if (cached && cached.sourceHash === sourceHash) {
+    return cached;
+  }
+
+  const key = `${userId}:${week.key}:${sourceHash}`;
+  if (!pendingNarratives.has(key)) {
+    const promise = (async () => {
+      console.log(`🤖 Generating weekly digest narrative for ${week.key}`);
+      const ai = await getAiContext(userId);
+      const narrative = await generateWeeklyNarrative({
+        ...input,
+        totalDurationMs: stats.totalDurationMs,
+      }, ai);
+
+      const data = { narrative, meetingCount: stats.meetingCount, sourceHash };
+      return prisma.weeklyDigest.upsert({
+        where: { userId_week: { userId, week: week.key } },
+        create: { userId, week: week.key, ...data },
+        update: { ...data, generatedAt: new Date() },
+      });
+    })().finally(() => {
+      pendingNarratives.delete(key);
+    });
+    pendingNarratives.set(key, promise);
+  }
+  return pendingNarratives.get(key);
+}
+
+/**
+ * Build the weekly digest for a user
+ * @param {string} userId
+ * @param {object} week - From getIsoWeek() / parseIsoWeek()
+ * @param {object} [options] - { narrative: false } for stats only
+ * @returns {Promise<object>} Digest for GET /api/home/weekly-digest
+ */
+async function getWeeklyDigest(userId, week, options = {}) {
+  const { meetings, ...stats } = await computeWeeklyStats(userId, week);
+
+  let narrative = null;
+  let narrativeGeneratedAt = null;
+  if (config.aiEnabled && options.narrative !== false) {
+    try {
+      const digest = await getNarrative(userId, week, { ...stats, meetings });
+      narrative = digest?.narrative || null;
+      narrativeGeneratedAt = digest?.generatedAt || null;
+    } catch (error) {
+      // Stats are still useful without the narrative
+      console.warn('⚠️ Weekly digest narrative unavailable:', error.message);
+    }
+  }
+
+  return {
+    week: { key: week.key, start: week.start, end: week.end },
+    ...stats,
+    narrative,
+    narrativeGeneratedAt,
+    aiEnabled: config.aiEnabled,
+  };
+}
+
+module.exports = {
+  getIsoWeek,
+  parseIsoWeek,
+  getWeeklyDigest,
+};
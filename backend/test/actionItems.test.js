@@ -0,0 +1,56 @@
+/**
+ * Action item normalization and the list route's query validation (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma, invoke } = require('./setup');
+const { normalizePriority, parseDueDate, serializeActionItem } = require('../src/services/actionItems');
+const router = require('../src/routes/action-items');
+
+test('normalizePriority() accepts known priorities in any case', () => {
+  assert.strictEqual(normalizePriority('HIGH'), 'high');
+  assert.strictEqual(normalizePriority('low'), 'low');
+  assert.strictEqual(normalizePriority('urgent'), 'medium');
+  assert.strictEqual(normalizePriority(null), 'medium');
+});
+
+test('parseDueDate() returns a Date, or null for missing and invalid values', () => {
+  assert.deepStrictEqual(parseDueDate('2026-03-01'), new Date('2026-03-01'));
+  assert.strictEqual(parseDueDate('null'), null);
+  assert.strictEqual(parseDueDate(''), null);
+  assert.strictEqual(parseDueDate('next week sometime'), null);
+});
+
+test('serializeActionItem() converts BigInt times', () => {
+  const item = serializeActionItem({ id: 'a', task: 't', tStartMs: 90000n, meeting: { title: 'Standup' } });
+  assert.strictEqual(item.tStartMs, 90000);
+  assert.strictEqual(item.meetingTitle, 'Standup');
+  assert.strictEqual(serializeActionItem({ id: 'b', tStartMs: null }).tStartMs, null);
+});
+
+test('GET / clamps the limit and rejects unparseable dates', async () => {
+  let args;
+  prisma.actionItem = {
+    findMany: async (a) => { args = a; return []; },
+    count: async () => 0,
+  };
+
+  assert.strictEqual((await invoke(router, 'GET /', { query: { limit: 'abc' } })).status, 200);
+  assert.strictEqual(args.take, 50);
+  await invoke(router, 'GET /', { query: { limit: '5000' } });
+  assert.strictEqual(args.take, 100);
+
+  const bad = await invoke(router, 'GET /', { query: { from: 'garbage' } });
+  assert.strictEqual(bad.status, 400);
+  assert.strictEqual((await invoke(router, 'GET /', { query: { to: 'soon' } })).status, 400);
+
+  await invoke(router, 'GET /', { query: { from: '2026-01-01', to: '2026-01-31' } });
+  assert.deepStrictEqual(args.where.meeting.startTime, { gte: new Date('2026-01-01'), lte: new Date('2026-01-31') });
+});
+
+test('PATCH /:id rejects a non-string task', async () => {
+  prisma.actionItem = { findFirst: async () => ({ id: 'a' }) };
+  const { status } = await invoke(router, 'PATCH /:id', { params: { id: 'a' }, body: { task: 5 } });
+  assert.strictEqual(status, 400);
+});
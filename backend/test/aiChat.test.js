@@ -0,0 +1,99 @@
+/**
+ * Chat sessions: citation extraction, history and session routes (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma, invoke } = require('./setup');
+const { extractCitations, getHistory, serializeMessages } = require('../src/services/aiChat');
+const router = require('../src/routes/ai');
+
+const lines = [
+  { segmentId: 's1', meetingId: 'm1', tStartMs: 1000n, tEndMs: 2000n },
+  { segmentId: 's2', meetingId: 'm1', tStartMs: 5000n, tEndMs: 6000n },
+  { segmentId: 's3', meetingId: 'm1', tStartMs: 3000n, tEndMs: 4000n },
+];
+
+test('extractCitations() numbers cited lines in transcript order', () => {
+  const { content, citations } = extractCitations('Launch slips [#2]. Budget is fine [#1, #3].', lines);
+  assert.deepStrictEqual(citations.map((c) => c.segmentId), ['s1', 's3', 's2']);
+  assert.strictEqual(content, 'Launch slips [3]. Budget is fine [1][2].');
+});
+
+test('extractCitations() merges adjacent markers and repeats of the same line', () => {
+  const { content, citations } = extractCitations('A [#3][#1] B [#3]', lines);
+  assert.strictEqual(citations.length, 2);
+  assert.strictEqual(content, 'A [1][2] B [2]');
+});
+
+test('extractCitations() drops markers for lines the model made up', () => {
+  const { content, citations } = extractCitations('Nothing here [#9]. Something [#1, #42]', lines);
+  assert.strictEqual(content, 'Nothing here . Something [1]');
+  assert.deepStrictEqual(citations.map((c) => c.segmentId), ['s1']);
+});
+
+test('getHistory() returns recent turns oldest first, without citation numbers', async () => {
+  let args;
+  prisma.aiMessage = {
+    findMany: async (a) => {
+      args = a;
+      return [
+        { role: 'assistant', content: 'It moved [1][2].' },
+        { role: 'user', content: 'When is launch [1]?' },
+      ];
+    },
+  };
+
+  assert.deepStrictEqual(await getHistory(null), []);
+  assert.deepStrictEqual(await getHistory('sess'), [
+    { role: 'user', content: 'When is launch [1]?' },
+    { role: 'assistant', content: 'It moved .' },
+  ]);
+  assert.strictEqual(args.where.sessionId, 'sess');
+});
+
+test('serializeMessages() indexes citations in the same order as extraction', async () => {
+  prisma.transcriptSegment = {
+    findMany: async () => [
+      { id: 's1', seqNo: 1n, text: 'first', speaker: { label: 'A' }, meeting: { title: 'Standup' } },
+    ],
+  };
+
+  const [message] = await serializeMessages([{
+    id: 'msg',
+    role: 'assistant',
+    content: 'x',
+    citations: [
+      { id: 'c2', meetingId: 'm1', segmentId: 's2', tStartMs: 5000n, tEndMs: 6000n },
+      { id: 'c1', meetingId: 'm1', segmentId: 's1', tStartMs: 1000n, tEndMs: 2000n },
+    ],
+  }]);
+
+  assert.deepStrictEqual(message.citations.map((c) => [c.index, c.segmentId]), [[1, 's1'], [2, 's2']]);
+  assert.strictEqual(message.citations[0].seqNo, '1');
+  assert.strictEqual(message.citations[0].meetingTitle, 'Standup');
+  assert.strictEqual(message.citations[1].text, null);
+});
+
+test('sessions are only visible to their owner', async () => {
+  let where;
+  prisma.aiSession = {
+    findFirst: async (a) => { where = a.where; return null; },
+    deleteMany: async (a) => { where = a.where; return { count: 0 }; },
+  };
+
+  assert.strictEqual((await invoke(router, 'GET /sessions/:id', { params: { id: 'other' } })).status, 404);
+  assert.deepStrictEqual(where, { id: 'other', userId: 'user-1' });
+  assert.strictEqual((await invoke(router, 'DELETE /sessions/:id', { params: { id: 'other' } })).status, 404);
+  assert.deepStrictEqual(where, { id: 'other', userId: 'user-1' });
+});
+
+test('GET /sessions clamps the limit', async () => {
+  let args;
+  prisma.aiSession = { findMany: async (a) => { args = a; return []; } };
+
+  await invoke(router, 'GET /sessions', { query: { limit: 'abc' } });
+  assert.strictEqual(args.take, 20);
+  await invoke(router, 'GET /sessions', { query: { limit: '1000' } });
+  assert.strictEqual(args.take, 100);
+});
@@ -0,0 +1,220 @@
+/**
+ * AI provider layer against a local stub server (node --test)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+
+// config.js exits without these; the values are never used here
+Object.assign(process.env, {
+  ZOOM_CLIENT_ID: process.env.ZOOM_CLIENT_ID || 'test',
+  ZOOM_CLIENT_SECRET: process.env.ZOOM_CLIENT_SECRET || 'test',
+  PUBLIC_URL: process.env.PUBLIC_URL || 'http://localhost:3000',
+  DATABASE_URL: process.env.DATABASE_URL || 'postgresql://localhost/test',
+  SESSION_SECRET: process.env.SESSION_SECRET || 'test',
+  REDIS_ENCRYPTION_KEY: process.env.REDIS_ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef',
+  // The stub server below is local
+  AI_CUSTOM_ALLOWED_HOSTS: '127.0.0.1',
+});
+
+// aiProviders only needs Prisma to load user settings; these tests pass settings in
+require.cache[path.join(__dirname, '../src/lib/prisma.js')] = { exports: {} };
+const { complete, stream, testConnection, checkCustomBaseUrl, buildStoredSettings } = require('../src/services/aiProviders');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+
+      if (req.url.startsWith('/hang/')) return; // Never responds
+
+      if (req.url === '/error/chat/completions') {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: 'bad key' }));
+      }
+
+      if (req.url === '/v1/messages' && body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('event: message_start\ndata: {"type":"message_start"}\n\n');
+        res.write('event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"text":"Hi "}}\n\n');
+        res.write('event: ping\ndata: {"type":"ping"}\n\n');
+        res.write('event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"text":"there"}}\n\n');
+        return res.end('event: message_stop\ndata: {"type":"message_stop"}\n\n');
+      }
+
+      if (req.url === '/v1/messages') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({
+          content: [{ type: 'text', text: `anthropic:${req.headers['x-api-key']}:${body.system}` }],
+        }));
+      }
+
+      if (req.url === '/split/chat/completions') {
+        // CRLF line endings, with events split across writes
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write(': keep-alive\r\n\r\ndata: {"choices":[{"delta":');
+        setTimeout(() => {
+          res.write('{"content":"a"}}]}\r\n\r');
+          res.end('\ndata: {"choices":[{"delta":{"content":"b"}}]}\r\n\r\ndata: [DONE]\r\n\r\n');
+        }, 10);
+        return;
+      }
+
+      if (req.url === '/slow/chat/completions') {
+        // One token, then nothing until the client goes away
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"choices":[{"delta":{"content":"first"}}]}\n\n');
+        return;
+      }
+
+      if (body.stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.write('data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n');
+        res.write('data: {"choices":[{"delta":{"content":"lo"}}]}\n\n');
+        return res.end('data: [DONE]\n\n');
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ message: { content: `openai:${req.headers.authorization || ''}:${body.model}` } }],
+      }));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function custom(pathname, overrides = {}) {
+  return { provider: 'custom', model: 'llama3', baseUrl: `${baseUrl}${pathname}`, apiKey: null, ...overrides };
+}
+
+test('complete() speaks the OpenAI format to custom endpoints', async () => {
+  const text = await complete(custom('/v1', { apiKey: 'sk-test' }), [{ role: 'user', content: 'hi' }]);
+  assert.strictEqual(text, 'openai:Bearer sk-test:llama3');
+});
+
+test('complete() speaks the Messages API to Anthropic', async () => {
+  const settings = { provider: 'anthropic', model: 'claude', baseUrl: `${baseUrl}/v1`, apiKey: 'ak' };
+  const text = await complete(settings, [
+    { role: 'system', content: 'be brief' },
+    { role: 'user', content: 'hi' },
+  ]);
+  assert.strictEqual(text, 'anthropic:ak:be brief');
+});
+
+test('stream() collects tokens', async () => {
+  const tokens = [];
+  const text = await stream(custom('/v1'), [{ role: 'user', content: 'hi' }], {
+    onToken: (token) => tokens.push(token),
+  });
+  assert.strictEqual(text, 'Hello');
+  assert.deepStrictEqual(tokens, ['Hel', 'lo']);
+});
+
+test('stream() reads Anthropic deltas and skips other events', async () => {
+  const settings = { provider: 'anthropic', model: 'claude', baseUrl: `${baseUrl}/v1`, apiKey: 'ak' };
+  const text = await stream(settings, [{ role: 'user', content: 'hi' }]);
+  assert.strictEqual(text, 'Hi there');
+});
+
+test('stream() handles CRLF and events split across chunks', async () => {
+  const tokens = [];
+  const text = await stream(custom('/split'), [{ role: 'user', content: 'hi' }], {
+    onToken: (token) => tokens.push(token),
+  });
+  assert.strictEqual(text, 'ab');
+  assert.deepStrictEqual(tokens, ['a', 'b']);
+});
+
+test('aborting the caller\'s signal cancels a stream', async () => {
+  const controller = new AbortController();
+  const tokens = [];
+  await assert.rejects(
+    stream(custom('/slow'), [{ role: 'user', content: 'hi' }], {
+      signal: controller.signal,
+      onToken: (token) => {
+        tokens.push(token);
+        controller.abort();
+      },
+    }),
+    (error) => error.name === 'AbortError'
+  );
+  assert.deepStrictEqual(tokens, ['first']);
+});
+
+test('HTTP errors carry the provider status', async () => {
+  await assert.rejects(
+    complete(custom('/error'), [{ role: 'user', content: 'hi' }]),
+    (error) => error.status === 401 && error.detail.includes('bad key')
+  );
+});
+
+test('an endpoint that never responds times out', async () => {
+  await assert.rejects(
+    complete(custom('/hang'), [{ role: 'user', content: 'hi' }], { timeoutMs: 200 }),
+    (error) => error.status === 504 && /did not respond/.test(error.message)
+  );
+  await assert.rejects(
+    stream(custom('/hang'), [{ role: 'user', content: 'hi' }], { timeoutMs: 200 }),
+    (error) => error.status === 504
+  );
+});
+
+test('testConnection() reports success and failure', async () => {
+  const ok = await testConnection(custom('/v1'));
+  assert.strictEqual(ok.ok, true);
+
+  const failed = await testConnection(custom('/error'));
+  assert.strictEqual(failed.ok, false);
+  assert.match(failed.error, /401/);
+});
+
+test('custom endpoints on private or local addresses need the operator\'s allowlist', async () => {
+  for (const url of [
+    'http://169.254.169.254/latest',
+    'http://10.1.2.3:8000/v1',
+    'http://192.168.0.5/v1',
+    'http://localhost:11434/v1',
+    'http://[::1]:11434/v1',
+    'http://[::ffff:127.0.0.1]/v1',
+    'http://0.0.0.0:8080/v1',
+  ]) {
+    assert.match(await checkCustomBaseUrl(url), /private or local address/, url);
+  }
+
+  assert.strictEqual(await checkCustomBaseUrl('https://8.8.8.8/v1'), null);
+  assert.strictEqual(await checkCustomBaseUrl(`${baseUrl}/v1`), null); // Allowed host
+
+  await assert.rejects(
+    complete(custom('/v1', { baseUrl: 'http://169.254.169.254/v1' }), [{ role: 'user', content: 'hi' }]),
+    (error) => error.status === 403
+  );
+});
+
+test('changing a custom baseUrl drops the stored API key', () => {
+  const existing = buildStoredSettings(null, { provider: 'custom', model: 'm', baseUrl: 'https://a.example/v1', apiKey: 'secret' });
+  assert.ok(existing.apiKeyEncrypted);
+
+  assert.strictEqual(
+    buildStoredSettings(existing, { provider: 'custom', model: 'm', baseUrl: 'https://a.example/v1' }).apiKeyEncrypted,
+    existing.apiKeyEncrypted
+  );
+  assert.strictEqual(
+    buildStoredSettings(existing, { provider: 'custom', model: 'm', baseUrl: 'https://b.example/v1' }).apiKeyEncrypted,
+    null
+  );
+  assert.strictEqual(buildStoredSettings(existing, { provider: 'openai', model: 'm' }).apiKeyEncrypted, null);
+});
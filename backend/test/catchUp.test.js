@@ -0,0 +1,92 @@
+/**
+ * "What did I miss?" windows and their summary cache (node --test)
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.AI_ENABLED = 'true';
+const { prisma, invoke } = require('./setup');
+
+// catchUp reads these on load; the summary comes from a stub
+const openrouter = require('../src/services/openrouter');
+const verticals = require('../src/services/verticals');
+const generated = [];
+openrouter.generateCatchUp = async (transcript, title, minutes) => {
+  generated.push({ transcript, minutes });
+  return { overview: `Recap of ${title}`, keyPoints: ['Budget approved'] };
+};
+verticals.getAiContext = async () => null;
+
+const { getCatchUp } = require('../src/services/catchUp');
+const router = require('../src/routes/ai');
+
+const startTime = new Date('2026-10-19T10:00:00Z');
+let segments;
+let where;
+
+beforeEach(() => {
+  generated.length = 0;
+  segments = [
+    { seqNo: 8n, tStartMs: 600000n, tEndMs: 630000n, text: 'Budget approved', speaker: { displayName: 'Ana' } },
+    { seqNo: 7n, tStartMs: 540000n, tEndMs: 570000n, text: 'Looking at the budget', speaker: null },
+  ];
+  prisma.transcriptSegment = {
+    findMany: async (args) => {
+      where = args.where;
+      return segments.filter((s) => s.tStartMs >= args.where.tStartMs.gte).slice(0, args.take);
+    },
+  };
+});
+
+test('a window covers segments spoken since the given time, in order', async () => {
+  const meeting = { id: 'm-window', title: 'Planning', startTime };
+  const catchUp = await getCatchUp(meeting, new Date('2026-10-19T10:08:00Z'), 'user-1');
+
+  assert.strictEqual(where.tStartMs.gte, 480000n);
+  assert.deepStrictEqual(
+    { from: catchUp.fromSeqNo, to: catchUp.toSeqNo, count: catchUp.segmentCount, cached: catchUp.cached },
+    { from: '7', to: '8', count: 2, cached: false }
+  );
+  assert.strictEqual(catchUp.overview, 'Recap of Planning');
+  assert.strictEqual(generated[0].transcript, '[Speaker]: Looking at the budget\n[Ana]: Budget approved');
+  assert.strictEqual(generated[0].minutes, 1.5);
+});
+
+test('a time before the meeting started covers the whole meeting', async () => {
+  await getCatchUp({ id: 'm-early', title: 'Planning', startTime }, new Date(0), 'user-1');
+  assert.strictEqual(where.tStartMs.gte, 0n);
+});
+
+test('an empty window is returned without an AI call', async () => {
+  const catchUp = await getCatchUp({ id: 'm-empty', title: 'Planning', startTime }, new Date('2026-10-19T11:00:00Z'), 'user-1');
+  assert.strictEqual(catchUp.segmentCount, 0);
+  assert.strictEqual(catchUp.overview, null);
+  assert.strictEqual(generated.length, 0);
+});
+
+test('requests over the same segments share one summary', async () => {
+  const meeting = { id: 'm-shared', title: 'Planning', startTime };
+  const [a, b] = await Promise.all([
+    getCatchUp(meeting, new Date('2026-10-19T10:08:00Z'), 'user-1'),
+    getCatchUp(meeting, new Date('2026-10-19T10:08:30Z'), 'user-2'),
+  ]);
+  assert.strictEqual(generated.length, 1);
+  assert.strictEqual(a.overview, b.overview);
+
+  const again = await getCatchUp(meeting, new Date('2026-10-19T10:07:00Z'), 'user-1');
+  assert.strictEqual(again.cached, true);
+  assert.strictEqual(generated.length, 1);
+
+  segments.unshift({ seqNo: 9n, tStartMs: 660000n, tEndMs: 670000n, text: 'Next topic', speaker: null });
+  await getCatchUp(meeting, new Date('2026-10-19T10:08:00Z'), 'user-1');
+  assert.strictEqual(generated.length, 2);
+});
+
+test('POST /catch-up validates meetingId and since', async () => {
+  assert.strictEqual((await invoke(router, 'POST /catch-up', { body: {} })).status, 400);
+  assert.strictEqual((await invoke(router, 'POST /catch-up', { body: { meetingId: 'm1', since: 'a while ago' } })).status, 400);
+
+  prisma.meeting = { findFirst: async () => null };
+  assert.strictEqual((await invoke(router, 'POST /catch-up', { body: { meetingId: 'm1', since: 0 } })).status, 404);
+});
@@ -0,0 +1,67 @@
+/**
+ * Decision log routes: query and body validation (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma, invoke } = require('./setup');
+const { serializeDecision } = require('../src/services/decisions');
+const router = require('../src/routes/decisions');
+
+test('serializeDecision() converts BigInt positions', () => {
+  const decision = serializeDecision({ id: 'd', seqNo: 12n, tStartMs: 61000n, meeting: { title: 'Planning' } });
+  assert.strictEqual(decision.seqNo, '12');
+  assert.strictEqual(decision.tStartMs, 61000);
+  assert.strictEqual(decision.meetingTitle, 'Planning');
+  assert.strictEqual(serializeDecision({ id: 'e', seqNo: null, tStartMs: null }).seqNo, null);
+});
+
+test('GET / validates source and dates, and clamps the limit', async () => {
+  let args;
+  prisma.decision = {
+    findMany: async (a) => { args = a; return []; },
+    count: async () => 0,
+  };
+
+  assert.strictEqual((await invoke(router, 'GET /', { query: { source: 'rumour' } })).status, 400);
+  assert.strictEqual((await invoke(router, 'GET /', { query: { from: 'last tuesday' } })).status, 400);
+  assert.strictEqual((await invoke(router, 'GET /', { query: { to: 'garbage' } })).status, 400);
+
+  await invoke(router, 'GET /', { query: { limit: '1000', from: '2026-01-01', participant: 'Ana' } });
+  assert.strictEqual(args.take, 100);
+  assert.deepStrictEqual(args.where.meeting, { ownerId: 'user-1', startTime: { gte: new Date('2026-01-01') } });
+  assert.deepStrictEqual(args.where.participants, { has: 'Ana' });
+});
+
+test('POST / rejects a non-string text and a non-integer seqNo', async () => {
+  let created;
+  prisma.meeting = { findFirst: async () => ({ id: 'm1' }) };
+  prisma.transcriptSegment = { findUnique: async ({ where }) => ({ seqNo: where.meetingId_seqNo.seqNo, tStartMs: 5000n }) };
+  prisma.decision = { create: async ({ data }) => { created = data; return { id: 'd1', ...data }; } };
+
+  for (const body of [
+    { meetingId: 'm1', text: ['Ship it'] },
+    { meetingId: 'm1', text: '   ' },
+    { meetingId: 'm1', text: 'Ship it', seqNo: 1.5 },
+    { meetingId: 'm1', text: 'Ship it', seqNo: '-3' },
+    { meetingId: 'm1', text: 'Ship it', seqNo: 'twelve' },
+    { meetingId: 'm1', text: 'Ship it', seqNo: [12] },
+  ]) {
+    assert.strictEqual((await invoke(router, 'POST /', { body })).status, 400, JSON.stringify(body));
+  }
+
+  const { status, body } = await invoke(router, 'POST /', {
+    body: { meetingId: 'm1', text: ' Ship it ', seqNo: '12', participants: ['Ana ', ''] },
+  });
+  assert.strictEqual(status, 201);
+  assert.strictEqual(created.text, 'Ship it');
+  assert.deepStrictEqual(created.participants, ['Ana']);
+  assert.strictEqual(created.source, 'manual');
+  assert.strictEqual(body.decision.seqNo, '12');
+});
+
+test('POST / returns 404 for a meeting the user does not own', async () => {
+  prisma.meeting = { findFirst: async () => null };
+  const { status } = await invoke(router, 'POST /', { body: { meetingId: 'other', text: 'Ship it' } });
+  assert.strictEqual(status, 404);
+});
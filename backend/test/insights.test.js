@@ -0,0 +1,70 @@
+/**
+ * Validation of the consolidated meeting insights extraction (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./setup');
+const { validateInsights } = require('../src/services/openrouter');
+
+test('missing or malformed output yields every field, empty', () => {
+  for (const parsed of [null, {}, { overview: 5, keyPoints: 'not a list', topics: {} }]) {
+    assert.deepStrictEqual(validateInsights(parsed), {
+      overview: '',
+      keyPoints: [],
+      decisions: [],
+      nextSteps: [],
+      topics: [],
+      actionItems: [],
+      sections: [],
+    });
+  }
+});
+
+test('one bad list item is dropped without losing the rest of the list', () => {
+  const insights = validateInsights({
+    keyPoints: ['Budget approved', null, '', 42, 'Launch moved'],
+    nextSteps: [{ step: 'x' }, 'Send the deck'],
+    sections: [{ title: 'Risks', items: ['Vendor delay', 7] }, { items: ['no title'] }, 'loose'],
+  });
+
+  assert.deepStrictEqual(insights.keyPoints, ['Budget approved', 'Launch moved']);
+  assert.deepStrictEqual(insights.nextSteps, ['Send the deck']);
+  assert.deepStrictEqual(insights.sections, [{ title: 'Risks', items: ['Vendor delay'] }]);
+});
+
+test('an overlong topic is truncated rather than losing every topic', () => {
+  const long = 'Quarterly infrastructure cost review and cloud vendor consolidation';
+  const { topics } = validateInsights({ topics: ['Hiring', long, null, 'Roadmap', 'Budget', 'Security', 'Extra'] });
+
+  assert.strictEqual(topics.length, 5);
+  assert.strictEqual(topics[0], 'Hiring');
+  assert.strictEqual(topics[1], long.slice(0, 60));
+  assert.deepStrictEqual(topics.slice(2), ['Roadmap', 'Budget', 'Security']);
+});
+
+test('action items are validated one at a time and normalized', () => {
+  const { actionItems } = validateInsights({
+    actionItems: [
+      { task: '  Send notes ', owner: 'null', priority: 'HIGH', due: 'soon', line: 3, extra: true },
+      { owner: 'Ana' },
+      { task: 'Book room', priority: 'whenever', line: 'x' },
+    ],
+  });
+
+  assert.deepStrictEqual(actionItems, [
+    { task: 'Send notes', owner: null, priority: 'high', due: null, line: 3 },
+    { task: 'Book room', owner: null, priority: 'medium', due: null, line: null },
+  ]);
+});
+
+test('decisions accept plain strings and objects with sources', () => {
+  const { decisions } = validateInsights({
+    decisions: ['Ship on Friday', { decision: 'Hire two engineers', participants: ['Ana', ''], line: 12 }, { line: 4 }, ''],
+  });
+
+  assert.deepStrictEqual(decisions, [
+    { text: 'Ship on Friday', participants: [], line: null },
+    { text: 'Hire two engineers', participants: [], line: 12 },
+  ]);
+});
@@ -0,0 +1,87 @@
+/**
+ * Signed internal API between the RTMS service and the backend (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const SECRET = 'internal-test-secret';
+
+// config.js exits without these; RTMS_INTERNAL_SECRET is the one under test
+Object.assign(process.env, {
+  ZOOM_CLIENT_ID: process.env.ZOOM_CLIENT_ID || 'test',
+  ZOOM_CLIENT_SECRET: process.env.ZOOM_CLIENT_SECRET || 'test',
+  PUBLIC_URL: process.env.PUBLIC_URL || 'http://localhost:3000',
+  DATABASE_URL: process.env.DATABASE_URL || 'postgresql://localhost/test',
+  SESSION_SECRET: process.env.SESSION_SECRET || 'test',
+  REDIS_ENCRYPTION_KEY: process.env.REDIS_ENCRYPTION_KEY || '0123456789abcdef0123456789abcdef',
+  RTMS_INTERNAL_SECRET: SECRET,
+});
+
+const { signInternal, requireInternalSignature } = require('../src/middleware/internalAuth');
+// The RTMS service's side of the scheme
+const rtmsSignature = require('../../rtms/src/internalSignature');
+
+const now = () => Math.floor(Date.now() / 1000).toString();
+
+/**
+ * Run requireInternalSignature over a request; resolves to 'next' or the status sent
+ */
+function check({ signature, timestamp, body = '{"meetingId":"m"}' }) {
+  const req = {
+    method: 'POST',
+    originalUrl: '/api/rtms/segments',
+    ip: '127.0.0.1',
+    rawBody: body,
+    headers: {
+      ...(signature !== undefined && { 'x-arlo-signature': signature }),
+      ...(timestamp !== undefined && { 'x-arlo-request-timestamp': timestamp }),
+    },
+  };
+  let outcome = null;
+  const res = {
+    status(code) { outcome = code; return this; },
+    json() { return this; },
+  };
+  requireInternalSignature(req, res, () => { outcome = 'next'; });
+  return outcome;
+}
+
+test('a request signed by the RTMS service is accepted', () => {
+  const timestamp = now();
+  const body = '{"meetingId":"m","segments":[]}';
+  assert.strictEqual(check({ timestamp, body, signature: rtmsSignature.signInternal(SECRET, timestamp, body) }), 'next');
+});
+
+test('both sides compute the same signature', () => {
+  assert.strictEqual(signInternal('1700000000', '{}'), rtmsSignature.signInternal(SECRET, '1700000000', '{}'));
+});
+
+test('a bad signature is rejected', () => {
+  const timestamp = now();
+  assert.strictEqual(check({ timestamp, signature: rtmsSignature.signInternal('wrong-secret', timestamp, '{"meetingId":"m"}') }), 401);
+  assert.strictEqual(check({ timestamp, signature: 'v1=short' }), 401);
+  // Signed for a different body
+  assert.strictEqual(check({ timestamp, signature: rtmsSignature.signInternal(SECRET, timestamp, '{}') }), 401);
+});
+
+test('a stale timestamp is rejected, even with a valid signature', () => {
+  const stale = (Math.floor(Date.now() / 1000) - 301).toString();
+  assert.strictEqual(check({ timestamp: stale, signature: signInternal(stale, '{"meetingId":"m"}') }), 401);
+  assert.strictEqual(check({ timestamp: 'soon', signature: signInternal('soon', '{"meetingId":"m"}') }), 401);
+});
+
+test('missing signature headers are rejected', () => {
+  assert.strictEqual(check({ timestamp: now() }), 401);
+  assert.strictEqual(check({ signature: 'v1=abc' }), 401);
+});
+
+test('the RTMS service accepts webhooks the backend forwards', () => {
+  const timestamp = now();
+  const body = '{"event":"meeting.rtms_started"}';
+  const signature = signInternal(timestamp, body);
+
+  assert.strictEqual(rtmsSignature.verifyInternalSignature(SECRET, { signature, timestamp, body }), true);
+  assert.strictEqual(rtmsSignature.verifyInternalSignature('other', { signature, timestamp, body }), false);
+  assert.strictEqual(rtmsSignature.verifyInternalSignature(SECRET, { signature, timestamp, body: '{}' }), false);
+});
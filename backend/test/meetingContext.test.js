@@ -0,0 +1,114 @@
+/**
+ * Pre-meeting briefing and Zoom UUID lookup (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma, invoke } = require('./setup');
+const { FALLBACK_WINDOW_MS, liveMeetingWhere, findMeetingByZoomId } = require('../src/services/meetingLookup');
+const { getMeetingContext } = require('../src/services/meetingContext');
+const router = require('../src/routes/meetings');
+
+const people = (...names) => names.map((displayName) => ({ displayName, label: null, role: null }));
+
+test('the UUID fallback only considers recent live meetings', async () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  assert.deepStrictEqual(liveMeetingWhere('user-1', now), {
+    ownerId: 'user-1',
+    status: { in: ['ongoing', 'interrupted'] },
+    startTime: { gte: new Date(now.getTime() - FALLBACK_WINDOW_MS) },
+  });
+
+  let fallbackWhere = null;
+  prisma.meeting = {
+    findUnique: async () => null,
+    findFirst: async ({ where }) => { fallbackWhere = where; return null; },
+  };
+  assert.strictEqual(await findMeetingByZoomId('sdk-uuid', null), null);
+  assert.strictEqual(fallbackWhere, null);
+
+  await findMeetingByZoomId('sdk-uuid', 'user-1');
+  assert.ok(Date.now() - fallbackWhere.startTime.gte.getTime() >= FALLBACK_WINDOW_MS - 1000);
+});
+
+function stubBriefing({ current = null, candidates = [] } = {}) {
+  const calls = { candidates: null };
+  prisma.user = { findUnique: async () => ({ displayName: 'Owner Person' }) };
+  prisma.meeting = {
+    findUnique: async ({ where }) => (where.zoomMeetingId !== undefined ? current : current && {
+      speakers: people('Ana'),
+      participantEvents: [],
+    }),
+    findFirst: async () => null,
+    findMany: async (args) => { calls.candidates = args; return candidates; },
+  };
+  prisma.actionItem = { findMany: async () => [{ id: 'a1', task: 'Send deck', tStartMs: 1000n }] };
+  prisma.decision = { findMany: async () => [] };
+  prisma.meetingTopic = { groupBy: async () => [] };
+  return calls;
+}
+
+test('getMeetingContext() works before the meeting row exists, from SDK names and meeting number', async () => {
+  const calls = stubBriefing({
+    candidates: [
+      { id: 'weekly', title: 'Weekly', startTime: new Date(2026, 9, 12), zoomMeetingNumber: '555', speakers: people('Zed'), participantEvents: [] },
+      { id: 'ana', title: 'Ana 1:1', startTime: new Date(2026, 9, 15), zoomMeetingNumber: null, speakers: people('Ana Lee', 'Owner Person'), participantEvents: [] },
+      { id: 'other', title: 'Other', startTime: new Date(2026, 9, 16), zoomMeetingNumber: null, speakers: people('Cy'), participantEvents: [] },
+    ],
+  });
+
+  const context = await getMeetingContext(
+    { id: null, ownerId: 'user-1', startTime: new Date(2026, 9, 19), meetingSeriesId: null, zoomMeetingNumber: '555' },
+    { participants: ['Ana Lee', 'Owner Person'] }
+  );
+
+  assert.strictEqual(calls.candidates.where.id, undefined);
+  assert.deepStrictEqual(context.meetings.map((m) => [m.id, m.reason, m.sharedAttendees]), [
+    ['weekly', 'series', 0],
+    ['ana', 'attendees', 1],
+  ]);
+  assert.strictEqual(context.actionItems[0].tStartMs, 1000);
+});
+
+test('GET /by-zoom-id/:id/context briefs a meeting that has no row yet', async () => {
+  const calls = stubBriefing();
+  const { status, body } = await invoke(router, 'GET /by-zoom-id/:zoomMeetingId/context', {
+    params: { zoomMeetingId: 'sdk-uuid' },
+    query: { meetingNumber: '555', participant: ['Ana, Lee', ' '] },
+  });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body, { meetings: [], actionItems: [], decisions: [], topics: [] });
+  assert.strictEqual(calls.candidates.where.ownerId, 'user-1');
+  assert.strictEqual(calls.candidates.where.id, undefined);
+});
+
+test('GET /by-zoom-id/:id/context ignores a stored meeting that is someone else\'s or another Zoom meeting', async () => {
+  for (const current of [
+    { id: 'm1', ownerId: 'user-2', startTime: new Date(), meetingSeriesId: null, zoomMeetingNumber: '555' },
+    { id: 'm1', ownerId: 'user-1', startTime: new Date(), meetingSeriesId: null, zoomMeetingNumber: '999' },
+  ]) {
+    const calls = stubBriefing({ current });
+    await invoke(router, 'GET /by-zoom-id/:zoomMeetingId/context', {
+      params: { zoomMeetingId: 'uuid' },
+      query: { meetingNumber: '555' },
+    });
+    assert.strictEqual(calls.candidates.where.ownerId, 'user-1');
+    assert.strictEqual(calls.candidates.where.id, undefined);
+  }
+
+  const calls = stubBriefing({
+    current: { id: 'm1', ownerId: 'user-1', startTime: new Date(), meetingSeriesId: null, zoomMeetingNumber: '555' },
+  });
+  await invoke(router, 'GET /by-zoom-id/:zoomMeetingId/context', { params: { zoomMeetingId: 'uuid' }, query: { meetingNumber: '555' } });
+  assert.deepStrictEqual(calls.candidates.where.id, { not: 'm1' });
+});
+
+test('GET /by-zoom-id/:id/context rejects a non-numeric meeting number', async () => {
+  stubBriefing();
+  const { status } = await invoke(router, 'GET /by-zoom-id/:zoomMeetingId/context', {
+    params: { zoomMeetingId: 'uuid' },
+    query: { meetingNumber: '55; drop' },
+  });
+  assert.strictEqual(status, 400);
+});
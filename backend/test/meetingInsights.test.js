@@ -0,0 +1,52 @@
+/**
+ * Splitting long transcripts into parts and merging the parts' results (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./setup');
+const { packByTokens, uniqueBy } = require('../src/services/meetingInsights');
+
+const length = (item) => item.length;
+
+test('packByTokens() keeps items in order in groups within the budget', () => {
+  assert.deepStrictEqual(packByTokens(['aaa', 'bb', 'c', 'dddd', 'e'], length, 5), [
+    ['aaa', 'bb'],
+    ['c', 'dddd'],
+    ['e'],
+  ]);
+  assert.deepStrictEqual(packByTokens(['aa', 'bbb'], length, 5), [['aa', 'bbb']]);
+  assert.deepStrictEqual(packByTokens([], length, 5), []);
+});
+
+test('packByTokens() gives an oversized item a group of its own', () => {
+  assert.deepStrictEqual(packByTokens(['a', 'bbbbbbbb', 'c'], length, 5), [['a'], ['bbbbbbbb'], ['c']]);
+});
+
+test('packByTokens() with minPerGroup always shrinks the list, so combining ends', () => {
+  const partials = ['aaaaaa', 'bbbbbb', 'cccccc'];
+  assert.deepStrictEqual(packByTokens(partials, length, 5, 2), [['aaaaaa', 'bbbbbb'], ['cccccc']]);
+
+  let level = Array.from({ length: 9 }, () => 'x'.repeat(10));
+  let rounds = 0;
+  while (level.length > 1) {
+    level = packByTokens(level, length, 5, 2).map((group) => group.join(''));
+    rounds += 1;
+  }
+  assert.strictEqual(rounds, 4);
+});
+
+test('uniqueBy() drops repeats that differ only in case and punctuation', () => {
+  const decisions = [
+    { text: 'Ship on Friday.' },
+    { text: 'ship on friday' },
+    { text: 'Hire two engineers' },
+    { text: 'Ship  on Friday!' },
+  ];
+  assert.deepStrictEqual(uniqueBy(decisions, (d) => d.text).map((d) => d.text), ['Ship on Friday.', 'Hire two engineers']);
+});
+
+test('uniqueBy() also drops items already stored', () => {
+  const items = [{ task: 'Send the deck' }, { task: 'Book the venue' }];
+  assert.deepStrictEqual(uniqueBy(items, (item) => item.task, ['send the deck!']), [{ task: 'Book the venue' }]);
+});
@@ -0,0 +1,108 @@
+/**
+ * Meeting series scoring and detection (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('./setup');
+const {
+  titleTerms,
+  scoreMeetingPair,
+  assignMeetingSeries,
+  removeFromSeries,
+} = require('../src/services/meetingSeries');
+
+const speakers = (...names) => names.map((displayName) => ({ displayName, role: null }));
+
+test('titleTerms() ignores dates, numbers and generic words', () => {
+  assert.deepStrictEqual([...titleTerms('Weekly Sync - Oct 14 2026 (Zoom meeting)')], ['weekly', 'sync']);
+  assert.deepStrictEqual([...titleTerms("Design review follow-up: Ana's mockups")], ['design', 'review', 'ana', 'mockups']);
+  assert.strictEqual(titleTerms('Zoom Meeting').size, 0);
+});
+
+test('scoreMeetingPair() weighs meeting number, title and speaker overlap', () => {
+  const a = { zoomMeetingNumber: '123', title: 'Weekly sync', speakers: speakers('Ana', 'Bob') };
+
+  const recurring = scoreMeetingPair(a, { zoomMeetingNumber: '123', title: 'Weekly sync Oct 21', speakers: speakers('ana', 'Bob') });
+  assert.deepStrictEqual(recurring, { score: 1, sameMeetingNumber: true, titleSimilarity: 1, speakerOverlap: 1 });
+
+  const followUp = scoreMeetingPair(a, { zoomMeetingNumber: '999', title: 'Weekly sync follow-up', speakers: speakers('Ana', 'Cy') });
+  assert.strictEqual(followUp.sameMeetingNumber, false);
+  assert.ok(Math.abs(followUp.score - (0.35 + 0.25 / 3)) < 1e-9);
+
+  // Default titles and a missing meeting number never match on their own
+  const generic = scoreMeetingPair(
+    { zoomMeetingNumber: null, title: 'Zoom Meeting', speakers: speakers('Ana') },
+    { zoomMeetingNumber: null, title: 'Zoom Meeting', speakers: speakers('Bob') }
+  );
+  assert.strictEqual(generic.score, 0);
+});
+
+test('system speakers do not count towards overlap', () => {
+  const bot = [{ label: 'Arlo', role: 'system' }];
+  const { speakerOverlap } = scoreMeetingPair({ title: 'x', speakers: bot }, { title: 'y', speakers: bot });
+  assert.strictEqual(speakerOverlap, 0);
+});
+
+function stubMeetings(meeting, candidates) {
+  const updates = [];
+  const created = [];
+  prisma.meeting = {
+    findUnique: async () => meeting,
+    findMany: async () => candidates,
+    update: async ({ where, data }) => { updates.push({ id: where.id, ...data }); },
+  };
+  prisma.meetingSeries = {
+    create: async ({ data }) => { created.push(data); return { id: 'series-new', ...data }; },
+  };
+  return { updates, created };
+}
+
+test('a matching meeting starts a series named after the earlier meeting', async () => {
+  const meeting = { id: 'm2', ownerId: 'user-1', title: 'Weekly sync', zoomMeetingNumber: '123', meetingSeriesId: null, startTime: new Date(2026, 9, 21), speakers: speakers('Ana') };
+  const earlier = { id: 'm1', title: 'Weekly sync (Oct 14)', zoomMeetingNumber: '123', meetingSeriesId: null, startTime: new Date(2026, 9, 14), speakers: speakers('Ana') };
+  const { updates, created } = stubMeetings(meeting, [earlier]);
+
+  assert.strictEqual(await assignMeetingSeries('m2'), 'series-new');
+  assert.deepStrictEqual(created, [{ ownerId: 'user-1', title: 'Weekly sync (Oct 14)', zoomMeetingNumber: '123' }]);
+  assert.deepStrictEqual(updates.map((u) => [u.id, u.meetingSeriesId]), [['m1', 'series-new'], ['m2', 'series-new']]);
+  assert.ok(updates[1].seriesCheckedAt instanceof Date);
+});
+
+test('a meeting joins the best-scoring candidate\'s existing series', async () => {
+  const meeting = { id: 'm3', ownerId: 'user-1', title: 'Budget review', zoomMeetingNumber: null, meetingSeriesId: null, startTime: new Date(2026, 9, 21), speakers: speakers('Ana', 'Bob') };
+  const { updates, created } = stubMeetings(meeting, [
+    { id: 'weak', title: 'Budget planning', meetingSeriesId: 'series-weak', startTime: new Date(2026, 9, 1), speakers: speakers('Ana', 'Bob') },
+    { id: 'strong', title: 'Budget review', meetingSeriesId: 'series-strong', startTime: new Date(2026, 9, 7), speakers: speakers('Ana', 'Bob') },
+  ]);
+
+  assert.strictEqual(await assignMeetingSeries('m3'), 'series-strong');
+  assert.strictEqual(created.length, 0);
+  assert.deepStrictEqual(updates.map((u) => [u.id, u.meetingSeriesId]), [['m3', 'series-strong']]);
+});
+
+test('an unrelated meeting is marked checked without a series', async () => {
+  const meeting = { id: 'm4', ownerId: 'user-1', title: 'Hiring panel', zoomMeetingNumber: '1', meetingSeriesId: null, startTime: new Date(2026, 9, 21), speakers: speakers('Ana') };
+  const { updates } = stubMeetings(meeting, [
+    { id: 'x', title: 'Budget review', zoomMeetingNumber: '2', meetingSeriesId: null, startTime: new Date(2026, 9, 7), speakers: speakers('Bob') },
+  ]);
+
+  assert.strictEqual(await assignMeetingSeries('m4'), null);
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].meetingSeriesId, null);
+  assert.ok(updates[0].seriesCheckedAt instanceof Date);
+});
+
+test('removeFromSeries() deletes a series left with one meeting', async () => {
+  const deleted = [];
+  prisma.meeting = { update: async () => {}, count: async () => 1 };
+  prisma.meetingSeries = { delete: async ({ where }) => { deleted.push(where.id); } };
+
+  await removeFromSeries({ id: 'm1', meetingSeriesId: null });
+  await removeFromSeries({ id: 'm1', meetingSeriesId: 's1' });
+  assert.deepStrictEqual(deleted, ['s1']);
+
+  prisma.meeting.count = async () => 3;
+  await removeFromSeries({ id: 'm2', meetingSeriesId: 's2' });
+  assert.deepStrictEqual(deleted, ['s1']);
+});
@@ -0,0 +1,89 @@
+/**
+ * Transcript chunking, tokenization, date phrases and BM25 ranking (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('./setup');
+const { tokenize, indexMeeting, parseTimeRange, retrieveChunks } = require('../src/services/retrieval');
+
+test('tokenize() drops stopwords and short words and stems suffixes', () => {
+  assert.deepStrictEqual(tokenize('What did we decide about the budget?'), ['decid', 'budget']);
+  assert.deepStrictEqual(tokenize('Deciding, decided, decides'), ['decid', 'decid', 'decid']);
+  assert.deepStrictEqual(tokenize("The team's priorities"), ['team', 'priority']);
+  assert.deepStrictEqual(tokenize('Q3 launch'), ['q3', 'launch']);
+  assert.deepStrictEqual(tokenize('a I um'), []);
+});
+
+test('parseTimeRange() turns relative phrases into date ranges', () => {
+  const now = new Date(2026, 2, 18, 15, 0); // Wednesday
+  assert.deepStrictEqual(parseTimeRange('what happened yesterday', now), {
+    from: new Date(2026, 2, 17),
+    to: new Date(2026, 2, 18),
+  });
+  assert.deepStrictEqual(parseTimeRange('decisions last week', now), {
+    from: new Date(2026, 2, 9),
+    to: new Date(2026, 2, 16),
+  });
+  assert.deepStrictEqual(parseTimeRange('budget talk last month', now), {
+    from: new Date(2026, 1, 1),
+    to: new Date(2026, 2, 1),
+  });
+  assert.deepStrictEqual(parseTimeRange('anything in the past 2 weeks', now), {
+    from: new Date(2026, 2, 4),
+    to: now,
+  });
+  assert.strictEqual(parseTimeRange('what is the launch date', now), null);
+});
+
+test('indexMeeting() writes overlapping chunks covering every segment', async () => {
+  const segments = Array.from({ length: 15 }, (_, i) => ({
+    seqNo: BigInt(i + 1),
+    tStartMs: BigInt(i * 1000),
+    tEndMs: BigInt(i * 1000 + 900),
+    text: i === 0 ? 'Budget budget review' : `line ${i}`,
+    speaker: { label: 'Ana' },
+  }));
+  let written;
+  prisma.transcriptSegment = { findMany: async () => segments };
+  prisma.transcriptChunk = {
+    deleteMany: (args) => ({ op: 'delete', args }),
+    createMany: (args) => { written = args.data; return { op: 'create' }; },
+  };
+  prisma.$transaction = async (ops) => ops;
+
+  assert.strictEqual(await indexMeeting('m1'), 3);
+  assert.deepStrictEqual(written.map((c) => [c.startSeqNo, c.endSeqNo]), [[1n, 8n], [7n, 14n], [13n, 15n]]);
+  assert.strictEqual(written[0].termFreqs.budget, 2);
+  assert.ok(written[0].terms.includes('ana'));
+  assert.strictEqual(written[0].text.split('\n')[0], '[Ana]: Budget budget review');
+});
+
+test('retrieveChunks() ranks with BM25, favouring rarer terms and shorter chunks', async () => {
+  const meeting = (id) => ({ id, title: id, startTime: new Date(2026, 0, 1) });
+  const chunks = [
+    { id: 'common', termFreqs: { launch: 3 }, length: 20, meeting: meeting('a') },
+    { id: 'rare', termFreqs: { vendor: 1 }, length: 20, meeting: meeting('b') },
+    { id: 'long', termFreqs: { vendor: 1 }, length: 200, meeting: meeting('c') },
+  ];
+  const docFreq = { launch: 40, vendor: 2 };
+  let candidateWhere;
+
+  prisma.meeting = { findMany: async () => [] };
+  prisma.transcriptChunk = {
+    count: async ({ where }) => (where.terms ? docFreq[where.terms.has] : 50),
+    aggregate: async () => ({ _avg: { length: 40 } }),
+    findMany: async ({ where }) => { candidateWhere = where; return chunks; },
+  };
+
+  const ranked = await retrieveChunks('user-1', 'Any word on the launch vendor?', { limit: 2 });
+  assert.deepStrictEqual(ranked.map((c) => c.id), ['rare', 'long']);
+  assert.ok(ranked[0].score > ranked[1].score);
+  assert.deepStrictEqual(candidateWhere.terms, { hasSome: ['word', 'launch', 'vendor'] });
+  assert.deepStrictEqual(candidateWhere.meeting, { ownerId: 'user-1' });
+
+  await retrieveChunks('user-1', 'launch', { meetingId: 'm9' });
+  assert.deepStrictEqual(candidateWhere.meeting, { ownerId: 'user-1', id: 'm9' });
+
+  assert.deepStrictEqual(await retrieveChunks('user-1', 'the of and'), []);
+});
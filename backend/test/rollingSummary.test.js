@@ -0,0 +1,134 @@
+/**
+ * Rolling summary updates and the final summary (node --test)
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.AI_ENABLED = 'true';
+process.env.ROLLING_SUMMARY_SEGMENTS = '3';
+const { prisma } = require('./setup');
+
+// rollingSummary reads these on load; AI calls and broadcasts go to stubs
+const openrouter = require('../src/services/openrouter');
+const verticals = require('../src/services/verticals');
+const meetingInsights = require('../src/services/meetingInsights');
+const websocket = require('../src/services/websocket');
+const updates = [];
+const regenerated = [];
+const broadcasts = [];
+openrouter.updateRollingSummary = async (previous, transcript) => {
+  updates.push({ previous, transcript });
+  return { overview: `Covered ${transcript.split('\n').length} lines` };
+};
+verticals.getAiContext = async () => null;
+meetingInsights.regenerateSummary = async (id, options) => {
+  regenerated.push({ id, options });
+  return { summary: { overview: 'Final' } };
+};
+websocket.broadcastSummaryUpdate = (...args) => broadcasts.push(args);
+
+const { recordSegment, refreshRollingSummary, finalizeMeetingSummary } = require('../src/services/rollingSummary');
+const { Prisma } = require('@prisma/client');
+
+let meeting;
+let segments;
+let segmentWhere;
+let saved;
+
+beforeEach(() => {
+  updates.length = 0;
+  regenerated.length = 0;
+  broadcasts.length = 0;
+  saved = [];
+  meeting = { id: 'm1', title: 'Planning', ownerId: 'user-1', summary: null, rollingSummary: null, actionItemsExtractedAt: null };
+  segments = [
+    { seqNo: 1n, text: 'Hello', speaker: { displayName: 'Ana' } },
+    { seqNo: 2n, text: 'Budget first', speaker: null },
+  ];
+  prisma.meeting = {
+    findUnique: async () => ({ ...meeting }),
+    update: async ({ data }) => {
+      saved.push(data);
+      Object.assign(meeting, data);
+      return meeting;
+    },
+  };
+  prisma.transcriptSegment = {
+    findMany: async ({ where }) => {
+      segmentWhere = where;
+      return segments.filter((s) => !where.seqNo || s.seqNo > where.seqNo.gt);
+    },
+  };
+});
+
+test('an update folds only the segments saved since the last one', async () => {
+  const first = await refreshRollingSummary('m1', 'zoom-1');
+  assert.strictEqual(segmentWhere.seqNo, undefined);
+  assert.strictEqual(updates[0].transcript, '[Ana]: Hello\n[Speaker]: Budget first');
+  assert.deepStrictEqual(
+    { throughSeqNo: first.throughSeqNo, segmentCount: first.segmentCount },
+    { throughSeqNo: '2', segmentCount: 2 }
+  );
+  assert.deepStrictEqual(broadcasts[0], ['zoom-1', first]);
+
+  segments.push({ seqNo: 3n, text: 'Agreed', speaker: null });
+  const second = await refreshRollingSummary('m1', 'zoom-1');
+  assert.deepStrictEqual(segmentWhere.seqNo, { gt: 2n });
+  assert.strictEqual(updates[1].previous, first);
+  assert.strictEqual(updates[1].transcript, '[Speaker]: Agreed');
+  assert.deepStrictEqual(
+    { throughSeqNo: second.throughSeqNo, segmentCount: second.segmentCount },
+    { throughSeqNo: '3', segmentCount: 3 }
+  );
+});
+
+test('nothing new keeps the previous summary without an AI call', async () => {
+  meeting.rollingSummary = { overview: 'So far', throughSeqNo: '2', segmentCount: 2 };
+  const result = await refreshRollingSummary('m1', 'zoom-1');
+  assert.strictEqual(result, meeting.rollingSummary);
+  assert.strictEqual(updates.length, 0);
+  assert.strictEqual(saved.length, 0);
+});
+
+test('concurrent refreshes of one meeting share an update', async () => {
+  const [a, b] = await Promise.all([
+    refreshRollingSummary('m1', 'zoom-1'),
+    refreshRollingSummary('m1', 'zoom-1'),
+  ]);
+  assert.strictEqual(a, b);
+  assert.strictEqual(updates.length, 1);
+});
+
+test('recordSegment() updates every ROLLING_SUMMARY_SEGMENTS segments', async () => {
+  let lookups = 0;
+  const findUnique = prisma.meeting.findUnique;
+  prisma.meeting.findUnique = (args) => { lookups += 1; return findUnique(args); };
+
+  recordSegment('m-count', 'zoom-1');
+  recordSegment('m-count', 'zoom-1');
+  assert.strictEqual(lookups, 0);
+
+  recordSegment('m-count', 'zoom-1');
+  assert.strictEqual(lookups, 1);
+  // Joins the update already running rather than starting another
+  await refreshRollingSummary('m-count', 'zoom-1');
+  assert.strictEqual(lookups, 1);
+  assert.strictEqual(updates.length, 1);
+});
+
+test('finalizeMeetingSummary() skips a meeting with nothing written mid-meeting', async () => {
+  assert.strictEqual(await finalizeMeetingSummary('m1', 'zoom-1'), null);
+  assert.strictEqual(saved.length, 0);
+  assert.strictEqual(regenerated.length, 0);
+});
+
+test('finalizeMeetingSummary() clears the summary and regenerates it with the same template', async () => {
+  meeting.summary = { overview: 'Partial', template: { id: 'tpl-1' } };
+  const summary = await finalizeMeetingSummary('m1', 'zoom-1');
+
+  assert.deepStrictEqual(saved[0], { summary: Prisma.DbNull });
+  assert.deepStrictEqual(regenerated[0], { id: 'm1', options: { templateId: 'tpl-1', refreshExtracted: true } });
+  assert.deepStrictEqual(summary, { overview: 'Final' });
+  assert.deepStrictEqual(broadcasts[0], ['zoom-1', { overview: 'Final' }, true]);
+});
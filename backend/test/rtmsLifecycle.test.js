@@ -0,0 +1,67 @@
+/**
+ * Pause/resume events from the Zoom App: only the meeting's owner (node --test)
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma, invoke } = require('./setup');
+
+// rtms routes read this on load; broadcasts go to a stub
+const websocket = require('../src/services/websocket');
+const broadcasts = [];
+websocket.broadcastParticipantEvent = (meetingId, event) => broadcasts.push({ meetingId, event });
+
+const router = require('../src/routes/rtms');
+
+let stored;
+
+beforeEach(() => {
+  broadcasts.length = 0;
+  stored = [];
+  prisma.participantEvent = { create: async ({ data }) => { stored.push(data); return data; } };
+});
+
+function stubMeeting({ byUuid = null, live = null } = {}) {
+  prisma.meeting = {
+    findUnique: async () => byUuid,
+    findFirst: async ({ where }) => (live && live.ownerId === where.ownerId ? live : null),
+  };
+}
+
+test('the owner\'s pause is broadcast and saved to the meeting timeline', async () => {
+  stubMeeting({ byUuid: { id: 'm1', ownerId: 'user-1', zoomMeetingId: 'rtms-uuid' } });
+  const { status } = await invoke(router, 'POST /lifecycle', { body: { meetingId: 'rtms-uuid', status: 'rtms_paused' } });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(broadcasts[0].meetingId, 'rtms-uuid');
+  assert.strictEqual(broadcasts[0].event.eventType, 'transcription_paused');
+  assert.strictEqual(stored[0].meetingId, 'm1');
+});
+
+test('an SDK UUID resolves to the owner\'s live meeting', async () => {
+  stubMeeting({ live: { id: 'm2', ownerId: 'user-1', zoomMeetingId: 'rtms-uuid' } });
+  const { status } = await invoke(router, 'POST /lifecycle', { body: { meetingId: 'sdk-uuid', status: 'rtms_resumed' } });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(stored[0].meetingId, 'm2');
+  assert.strictEqual(stored[0].eventType, 'transcription_resumed');
+});
+
+test('someone else\'s meeting, or no meeting, is 404 and records nothing', async () => {
+  stubMeeting({ byUuid: { id: 'm1', ownerId: 'user-2', zoomMeetingId: 'rtms-uuid' } });
+  const other = await invoke(router, 'POST /lifecycle', { body: { meetingId: 'rtms-uuid', status: 'rtms_paused' } });
+  assert.strictEqual(other.status, 404);
+
+  stubMeeting({ live: { id: 'm3', ownerId: 'user-2', zoomMeetingId: 'rtms-uuid' } });
+  const missing = await invoke(router, 'POST /lifecycle', { body: { meetingId: 'sdk-uuid', status: 'rtms_paused' } });
+  assert.strictEqual(missing.status, 404);
+
+  assert.strictEqual(broadcasts.length, 0);
+  assert.strictEqual(stored.length, 0);
+});
+
+test('an unknown status is rejected before any lookup', async () => {
+  prisma.meeting = {};
+  const { status } = await invoke(router, 'POST /lifecycle', { body: { meetingId: 'rtms-uuid', status: 'rtms_stopped' } });
+  assert.strictEqual(status, 400);
+});
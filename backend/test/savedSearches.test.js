@@ -0,0 +1,84 @@
+/**
+ * Saved search validation and live keyword alerts (node --test)
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma, invoke } = require('./setup');
+
+// Capture alerts pushed over WebSocket (searchAlerts reads this on load)
+const websocket = require('../src/services/websocket');
+const pushed = [];
+websocket.broadcastToUser = (userId, message) => { pushed.push({ userId, message }); return 1; };
+
+const { checkSegmentForAlerts } = require('../src/services/searchAlerts');
+const router = require('../src/routes/saved-searches');
+
+beforeEach(() => {
+  pushed.length = 0;
+});
+
+test('POST / requires search terms and a string name', async () => {
+  let created;
+  prisma.savedSearch = { create: async ({ data }) => { created = data; return { id: 's1', ...data }; } };
+
+  assert.strictEqual((await invoke(router, 'POST /', { body: { query: 'speaker:Ana' } })).status, 400);
+  assert.strictEqual((await invoke(router, 'POST /', { body: { query: 5 } })).status, 400);
+  assert.strictEqual((await invoke(router, 'POST /', { body: { query: 'budget', name: ['x'] } })).status, 400);
+
+  const { status, body } = await invoke(router, 'POST /', { body: { query: ' budget ', name: '  ' } });
+  assert.strictEqual(status, 201);
+  assert.strictEqual(created.name, 'budget');
+  assert.strictEqual(body.savedSearch.alertsEnabled, true);
+});
+
+test('PATCH /:id rejects a missing, blank or non-string name', async () => {
+  prisma.savedSearch = {
+    findFirst: async () => ({ id: 's1' }),
+    update: async ({ data }) => ({ id: 's1', ...data }),
+  };
+
+  for (const name of [null, '  ', 42, { first: 'x' }]) {
+    assert.strictEqual((await invoke(router, 'PATCH /:id', { params: { id: 's1' }, body: { name } })).status, 400);
+  }
+  const { status, body } = await invoke(router, 'PATCH /:id', { params: { id: 's1' }, body: { name: ' Budget ' } });
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.savedSearch.name, 'Budget');
+});
+
+test('a live segment fires alerts for matching searches, honouring speaker filters', async () => {
+  let candidates;
+  prisma.meeting = { findUnique: async () => ({ id: 'm1', ownerId: 'user-1' }) };
+  prisma.savedSearch = {
+    findMany: async () => [
+      { id: 'a', userId: 'user-1', name: 'Budget', query: 'budget' },
+      { id: 'b', userId: 'user-1', name: 'Bob on budget', query: 'budget speaker:Bob' },
+      { id: 'c', userId: 'user-1', name: 'Ana on budget', query: 'budget speaker:ana' },
+    ],
+  };
+  prisma.$queryRaw = async (strings, ...values) => {
+    candidates = values.find(Array.isArray);
+    return candidates.map((id) => ({ id, snippet: '<mark>budget</mark>' }));
+  };
+  prisma.searchAlert = {
+    create: async ({ data }) => ({ id: `alert-${data.savedSearchId}`, ...data, savedSearch: { name: 'x' } }),
+  };
+
+  const segment = { id: 'seg', seqNo: 4n, tStartMs: 9000n, text: 'The budget is approved' };
+  assert.strictEqual(await checkSegmentForAlerts('m1', segment, 'Ana Lee'), 2);
+  assert.deepStrictEqual(candidates, ['a', 'c']);
+  assert.deepStrictEqual(pushed.map((p) => p.message.data.alert.savedSearchId), ['a', 'c']);
+  assert.strictEqual(pushed[0].message.data.alert.tStartMs, 9000);
+});
+
+test('an alert that already fired for the meeting is not pushed again', async () => {
+  prisma.meeting = { findUnique: async () => ({ id: 'm1', ownerId: 'user-1' }) };
+  prisma.savedSearch = { findMany: async () => [{ id: 'a', userId: 'user-1', name: 'Budget', query: 'budget' }] };
+  prisma.$queryRaw = async () => [{ id: 'a', snippet: 'budget' }];
+  prisma.searchAlert = {
+    create: async () => { throw Object.assign(new Error('Unique constraint'), { code: 'P2002' }); },
+  };
+
+  assert.strictEqual(await checkSegmentForAlerts('m1', { id: 'seg', seqNo: 1n, tStartMs: 0n, text: 'budget' }, null), 0);
+  assert.strictEqual(pushed.length, 0);
+});
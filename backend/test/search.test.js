@@ -0,0 +1,109 @@
+/**
+ * Search query parsing, filters and facets, and the search route's validation (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma, invoke } = require('./setup');
+const { Prisma } = require('@prisma/client');
+const {
+  parseSearchQuery,
+  containsPattern,
+  parseSearchFilters,
+  meetingFilterCondition,
+  computeFacets,
+  speakerCondition,
+} = require('../src/services/search');
+const router = require('../src/routes/search');
+
+test('parseSearchQuery() pulls out speaker filters, quoted or bare', () => {
+  assert.deepStrictEqual(parseSearchQuery('budget speaker:Alice speaker:"Bob Smith"'), {
+    text: 'budget',
+    speakers: ['Alice', 'Bob Smith'],
+  });
+  assert.deepStrictEqual(parseSearchQuery('speaker:Alice'), { text: '', speakers: ['Alice'] });
+});
+
+test('parseSearchQuery() rewrites NOT and AND for websearch_to_tsquery', () => {
+  assert.strictEqual(parseSearchQuery('pricing NOT hiring').text, 'pricing -hiring');
+  assert.strictEqual(parseSearchQuery('launch AND date').text, 'launch date');
+  assert.strictEqual(parseSearchQuery('"launch date" OR pricing').text, '"launch date" OR pricing');
+});
+
+test('parseSearchQuery() leaves keywords inside quoted phrases alone', () => {
+  assert.strictEqual(parseSearchQuery('"do NOT ship" AND "Q AND A"').text, '"do NOT ship" "Q AND A"');
+  assert.strictEqual(parseSearchQuery('NOT "NOT this" NOT that').text, '-"NOT this" -that');
+});
+
+test('containsPattern() escapes ILIKE wildcards', () => {
+  assert.strictEqual(containsPattern('Ana'), '%Ana%');
+  assert.strictEqual(containsPattern('100%_done\\'), '%100\\%\\_done\\\\%');
+});
+
+test('speaker filters match names literally', () => {
+  const condition = speakerCondition(['a_b%']);
+  assert.deepStrictEqual(condition.values, ['%a\\_b\\%%', '%a\\_b\\%%']);
+  assert.strictEqual(speakerCondition([]), Prisma.empty);
+});
+
+test('GET / clamps the limit, rejects unparseable dates and escapes the fallback pattern', async () => {
+  const queries = [];
+  prisma.$queryRaw = async (strings, ...values) => {
+    queries.push(Prisma.sql(strings, ...values));
+    return [];
+  };
+
+  assert.strictEqual((await invoke(router, 'GET /', { query: { q: 'x', from: 'soon' } })).status, 400);
+  assert.strictEqual((await invoke(router, 'GET /', { query: { q: 'x', to: 'later' } })).status, 400);
+  assert.strictEqual(queries.length, 0);
+
+  const { status } = await invoke(router, 'GET /', { query: { q: '50%', limit: 'lots' } });
+  assert.strictEqual(status, 200);
+  const fallback = queries[queries.length - 1];
+  assert.ok(fallback.values.includes('%50\\%%'));
+  assert.strictEqual(fallback.values[fallback.values.length - 1], 20);
+
+  queries.length = 0;
+  await invoke(router, 'GET /', { query: { q: 'x', limit: '5000', from: '2026-01-01' } });
+  assert.strictEqual(queries[0].values[queries[0].values.length - 1], 100);
+  assert.ok(queries[0].values.some((v) => v instanceof Date && v.getTime() === new Date('2026-01-01').getTime()));
+});
+
+test('parseSearchFilters() splits lists and drops unknown statuses and durations', () => {
+  assert.deepStrictEqual(parseSearchFilters({
+    speaker: ['Ana, Bob', ' '],
+    tag: 'risk',
+    status: 'completed,archived',
+    duration: 'short,forever',
+  }), {
+    speakers: ['Ana', 'Bob'],
+    tags: ['risk'],
+    statuses: ['completed'],
+    durations: ['short'],
+  });
+  assert.deepStrictEqual(parseSearchFilters({}), { speakers: [], tags: [], statuses: [], durations: [] });
+});
+
+test('meetingFilterCondition() is empty without filters and scopes tags to the user', () => {
+  assert.strictEqual(meetingFilterCondition(parseSearchFilters({}), 'user-1'), Prisma.empty);
+
+  const condition = meetingFilterCondition(parseSearchFilters({ status: 'ongoing', tag: 'risk', duration: 'long' }), 'user-1');
+  assert.ok(condition.values.includes('user-1'));
+  assert.ok(condition.values.some((v) => Array.isArray(v) && v[0] === 'risk'));
+  assert.ok(condition.values.includes(45 * 60000));
+});
+
+test('computeFacets() counts each facet without applying its own filter', () => {
+  const meetings = [
+    { status: 'completed', durationMs: 10 * 60000, speakers: ['Ana Lee', 'Bob'], tags: ['risk'] },
+    { status: 'completed', durationMs: 30 * 60000, speakers: ['Bob'], tags: [] },
+    { status: 'ongoing', durationMs: 60 * 60000, speakers: ['Ana Lee'], tags: ['risk', 'idea'] },
+  ];
+  const facets = computeFacets(meetings, parseSearchFilters({ status: 'completed', speaker: 'ana' }));
+
+  const counts = (list) => Object.fromEntries(list.map((f) => [f.value, f.count]));
+  assert.deepStrictEqual(counts(facets.statuses), { ongoing: 1, interrupted: 0, completed: 1, failed: 0 });
+  assert.deepStrictEqual(facets.speakers, [{ value: 'Bob', count: 2 }, { value: 'Ana Lee', count: 1 }]);
+  assert.deepStrictEqual(facets.tags, [{ value: 'risk', count: 1 }]);
+  assert.deepStrictEqual(counts(facets.durations), { short: 1, medium: 0, long: 0 });
+});
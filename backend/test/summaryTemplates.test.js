@@ -0,0 +1,136 @@
+/**
+ * Summary template validation, prompts, resolution and storage (node --test)
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { prisma, invoke } = require('./setup');
+const { Prisma } = require('@prisma/client');
+const {
+  validateTemplate,
+  templateInstructions,
+  resolveTemplate,
+  createTemplate,
+  deleteTemplate,
+} = require('../src/services/summaryTemplates');
+const preferencesRouter = require('../src/routes/preferences');
+
+let preferences;
+let locks;
+let writes;
+
+beforeEach(() => {
+  preferences = {};
+  locks = [];
+  writes = [];
+  const user = {
+    findUnique: async () => ({ preferences }),
+    update: async ({ data }) => {
+      writes.push({ inTransaction: locks.length > 0, preferences: data.preferences });
+      preferences = data.preferences;
+      return { preferences };
+    },
+  };
+  const tx = {
+    user,
+    $queryRaw: async (strings, ...values) => { locks.push(Prisma.sql(strings, ...values)); return []; },
+  };
+  prisma.user = {
+    findUnique: user.findUnique,
+    update: async () => { throw new Error('preferences written outside a transaction'); },
+  };
+  prisma.$transaction = async (fn) => fn(tx);
+});
+
+test('validateTemplate() applies defaults and strips unknown fields', () => {
+  assert.deepStrictEqual(validateTemplate({ name: ' Standup ', builtIn: true, language: '' }), {
+    value: { name: 'Standup', sections: [], tone: 'neutral', length: 'standard', language: null },
+  });
+  assert.deepStrictEqual(validateTemplate({ name: 'Retro', sections: [{ title: 'Wins' }] }).value.sections, [
+    { title: 'Wins', instructions: '' },
+  ]);
+});
+
+test('validateTemplate() rejects missing names, unknown tones and too many sections', () => {
+  for (const body of [
+    {},
+    { name: '  ' },
+    { name: 'Retro', tone: 'angry' },
+    { name: 'Retro', length: 'epic' },
+    { name: 'Retro', sections: Array(11).fill({ title: 'Wins' }) },
+    { name: 'Retro', sections: [{ instructions: 'No title' }] },
+  ]) {
+    assert.ok(validateTemplate(body).error, JSON.stringify(body).slice(0, 40));
+  }
+});
+
+test('templateInstructions() describes tone, length, language and sections', () => {
+  assert.strictEqual(templateInstructions(null), '');
+  assert.strictEqual(
+    templateInstructions({ name: 'Standard summary', sections: [], tone: 'neutral', length: 'standard', language: null }),
+    'Summary template: "Standard summary"'
+  );
+
+  const lines = templateInstructions({
+    name: 'Retro',
+    tone: 'casual',
+    length: 'brief',
+    language: 'German',
+    sections: [{ title: 'Wins', instructions: 'What went well' }, { title: 'Risks', instructions: '' }],
+  }).split('\n');
+  assert.strictEqual(lines[1], '- Tone: casual');
+  assert.match(lines[2], /^- Keep it short/);
+  assert.match(lines[3], /in German; keep the JSON keys in English/);
+  assert.deepStrictEqual(lines.slice(5), ['  1. Wins — What went well', '  2. Risks']);
+});
+
+test('resolveTemplate() prefers the requested template, then the user default, then the vertical', async () => {
+  preferences = { summaryTemplates: [{ id: 'mine', name: 'Mine' }] };
+  assert.strictEqual((await resolveTemplate('user-1', 'mine', 'sales')).id, 'mine');
+  assert.strictEqual((await resolveTemplate('user-1', 'deposition-digest', 'sales')).id, 'deposition-digest');
+  assert.strictEqual(await resolveTemplate('user-1', 'deleted', 'sales'), null);
+
+  assert.strictEqual((await resolveTemplate('user-1', undefined, 'sales')).id, 'sales-call-recap');
+  assert.strictEqual((await resolveTemplate('user-1', undefined, 'legal')).id, 'deposition-digest');
+  assert.strictEqual(await resolveTemplate('user-1', undefined, 'notes'), null);
+  assert.strictEqual(await resolveTemplate('user-1'), null);
+
+  preferences.defaultSummaryTemplateId = 'mine';
+  assert.strictEqual((await resolveTemplate('user-1', undefined, 'sales')).id, 'mine');
+});
+
+test('createTemplate() writes inside a transaction holding the user row', async () => {
+  preferences = { vertical: 'sales' };
+  const { template } = await createTemplate('user-1', { name: 'Retro', sections: [] });
+
+  assert.strictEqual(locks.length, 1);
+  assert.match(locks[0].sql, /FOR UPDATE/);
+  assert.deepStrictEqual(locks[0].values, ['user-1']);
+  assert.deepStrictEqual(writes, [{ inTransaction: true, preferences: { vertical: 'sales', summaryTemplates: [template] } }]);
+
+  preferences = { summaryTemplates: Array(20).fill({ id: 'x' }) };
+  assert.strictEqual((await createTemplate('user-1', { name: 'One more' })).status, 400);
+});
+
+test('deleteTemplate() unsets the default template it removes', async () => {
+  preferences = { summaryTemplates: [{ id: 'a' }, { id: 'b' }], defaultSummaryTemplateId: 'a' };
+  assert.strictEqual(await deleteTemplate('user-1', 'missing'), false);
+  assert.strictEqual(await deleteTemplate('user-1', 'a'), true);
+  assert.deepStrictEqual(preferences, { summaryTemplates: [{ id: 'b' }] });
+  assert.ok(writes.every((w) => w.inTransaction));
+});
+
+test('PUT /api/preferences merges in a transaction and keeps templates', async () => {
+  preferences = { summaryTemplates: [{ id: 'a' }], vertical: 'notes' };
+  const { status, body } = await invoke(preferencesRouter, 'PUT /', {
+    body: { vertical: 'sales', summaryTemplates: [], defaultSummaryTemplateId: 'a' },
+  });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body, { vertical: 'sales', defaultSummaryTemplateId: 'a' });
+  assert.deepStrictEqual(preferences.summaryTemplates, [{ id: 'a' }]);
+  assert.strictEqual(locks.length, 1);
+  assert.strictEqual(writes[0].inTransaction, true);
+
+  assert.strictEqual((await invoke(preferencesRouter, 'PUT /', { body: { vertical: 'astrology' } })).status, 400);
+});
@@ -0,0 +1,64 @@
+/**
+ * Summary edit validation and applying edits over regenerated summaries (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('./setup');
+const { applyEdits, validateEdits, editSummary } = require('../src/services/summaryVersions');
+
+test('validateEdits() trims values and drops blank list items', () => {
+  assert.deepStrictEqual(validateEdits({ overview: ' Shipped it ', nextSteps: [' Send deck', '  '], title: 'ignored' }), {
+    changes: { overview: 'Shipped it', nextSteps: ['Send deck'] },
+  });
+  assert.deepStrictEqual(validateEdits({ keyPoints: [] }), { changes: { keyPoints: [] } });
+});
+
+test('validateEdits() rejects wrong types, oversized values and empty requests', () => {
+  for (const body of [
+    { overview: ['Shipped'] },
+    { overview: 'x'.repeat(2001) },
+    { keyPoints: 'Budget' },
+    { keyPoints: ['Budget', 3] },
+    { keyPoints: Array(21).fill('Budget') },
+    { nextSteps: ['x'.repeat(2001)] },
+  ]) {
+    assert.match(validateEdits(body).error, /must be/, JSON.stringify(body).slice(0, 40));
+  }
+  assert.match(validateEdits({}).error, /at least one of: overview, keyPoints, nextSteps/);
+  assert.match(validateEdits(null).error, /at least one of/);
+  assert.match(validateEdits({ topics: ['Budget'] }).error, /at least one of/);
+});
+
+test('applyEdits() replaces only edited fields', () => {
+  const summary = { overview: 'AI overview', keyPoints: ['AI point'], nextSteps: ['AI step'], topics: ['Budget'] };
+  assert.strictEqual(applyEdits(summary, null), summary);
+  assert.deepStrictEqual(applyEdits(summary, { keyPoints: [], topics: ['Ignored'] }), {
+    overview: 'AI overview',
+    keyPoints: [],
+    nextSteps: ['AI step'],
+    topics: ['Budget'],
+  });
+});
+
+test('editSummary() merges with earlier edits and records an edit version', async () => {
+  let versionData;
+  let meetingData;
+  prisma.summaryVersion = { create: ({ data }) => { versionData = data; return { id: 'v2', ...data }; } };
+  prisma.meeting = { update: ({ data }) => { meetingData = data; return data; } };
+  prisma.$transaction = async (operations) => operations;
+
+  const meeting = {
+    id: 'm1',
+    summary: { overview: 'Edited before', keyPoints: ['AI point'], nextSteps: [] },
+    summaryEdits: { overview: 'Edited before' },
+  };
+  const { summary, version } = await editSummary(meeting, { keyPoints: ['Mine'] });
+
+  const edits = { overview: 'Edited before', keyPoints: ['Mine'] };
+  assert.deepStrictEqual(summary, { overview: 'Edited before', keyPoints: ['Mine'], nextSteps: [] });
+  assert.deepStrictEqual(meetingData, { summary, summaryEdits: edits });
+  assert.deepStrictEqual(versionData.edits, edits);
+  assert.strictEqual(versionData.source, 'edit');
+  assert.strictEqual(version.id, 'v2');
+});
@@ -0,0 +1,69 @@
+/**
+ * Topic key normalization, per-meeting storage and weekly trends (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma } = require('./setup');
+const { normalizeTopic, meetingTopicOperations, getTopicTrends } = require('../src/services/topics');
+
+test('normalizeTopic() groups case, punctuation, a leading "the" and plurals', () => {
+  for (const name of ['Q3 budget', 'Q3 Budgets', 'the Q3 budget', 'Q3-budget!']) {
+    assert.strictEqual(normalizeTopic(name), 'q3 budget', name);
+  }
+  assert.strictEqual(normalizeTopic('Hiring Priorities'), 'hiring priority');
+  assert.strictEqual(normalizeTopic('R&D'), 'r and d');
+  assert.strictEqual(normalizeTopic('The'), 'the');
+});
+
+test('normalizeTopic() keeps words that only look plural', () => {
+  assert.strictEqual(normalizeTopic('Access'), 'access');
+  assert.strictEqual(normalizeTopic('Project status'), 'project status');
+  assert.strictEqual(normalizeTopic('Analysis'), 'analysis');
+  assert.strictEqual(normalizeTopic('Bus'), 'bus');
+});
+
+test('normalizeTopic() returns an empty key for nothing usable', () => {
+  assert.strictEqual(normalizeTopic(''), '');
+  assert.strictEqual(normalizeTopic(null), '');
+  assert.strictEqual(normalizeTopic('!!!'), '');
+});
+
+test('meetingTopicOperations() replaces topics, deduplicated by key and capped', () => {
+  let created;
+  prisma.meetingTopic = {
+    deleteMany: (args) => ({ op: 'deleteMany', args }),
+    createMany: (args) => { created = args.data; return { op: 'createMany' }; },
+  };
+
+  const ops = meetingTopicOperations('m1', ['Budgets', 'the budget', '', 'Hiring', 'Launch', 'Pricing', 'Vendors', 'Roadmap']);
+  assert.deepStrictEqual(ops[0], { op: 'deleteMany', args: { where: { meetingId: 'm1' } } });
+  assert.deepStrictEqual(created.map((t) => t.name), ['Budgets', 'Hiring', 'Launch', 'Pricing', 'Vendors']);
+  assert.strictEqual(created[0].key, 'budget');
+
+  meetingTopicOperations('m1', 'not a list');
+  assert.deepStrictEqual(created, []);
+});
+
+test('getTopicTrends() buckets counts by week and classifies the trend', async () => {
+  prisma.$queryRaw = async () => [
+    { key: 'budget', topic: 'Budget', weekIndex: 2, meetingCount: 3 },
+    { key: 'budget', topic: 'Budget', weekIndex: 3, meetingCount: 2 },
+    { key: 'hiring', topic: 'Hiring', weekIndex: 0, meetingCount: 4 },
+    { key: 'hiring', topic: 'Hiring', weekIndex: 3, meetingCount: 1 },
+    { key: 'launch', topic: 'Launch', weekIndex: 1, meetingCount: 1 },
+    { key: 'launch', topic: 'Launch', weekIndex: 2, meetingCount: 1 },
+  ];
+
+  const start = new Date(2026, 8, 28);
+  const { weeks, topics } = await getTopicTrends('user-1', { start, weeks: 4 });
+
+  assert.strictEqual(weeks.length, 4);
+  assert.deepStrictEqual(weeks[0].start, start);
+  assert.deepStrictEqual(topics.map((t) => [t.key, t.total, t.trend]), [
+    ['budget', 5, 'rising'],
+    ['hiring', 5, 'fading'],
+    ['launch', 2, 'steady'],
+  ]);
+  assert.deepStrictEqual(topics[0].counts, [0, 0, 3, 2]);
+});
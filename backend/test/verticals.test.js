@@ -0,0 +1,110 @@
+/**
+ * Vertical resolution, prompts and summary details (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { prisma, invoke } = require('./setup');
+
+// verticals reads this on load; provider settings come from a stub
+const aiProviders = require('../src/services/aiProviders');
+aiProviders.getUserAiSettings = async () => ({ provider: 'openrouter', model: 'test-model' });
+
+const {
+  DEFAULT_VERTICAL,
+  isVertical,
+  resolveVertical,
+  getAiContext,
+  withVerticalPrompt,
+  verticalDetails,
+} = require('../src/services/verticals');
+const { validateInsights } = require('../src/services/openrouter');
+const meetingsRouter = require('../src/routes/meetings');
+
+function stubUserVertical(vertical) {
+  prisma.user = { findUnique: async () => ({ preferences: vertical === undefined ? null : { vertical } }) };
+}
+
+test('isVertical() accepts only known vertical IDs', () => {
+  assert.ok(isVertical('sales'));
+  assert.ok(!isVertical('Sales'));
+  assert.ok(!isVertical('toString'));
+  assert.ok(!isVertical(null));
+});
+
+test('resolveVertical() prefers the meeting override, then the user, then the default', async () => {
+  stubUserVertical('legal');
+  assert.strictEqual(await resolveVertical({ vertical: 'sales', ownerId: 'user-1' }), 'sales');
+  assert.strictEqual(await resolveVertical({ vertical: null, ownerId: 'user-1' }), 'legal');
+  assert.strictEqual(await resolveVertical(null, 'user-1'), 'legal');
+
+  stubUserVertical('astrology');
+  assert.strictEqual(await resolveVertical({ vertical: null, ownerId: 'user-1' }), DEFAULT_VERTICAL);
+  stubUserVertical(undefined);
+  assert.strictEqual(await resolveVertical(null, 'user-1'), DEFAULT_VERTICAL);
+  assert.strictEqual(await resolveVertical(null), DEFAULT_VERTICAL);
+});
+
+test('getAiContext() tags the provider settings with the vertical', async () => {
+  stubUserVertical('support');
+  assert.deepStrictEqual(await getAiContext('user-1', { vertical: 'healthcare' }), {
+    provider: 'openrouter',
+    model: 'test-model',
+    vertical: 'healthcare',
+  });
+  assert.strictEqual((await getAiContext('user-1')).vertical, 'support');
+});
+
+test('withVerticalPrompt() prefixes the persona', () => {
+  assert.match(withVerticalPrompt('Summarize.', 'legal'), /^You are Arlo, a legal transcription assistant.*\n\nSummarize\.$/s);
+  assert.match(withVerticalPrompt('', 'sales'), /^You are Arlo, a sales coaching assistant/);
+  assert.strictEqual(withVerticalPrompt('Summarize.', 'astrology'), 'Summarize.');
+  assert.strictEqual(withVerticalPrompt('Summarize.', undefined), 'Summarize.');
+});
+
+test('vertical details are validated with the vertical\'s schema', () => {
+  assert.strictEqual(verticalDetails('notes'), null);
+  assert.strictEqual(verticalDetails('astrology'), null);
+
+  const sales = verticalDetails('sales');
+  const insights = validateInsights({
+    overview: 'Discovery call',
+    details: { budget: '$50k', competitors: ['Acme'], pipeline: 'dropped' },
+  }, sales);
+  assert.deepStrictEqual(insights.details, {
+    budget: '$50k',
+    authority: null,
+    need: null,
+    timeline: null,
+    competitors: ['Acme'],
+    buyingSignals: [],
+  });
+
+  const support = validateInsights({ details: { issue: 'Login fails' } }, verticalDetails('support'));
+  assert.deepStrictEqual(support.details, {
+    issue: 'Login fails',
+    sentiment: 'neutral',
+    resolved: false,
+    escalationRequested: false,
+  });
+  // Details that don't fit the schema are left out rather than half-kept
+  assert.strictEqual(validateInsights({ details: { sentiment: 'furious' } }, verticalDetails('support')).details, undefined);
+  assert.strictEqual(validateInsights({ details: { budget: '$50k' } }).details, undefined);
+});
+
+test('PATCH /api/meetings/:id sets or clears the vertical override', async () => {
+  let data;
+  prisma.meeting = {
+    findFirst: async () => ({ id: 'm1' }),
+    update: async (args) => { data = args.data; return { id: 'm1', ...args.data }; },
+  };
+
+  const invalid = await invoke(meetingsRouter, 'PATCH /:id', { params: { id: 'm1' }, body: { vertical: 'astrology' } });
+  assert.strictEqual(invalid.status, 400);
+
+  await invoke(meetingsRouter, 'PATCH /:id', { params: { id: 'm1' }, body: { vertical: 'legal' } });
+  assert.deepStrictEqual(data, { vertical: 'legal' });
+
+  await invoke(meetingsRouter, 'PATCH /:id', { params: { id: 'm1' }, body: { vertical: null } });
+  assert.deepStrictEqual(data, { vertical: null });
+});
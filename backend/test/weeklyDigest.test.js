@@ -0,0 +1,112 @@
+/**
+ * ISO week keys and the weekly digest's narrative caching (node --test)
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+process.env.AI_ENABLED = 'true';
+const { prisma, invoke } = require('./setup');
+
+// weeklyDigest reads these on load; the narrative and topics come from stubs
+const openrouter = require('../src/services/openrouter');
+const verticals = require('../src/services/verticals');
+const topics = require('../src/services/topics');
+let narratives = 0;
+let failNarrative = false;
+openrouter.generateWeeklyNarrative = async (input) => {
+  narratives++;
+  if (failNarrative) throw new Error('provider down');
+  return `${input.meetingCount} meetings`;
+};
+verticals.getAiContext = async () => null;
+topics.ensureMeetingTopics = async () => {};
+topics.getTopicCounts = async () => [{ topic: 'budget', meetingCount: 2 }];
+
+const { getIsoWeek, parseIsoWeek, getWeeklyDigest } = require('../src/services/weeklyDigest');
+const router = require('../src/routes/home');
+
+test('getIsoWeek() numbers weeks by the year their Thursday falls in', () => {
+  const key = (y, m, d) => getIsoWeek(new Date(y, m - 1, d)).key;
+  assert.strictEqual(key(2026, 1, 1), '2026-W01');
+  assert.strictEqual(key(2026, 10, 19), '2026-W43');
+  assert.strictEqual(key(2024, 12, 30), '2025-W01');
+  assert.strictEqual(key(2021, 1, 3), '2020-W53');
+  assert.strictEqual(key(2027, 1, 1), '2026-W53');
+
+  const week = getIsoWeek(new Date(2026, 9, 21, 15, 30));
+  assert.deepStrictEqual(week.start, new Date(2026, 9, 19));
+  assert.deepStrictEqual(week.end, new Date(2026, 9, 26));
+});
+
+test('parseIsoWeek() round-trips valid keys and rejects the rest', () => {
+  assert.deepStrictEqual(parseIsoWeek('2026-W43'), getIsoWeek(new Date(2026, 9, 19)));
+  assert.deepStrictEqual(parseIsoWeek('2026-W53').start, new Date(2026, 11, 28));
+  assert.deepStrictEqual(parseIsoWeek('2025-W01').start, new Date(2024, 11, 30));
+  for (const key of ['2025-W53', '2026-W00', '2026-W54', '2026-43', '2026-W4', '', undefined]) {
+    assert.strictEqual(parseIsoWeek(key), null, String(key));
+  }
+});
+
+test('GET /weekly-digest rejects a malformed week', async () => {
+  const { status } = await invoke(router, 'GET /weekly-digest', { query: { week: '2026-43' } });
+  assert.strictEqual(status, 400);
+});
+
+let meetings;
+let cached;
+
+beforeEach(() => {
+  narratives = 0;
+  failNarrative = false;
+  cached = null;
+  meetings = [
+    { id: 'm1', title: 'Standup', startTime: new Date(2026, 9, 19, 9), endTime: null, duration: 900000, summary: null },
+    { id: 'm2', title: 'Planning', startTime: new Date(2026, 9, 20, 9), endTime: new Date(2026, 9, 20, 10), duration: null, summary: null },
+  ];
+  prisma.meeting = { findMany: async () => meetings };
+  prisma.$queryRaw = async () => [{ name: 'Ana', speakingMs: 60000 }, { name: 'Bob', speakingMs: 30000 }];
+  prisma.weeklyDigest = {
+    findUnique: async () => cached,
+    upsert: async ({ create }) => {
+      cached = { ...create, generatedAt: new Date() };
+      return cached;
+    },
+  };
+});
+
+test('the narrative is cached until the meetings it describes change', async () => {
+  const week = parseIsoWeek('2026-W43');
+
+  const digest = await getWeeklyDigest('user-1', week);
+  assert.strictEqual(digest.meetingCount, 2);
+  assert.strictEqual(digest.totalDurationMs, 900000 + 3600000);
+  assert.strictEqual(digest.speakingTime.totalMs, 90000);
+  assert.strictEqual(digest.narrative, '2 meetings');
+
+  await getWeeklyDigest('user-1', week);
+  assert.strictEqual(narratives, 1);
+
+  meetings[0] = { ...meetings[0], title: 'Daily standup' };
+  await getWeeklyDigest('user-1', week);
+  assert.strictEqual(narratives, 2);
+});
+
+test('concurrent requests share one narrative generation', async () => {
+  const week = parseIsoWeek('2026-W43');
+  await Promise.all([getWeeklyDigest('user-1', week), getWeeklyDigest('user-1', week)]);
+  assert.strictEqual(narratives, 1);
+});
+
+test('stats are returned without a narrative when generation fails or there are no meetings', async () => {
+  const week = parseIsoWeek('2026-W43');
+  failNarrative = true;
+  const digest = await getWeeklyDigest('user-1', week);
+  assert.strictEqual(digest.narrative, null);
+  assert.strictEqual(digest.meetingCount, 2);
+
+  meetings = [];
+  const empty = await getWeeklyDigest('user-1', week);
+  assert.strictEqual(empty.narrative, null);
+  assert.deepStrictEqual(empty.topTopics, []);
+});
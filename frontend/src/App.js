@@ -21,6 +21,7 @@ import SettingsView from './views/SettingsView';
 import GuestNoMeetingView from './views/GuestNoMeetingView';
 import GuestInMeetingView from './views/GuestInMeetingView';
 import SearchResultsView from './views/SearchResultsView';
+import SeriesTimelineView from './views/SeriesTimelineView';
 import UpcomingMeetingsView from './views/UpcomingMeetingsView';
 import LandingPageView from './views/LandingPageView';
 import OnboardingView from './views/OnboardingView';
@@ -160,6 +161,7 @@ function App() {
                         <Route path="/home" element={<HomeView />} />
                         <Route path="/meetings" element={<MeetingsListView />} />
                         <Route path="/meetings/:id" element={<MeetingDetailView />} />
+                        <Route path="/series/:id" element={<SeriesTimelineView />} />
                         <Route path="/meeting/:id" element={<InMeetingView />} />
                         <Route path="/search" element={<SearchResultsView />} />
                         <Route path="/settings" element={<SettingsView />} />
@@ -5,6 +5,7 @@ import ArloLogo from './ArloLogo';
 import { useVertical } from '../contexts/VerticalContext';
 import Button from './ui/Button';
 import LiveMeetingBanner from './LiveMeetingBanner';
+import HighlightedText from './HighlightedText';
 import './AppShell.css';
 
 export default function AppShell() {
@@ -82,7 +83,7 @@ export default function AppShell() {
     setSearchOpen(false);
     setSearchQuery('');
     setSearchResults([]);
-    navigate(`/meetings/${result.meetingId}`);
+    navigate(`/meetings/${result.meetingId}${result.seqNo ? `?seq=${result.seqNo}` : ''}`);
   };
 
   return (
@@ -135,9 +136,12 @@ export default function AppShell() {
                         {result.meetingTitle}
                         {result.type === 'title' && <span className="search-type-badge">Title</span>}
                         {result.type === 'summary' && <span className="search-type-badge">Summary</span>}
+                        {result.type === 'decision' && <span className="search-type-badge">Decision</span>}
                       </span>
                       <span className="search-result-snippet text-muted text-xs">
-                        {result.snippet || (result.type === 'title' ? `${result.segmentCount} segments` : '')}
+                        {result.snippet
+                          ? <HighlightedText text={result.snippet} />
+                          : (result.type === 'title' ? `${result.segmentCount} segments` : '')}
                       </span>
                     </button>
                   ))}
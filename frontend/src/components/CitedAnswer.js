@@ -0,0 +1,67 @@
+import React from 'react';
+import './CitedAnswer.css';
+
+// Raw "[#12]" line markers, visible only while an answer is still streaming
+const RAW_MARKER = /\s*\[#\d+(?:\s*,\s*#?\d+)*\]/g;
+
+/**
+ * CitedAnswer — renders an AI answer whose [n] markers point at transcript citations.
+ *
+ * Each marker becomes a button that calls onCitationClick(citation); a numbered
+ * source list with speaker and quote follows the answer. Set showMeetingTitles
+ * when the answer draws on several meetings.
+ */
+export default function CitedAnswer({ content, citations = [], streaming = false, showMeetingTitles = false, onCitationClick }) {
+  if (streaming) {
+    return <p className="cited-answer-text text-serif text-sm">{content.replace(RAW_MARKER, '')}</p>;
+  }
+
+  const byIndex = new Map(citations.map((c) => [c.index, c]));
+  const parts = content.split(/(\[\d+\])/g);
+
+  return (
+    <div className="cited-answer">
+      <p className="cited-answer-text text-serif text-sm">
+        {parts.map((part, i) => {
+          const match = part.match(/^\[(\d+)\]$/);
+          const citation = match && byIndex.get(parseInt(match[1], 10));
+          if (!citation) return <React.Fragment key={i}>{part}</React.Fragment>;
+          return (
+            <button
+              key={i}
+              type="button"
+              className="cited-answer-marker"
+              title={citation.text ? `${citation.speaker || 'Speaker'}: ${citation.text}` : undefined}
+              onClick={() => onCitationClick?.(citation)}
+            >
+              {citation.index}
+            </button>
+          );
+        })}
+      </p>
+
+      {citations.length > 0 && (
+        <ol className="cited-answer-sources">
+          {citations.map((citation) => (
+            <li key={citation.id || citation.index}>
+              <button
+                type="button"
+                className="cited-answer-source text-sans text-xs"
+                onClick={() => onCitationClick?.(citation)}
+              >
+                <span className="cited-answer-source-index">{citation.index}</span>
+                <span className="cited-answer-source-text text-muted">
+                  {showMeetingTitles && citation.meetingTitle && (
+                    <span className="cited-answer-source-meeting">{citation.meetingTitle}</span>
+                  )}
+                  {citation.speaker && <strong>{citation.speaker}: </strong>}
+                  {citation.text || 'Transcript segment'}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+
+/**
+ * HighlightedText — renders a search snippet whose matches are wrapped in <mark>
+ * (from the backend's ts_headline). Everything else is rendered as plain text,
+ * never as HTML.
+ */
+export default function HighlightedText({ text }) {
+  if (!text) return null;
+  return text.split(/(<mark>.*?<\/mark>)/g).map((part, index) => {
+    const match = part.match(/^<mark>(.*)<\/mark>$/);
+    return match ? <mark key={index}>{match[1]}</mark> : <React.Fragment key={index}>{part}</React.Fragment>;
+  });
+}
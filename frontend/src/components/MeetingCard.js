@@ -26,6 +26,8 @@ function formatDuration(ms) {
 
 export default function MeetingCard({ meeting, onClick, onDelete }) {
   const isLive = meeting.status === 'ongoing';
+  // RTMS lost its connection and is rejoining
+  const isInterrupted = meeting.status === 'interrupted';
   const speakers = meeting.speakers || [];
   const participantNames = speakers
     .map((s) => s.displayName || s.label)
@@ -45,6 +47,7 @@ export default function MeetingCard({ meeting, onClick, onDelete }) {
           <div className="meeting-card-header">
             <h3 className="text-serif font-medium meeting-card-title">{meeting.title}</h3>
             {isLive && <Badge variant="accent">Live</Badge>}
+            {isInterrupted && <Badge variant="outline">Interrupted</Badge>}
           </div>
           <div className="meeting-card-meta text-sans text-sm text-muted">
             <span>{formatDate(meeting.startTime)}</span>
@@ -58,7 +61,7 @@ export default function MeetingCard({ meeting, onClick, onDelete }) {
           )}
         </div>
         <div className="meeting-card-actions">
-          {onDelete && !isLive && (
+          {onDelete && !isLive && !isInterrupted && (
             <Button
               variant="ghost"
               size="icon"
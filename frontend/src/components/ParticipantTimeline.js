@@ -1,6 +1,6 @@
 import React, { useState, useRef, useCallback } from 'react';
 import { ScrollArea } from '@base-ui/react';
-import { LogIn, LogOut, Users, ArrowDown, Mic, MicOff, Pause, Play } from 'lucide-react';
+import { LogIn, LogOut, Users, ArrowDown, Mic, MicOff, Pause, Play, Wifi, WifiOff } from 'lucide-react';
 import Card from './ui/Card';
 import Button from './ui/Button';
 import './ParticipantTimeline.css';
@@ -72,7 +72,7 @@ function buildTimeline(segments, events) {
   segments.forEach(seg => {
     items.push({
       type: 'transcript',
-      timestamp: Number(seg.tStartMs),
+      timestamp: seg.timestamp,
       speaker: seg.speaker?.displayName || seg.speaker?.label || seg.speakerLabel || 'Speaker',
       text: seg.text,
       id: seg.id || seg.seqNo,
@@ -116,6 +116,8 @@ function EventIcon({ eventType }) {
     case 'transcription_stopped': return <MicOff size={14} className="timeline-event-icon" />;
     case 'transcription_paused': return <Pause size={14} className="timeline-event-icon" />;
     case 'transcription_resumed': return <Play size={14} className="timeline-event-icon" />;
+    case 'transcription_interrupted': return <WifiOff size={14} className="timeline-event-icon" />;
+    case 'transcription_reconnected': return <Wifi size={14} className="timeline-event-icon" />;
     default: return <Users size={14} className="timeline-event-icon" />;
   }
 }
@@ -128,6 +130,8 @@ function EventLabel({ eventType, name }) {
     case 'transcription_stopped': return 'Transcription stopped';
     case 'transcription_paused': return 'Transcription paused';
     case 'transcription_resumed': return 'Transcription resumed';
+    case 'transcription_interrupted': return 'Transcription interrupted — reconnecting';
+    case 'transcription_reconnected': return 'Transcription reconnected';
     default: return `${name} — ${eventType}`;
   }
 }
@@ -195,7 +199,7 @@ export default function ParticipantTimeline({ segments, participantEvents, isLiv
               return (
                 <div
                   key={item.id || `evt-${index}`}
-                  className={`timeline-system-event ${isLive ? 'timeline-event-animate' : ''}`}
+                  className={`timeline-system-event ${isLive ? 'timeline-event-animate' : ''} ${item.eventType === 'transcription_interrupted' ? 'timeline-gap-marker' : ''}`}
                 >
                   <EventIcon eventType={item.eventType} />
                   <span className="timeline-event-text text-sans text-sm">
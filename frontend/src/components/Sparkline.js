@@ -0,0 +1,34 @@
+import React from 'react';
+
+/**
+ * Sparkline — a tiny line chart of a numeric series (e.g. weekly counts).
+ * Scales to the series max; a flat zero series renders along the baseline.
+ */
+export default function Sparkline({ values, width = 80, height = 20, className = '' }) {
+  if (!values || values.length === 0) return null;
+
+  const max = Math.max(...values, 1);
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const points = values
+    .map((value, i) => `${(i * step).toFixed(1)},${(height - 1 - (value / max) * (height - 2)).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <svg
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      className={className}
+      aria-hidden="true"
+    >
+      <polyline
+        points={points}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    </svg>
+  );
+}
@@ -0,0 +1,408 @@
+import React, { useState, useEffect } from 'react';
+import { Pencil, Sparkles, History, RotateCcw, Loader2 } from 'lucide-react';
+import Card from './ui/Card';
+import Button from './ui/Button';
+import Textarea from './ui/Textarea';
+import Badge from './ui/Badge';
+import { useVertical } from '../contexts/VerticalContext';
+import useSummaryProgress from '../hooks/useSummaryProgress';
+import './SummaryEditor.css';
+
+/**
+ * SummaryEditor — A meeting's summary with inline editing, regeneration
+ * (optionally with instructions) and version history.
+ *
+ * Edits to the overview, key points and next steps survive regeneration
+ * unless "Keep my edits" is unchecked. Regenerating can also switch summary
+ * template (see /api/summary-templates); template sections render below the
+ * key points, and the vertical's details (e.g. BANT for sales) after the decisions.
+ */
+
+const SOURCE_LABELS = {
+  ai: 'Generated',
+  edit: 'Edited',
+  revert: 'Restored',
+};
+
+// "buyingSignals" → "Buying signals"
+function detailLabel(key) {
+  const words = key.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function detailValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return value;
+}
+
+function formatVersionTime(date) {
+  return new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+function SummarySections({ summary, editedFields = [] }) {
+  const edited = (field) => editedFields.includes(field) && (
+    <span className="summary-editor-edited text-xs text-muted">edited</span>
+  );
+
+  return (
+    <>
+      <p className="text-serif text-muted text-sm summary-text">
+        {summary.overview}
+        {edited('overview')}
+      </p>
+      {summary.keyPoints?.length > 0 && (
+        <ul className="summary-points">
+          {summary.keyPoints.map((point, i) => (
+            <li key={i} className="text-serif text-sm text-muted">{point}</li>
+          ))}
+        </ul>
+      )}
+      {edited('keyPoints')}
+      {summary.nextSteps?.length > 0 && (
+        <>
+          <h4 className="text-sans text-xs text-muted summary-section-label">
+            Next steps {edited('nextSteps')}
+          </h4>
+          <ul className="summary-points">
+            {summary.nextSteps.map((step, i) => (
+              <li key={i} className="text-serif text-sm text-muted">{step}</li>
+            ))}
+          </ul>
+        </>
+      )}
+      {summary.sections?.map((section, i) => (
+        <React.Fragment key={i}>
+          <h4 className="text-sans text-xs text-muted summary-section-label">{section.title}</h4>
+          {section.items?.length > 0 ? (
+            <ul className="summary-points">
+              {section.items.map((item, j) => (
+                <li key={j} className="text-serif text-sm text-muted">{item}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-serif text-sm text-muted summary-editor-empty">Nothing noted</p>
+          )}
+        </React.Fragment>
+      ))}
+    </>
+  );
+}
+
+export default function SummaryEditor({ meetingId, summary, editedFields: initialEditedFields = [], onSummaryChange }) {
+  const [mode, setMode] = useState('view'); // 'view' | 'edit' | 'regenerate' | 'history'
+  const [editedFields, setEditedFields] = useState(initialEditedFields);
+  const [draft, setDraft] = useState(null);
+  const [instructions, setInstructions] = useState('');
+  const [keepEdits, setKeepEdits] = useState(true);
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState(summary.template?.id || '');
+  const [versions, setVersions] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const { verticalId } = useVertical();
+  const regenerateProgress = useSummaryProgress(meetingId, busy && mode === 'regenerate');
+
+  // Load the template choices the first time the regenerate form opens
+  useEffect(() => {
+    if (mode !== 'regenerate' || templates.length > 0) return;
+    const params = verticalId ? `?vertical=${verticalId}` : '';
+    fetch(`/api/summary-templates${params}`, { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (data) setTemplates(data.templates);
+      })
+      .catch(() => {});
+  }, [mode, templates.length, verticalId]);
+
+  const request = async (url, options) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch(url, {
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        ...options,
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEditing = () => {
+    setDraft({
+      overview: summary.overview || '',
+      keyPoints: (summary.keyPoints || []).join('\n'),
+      nextSteps: (summary.nextSteps || []).join('\n'),
+    });
+    setMode('edit');
+  };
+
+  const saveEdits = async () => {
+    const lines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+    const edited = {
+      overview: draft.overview.trim(),
+      keyPoints: lines(draft.keyPoints),
+      nextSteps: lines(draft.nextSteps),
+    };
+
+    // Only send what changed, so untouched fields keep following regenerations
+    const changes = {};
+    Object.entries(edited).forEach(([field, value]) => {
+      if (JSON.stringify(value) !== JSON.stringify(summary[field] ?? (field === 'overview' ? '' : []))) {
+        changes[field] = value;
+      }
+    });
+    if (Object.keys(changes).length === 0) {
+      setMode('view');
+      return;
+    }
+
+    const data = await request(`/api/meetings/${meetingId}/summary`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    });
+    if (data) {
+      onSummaryChange(data.summary);
+      setEditedFields(data.editedFields);
+      setMode('view');
+    }
+  };
+
+  const regenerate = async () => {
+    const data = await request('/api/ai/summary/regenerate', {
+      method: 'POST',
+      body: JSON.stringify({
+        meetingId,
+        templateId: templateId || undefined,
+        instructions: instructions.trim() || undefined,
+        keepEdits,
+      }),
+    });
+    if (data) {
+      onSummaryChange(data.summary);
+      if (!keepEdits) setEditedFields([]);
+      setInstructions('');
+      setMode('view');
+    }
+  };
+
+  const openHistory = async () => {
+    setMode('history');
+    setSelectedVersion(null);
+    const data = await request(`/api/meetings/${meetingId}/summary/versions`, { method: 'GET' });
+    if (data) setVersions(data.versions);
+  };
+
+  const revert = async (version) => {
+    const data = await request(`/api/meetings/${meetingId}/summary/versions/${version.id}/revert`, {
+      method: 'POST',
+    });
+    if (data) {
+      onSummaryChange(data.summary);
+      setEditedFields(data.editedFields);
+      setMode('view');
+    }
+  };
+
+  return (
+    <Card className="detail-card">
+      <div className="detail-card-inner">
+        <div className="summary-editor-toolbar">
+          <Button variant={mode === 'edit' ? 'outline' : 'ghost'} size="sm" onClick={startEditing} disabled={busy}>
+            <Pencil size={12} />
+            Edit
+          </Button>
+          <Button
+            variant={mode === 'regenerate' ? 'outline' : 'ghost'}
+            size="sm"
+            onClick={() => setMode(mode === 'regenerate' ? 'view' : 'regenerate')}
+            disabled={busy}
+          >
+            <Sparkles size={12} />
+            Regenerate
+          </Button>
+          <Button
+            variant={mode === 'history' ? 'outline' : 'ghost'}
+            size="sm"
+            onClick={() => (mode === 'history' ? setMode('view') : openHistory())}
+            disabled={busy}
+          >
+            <History size={12} />
+            History
+          </Button>
+          {busy && <Loader2 size={14} className="spin text-muted" />}
+          {summary.template && (
+            <span className="summary-editor-template text-sans text-xs text-muted">{summary.template.name}</span>
+          )}
+        </div>
+
+        {error && <p className="summary-editor-error text-sans text-sm">{error}</p>}
+
+        {mode === 'edit' && draft ? (
+          <div className="summary-editor-form">
+            <label className="text-sans text-xs text-muted summary-section-label">Overview</label>
+            <Textarea
+              value={draft.overview}
+              onChange={(e) => setDraft({ ...draft, overview: e.target.value })}
+              rows={4}
+            />
+            <label className="text-sans text-xs text-muted summary-section-label">Key points (one per line)</label>
+            <Textarea
+              value={draft.keyPoints}
+              onChange={(e) => setDraft({ ...draft, keyPoints: e.target.value })}
+              rows={5}
+            />
+            <label className="text-sans text-xs text-muted summary-section-label">Next steps (one per line)</label>
+            <Textarea
+              value={draft.nextSteps}
+              onChange={(e) => setDraft({ ...draft, nextSteps: e.target.value })}
+              rows={3}
+            />
+            <div className="summary-editor-actions">
+              <Button variant="ghost" size="sm" onClick={() => setMode('view')} disabled={busy}>Cancel</Button>
+              <Button size="sm" onClick={saveEdits} disabled={busy}>Save</Button>
+            </div>
+          </div>
+        ) : (
+          <SummarySections summary={summary} editedFields={editedFields} />
+        )}
+
+        {mode === 'regenerate' && (
+          <div className="summary-editor-form">
+            {templates.length > 0 && (
+              <>
+                <label className="text-sans text-xs text-muted summary-section-label" htmlFor="summary-template">
+                  Template
+                </label>
+                <select
+                  id="summary-template"
+                  className="summary-editor-select"
+                  value={templateId}
+                  onChange={(e) => setTemplateId(e.target.value)}
+                >
+                  {!summary.template && <option value="">Your default template</option>}
+                  {templates.map((t) => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                </select>
+              </>
+            )}
+            <Textarea
+              placeholder="Optional instructions, e.g. &quot;focus on the budget discussion&quot; or &quot;keep it to two key points&quot;"
+              value={instructions}
+              onChange={(e) => setInstructions(e.target.value)}
+              maxLength={1000}
+              rows={2}
+            />
+            <div className="summary-editor-actions">
+              {editedFields.length > 0 && (
+                <label className="summary-editor-keep text-sans text-sm">
+                  <input type="checkbox" checked={keepEdits} onChange={(e) => setKeepEdits(e.target.checked)} />
+                  Keep my edits
+                </label>
+              )}
+              <Button size="sm" onClick={regenerate} disabled={busy}>
+                {busy ? `${regenerateProgress || 'Regenerating'}...` : 'Regenerate summary'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {mode === 'history' && (
+          <div className="summary-editor-history">
+            <ul className="summary-editor-versions">
+              {versions.map((version, i) => (
+                <li key={version.id}>
+                  <button
+                    className={`summary-editor-version ${selectedVersion?.id === version.id ? 'active' : ''}`}
+                    onClick={() => setSelectedVersion(version)}
+                  >
+                    <span className="text-sans text-sm">
+                      {SOURCE_LABELS[version.source] || version.source}
+                      {i === 0 && <Badge variant="outline">Current</Badge>}
+                    </span>
+                    <span className="text-sans text-xs text-muted">{formatVersionTime(version.createdAt)}</span>
+                    {version.instructions && (
+                      <span className="summary-editor-instructions text-serif text-xs text-muted">
+                        “{version.instructions}”
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+              {versions.length === 0 && !busy && (
+                <li className="text-sans text-sm text-muted">No earlier versions</li>
+              )}
+            </ul>
+
+            {selectedVersion && (
+              <div className="summary-editor-compare">
+                <div className="summary-editor-compare-column">
+                  <h4 className="text-sans text-xs text-muted summary-section-label">
+                    {formatVersionTime(selectedVersion.createdAt)}
+                  </h4>
+                  <SummarySections summary={selectedVersion.summary} editedFields={selectedVersion.editedFields} />
+                </div>
+                <div className="summary-editor-compare-column">
+                  <h4 className="text-sans text-xs text-muted summary-section-label">Current</h4>
+                  <SummarySections summary={summary} editedFields={editedFields} />
+                </div>
+                {selectedVersion.id !== versions[0]?.id && (
+                  <div className="summary-editor-actions">
+                    <Button size="sm" onClick={() => revert(selectedVersion)} disabled={busy}>
+                      <RotateCcw size={12} />
+                      Restore this version
+                    </Button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {summary.decisions?.length > 0 && (
+          <>
+            <h4 className="text-sans text-xs text-muted summary-section-label">Decisions</h4>
+            <ul className="summary-points">
+              {summary.decisions.map((decision, i) => (
+                <li key={i} className="text-serif text-sm text-muted">{decision}</li>
+              ))}
+            </ul>
+          </>
+        )}
+        {summary.details && (
+          <dl className="summary-editor-details">
+            {Object.entries(summary.details)
+              .filter(([, value]) => value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+              .map(([key, value]) => (
+                <React.Fragment key={key}>
+                  <dt className="text-sans text-xs text-muted">{detailLabel(key)}</dt>
+                  <dd className="text-serif text-sm">{detailValue(value)}</dd>
+                </React.Fragment>
+              ))}
+          </dl>
+        )}
+        {summary.topics?.length > 0 && (
+          <div className="summary-topics">
+            {summary.topics.map((topic, i) => (
+              <Badge key={i} variant="outline">{topic}</Badge>
+            ))}
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+}
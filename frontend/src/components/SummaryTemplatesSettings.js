@@ -0,0 +1,245 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import Card from './ui/Card';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import Textarea from './ui/Textarea';
+import Badge from './ui/Badge';
+import { useVertical } from '../contexts/VerticalContext';
+
+/**
+ * SummaryTemplatesSettings — Settings section for summary templates.
+ *
+ * Lists the built-in templates for the current vertical plus the user's own,
+ * picks the default template (preferences.defaultSummaryTemplateId) and
+ * creates or deletes custom templates.
+ */
+
+const EMPTY_DRAFT = {
+  name: '',
+  sections: '',
+  tone: 'neutral',
+  length: 'standard',
+  language: '',
+};
+
+// "Title: instructions" per line → [{ title, instructions }]
+function parseSections(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const colon = line.indexOf(':');
+      if (colon === -1) return { title: line, instructions: '' };
+      return { title: line.slice(0, colon).trim(), instructions: line.slice(colon + 1).trim() };
+    });
+}
+
+export default function SummaryTemplatesSettings() {
+  const { verticalId } = useVertical();
+  const [templates, setTemplates] = useState([]);
+  const [defaultTemplateId, setDefaultTemplateId] = useState('');
+  const [tones, setTones] = useState([]);
+  const [lengths, setLengths] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadTemplates = useCallback(() => {
+    const params = verticalId ? `?vertical=${verticalId}` : '';
+    fetch(`/api/summary-templates${params}`, { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setTemplates(data.templates);
+        setDefaultTemplateId(data.defaultTemplateId || '');
+        setTones(data.tones);
+        setLengths(data.lengths);
+      })
+      .catch(() => {});
+  }, [verticalId]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const handleDefaultChange = (id) => {
+    setDefaultTemplateId(id);
+    fetch('/api/preferences', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ defaultSummaryTemplateId: id || null }),
+    }).catch(() => {});
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/summary-templates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          name: draft.name,
+          sections: parseSections(draft.sections),
+          tone: draft.tone,
+          length: draft.length,
+          language: draft.language.trim() || null,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Could not save template');
+      setTemplates((prev) => [...prev, data.template]);
+      setDraft(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    const res = await fetch(`/api/summary-templates/${template.id}`, {
+      method: 'DELETE',
+      credentials: 'include',
+    }).catch(() => null);
+    if (res?.ok) {
+      setTemplates((prev) => prev.filter((t) => t.id !== template.id));
+      if (defaultTemplateId === template.id) setDefaultTemplateId('');
+    }
+  };
+
+  const userTemplates = templates.filter((t) => !t.builtIn);
+
+  return (
+    <section className="settings-section">
+      <h2 className="text-serif text-xl">Summary Templates</h2>
+      <Card>
+        <div className="settings-card-inner">
+          <div className="settings-field">
+            <label className="text-sans font-medium" htmlFor="default-template">
+              Default template
+            </label>
+            <select
+              id="default-template"
+              className="settings-select"
+              value={defaultTemplateId}
+              onChange={(e) => handleDefaultChange(e.target.value)}
+            >
+              <option value="">Automatic (your vertical&apos;s template)</option>
+              {templates.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.name}{t.builtIn ? '' : ' (custom)'}
+                </option>
+              ))}
+            </select>
+            <p className="settings-field-help">
+              Used for new meeting summaries. Automatic uses the built-in template for the
+              meeting&apos;s vertical, or the standard summary if it has none. You can switch
+              template when regenerating a summary.
+            </p>
+          </div>
+
+          {userTemplates.length > 0 && (
+            <div className="settings-upcoming-list">
+              {userTemplates.map((t) => (
+                <div key={t.id} className="settings-upcoming-row">
+                  <div className="settings-upcoming-info">
+                    <span className="text-sans text-sm font-medium">
+                      {t.name} {defaultTemplateId === t.id && <Badge variant="outline">Default</Badge>}
+                    </span>
+                    <span className="text-sans text-xs text-muted">
+                      {t.sections.length} sections • {t.tone} • {t.length}
+                      {t.language && ` • ${t.language}`}
+                    </span>
+                  </div>
+                  <Button variant="ghost" size="sm" onClick={() => handleDelete(t)} title="Delete template">
+                    <Trash2 size={14} />
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {draft ? (
+            <>
+              <hr className="settings-separator" />
+              <div className="settings-field">
+                <label className="text-sans font-medium" htmlFor="template-name">Name</label>
+                <Input
+                  id="template-name"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  placeholder="Weekly 1:1"
+                  maxLength={80}
+                />
+              </div>
+              <div className="settings-field">
+                <label className="text-sans font-medium" htmlFor="template-sections">Sections</label>
+                <Textarea
+                  id="template-sections"
+                  value={draft.sections}
+                  onChange={(e) => setDraft({ ...draft, sections: e.target.value })}
+                  placeholder={'Wins: what went well this week\nBlockers: anything slowing the team down'}
+                  rows={4}
+                />
+                <p className="settings-field-help">
+                  One per line, as "Title: what to include"
+                </p>
+              </div>
+              <div className="settings-field">
+                <label className="text-sans font-medium" htmlFor="template-tone">Tone</label>
+                <select
+                  id="template-tone"
+                  className="settings-select"
+                  value={draft.tone}
+                  onChange={(e) => setDraft({ ...draft, tone: e.target.value })}
+                >
+                  {tones.map((tone) => <option key={tone} value={tone}>{tone}</option>)}
+                </select>
+              </div>
+              <div className="settings-field">
+                <label className="text-sans font-medium" htmlFor="template-length">Length</label>
+                <select
+                  id="template-length"
+                  className="settings-select"
+                  value={draft.length}
+                  onChange={(e) => setDraft({ ...draft, length: e.target.value })}
+                >
+                  {lengths.map((length) => <option key={length} value={length}>{length}</option>)}
+                </select>
+              </div>
+              <div className="settings-field">
+                <label className="text-sans font-medium" htmlFor="template-language">Language</label>
+                <Input
+                  id="template-language"
+                  value={draft.language}
+                  onChange={(e) => setDraft({ ...draft, language: e.target.value })}
+                  placeholder="Same as the meeting"
+                  maxLength={40}
+                />
+              </div>
+              <div className="settings-test-row">
+                <Button onClick={handleCreate} disabled={saving || !draft.name.trim()}>
+                  {saving ? 'Saving...' : 'Save template'}
+                </Button>
+                <Button variant="outline" onClick={() => setDraft(null)} disabled={saving}>
+                  Cancel
+                </Button>
+                {error && <span className="settings-test-error">{error}</span>}
+              </div>
+            </>
+          ) : (
+            <button className="settings-manage-link" onClick={() => setDraft(EMPTY_DRAFT)}>
+              <Plus size={12} />
+              New template
+            </button>
+          )}
+        </div>
+      </Card>
+    </section>
+  );
+}
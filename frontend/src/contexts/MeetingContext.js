@@ -149,6 +149,10 @@ export function MeetingProvider({ children }) {
               startNoticeSentRef.current = true;
               sendChatNoticeRef.current('start');
             }
+          } else if (message.data.status === 'rtms_interrupted' || message.data.status === 'rtms_reconnected') {
+            // Still live: the RTMS service is rejoining (or has rejoined) the stream
+            setRtmsActive(true);
+            hasBeenActiveRef.current = true;
           } else if (message.data.status === 'rtms_stopped') {
             setRtmsActive(false);
             setRtmsPaused(false);
@@ -280,7 +284,7 @@ export function MeetingProvider({ children }) {
       setRtmsPaused(true);
       sendChatNotice('pause');
       // Notify backend for timeline event
-      fetch('/api/rtms/status', {
+      fetch('/api/rtms/lifecycle', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -301,7 +305,7 @@ export function MeetingProvider({ children }) {
       setRtmsPaused(false);
       sendChatNotice('resume');
       // Notify backend for timeline event
-      fetch('/api/rtms/status', {
+      fetch('/api/rtms/lifecycle', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
@@ -347,8 +351,8 @@ export function MeetingProvider({ children }) {
         .then(res => res.ok ? res.json() : null)
         .then(data => {
           if (cancelled) return;
-          if (data?.meeting?.status === 'ongoing') {
-            console.log('REST status check: meeting is ongoing, setting rtmsActive');
+          if (data?.meeting?.status === 'ongoing' || data?.meeting?.status === 'interrupted') {
+            console.log(`REST status check: meeting is ${data.meeting.status}, setting rtmsActive`);
             setRtmsActive(true);
             hasBeenActiveRef.current = true;
             if (!meetingStartTimeRef.current) {
@@ -1,8 +1,10 @@
 import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { useAuth } from './AuthContext';
 
 /**
  * Vertical definitions for Arlo
- * Each vertical customizes the AI prompts, features, and visual styling
+ * Each vertical customizes the AI prompts, features, and visual styling.
+ * The backend keeps its own copy of the prompt prefixes (services/verticals.js).
  */
 export const VERTICALS = {
   notes: {
@@ -124,7 +126,20 @@ export const FEATURES = {
 
 const VerticalContext = createContext();
 
+// Save the choice to the user's preferences so it follows them across devices
+// and the backend can tailor AI prompts to it
+function saveVerticalPreference(vertical) {
+  fetch('/api/preferences', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ vertical }),
+  }).catch(() => {});
+}
+
 export function VerticalProvider({ children }) {
+  const { isAuthenticated } = useAuth();
+
   // Initialize from localStorage or default to null (show selector)
   const [verticalId, setVerticalId] = useState(() => {
     try {
@@ -141,6 +156,32 @@ export function VerticalProvider({ children }) {
   // Get the full vertical config
   const vertical = verticalId ? VERTICALS[verticalId] : null;
 
+  // Once signed in, the server-side preference wins over this device's copy;
+  // a vertical chosen before the server knew one is uploaded
+  useEffect(() => {
+    if (!isAuthenticated) return;
+    let cancelled = false;
+    fetch('/api/preferences', { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((prefs) => {
+        if (cancelled || !prefs) return;
+        if (VERTICALS[prefs.vertical]) {
+          setVerticalId(prefs.vertical);
+        } else {
+          try {
+            const saved = localStorage.getItem('arlo-vertical');
+            if (VERTICALS[saved]) saveVerticalPreference(saved);
+          } catch {
+            // localStorage unavailable
+          }
+        }
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [isAuthenticated]);
+
   // Persist to localStorage when changed
   useEffect(() => {
     if (verticalId) {
@@ -169,11 +210,13 @@ export function VerticalProvider({ children }) {
   const selectVertical = useCallback((id) => {
     if (VERTICALS[id]) {
       setVerticalId(id);
+      saveVerticalPreference(id);
     }
   }, []);
 
   // Clear selection (return to selector)
   const clearVertical = useCallback(() => {
+    // The server keeps the last choice until a new one is selected
     setVerticalId(null);
     try {
       localStorage.removeItem('arlo-vertical');
@@ -0,0 +1,162 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { MessageCircle, Square, Loader2 } from 'lucide-react';
+import Card from '../../components/ui/Card';
+import Input from '../../components/ui/Input';
+import Button from '../../components/ui/Button';
+import CitedAnswer from '../../components/CitedAnswer';
+import { streamChat } from '../../utils/streamChat';
+import './AskArlo.css';
+
+/**
+ * AskArlo — Ask questions about the live meeting.
+ *
+ * Answers stream in token by token; Stop cancels the request (and the upstream completion).
+ * Follow-ups continue the same chat session, and citations jump to the transcript.
+ */
+export default function AskArlo({ meetingId, onJumpToSegment }) {
+  const [question, setQuestion] = useState('');
+  const [sessionId, setSessionId] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [pendingQuestion, setPendingQuestion] = useState(null);
+  const [streamingAnswer, setStreamingAnswer] = useState('');
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Cancel any in-flight answer on unmount
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // Resume the latest chat session for this meeting
+  useEffect(() => {
+    if (!meetingId) return;
+    fetch(`/api/ai/sessions?meetingId=${encodeURIComponent(meetingId)}&limit=1`, { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        const latest = data?.sessions?.[0];
+        if (!latest) return null;
+        return fetch(`/api/ai/sessions/${latest.id}`, { credentials: 'include' })
+          .then((res) => (res.ok ? res.json() : null));
+      })
+      .then((data) => {
+        if (!data?.session) return;
+        setSessionId(data.session.id);
+        setMessages(data.messages);
+      })
+      .catch(() => {});
+  }, [meetingId]);
+
+  const ask = async () => {
+    if (!question.trim() || !meetingId || isStreaming) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const asked = question;
+    setQuestion('');
+    setPendingQuestion(asked);
+    setStreamingAnswer('');
+    setError(null);
+    setIsStreaming(true);
+    try {
+      const result = await streamChat({
+        meetingId,
+        sessionId,
+        question: asked,
+        signal: controller.signal,
+        onToken: (text) => setStreamingAnswer((prev) => prev + text),
+      });
+      setSessionId(result.sessionId);
+      setMessages((prev) => [
+        ...prev,
+        { id: `q-${result.message.id}`, role: 'user', content: asked, citations: [] },
+        { ...result.message, excerpted: result.excerpted },
+      ]);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message || 'Failed to get answer');
+      }
+    } finally {
+      abortRef.current = null;
+      setPendingQuestion(null);
+      setIsStreaming(false);
+    }
+  };
+
+  const cancel = () => {
+    abortRef.current?.abort();
+  };
+
+  const startNewChat = () => {
+    abortRef.current?.abort();
+    setSessionId(null);
+    setMessages([]);
+    setError(null);
+  };
+
+  const jumpToCitation = (citation) => {
+    if (citation.seqNo && onJumpToSegment) onJumpToSegment(citation.seqNo);
+  };
+
+  return (
+    <Card className="ask-arlo">
+      <div className="ask-arlo-header">
+        <div className="ask-arlo-title">
+          <MessageCircle size={18} className="ask-arlo-icon" />
+          <h3 className="text-serif font-medium">Ask Arlo</h3>
+        </div>
+        {messages.length > 0 && (
+          <Button size="sm" variant="ghost" onClick={startNewChat}>New chat</Button>
+        )}
+      </div>
+
+      {(messages.length > 0 || pendingQuestion) && (
+        <div className="ask-arlo-thread">
+          {messages.map((message) => (
+            message.role === 'user' ? (
+              <p key={message.id} className="ask-arlo-question text-sans text-xs text-muted">{message.content}</p>
+            ) : (
+              <React.Fragment key={message.id}>
+                <CitedAnswer
+                  content={message.content}
+                  citations={message.citations}
+                  onCitationClick={jumpToCitation}
+                />
+                {message.excerpted && (
+                  <p className="text-sans text-xs text-muted">Answered from excerpts: this transcript is too long to send in full.</p>
+                )}
+              </React.Fragment>
+            )
+          ))}
+          {pendingQuestion && (
+            <>
+              <p className="ask-arlo-question text-sans text-xs text-muted">{pendingQuestion}</p>
+              {streamingAnswer
+                ? <CitedAnswer content={streamingAnswer} streaming />
+                : <Loader2 size={14} className="spin" />}
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <p className="ask-arlo-error text-sans text-sm">{error}</p>}
+
+      <div className="ask-arlo-row">
+        <Input
+          placeholder={messages.length > 0 ? 'Ask a follow-up...' : 'What did we decide about the launch date?'}
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && ask()}
+          disabled={!meetingId}
+        />
+        {isStreaming ? (
+          <Button size="sm" variant="outline" onClick={cancel}>
+            <Square size={12} />
+            Stop
+          </Button>
+        ) : (
+          <Button size="sm" onClick={ask} disabled={!question.trim() || !meetingId}>
+            Ask
+          </Button>
+        )}
+      </div>
+    </Card>
+  );
+}
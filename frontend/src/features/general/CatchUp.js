@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Rewind, Loader2, X } from 'lucide-react';
+import Card from '../../components/ui/Card';
+import Button from '../../components/ui/Button';
+import './CatchUp.css';
+
+/**
+ * CatchUp — "What did I miss?" for people who stepped away or joined late.
+ *
+ * Remembers when the panel last lost focus; coming back after a while offers a
+ * summary of everything said since (POST /api/ai/catch-up, cached per window).
+ */
+
+// Shorter absences don't offer a catch-up
+const AWAY_THRESHOLD_MS = 60000;
+
+const FIXED_WINDOWS = [
+  { id: 'last5', label: 'Last 5 min', minutes: 5 },
+  { id: 'last15', label: 'Last 15 min', minutes: 15 },
+  { id: 'all', label: 'Whole meeting', minutes: null },
+];
+
+function minutesSince(time) {
+  return Math.max(1, Math.round((Date.now() - time) / 60000));
+}
+
+export default function CatchUp({ meetingId }) {
+  const [awaySince, setAwaySince] = useState(null);
+  const [result, setResult] = useState(null);
+  const [loadingWindow, setLoadingWindow] = useState(null);
+  const [error, setError] = useState(null);
+  const blurredAtRef = useRef(null);
+
+  // Track when the panel loses and regains focus
+  useEffect(() => {
+    const handleAway = () => {
+      if (!blurredAtRef.current) blurredAtRef.current = Date.now();
+    };
+    const handleBack = () => {
+      const blurredAt = blurredAtRef.current;
+      blurredAtRef.current = null;
+      if (blurredAt && Date.now() - blurredAt >= AWAY_THRESHOLD_MS) {
+        setAwaySince(blurredAt);
+      }
+    };
+    const handleVisibility = () => (document.hidden ? handleAway() : handleBack());
+
+    window.addEventListener('blur', handleAway);
+    window.addEventListener('focus', handleBack);
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      window.removeEventListener('blur', handleAway);
+      window.removeEventListener('focus', handleBack);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, []);
+
+  const catchUp = async (windowId, since) => {
+    if (!meetingId || loadingWindow) return;
+    setLoadingWindow(windowId);
+    setError(null);
+    try {
+      const res = await fetch('/api/ai/catch-up', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ meetingId, since }),
+      });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to generate catch-up');
+      }
+      const { catchUp: summary } = await res.json();
+      setResult({ ...summary, windowId });
+      if (windowId === 'away') setAwaySince(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoadingWindow(null);
+    }
+  };
+
+  const windowLabel = (windowId) => {
+    if (windowId === 'away') return 'While you were away';
+    return FIXED_WINDOWS.find((w) => w.id === windowId)?.label || '';
+  };
+
+  return (
+    <Card className="catch-up">
+      <div className="catch-up-header">
+        <div className="catch-up-title">
+          <Rewind size={16} className="catch-up-icon" />
+          <span className="text-sans font-medium">What did I miss?</span>
+        </div>
+        <div className="catch-up-windows">
+          {awaySince && (
+            <Button
+              size="sm"
+              onClick={() => catchUp('away', new Date(awaySince).toISOString())}
+              disabled={!!loadingWindow}
+            >
+              {loadingWindow === 'away' && <Loader2 size={12} className="spin" />}
+              Away {minutesSince(awaySince)} min
+            </Button>
+          )}
+          {FIXED_WINDOWS.map((w) => (
+            <Button
+              key={w.id}
+              variant="outline"
+              size="sm"
+              onClick={() => catchUp(
+                w.id,
+                w.minutes ? new Date(Date.now() - w.minutes * 60000).toISOString() : null
+              )}
+              disabled={!!loadingWindow}
+            >
+              {loadingWindow === w.id && <Loader2 size={12} className="spin" />}
+              {w.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="catch-up-error text-sans text-sm">{error}</p>}
+
+      {result && (
+        <div className="catch-up-result">
+          <div className="catch-up-result-header">
+            <span className="text-sans text-xs text-muted">
+              {windowLabel(result.windowId)}
+              {result.segmentCount > 0 && ` • ${result.segmentCount} lines`}
+            </span>
+            <button className="catch-up-dismiss" onClick={() => setResult(null)} title="Dismiss">
+              <X size={12} />
+            </button>
+          </div>
+          {result.overview ? (
+            <>
+              <p className="text-serif text-sm">{result.overview}</p>
+              {result.keyPoints.length > 0 && (
+                <ul className="catch-up-points">
+                  {result.keyPoints.map((point, i) => (
+                    <li key={i} className="text-serif text-sm">{point}</li>
+                  ))}
+                </ul>
+              )}
+            </>
+          ) : (
+            <p className="text-sans text-sm text-muted">Nothing was said in that time.</p>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
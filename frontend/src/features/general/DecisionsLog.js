@@ -1,81 +1,123 @@
-import React, { useState } from 'react';
-import { GitBranch, Plus, ExternalLink, X } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { GitBranch, Plus, ExternalLink, X, RefreshCw } from 'lucide-react';
 import Card from '../../components/ui/Card';
 import Input from '../../components/ui/Input';
+import { formatTimestamp } from '../../utils/formatters';
 import './DecisionsLog.css';
 
 /**
- * DecisionsLog — Track decisions made during the meeting.
+ * DecisionsLog — Decisions from this meeting, or the log across all meetings.
  *
- * Auto-detects decisions and allows manual additions.
+ * Decisions are extracted with the meeting summary (GET /api/decisions);
+ * manual additions are anchored to the latest transcript line.
  */
 
-// Demo decisions — Product team Q2 planning meeting
-const DEMO_DECISIONS = [
-  {
-    id: 1,
-    text: 'Mobile app v1.0 is Q2 priority #1 — targeting April 15 beta release',
-    madeBy: 'Priya Sharma',
-    timestamp: '10:08:15 AM',
-    seqNo: 22,
-    isAutoDetected: true,
-  },
-  {
-    id: 2,
-    text: 'Launch with Apple Pay only; add full Stripe integration in May update',
-    madeBy: 'Team consensus',
-    timestamp: '10:22:18 AM',
-    seqNo: 62,
-    isAutoDetected: true,
-  },
-  {
-    id: 3,
-    text: 'AI recommendations feature pushed to late Q2 (after mobile launch stabilizes)',
-    madeBy: 'Priya Sharma',
-    timestamp: '10:25:33 AM',
-    seqNo: 72,
-    isAutoDetected: true,
-  },
-  {
-    id: 4,
-    text: 'New engineer Raj starts March 25 — will lead mobile backend work',
-    madeBy: 'Marcus Chen',
-    timestamp: '10:32:18 AM',
-    seqNo: 88,
-    isAutoDetected: true,
-  },
-  {
-    id: 5,
-    text: 'Weekly mobile standup starting next Monday, 9am',
-    madeBy: 'Jordan Kim',
-    timestamp: '10:38:45 AM',
-    seqNo: 102,
-    isAutoDetected: false,
-  },
-];
+const PAGE_SIZE = 20;
 
-export default function DecisionsLog({ segments, onJumpToSegment }) {
-  const [decisions, setDecisions] = useState(DEMO_DECISIONS);
+export default function DecisionsLog({ meetingId, segments, onJumpToSegment }) {
+  const navigate = useNavigate();
+  const [scope, setScope] = useState('meeting'); // 'meeting' | 'all'
+  const [decisions, setDecisions] = useState([]);
+  const [meetingDbId, setMeetingDbId] = useState(null);
+  const [cursor, setCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [filter, setFilter] = useState('');
   const [showAddForm, setShowAddForm] = useState(false);
   const [newDecision, setNewDecision] = useState('');
 
-  const addDecision = () => {
-    if (!newDecision.trim()) return;
-    const decision = {
-      id: Date.now(),
-      text: newDecision.trim(),
-      madeBy: 'You',
-      timestamp: new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' }),
-      seqNo: null,
-      isAutoDetected: false,
-    };
-    setDecisions(prev => [...prev, decision]);
-    setNewDecision('');
-    setShowAddForm(false);
+  const fetchMeetingDecisions = useCallback(async () => {
+    if (!meetingId) return;
+    setLoading(true);
+    try {
+      const res = await fetch(`/api/meetings/by-zoom-id/${encodeURIComponent(meetingId)}/decisions`, {
+        credentials: 'include',
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setDecisions(data.decisions || []);
+        setTotal(data.decisions?.length || 0);
+        setMeetingDbId(data.meetingDbId);
+      }
+    } catch {
+      // Keep the current list
+    } finally {
+      setLoading(false);
+    }
+  }, [meetingId]);
+
+  const fetchAllDecisions = useCallback(async (after = null) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (filter.trim()) params.set('q', filter.trim());
+      if (after) params.set('cursor', after);
+      const res = await fetch(`/api/decisions?${params}`, { credentials: 'include' });
+      if (res.ok) {
+        const data = await res.json();
+        setDecisions(prev => (after ? [...prev, ...data.decisions] : data.decisions));
+        setTotal(data.total);
+        setCursor(data.decisions.length === PAGE_SIZE ? data.cursor : null);
+      }
+    } catch {
+      // Keep the current list
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    if (scope === 'meeting') {
+      fetchMeetingDecisions();
+      return undefined;
+    }
+    const timer = setTimeout(() => fetchAllDecisions(), 300);
+    return () => clearTimeout(timer);
+  }, [scope, fetchMeetingDecisions, fetchAllDecisions]);
+
+  const refresh = () => (scope === 'meeting' ? fetchMeetingDecisions() : fetchAllDecisions());
+
+  const addDecision = async () => {
+    if (!newDecision.trim() || !meetingDbId) return;
+    const latest = segments?.[segments.length - 1];
+    try {
+      const res = await fetch('/api/decisions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ meetingId: meetingDbId, text: newDecision.trim(), seqNo: latest?.seqNo }),
+      });
+      if (res.ok) {
+        const { decision } = await res.json();
+        setDecisions(prev => (scope === 'meeting' ? [...prev, decision] : [decision, ...prev]));
+        setTotal(prev => prev + 1);
+        setNewDecision('');
+        setShowAddForm(false);
+      }
+    } catch {
+      // Leave the form open so the text isn't lost
+    }
   };
 
-  const removeDecision = (id) => {
-    setDecisions(prev => prev.filter(d => d.id !== id));
+  const removeDecision = async (id) => {
+    try {
+      const res = await fetch(`/api/decisions/${id}`, { method: 'DELETE', credentials: 'include' });
+      if (res.ok) {
+        setDecisions(prev => prev.filter(d => d.id !== id));
+        setTotal(prev => prev - 1);
+      }
+    } catch {
+      // Keep the item
+    }
+  };
+
+  const jumpTo = (decision) => {
+    if (decision.meetingId === meetingDbId) {
+      onJumpToSegment?.(decision.seqNo);
+    } else {
+      navigate(`/meetings/${decision.meetingId}?seq=${decision.seqNo}`);
+    }
   };
 
   return (
@@ -84,16 +126,46 @@ export default function DecisionsLog({ segments, onJumpToSegment }) {
         <div className="decisions-log-title">
           <GitBranch size={18} className="decisions-log-icon" />
           <h3 className="text-serif font-medium">Decisions</h3>
-          <span className="decisions-log-count">{decisions.length}</span>
+          <span className="decisions-log-count">{total}</span>
+        </div>
+        <div className="decisions-log-header-actions">
+          <button className="decisions-log-add-btn" onClick={refresh} disabled={loading} title="Refresh">
+            <RefreshCw size={14} />
+          </button>
+          <button
+            className="decisions-log-add-btn"
+            onClick={() => setShowAddForm(!showAddForm)}
+            disabled={!meetingDbId}
+            title="Add decision"
+          >
+            <Plus size={16} />
+          </button>
         </div>
+      </div>
+
+      <div className="decisions-log-scope">
         <button
-          className="decisions-log-add-btn"
-          onClick={() => setShowAddForm(!showAddForm)}
+          className={`decisions-log-scope-btn ${scope === 'meeting' ? 'active' : ''}`}
+          onClick={() => setScope('meeting')}
         >
-          <Plus size={16} />
+          This meeting
+        </button>
+        <button
+          className={`decisions-log-scope-btn ${scope === 'all' ? 'active' : ''}`}
+          onClick={() => setScope('all')}
+        >
+          All meetings
         </button>
       </div>
 
+      {scope === 'all' && (
+        <Input
+          placeholder="Filter decisions..."
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+      )}
+
       {showAddForm && (
         <div className="decisions-log-add-form">
           <Input
@@ -113,7 +185,11 @@ export default function DecisionsLog({ segments, onJumpToSegment }) {
       <div className="decisions-log-list">
         {decisions.length === 0 ? (
           <p className="decisions-log-empty text-sm text-muted">
-            No decisions captured yet
+            {loading
+              ? 'Loading decisions...'
+              : scope === 'meeting'
+                ? 'No decisions captured yet — they appear once the summary is generated'
+                : 'No decisions found'}
           </p>
         ) : (
           decisions.map(decision => (
@@ -121,13 +197,22 @@ export default function DecisionsLog({ segments, onJumpToSegment }) {
               <div className="decision-content">
                 <p className="decision-text text-sm">{decision.text}</p>
                 <div className="decision-meta">
-                  <span className="decision-by text-xs text-muted">
-                    {decision.madeBy}
-                  </span>
-                  <span className="decision-time text-mono text-xs text-muted">
-                    {decision.timestamp}
-                  </span>
-                  {decision.isAutoDetected && (
+                  {scope === 'all' && (
+                    <span className="decision-meeting text-xs text-muted">
+                      {decision.meetingTitle}
+                    </span>
+                  )}
+                  {decision.participants.length > 0 && (
+                    <span className="decision-by text-xs text-muted">
+                      {decision.participants.join(', ')}
+                    </span>
+                  )}
+                  {decision.tStartMs != null && (
+                    <span className="decision-time text-mono text-xs text-muted">
+                      {formatTimestamp(decision.tStartMs)}
+                    </span>
+                  )}
+                  {decision.source === 'ai' && (
                     <span className="decision-auto text-xs">Auto</span>
                   )}
                 </div>
@@ -136,7 +221,7 @@ export default function DecisionsLog({ segments, onJumpToSegment }) {
                 {decision.seqNo && (
                   <button
                     className="decision-jump"
-                    onClick={() => onJumpToSegment?.(decision.seqNo)}
+                    onClick={() => jumpTo(decision)}
                   >
                     <ExternalLink size={12} />
                   </button>
@@ -151,6 +236,15 @@ export default function DecisionsLog({ segments, onJumpToSegment }) {
             </div>
           ))
         )}
+        {scope === 'all' && cursor && (
+          <button
+            className="decisions-log-more"
+            onClick={() => fetchAllDecisions(cursor)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'Load more'}
+          </button>
+        )}
       </div>
     </Card>
   );
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { History, ChevronDown, ChevronUp, CheckSquare, GitBranch } from 'lucide-react';
+import Card from '../../components/ui/Card';
+import Badge from '../../components/ui/Badge';
+import { useZoomSdk } from '../../contexts/ZoomSdkContext';
+import './MeetingBriefing.css';
+
+/**
+ * MeetingBriefing — Context from earlier meetings with the same people or in
+ * the same series: open action items, recent decisions and shared topics.
+ *
+ * Works before transcription starts: matches on the Zoom meeting number and,
+ * for hosts and co-hosts, the SDK participant list. Stays expanded for the
+ * first couple of minutes of transcript, then collapses out of the way unless
+ * the user has opened or closed it themselves.
+ */
+
+const COLLAPSE_DELAY_MS = 2 * 60 * 1000;
+
+/**
+ * Participant names from the Zoom SDK ([] when the list isn't available,
+ * e.g. to attendees who aren't host or co-host)
+ */
+async function getSdkParticipants(zoomSdk) {
+  try {
+    const result = await zoomSdk?.getMeetingParticipants();
+    return (result?.participants || []).map((p) => p.screenName).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function formatShortDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+export default function MeetingBriefing({ meetingId, attendeeCount, transcriptStarted }) {
+  const navigate = useNavigate();
+  const { zoomSdk, meetingContext } = useZoomSdk();
+  const meetingNumber = meetingContext?.meetingID;
+  const [context, setContext] = useState(null);
+  const [isExpanded, setIsExpanded] = useState(true);
+  const [userToggled, setUserToggled] = useState(false);
+
+  // Refetch as people join — the briefing matches on attendees
+  useEffect(() => {
+    if (!meetingId) return undefined;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams();
+        if (meetingNumber) params.set('meetingNumber', meetingNumber);
+        (await getSdkParticipants(zoomSdk)).forEach((name) => params.append('participant', name));
+
+        const res = await fetch(
+          `/api/meetings/by-zoom-id/${encodeURIComponent(meetingId)}/context?${params}`,
+          { credentials: 'include' }
+        );
+        if (res.ok && !cancelled) setContext(await res.json());
+      } catch {
+        // Briefing is optional
+      }
+    }, 1000);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [meetingId, meetingNumber, zoomSdk, attendeeCount]);
+
+  useEffect(() => {
+    if (!transcriptStarted || userToggled) return undefined;
+    const timer = setTimeout(() => setIsExpanded(false), COLLAPSE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [transcriptStarted, userToggled]);
+
+  if (!context || context.meetings.length === 0) return null;
+
+  return (
+    <Card className="meeting-briefing">
+      <button
+        className="meeting-briefing-header"
+        onClick={() => {
+          setUserToggled(true);
+          setIsExpanded(!isExpanded);
+        }}
+      >
+        <div className="meeting-briefing-title">
+          <History size={16} className="meeting-briefing-icon" />
+          <span className="text-sans font-medium">Before this meeting</span>
+          <span className="meeting-briefing-count">{context.meetings.length}</span>
+        </div>
+        {isExpanded ? (
+          <ChevronUp size={16} className="text-muted" />
+        ) : (
+          <ChevronDown size={16} className="text-muted" />
+        )}
+      </button>
+
+      {isExpanded && (
+        <div className="meeting-briefing-content">
+          <div className="meeting-briefing-meetings">
+            {context.meetings.map((m) => (
+              <button
+                key={m.id}
+                className="meeting-briefing-meeting"
+                onClick={() => navigate(`/meetings/${m.id}`)}
+              >
+                <span className="text-serif text-sm">{m.title}</span>
+                <span className="text-sans text-xs text-muted">
+                  {formatShortDate(m.startTime)}
+                  {m.reason === 'series' ? ' • same series' : ` • ${m.sharedAttendees} shared`}
+                </span>
+              </button>
+            ))}
+          </div>
+
+          {context.topics.length > 0 && (
+            <div className="meeting-briefing-topics">
+              {context.topics.map((t) => (
+                <Badge key={t.key} variant="outline">{t.topic}</Badge>
+              ))}
+            </div>
+          )}
+
+          {context.actionItems.length > 0 && (
+            <div className="meeting-briefing-section">
+              <h4 className="meeting-briefing-label text-sans text-xs text-muted">Open action items</h4>
+              <ul className="meeting-briefing-list">
+                {context.actionItems.map((item) => (
+                  <li key={item.id} className="text-serif text-sm">
+                    <CheckSquare size={12} />
+                    <span>
+                      {item.task}
+                      {item.assignee && <span className="text-muted"> — {item.assignee}</span>}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {context.decisions.length > 0 && (
+            <div className="meeting-briefing-section">
+              <h4 className="meeting-briefing-label text-sans text-xs text-muted">Recent decisions</h4>
+              <ul className="meeting-briefing-list">
+                {context.decisions.map((decision) => (
+                  <li key={decision.id} className="text-serif text-sm">
+                    <GitBranch size={12} />
+                    <span>
+                      {decision.text}
+                      <span className="text-muted"> ({formatShortDate(decision.meetingDate)})</span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { FileText, ChevronDown, ChevronUp, Sparkles, RefreshCw } from 'lucide-react';
+import { useMeeting } from '../../contexts/MeetingContext';
 import Card from '../../components/ui/Card';
 import Button from '../../components/ui/Button';
 import './MeetingSummary.css';
@@ -7,37 +8,77 @@ import './MeetingSummary.css';
 /**
  * MeetingSummary — AI-generated meeting summary with key points.
  *
- * Shows a collapsible summary that updates as the meeting progresses.
+ * The backend keeps a rolling summary while the meeting is live and pushes each
+ * update as `summary.updated`; once the meeting ends it is replaced by the final
+ * summary of the full transcript (long meetings report `summary.progress` while
+ * it is written in parts).
  */
-
-// Demo summary data — Product team Q2 planning meeting
-const DEMO_SUMMARY = {
-  overview: "Product team Q2 planning session focused on mobile app launch, AI feature rollout, and infrastructure scalability. Team aligned on prioritizing mobile over web dashboard, with AI features slated for late Q2. Engineering flagged a potential delay risk around the payments integration.",
-  keyPoints: [
-    "Mobile app v1.0 approved as Q2 top priority — targeting April 15 beta",
-    "AI-powered recommendations feature moved to late Q2 (dependency on mobile launch)",
-    "Payments integration at risk — 3rd party API delays, backup plan discussed",
-    "New senior engineer joining March 25 — will lead mobile backend work",
-    "Design team to deliver mobile specs by end of week",
-  ],
-  generatedAt: Date.now() - 2 * 60 * 1000, // 2 minutes ago
-};
-
-export default function MeetingSummary({ segments, meetingId }) {
-  const [summary, setSummary] = useState(DEMO_SUMMARY);
+export default function MeetingSummary({ meetingId }) {
+  const { ws } = useMeeting();
+  const [summary, setSummary] = useState(null);
   const [isExpanded, setIsExpanded] = useState(true);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [finalProgress, setFinalProgress] = useState(null);
+
+  // Current summary when the panel opens mid-meeting
+  useEffect(() => {
+    if (!meetingId) return;
+    fetch(`/api/meetings/by-zoom-id/${encodeURIComponent(meetingId)}`, { credentials: 'include' })
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        const meeting = data?.meeting;
+        if (meeting?.status === 'completed' && meeting.summary) {
+          setSummary({ ...meeting.summary, updatedAt: meeting.updatedAt, final: true });
+        } else if (meeting?.rollingSummary) {
+          setSummary(meeting.rollingSummary);
+        }
+      })
+      .catch(() => {});
+  }, [meetingId]);
+
+  useEffect(() => {
+    if (!ws) return;
 
-  const regenerateSummary = () => {
+    const handleMessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'summary.updated') {
+        const { summary: updated, final, timestamp } = message.data;
+        setSummary({ updatedAt: timestamp, ...updated, final });
+        if (final) setFinalProgress(null);
+      } else if (message.type === 'summary.progress') {
+        const { stage, completed, total } = message.data;
+        setFinalProgress(stage === 'map' ? `Final summary: part ${completed + 1} of ${total}` : 'Final summary: combining parts');
+      }
+    };
+
+    ws.addEventListener('message', handleMessage);
+    return () => ws.removeEventListener('message', handleMessage);
+  }, [ws]);
+
+  const regenerateSummary = async () => {
+    if (!meetingId) return;
     setIsGenerating(true);
-    // Simulate AI generation
-    setTimeout(() => {
-      setSummary(prev => ({ ...prev, generatedAt: Date.now() }));
+    try {
+      const res = await fetch('/api/ai/rolling-summary', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ meetingId }),
+      });
+      if (res.ok) {
+        const { rollingSummary } = await res.json();
+        setSummary(rollingSummary);
+      }
+    } catch {
+      // Keep the current summary
+    } finally {
       setIsGenerating(false);
-    }, 1500);
+    }
   };
 
-  const timeSinceGenerated = Math.floor((Date.now() - summary.generatedAt) / 60000);
+  const timeSinceGenerated = summary?.updatedAt
+    ? Math.floor((Date.now() - new Date(summary.updatedAt).getTime()) / 60000)
+    : null;
 
   return (
     <Card className="meeting-summary">
@@ -54,40 +95,58 @@ export default function MeetingSummary({ segments, meetingId }) {
           </span>
         </div>
         <div className="meeting-summary-actions">
-          <span className="meeting-summary-time text-xs text-muted">
-            {timeSinceGenerated < 1 ? 'Just now' : `${timeSinceGenerated}m ago`}
-          </span>
+          {finalProgress && (
+            <span className="meeting-summary-time text-xs text-muted">{finalProgress}</span>
+          )}
+          {!finalProgress && timeSinceGenerated !== null && (
+            <span className="meeting-summary-time text-xs text-muted">
+              {summary.final ? 'Final • ' : ''}
+              {timeSinceGenerated < 1 ? 'Just now' : `${timeSinceGenerated}m ago`}
+            </span>
+          )}
           {isExpanded ? <ChevronUp size={18} /> : <ChevronDown size={18} />}
         </div>
       </button>
 
       {isExpanded && (
         <div className="meeting-summary-content">
-          <p className="meeting-summary-overview text-sm">
-            {summary.overview}
-          </p>
+          {summary ? (
+            <>
+              <p className="meeting-summary-overview text-sm">
+                {summary.overview}
+              </p>
 
-          <div className="meeting-summary-points">
-            <span className="meeting-summary-points-label text-xs text-muted">Key Points</span>
-            <ul className="meeting-summary-points-list">
-              {summary.keyPoints.map((point, i) => (
-                <li key={i} className="meeting-summary-point text-sm">
-                  {point}
-                </li>
-              ))}
-            </ul>
-          </div>
+              {summary.keyPoints?.length > 0 && (
+                <div className="meeting-summary-points">
+                  <span className="meeting-summary-points-label text-xs text-muted">Key Points</span>
+                  <ul className="meeting-summary-points-list">
+                    {summary.keyPoints.map((point, i) => (
+                      <li key={i} className="meeting-summary-point text-sm">
+                        {point}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </>
+          ) : (
+            <p className="meeting-summary-overview text-sm text-muted">
+              The summary appears once the meeting has been going for a few minutes.
+            </p>
+          )}
 
-          <Button
-            variant="ghost"
-            size="sm"
-            onClick={regenerateSummary}
-            disabled={isGenerating}
-            className="meeting-summary-refresh"
-          >
-            <RefreshCw size={14} className={isGenerating ? 'spin' : ''} />
-            {isGenerating ? 'Generating...' : 'Refresh Summary'}
-          </Button>
+          {!summary?.final && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={regenerateSummary}
+              disabled={isGenerating}
+              className="meeting-summary-refresh"
+            >
+              <RefreshCw size={14} className={isGenerating ? 'spin' : ''} />
+              {isGenerating ? 'Generating...' : 'Refresh Summary'}
+            </Button>
+          )}
         </div>
       )}
     </Card>
@@ -11,3 +11,6 @@ export { default as DecisionsLog } from './DecisionsLog';
 export { default as OpenQuestions } from './OpenQuestions';
 export { default as ParticipantStats } from './ParticipantStats';
 export { default as SmartBookmarks } from './SmartBookmarks';
+export { default as AskArlo } from './AskArlo';
+export { default as MeetingBriefing } from './MeetingBriefing';
+export { default as CatchUp } from './CatchUp';
@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * Poll the progress of a meeting summary while one is being generated.
+ * Long meetings are summarized in parts (map) and then combined (reduce);
+ * short ones report no progress.
+ *
+ * @returns {string|null} e.g. "Summarizing part 3 of 12", or null
+ */
+export default function useSummaryProgress(meetingId, active) {
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    if (!active || !meetingId) {
+      setProgress(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const poll = () => {
+      fetch(`/api/ai/summary/progress/${encodeURIComponent(meetingId)}`, { credentials: 'include' })
+        .then((res) => (res.ok ? res.json() : null))
+        .then((data) => {
+          if (!cancelled && data) setProgress(data.progress);
+        })
+        .catch(() => {});
+    };
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [meetingId, active]);
+
+  if (!progress) return null;
+  if (progress.stage === 'map') {
+    return `Summarizing part ${progress.completed + 1} of ${progress.total}`;
+  }
+  return 'Combining parts';
+}
@@ -0,0 +1,61 @@
+/**
+ * Ask a question about a meeting and stream the answer from POST /api/ai/chat/stream.
+ * Calls onToken(text) for each chunk as it arrives (raw, with [#line] markers) and
+ * resolves with { sessionId, answer, message, excerpted } once the turn is saved
+ * (excerpted: the transcript was too long to send in full).
+ * Pass sessionId to ask a follow-up. Abort `signal` to cancel — the backend stops
+ * the upstream completion too.
+ */
+export async function streamChat({ meetingId, sessionId, question, signal, onToken }) {
+  const res = await fetch('/api/ai/chat/stream', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ meetingId, sessionId, question }),
+    signal,
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to get answer');
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (!data) continue;
+
+      const payload = JSON.parse(data);
+      if (event === 'token') {
+        if (onToken) onToken(payload.text);
+      } else if (event === 'done') {
+        result = payload;
+      } else if (event === 'error') {
+        throw new Error(payload.error);
+      }
+    }
+  }
+
+  if (!result) {
+    throw new Error('Answer stream ended unexpectedly');
+  }
+  return result;
+}
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useParams } from 'react-router-dom';
 import { ScrollArea } from '@base-ui/react';
-import { Sparkles, ChevronDown, ArrowDown, X, Lock, LogIn, LogOut, Mic, MicOff, Pause, Play, Eye } from 'lucide-react';
+import { Sparkles, ChevronDown, ArrowDown, X, Lock, LogIn, LogOut, Mic, MicOff, Pause, Play, Eye, Wifi, WifiOff } from 'lucide-react';
 import { useMeeting } from '../contexts/MeetingContext';
 import { useZoomSdk } from '../contexts/ZoomSdkContext';
 import OwlIcon from '../components/OwlIcon';
@@ -25,6 +25,8 @@ function InlineEventIcon({ eventType }) {
     case 'transcription_stopped': return <MicOff size={14} className={cls} />;
     case 'transcription_paused': return <Pause size={14} className={cls} />;
     case 'transcription_resumed': return <Play size={14} className={cls} />;
+    case 'transcription_interrupted': return <WifiOff size={14} className={cls} />;
+    case 'transcription_reconnected': return <Wifi size={14} className={cls} />;
     default: return <Mic size={14} className={cls} />;
   }
 }
@@ -37,6 +39,8 @@ function InlineEventLabel({ eventType, name }) {
     case 'transcription_stopped': return 'Transcription stopped';
     case 'transcription_paused': return 'Transcription paused';
     case 'transcription_resumed': return 'Transcription resumed';
+    case 'transcription_interrupted': return 'Transcription interrupted — reconnecting';
+    case 'transcription_reconnected': return 'Transcription reconnected';
     default: return `${name} — ${eventType}`;
   }
 }
@@ -180,7 +184,7 @@ export default function GuestInMeetingView() {
   const timelineItems = useMemo(() => {
     const items = [];
     segments.forEach((seg, i) => {
-      items.push({ type: 'transcript', ...seg, _ts: seg.tStartMs, _key: `seg-${i}` });
+      items.push({ type: 'transcript', ...seg, _ts: seg.timestamp, _key: `seg-${i}` });
     });
     participantEvents
       .filter(evt => evt.eventType !== 'initial_roster')
@@ -202,7 +206,7 @@ export default function GuestInMeetingView() {
     }
   };
 
-  const isLive = !meetingEnded && (rtmsActive || meeting?.status === 'ongoing');
+  const isLive = !meetingEnded && (rtmsActive || meeting?.status === 'ongoing' || meeting?.status === 'interrupted');
   const title = meetingContext?.meetingTopic || meeting?.title || 'Meeting';
   const summary = meeting?.summary;
   const ctaLabel = userContextStatus === 'unauthenticated' ? 'Sign in to Zoom' : 'Add Arlo';
@@ -254,7 +258,10 @@ export default function GuestInMeetingView() {
               {timelineItems.map((item) => {
                 if (item.type === 'participant-event') {
                   return (
-                    <div key={item._key} className="transcript-participant-event timeline-event-animate">
+                    <div
+                      key={item._key}
+                      className={`transcript-participant-event timeline-event-animate ${item.eventType === 'transcription_interrupted' ? 'transcript-gap-marker' : ''}`}
+                    >
                       <InlineEventIcon eventType={item.eventType} />
                       <span className="transcript-event-text text-sans text-sm">
                         <InlineEventLabel eventType={item.eventType} name={item.participantName} />
@@ -270,7 +277,7 @@ export default function GuestInMeetingView() {
                   <div key={item._key} className="transcript-entry">
                     <div className="transcript-entry-header">
                       <span className="transcript-timestamp text-mono text-xs text-muted">
-                        {formatTimestamp(item.tStartMs)}
+                        {formatTimestamp(item.timestamp)}
                       </span>
                       <span className="transcript-speaker text-sans text-sm font-medium">
                         {item.speakerLabel}
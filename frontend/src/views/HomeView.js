@@ -1,31 +1,21 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Mic, Calendar } from 'lucide-react';
+import { Mic, Calendar, Bell, TrendingUp, TrendingDown, Minus } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useMeeting } from '../contexts/MeetingContext';
 import Card from '../components/ui/Card';
 import Badge from '../components/ui/Badge';
 import Button from '../components/ui/Button';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import HighlightedText from '../components/HighlightedText';
+import Sparkline from '../components/Sparkline';
+import { formatDuration } from '../utils/formatters';
 import './HomeView.css';
 
-// TODO: Replace with API endpoint when available
-const mockWeeklyDigest = {
-  meetingCount: 7,
-  totalTime: '5.2h',
-  topTopics: ['Product Strategy', 'Technical Planning', 'Q1 Review'],
-  summary: 'This week focused on Q1 planning and product roadmap alignment. Key decisions around mobile app priorities and hiring timeline were finalized.',
-};
-
-// TODO: Replace with API endpoint when available
-const mockActionItems = [
-  { id: '1', task: 'Finalize mobile design mockups', owner: 'Sarah Chen', meeting: 'Product Strategy Q1 Review', meetingId: '1', done: false, due: 'Feb 15' },
-  { id: '2', task: 'Review notification system architecture', owner: 'Marcus Johnson', meeting: 'Technical Planning', meetingId: '2', done: false },
-  { id: '3', task: 'Send client proposal draft', owner: 'Elena Rodriguez', meeting: 'Client Check-in', meetingId: '3', done: true },
-];
+// Weeks of history behind the topic trend sparklines
+const TREND_WEEKS = 8;
 
-// TODO: Replace with API endpoint when available
-const mockRecurringTopics = ['Q3 Budget', 'Hiring', 'Product Launch', 'Mobile App'];
+const TREND_ICONS = { rising: TrendingUp, fading: TrendingDown, steady: Minus };
 
 const MOCK_UPCOMING = [
   { id: 'u1', title: 'Weekly Product Sync', date: '2026-02-17T10:00:00Z', duration: 30, isRecurring: true, autoOpenEnabled: true },
@@ -36,20 +26,36 @@ const MOCK_UPCOMING = [
 export default function HomeView() {
   const navigate = useNavigate();
   const { user } = useAuth();
-  const { meetingId, rtmsActive } = useMeeting();
+  const { meetingId, rtmsActive, ws } = useMeeting();
   const [highlights, setHighlights] = useState([]);
   const [reminders, setReminders] = useState([]);
   const [upcomingMeetings, setUpcomingMeetings] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [actionItems, setActionItems] = useState(mockActionItems);
+  const [actionItems, setActionItems] = useState([]);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [searchAlerts, setSearchAlerts] = useState([]);
+  const [digest, setDigest] = useState(null);
+  const [recurringTopics, setRecurringTopics] = useState([]);
+  const [topicTrends, setTopicTrends] = useState([]);
 
   useEffect(() => {
     async function fetchHomeData() {
       try {
-        const [highlightsRes, remindersRes, upcomingRes] = await Promise.allSettled([
+        // Action items from meetings since the start of this week (Monday)
+        const weekStart = new Date();
+        weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+        weekStart.setHours(0, 0, 0, 0);
+
+        const [highlightsRes, remindersRes, upcomingRes, actionItemsRes, savedSearchesRes, alertsRes, digestRes, recurringRes, trendsRes] = await Promise.allSettled([
           fetch('/api/home/highlights', { credentials: 'include' }),
           fetch('/api/home/reminders', { credentials: 'include' }),
           fetch('/api/zoom-meetings', { credentials: 'include' }),
+          fetch(`/api/action-items?status=open&limit=10&from=${weekStart.toISOString()}`, { credentials: 'include' }),
+          fetch('/api/saved-searches', { credentials: 'include' }),
+          fetch('/api/saved-searches/alerts?limit=5', { credentials: 'include' }),
+          fetch('/api/home/weekly-digest', { credentials: 'include' }),
+          fetch('/api/home/recurring-topics', { credentials: 'include' }),
+          fetch(`/api/home/topic-trends?weeks=${TREND_WEEKS}`, { credentials: 'include' }),
         ]);
 
         if (highlightsRes.status === 'fulfilled' && highlightsRes.value.ok) {
@@ -66,6 +72,36 @@ export default function HomeView() {
           const data = await upcomingRes.value.json();
           setUpcomingMeetings((data.meetings || []).slice(0, 3));
         }
+
+        if (actionItemsRes.status === 'fulfilled' && actionItemsRes.value.ok) {
+          const data = await actionItemsRes.value.json();
+          setActionItems(data.actionItems || []);
+        }
+
+        if (savedSearchesRes.status === 'fulfilled' && savedSearchesRes.value.ok) {
+          const data = await savedSearchesRes.value.json();
+          setSavedSearches(data.savedSearches || []);
+        }
+
+        if (alertsRes.status === 'fulfilled' && alertsRes.value.ok) {
+          const data = await alertsRes.value.json();
+          setSearchAlerts(data.alerts || []);
+        }
+
+        if (digestRes.status === 'fulfilled' && digestRes.value.ok) {
+          const data = await digestRes.value.json();
+          setDigest(data.digest || null);
+        }
+
+        if (recurringRes.status === 'fulfilled' && recurringRes.value.ok) {
+          const data = await recurringRes.value.json();
+          setRecurringTopics(data.topics || []);
+        }
+
+        if (trendsRes.status === 'fulfilled' && trendsRes.value.ok) {
+          const data = await trendsRes.value.json();
+          setTopicTrends(data.topics || []);
+        }
       } catch {
         // Fetch failed — keep empty defaults
       } finally {
@@ -75,6 +111,42 @@ export default function HomeView() {
     fetchHomeData();
   }, []);
 
+  // New keyword alerts arrive over the meeting WebSocket while a meeting is running
+  useEffect(() => {
+    if (!ws) return;
+    const handleMessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'search.alert') {
+        setSearchAlerts((prev) => [message.data.alert, ...prev.filter((a) => a.id !== message.data.alert.id)].slice(0, 5));
+      }
+    };
+    ws.addEventListener('message', handleMessage);
+    return () => ws.removeEventListener('message', handleMessage);
+  }, [ws]);
+
+  const openAlert = (alert) => {
+    if (!alert.read) {
+      setSearchAlerts((prev) => prev.map((a) => (a.id === alert.id ? { ...a, read: true } : a)));
+      fetch('/api/saved-searches/alerts/read', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ ids: [alert.id] }),
+      }).catch(() => {});
+    }
+    navigate(`/meetings/${alert.meetingId}${alert.seqNo ? `?seq=${alert.seqNo}` : ''}`);
+  };
+
+  const markAllAlertsRead = () => {
+    setSearchAlerts((prev) => prev.map((a) => ({ ...a, read: true })));
+    fetch('/api/saved-searches/alerts/read', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({}),
+    }).catch(() => {});
+  };
+
   const handleGoToMeeting = () => {
     if (meetingId) {
       navigate(`/meeting/${encodeURIComponent(meetingId)}`);
@@ -108,12 +180,31 @@ export default function HomeView() {
     return `${dayName}, ${monthDay} · ${startTime} – ${endTime}`;
   };
 
-  const toggleActionItem = (id) => {
+  const toggleActionItem = async (id) => {
+    const item = actionItems.find((i) => i.id === id);
+    if (!item) return;
+    const status = item.status === 'done' ? 'open' : 'done';
     setActionItems(items =>
-      items.map(item =>
-        item.id === id ? { ...item, done: !item.done } : item
+      items.map(i =>
+        i.id === id ? { ...i, status } : i
       )
     );
+    try {
+      const res = await fetch(`/api/action-items/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ status }),
+      });
+      if (!res.ok) throw new Error('Update failed');
+    } catch {
+      // Revert optimistic update
+      setActionItems(items =>
+        items.map(i =>
+          i.id === id ? { ...i, status: item.status } : i
+        )
+      );
+    }
   };
 
   // Note: LiveMeetingBanner (in AppShell) shows a banner when RTMS is active,
@@ -127,7 +218,7 @@ export default function HomeView() {
     );
   }
 
-  const hasContent = highlights.length > 0 || reminders.length > 0;
+  const hasContent = highlights.length > 0 || reminders.length > 0 || digest?.meetingCount > 0 || topicTrends.length > 0;
   const showMeetingInProgress = meetingId && !rtmsActive;
   const firstName = user?.displayName?.split(' ')[0];
 
@@ -219,6 +310,70 @@ export default function HomeView() {
         )}
       </section>
 
+      {/* Keyword alerts from saved searches */}
+      {(savedSearches.length > 0 || searchAlerts.length > 0) && (
+        <section className="home-section">
+          <div className="home-upcoming-header">
+            <h2 className="text-serif home-section-title">Keyword alerts</h2>
+            {searchAlerts.some((a) => !a.read) && (
+              <button onClick={markAllAlertsRead} className="text-sans home-upcoming-view-all">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {searchAlerts.length === 0 ? (
+            <Card>
+              <div className="home-upcoming-empty">
+                <Bell size={24} className="text-muted" />
+                <p className="text-serif text-sm text-muted">No alerts yet</p>
+                <p className="text-sans text-xs text-muted">
+                  You'll be notified when a saved search is mentioned in a meeting
+                </p>
+              </div>
+            </Card>
+          ) : (
+            <div className="home-cards">
+              {searchAlerts.map((alert) => (
+                <Card
+                  key={alert.id}
+                  className={`home-alert-card${alert.read ? '' : ' unread'}`}
+                  onClick={() => openAlert(alert)}
+                >
+                  <div className="home-card-inner">
+                    <div className="home-alert-header">
+                      <Badge variant="secondary">{alert.savedSearchName}</Badge>
+                      <span className="text-sans text-xs text-muted">
+                        {alert.meetingTitle}
+                        {alert.source === 'live' && ' · live'}
+                      </span>
+                    </div>
+                    <p className="text-serif text-sm home-alert-snippet">
+                      <HighlightedText text={alert.snippet} />
+                    </p>
+                  </div>
+                </Card>
+              ))}
+            </div>
+          )}
+
+          {savedSearches.length > 0 && (
+            <div className="home-saved-searches">
+              {savedSearches.map((saved) => (
+                <button
+                  key={saved.id}
+                  className="text-sans home-saved-search"
+                  onClick={() => navigate(`/search?q=${encodeURIComponent(saved.query)}`)}
+                >
+                  {saved.name}
+                  {saved.unreadAlerts > 0 && <span className="home-saved-search-count">{saved.unreadAlerts}</span>}
+                </button>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
       {!hasContent ? (
         <div className="home-empty">
           <p className="text-serif text-muted">No meetings yet this week.</p>
@@ -227,95 +382,152 @@ export default function HomeView() {
       ) : (
         <>
           {/* Weekly Digest */}
-          <section className="home-section">
-            <h2 className="text-serif home-section-title">Your week in review</h2>
-            <Card>
-              <div className="home-digest-card">
-                <div className="home-digest-stats">
-                  <div>
-                    <div className="home-digest-stat-number">{mockWeeklyDigest.meetingCount}</div>
-                    <p className="home-digest-stat-label">Meetings</p>
-                  </div>
-                  <div>
-                    <div className="home-digest-stat-number">{mockWeeklyDigest.totalTime}</div>
-                    <p className="home-digest-stat-label">Total time</p>
+          {digest?.meetingCount > 0 && (
+            <section className="home-section">
+              <h2 className="text-serif home-section-title">Your week in review</h2>
+              <Card>
+                <div className="home-digest-card">
+                  <div className="home-digest-stats">
+                    <div>
+                      <div className="home-digest-stat-number">{digest.meetingCount}</div>
+                      <p className="home-digest-stat-label">Meetings</p>
+                    </div>
+                    <div>
+                      <div className="home-digest-stat-number">{formatDuration(digest.totalDurationMs) || '0 min'}</div>
+                      <p className="home-digest-stat-label">Total time</p>
+                    </div>
+                    {digest.speakingTime.totalMs > 0 && (
+                      <div>
+                        <div className="home-digest-stat-number">{formatDuration(digest.speakingTime.totalMs)}</div>
+                        <p className="home-digest-stat-label">Speaking time</p>
+                      </div>
+                    )}
                   </div>
-                </div>
 
-                <div>
-                  <p className="home-topics-label">Top topics</p>
-                  <div className="home-topics-row">
-                    {mockWeeklyDigest.topTopics.map((topic, i) => (
-                      <Badge key={i} variant="default">{topic}</Badge>
-                    ))}
-                  </div>
-                </div>
+                  {digest.speakingTime.speakers.length > 0 && (
+                    <p className="text-sans text-xs text-muted">
+                      {digest.speakingTime.speakers
+                        .map((s) => `${s.name} ${formatDuration(s.speakingMs) || '<1 min'}`)
+                        .join(' \u2022 ')}
+                    </p>
+                  )}
 
-                <p className="text-serif text-sm text-muted home-digest-summary">
-                  {mockWeeklyDigest.summary}
-                </p>
-              </div>
-            </Card>
-          </section>
+                  {digest.topTopics.length > 0 && (
+                    <div>
+                      <p className="home-topics-label">Top topics</p>
+                      <div className="home-topics-row">
+                        {digest.topTopics.map((t) => (
+                          <Badge key={t.topic} variant="default">{t.topic}</Badge>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {digest.narrative && (
+                    <p className="text-serif text-sm text-muted home-digest-summary">
+                      {digest.narrative}
+                    </p>
+                  )}
+                </div>
+              </Card>
+            </section>
+          )}
 
           {/* Action Items */}
-          <section className="home-section">
-            <h2 className="text-serif home-section-title">Action items this week</h2>
-            <div className="home-cards">
-              {actionItems.filter(item => !item.done).map((item) => (
-                <Card key={item.id}>
-                  <div className="home-action-card">
-                    <div className="home-action-item">
-                      <input
-                        type="checkbox"
-                        className="home-action-checkbox"
-                        checked={item.done}
-                        onChange={() => toggleActionItem(item.id)}
-                      />
-                      <div className="home-action-content">
-                        <p className="text-serif text-sm">{item.task}</p>
-                        <div className="home-action-meta">
-                          <span>Owner: {item.owner}</span>
-                          {item.due && (
-                            <>
-                              <span>&bull;</span>
-                              <span>Due: {item.due}</span>
-                            </>
-                          )}
-                          <span>&bull;</span>
-                          <button
-                            className="home-action-meeting-link"
-                            onClick={() => navigate(`/meetings/${item.meetingId}`)}
-                          >
-                            {item.meeting}
-                          </button>
+          {actionItems.some(item => item.status !== 'done') && (
+            <section className="home-section">
+              <h2 className="text-serif home-section-title">Action items this week</h2>
+              <div className="home-cards">
+                {actionItems.filter(item => item.status !== 'done').map((item) => (
+                  <Card key={item.id}>
+                    <div className="home-action-card">
+                      <div className="home-action-item">
+                        <input
+                          type="checkbox"
+                          className="home-action-checkbox"
+                          checked={item.status === 'done'}
+                          onChange={() => toggleActionItem(item.id)}
+                        />
+                        <div className="home-action-content">
+                          <p className="text-serif text-sm">{item.task}</p>
+                          <div className="home-action-meta">
+                            {item.assignee && (
+                              <>
+                                <span>Owner: {item.assignee}</span>
+                                <span>&bull;</span>
+                              </>
+                            )}
+                            {item.dueDate && (
+                              <>
+                                <span>Due: {new Date(item.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                                <span>&bull;</span>
+                              </>
+                            )}
+                            <button
+                              className="home-action-meeting-link"
+                              onClick={() => navigate(`/meetings/${item.meetingId}`)}
+                            >
+                              {item.meetingTitle}
+                            </button>
+                          </div>
                         </div>
                       </div>
                     </div>
-                  </div>
-                </Card>
-              ))}
-            </div>
-          </section>
+                  </Card>
+                ))}
+              </div>
+            </section>
+          )}
 
           {/* Recurring Topics */}
-          <section className="home-section">
-            <h2 className="text-serif home-section-title">Recurring topics</h2>
-            <Card>
-              <div className="home-recurring-inner">
-                <p className="text-sans text-xs text-muted">
-                  Topics mentioned in 2+ meetings this week
-                </p>
-                <div className="home-recurring-badges">
-                  {mockRecurringTopics.map((topic, i) => (
-                    <Badge key={i} variant="outline" className="home-recurring-badge">
-                      {topic}
-                    </Badge>
-                  ))}
+          {recurringTopics.length > 0 && (
+            <section className="home-section">
+              <h2 className="text-serif home-section-title">Recurring topics</h2>
+              <Card>
+                <div className="home-recurring-inner">
+                  <p className="text-sans text-xs text-muted">
+                    Topics mentioned in 2+ meetings this week
+                  </p>
+                  <div className="home-recurring-badges">
+                    {recurringTopics.map((t) => (
+                      <Badge key={t.key} variant="outline" className="home-recurring-badge">
+                        {t.topic}
+                      </Badge>
+                    ))}
+                  </div>
                 </div>
-              </div>
-            </Card>
-          </section>
+              </Card>
+            </section>
+          )}
+
+          {/* Topic Trends */}
+          {topicTrends.length > 0 && (
+            <section className="home-section">
+              <h2 className="text-serif home-section-title">Topic trends</h2>
+              <Card>
+                <div className="home-recurring-inner">
+                  <p className="text-sans text-xs text-muted">
+                    Meetings per week over the last {TREND_WEEKS} weeks
+                  </p>
+                  <div className="home-trends-list">
+                    {topicTrends.map((t) => {
+                      const TrendIcon = TREND_ICONS[t.trend];
+                      return (
+                        <div key={t.key} className={`home-trend-row home-trend-${t.trend}`}>
+                          <span className="text-serif text-sm home-trend-topic">{t.topic}</span>
+                          <Sparkline values={t.counts} className="home-trend-sparkline" />
+                          <span className="home-trend-label text-xs" title={`${t.total} meetings`}>
+                            <TrendIcon size={12} />
+                            {t.trend}
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              </Card>
+            </section>
+          )}
 
           {/* Existing highlights */}
           {highlights.length > 0 && (
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { Tabs, ScrollArea } from '@base-ui/react';
-import { ArrowDown, X, Sparkles, Pause, Play, Square, LogIn, LogOut, Mic, MicOff, Share2, Check, Users, Pencil, Loader2 } from 'lucide-react';
+import { ArrowDown, X, Sparkles, Pause, Play, Square, LogIn, LogOut, Mic, MicOff, Share2, Check, Users, Pencil, Loader2, Wifi, WifiOff } from 'lucide-react';
 import { useMeeting } from '../contexts/MeetingContext';
 import { useAuth } from '../contexts/AuthContext';
 import { useZoomSdk } from '../contexts/ZoomSdkContext';
@@ -52,6 +52,9 @@ import {
   OpenQuestions,
   ParticipantStats,
   SmartBookmarks,
+  AskArlo,
+  MeetingBriefing,
+  CatchUp,
 } from '../features/general';
 import './InMeetingView.css';
 
@@ -70,6 +73,8 @@ function InlineEventIcon({ eventType }) {
     case 'transcription_stopped': return <MicOff size={14} className={cls} />;
     case 'transcription_paused': return <Pause size={14} className={cls} />;
     case 'transcription_resumed': return <Play size={14} className={cls} />;
+    case 'transcription_interrupted': return <WifiOff size={14} className={cls} />;
+    case 'transcription_reconnected': return <Wifi size={14} className={cls} />;
     default: return <Mic size={14} className={cls} />;
   }
 }
@@ -82,6 +87,8 @@ function InlineEventLabel({ eventType, name }) {
     case 'transcription_stopped': return 'Transcription stopped';
     case 'transcription_paused': return 'Transcription paused';
     case 'transcription_resumed': return 'Transcription resumed';
+    case 'transcription_interrupted': return 'Transcription interrupted — reconnecting';
+    case 'transcription_reconnected': return 'Transcription reconnected';
     default: return `${name} — ${eventType}`;
   }
 }
@@ -230,11 +237,16 @@ export default function InMeetingView() {
       if (message.type === 'ai.suggestion') {
         setSuggestions((prev) => [...prev, message.data.suggestion].slice(-3));
       }
+
+      if (message.type === 'search.alert') {
+        const { alert } = message.data;
+        addToast(`Keyword alert: "${alert.savedSearchName}" mentioned in ${alert.meetingTitle || 'this meeting'}`, 'info');
+      }
     };
 
     ws.addEventListener('message', handleMessage);
     return () => ws.removeEventListener('message', handleMessage);
-  }, [ws, followLive]);
+  }, [ws, followLive, addToast]);
 
   // Scroll detection
   const handleScroll = useCallback(() => {
@@ -327,12 +339,18 @@ export default function InMeetingView() {
         ? 'waiting'
         : 'not-started';
 
+  // Distinct people seen so far (the briefing refetches as this grows)
+  const attendeeCount = useMemo(
+    () => new Set(participantEvents.map(e => e.participantName)).size,
+    [participantEvents]
+  );
+
   // Merge transcript segments and participant events into a chronological timeline
   // Filter out initial_roster events — they're not real joins, just the SDK reporting existing participants
   const timelineItems = useMemo(() => {
     const items = [];
     segments.forEach((seg, i) => {
-      items.push({ type: 'transcript', ...seg, _ts: seg.tStartMs, _key: `seg-${i}` });
+      items.push({ type: 'transcript', ...seg, _ts: seg.timestamp, _key: `seg-${i}` });
     });
     participantEvents
       .filter(evt => evt.eventType !== 'initial_roster')
@@ -483,6 +501,12 @@ export default function InMeetingView() {
         </Tabs.List>
 
         <Tabs.Panel value="transcript" className="in-meeting-tab-panel">
+          <MeetingBriefing
+            meetingId={meetingId}
+            attendeeCount={attendeeCount}
+            transcriptStarted={segments.length > 0}
+          />
+
           {transcriptState === 'not-started' && (
             <Card className="transcript-state-card">
               <div className="transcript-state-inner">
@@ -575,6 +599,9 @@ export default function InMeetingView() {
                 </div>
               </Card>
 
+              {/* Catch-up for late joiners and anyone who stepped away */}
+              {hasFeature('catchUp') && <CatchUp meetingId={meetingId} />}
+
               {/* Transcript card */}
               <Card className="transcript-live-card">
                 {transcriptState === 'paused' && (
@@ -610,7 +637,10 @@ export default function InMeetingView() {
                     {timelineItems.map((item) => {
                       if (item.type === 'participant-event') {
                         return (
-                          <div key={item._key} className="transcript-participant-event timeline-event-animate">
+                          <div
+                            key={item._key}
+                            className={`transcript-participant-event timeline-event-animate ${item.eventType === 'transcription_interrupted' ? 'transcript-gap-marker' : ''}`}
+                          >
                             <InlineEventIcon eventType={item.eventType} />
                             <span className="transcript-event-text text-sans text-sm">
                               <InlineEventLabel eventType={item.eventType} name={item.participantName} />
@@ -626,7 +656,7 @@ export default function InMeetingView() {
                         <div key={item._key} className="transcript-entry" data-seq={item.seqNo}>
                           <div className="transcript-entry-header">
                             <span className="transcript-timestamp text-mono text-xs text-muted">
-                              {formatTimestamp(item.tStartMs)}
+                              {formatTimestamp(item.timestamp)}
                             </span>
                             <span className="transcript-speaker text-sans text-sm font-medium">
                               {item.speakerLabel}
@@ -676,6 +706,21 @@ export default function InMeetingView() {
         </Tabs.Panel>
 
         <Tabs.Panel value="assist" className="in-meeting-tab-panel">
+          {/* Streaming Q&A about the meeting, available in every vertical */}
+          <AskArlo
+            meetingId={meetingId}
+            onJumpToSegment={(seqNo) => {
+              if (transcriptRef.current) {
+                const element = transcriptRef.current.querySelector(`[data-seq="${seqNo}"]`);
+                if (element) {
+                  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                  element.classList.add('highlight-flash');
+                  setTimeout(() => element.classList.remove('highlight-flash'), 2000);
+                }
+              }
+            }}
+          />
+
           {isHealthcare ? (
             /* Healthcare vertical: Full clinical documentation suite */
             <>
@@ -894,7 +939,7 @@ export default function InMeetingView() {
             /* Default: General meeting assistant */
             <>
               {/* AI-generated meeting summary */}
-              <MeetingSummary segments={segments} meetingId={meetingId} />
+              <MeetingSummary meetingId={meetingId} />
 
               {/* Two-column layout for Key Moments and Participation */}
               <div className="general-context-row">
@@ -917,6 +962,7 @@ export default function InMeetingView() {
               {/* Two-column layout for Decisions and Questions */}
               <div className="general-context-row">
                 <DecisionsLog
+                  meetingId={meetingId}
                   segments={segments}
                   onJumpToSegment={(seqNo) => {
                     if (transcriptRef.current) {
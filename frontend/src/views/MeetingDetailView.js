@@ -1,14 +1,19 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { Tabs, ScrollArea } from '@base-ui/react';
-import { Download, Trash2, Pencil, Check, X, Loader2, Sparkles } from 'lucide-react';
+import { Download, Trash2, Pencil, Check, X, Loader2, Sparkles, Link2 } from 'lucide-react';
 import Card from '../components/ui/Card';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import DeleteMeetingDialog from '../components/DeleteMeetingDialog';
 import ParticipantTimeline from '../components/ParticipantTimeline';
+import CitedAnswer from '../components/CitedAnswer';
+import SummaryEditor from '../components/SummaryEditor';
 import { useZoomSdk } from '../contexts/ZoomSdkContext';
+import { useVertical, VERTICALS } from '../contexts/VerticalContext';
+import { streamChat } from '../utils/streamChat';
+import useSummaryProgress from '../hooks/useSummaryProgress';
 import './MeetingDetailView.css';
 
 function formatTimestamp(ms) {
@@ -29,6 +34,8 @@ function formatDuration(ms) {
 export default function MeetingDetailView() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const linkedSeqNo = searchParams.get('seq');
   const { zoomSdk, isTestMode } = useZoomSdk();
   const [meeting, setMeeting] = useState(null);
   const [segments, setSegments] = useState([]);
@@ -38,17 +45,86 @@ export default function MeetingDetailView() {
   const [participantEvents, setParticipantEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [summaryLoading, setSummaryLoading] = useState(false);
+  const summaryProgress = useSummaryProgress(id, summaryLoading);
   const [summaryFailed, setSummaryFailed] = useState(false);
+  const [actionItemsLoading, setActionItemsLoading] = useState(false);
+  const [actionItemsLoaded, setActionItemsLoaded] = useState(false);
   const [question, setQuestion] = useState('');
-  const [answer, setAnswer] = useState(null);
+  const [chatSessionId, setChatSessionId] = useState(null);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [pendingQuestion, setPendingQuestion] = useState(null);
+  const [streamingAnswer, setStreamingAnswer] = useState('');
   const [answerLoading, setAnswerLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('summary');
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false);
   const [isEditingTitle, setIsEditingTitle] = useState(false);
   const [editedTitle, setEditedTitle] = useState('');
   const [isSavingTitle, setIsSavingTitle] = useState(false);
+  const { vertical: userVertical } = useVertical();
   const [isGeneratingTitle, setIsGeneratingTitle] = useState(false);
+  const [related, setRelated] = useState({ series: null, meetings: [] });
   const transcriptRef = useRef(null);
+  const chatAbortRef = useRef(null);
+  const pendingJumpRef = useRef(null);
+
+  // Cancel any in-flight answer when leaving the page
+  useEffect(() => () => chatAbortRef.current?.abort(), []);
+
+  // Load the most recent chat session for this meeting
+  useEffect(() => {
+    fetch(`/api/ai/sessions?meetingId=${id}&limit=1`, { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        const latest = data?.sessions?.[0];
+        if (!latest) return null;
+        return fetch(`/api/ai/sessions/${latest.id}`, { credentials: 'include' })
+          .then((res) => (res.ok ? res.json() : null));
+      })
+      .then((data) => {
+        if (!data?.session) return;
+        setChatSessionId(data.session.id);
+        setChatMessages(data.messages);
+      })
+      .catch(() => {});
+  }, [id]);
+
+  // Other meetings in this meeting's series (recurring meeting / follow-ups)
+  useEffect(() => {
+    setRelated({ series: null, meetings: [] });
+    fetch(`/api/meetings/${id}/related`, { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data && setRelated(data))
+      .catch(() => {});
+  }, [id]);
+
+  const removeFromSeries = async () => {
+    try {
+      const res = await fetch(`/api/meetings/${id}/series`, { method: 'DELETE', credentials: 'include' });
+      if (res.ok) setRelated({ series: null, meetings: [] });
+    } catch {
+      // Keep showing the series
+    }
+  };
+
+  // Deep links from cross-meeting answers (?seq=N) open the transcript at that segment
+  useEffect(() => {
+    if (!linkedSeqNo) return;
+    pendingJumpRef.current = linkedSeqNo;
+    setActiveTab('transcript');
+  }, [id, linkedSeqNo]);
+
+  // Scroll to a cited segment once the transcript tab has rendered
+  useEffect(() => {
+    const seqNo = pendingJumpRef.current;
+    if (activeTab !== 'transcript' || !seqNo || !transcriptRef.current) return;
+    pendingJumpRef.current = null;
+    const element = transcriptRef.current.querySelector(`[data-seq="${seqNo}"]`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      element.classList.add('highlight-flash');
+      setTimeout(() => element.classList.remove('highlight-flash'), 2000);
+    }
+  }, [activeTab, segments]);
 
   // Fetch meeting data
   useEffect(() => {
@@ -105,52 +181,132 @@ export default function MeetingDetailView() {
         if (res.ok) {
           const data = await res.json();
           setSummary(data.summary);
+          // Fresh summaries come with the action items extracted in the same call
+          if (data.actionItems) {
+            setActionItems(data.actionItems);
+            setActionItemsLoaded(true);
+          }
         } else {
           setSummaryFailed(true);
         }
+      } catch {
+        setSummaryFailed(true);
+      } finally {
+        setSummaryLoading(false);
+      }
+    }
+
+    fetchSummary();
+  }, [activeTab, summary, summaryLoading, summaryFailed, meeting, id]);
+
+  // Load persisted action items when the Tasks tab is shown (extracting them on first visit)
+  useEffect(() => {
+    if (activeTab !== 'tasks' || actionItemsLoaded || actionItemsLoading || !meeting) return;
+
+    async function fetchActionItems() {
+      setActionItemsLoading(true);
+      try {
+        const res = await fetch(`/api/action-items?meetingId=${id}`, { credentials: 'include' });
+        if (!res.ok) return;
+        const data = await res.json();
+        if (data.extracted) {
+          setActionItems(data.actionItems || []);
+          return;
+        }
 
-        const aiRes = await fetch('/api/ai/action-items', {
+        const extractRes = await fetch('/api/action-items/extract', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           credentials: 'include',
           body: JSON.stringify({ meetingId: id }),
         });
-        if (aiRes.ok) {
-          const data = await aiRes.json();
-          setActionItems(data.actionItems || []);
+        if (extractRes.ok) {
+          const extracted = await extractRes.json();
+          setActionItems(extracted.actionItems || []);
         }
       } catch {
-        setSummaryFailed(true);
+        // Failed to load action items
       } finally {
-        setSummaryLoading(false);
+        setActionItemsLoading(false);
+        setActionItemsLoaded(true);
       }
     }
 
-    fetchSummary();
-  }, [activeTab, summary, summaryLoading, summaryFailed, meeting, id]);
+    fetchActionItems();
+  }, [activeTab, actionItemsLoaded, actionItemsLoading, meeting, id]);
 
-  const askQuestion = async () => {
-    if (!question.trim()) return;
-    setAnswerLoading(true);
-    setAnswer(null);
+  const toggleActionItem = async (item) => {
+    const status = item.status === 'done' ? 'open' : 'done';
+    setActionItems((prev) => prev.map((i) => (i.id === item.id ? { ...i, status } : i)));
     try {
-      const res = await fetch('/api/ai/chat', {
-        method: 'POST',
+      const res = await fetch(`/api/action-items/${item.id}`, {
+        method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
         credentials: 'include',
-        body: JSON.stringify({ meetingId: id, question }),
+        body: JSON.stringify({ status }),
       });
-      if (res.ok) {
-        const data = await res.json();
-        setAnswer(data.answer);
-      }
+      if (!res.ok) throw new Error('Update failed');
     } catch {
-      setAnswer('Failed to get answer. Please try again.');
+      // Revert optimistic update
+      setActionItems((prev) => prev.map((i) => (i.id === item.id ? { ...i, status: item.status } : i)));
+    }
+  };
+
+  const askQuestion = async () => {
+    if (!question.trim() || answerLoading) return;
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+    const asked = question;
+    setQuestion('');
+    setPendingQuestion(asked);
+    setStreamingAnswer('');
+    setAnswerLoading(true);
+    try {
+      const result = await streamChat({
+        meetingId: id,
+        sessionId: chatSessionId,
+        question: asked,
+        signal: controller.signal,
+        onToken: (text) => setStreamingAnswer((prev) => prev + text),
+      });
+      setChatSessionId(result.sessionId);
+      setChatMessages((prev) => [
+        ...prev,
+        { id: `q-${result.message.id}`, role: 'user', content: asked, citations: [] },
+        { ...result.message, excerpted: result.excerpted },
+      ]);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setChatMessages((prev) => [
+          ...prev,
+          { id: `q-${Date.now()}`, role: 'user', content: asked, citations: [] },
+          { id: `e-${Date.now()}`, role: 'assistant', content: 'Failed to get answer. Please try again.', citations: [] },
+        ]);
+      }
     } finally {
+      chatAbortRef.current = null;
+      setPendingQuestion(null);
+      setStreamingAnswer('');
       setAnswerLoading(false);
     }
   };
 
+  const cancelQuestion = () => {
+    chatAbortRef.current?.abort();
+  };
+
+  const startNewChat = () => {
+    chatAbortRef.current?.abort();
+    setChatSessionId(null);
+    setChatMessages([]);
+  };
+
+  const jumpToCitation = (citation) => {
+    if (!citation.seqNo) return;
+    pendingJumpRef.current = citation.seqNo;
+    setActiveTab('transcript');
+  };
+
   const openExportUrl = (path) => {
     const absoluteUrl = `${window.location.origin}${path}`;
     if (!isTestMode && zoomSdk) {
@@ -215,6 +371,24 @@ export default function MeetingDetailView() {
     }
   };
 
+  // Per-meeting vertical override ('' = follow the user's vertical); applies to
+  // AI output generated from now on, e.g. the next summary regeneration
+  const handleVerticalChange = async (value) => {
+    const previous = meeting.vertical;
+    setMeeting((prev) => ({ ...prev, vertical: value || null }));
+    try {
+      const res = await fetch(`/api/meetings/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ vertical: value || null }),
+      });
+      if (!res.ok) throw new Error('Update failed');
+    } catch {
+      setMeeting((prev) => ({ ...prev, vertical: previous }));
+    }
+  };
+
   const handleCancelEditTitle = () => {
     setIsEditingTitle(false);
     setEditedTitle(meeting.title);
@@ -328,6 +502,17 @@ export default function MeetingDetailView() {
           })}
           {duration && ` \u2022 ${duration}`}
         </p>
+        <select
+          className="detail-vertical-select text-sans text-xs"
+          value={meeting.vertical || ''}
+          onChange={(e) => handleVerticalChange(e.target.value)}
+          title="Which kind of meeting Arlo tailors AI output for"
+        >
+          <option value="">{userVertical ? `${userVertical.name} (default)` : 'Default vertical'}</option>
+          {Object.values(VERTICALS).map((v) => (
+            <option key={v.id} value={v.id}>{v.name}</option>
+          ))}
+        </select>
       </div>
 
       {/* Export buttons */}
@@ -352,7 +537,7 @@ export default function MeetingDetailView() {
       </div>
 
       {/* 4-tab view */}
-      <Tabs.Root defaultValue="summary" className="detail-tabs-root" onValueChange={(val) => setActiveTab(val)}>
+      <Tabs.Root value={activeTab} className="detail-tabs-root" onValueChange={(val) => setActiveTab(val)}>
         <Tabs.List className="tabs-list" data-cols="5">
           <Tabs.Tab value="summary" className="tab-trigger">Summary</Tabs.Tab>
           <Tabs.Tab value="transcript" className="tab-trigger">Transcript</Tabs.Tab>
@@ -367,24 +552,18 @@ export default function MeetingDetailView() {
             <Card className="detail-card">
               <div className="detail-card-inner detail-card-center">
                 <LoadingSpinner />
-                <span className="text-muted text-sm">Generating summary...</span>
+                <span className="text-muted text-sm">
+                  {summaryProgress ? `${summaryProgress}...` : 'Generating summary...'}
+                </span>
               </div>
             </Card>
           ) : summary ? (
-            <Card className="detail-card">
-              <div className="detail-card-inner">
-                <p className="text-serif text-muted text-sm summary-text">
-                  {summary.overview}
-                </p>
-                {summary.keyPoints?.length > 0 && (
-                  <ul className="summary-points">
-                    {summary.keyPoints.map((point, i) => (
-                      <li key={i} className="text-serif text-sm text-muted">{point}</li>
-                    ))}
-                  </ul>
-                )}
-              </div>
-            </Card>
+            <SummaryEditor
+              meetingId={id}
+              summary={summary}
+              editedFields={Object.keys(meeting.summaryEdits || {})}
+              onSummaryChange={setSummary}
+            />
           ) : (
             <Card className="detail-card">
               <div className="detail-card-inner detail-card-center">
@@ -396,25 +575,88 @@ export default function MeetingDetailView() {
           {/* Ask Q&A */}
           <Card className="detail-card">
             <div className="detail-card-inner">
-              <h3 className="text-serif font-medium">Ask about this meeting</h3>
+              <div className="qa-header">
+                <h3 className="text-serif font-medium">Ask about this meeting</h3>
+                {chatMessages.length > 0 && (
+                  <Button variant="ghost" size="sm" onClick={startNewChat}>New chat</Button>
+                )}
+              </div>
+              {(chatMessages.length > 0 || pendingQuestion) && (
+                <div className="qa-thread">
+                  {chatMessages.map((message) => (
+                    message.role === 'user' ? (
+                      <p key={message.id} className="qa-question text-sans text-sm font-medium">{message.content}</p>
+                    ) : (
+                      <div key={message.id} className="qa-answer">
+                        <CitedAnswer
+                          content={message.content}
+                          citations={message.citations}
+                          onCitationClick={jumpToCitation}
+                        />
+                        {message.excerpted && (
+                          <p className="text-sans text-xs text-muted">Answered from excerpts: this transcript is too long to send in full.</p>
+                        )}
+                      </div>
+                    )
+                  ))}
+                  {pendingQuestion && (
+                    <>
+                      <p className="qa-question text-sans text-sm font-medium">{pendingQuestion}</p>
+                      <div className="qa-answer">
+                        {streamingAnswer
+                          ? <CitedAnswer content={streamingAnswer} streaming />
+                          : <Loader2 size={14} className="spin" />}
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
               <div className="qa-row">
                 <Input
-                  placeholder="What were the key decisions?"
+                  placeholder={chatMessages.length > 0 ? 'Ask a follow-up...' : 'What were the key decisions?'}
                   value={question}
                   onChange={(e) => setQuestion(e.target.value)}
                   onKeyDown={(e) => e.key === 'Enter' && askQuestion()}
                 />
-                <Button onClick={askQuestion} disabled={answerLoading}>
-                  {answerLoading ? '...' : 'Ask'}
-                </Button>
+                {answerLoading ? (
+                  <Button variant="outline" onClick={cancelQuestion}>Stop</Button>
+                ) : (
+                  <Button onClick={askQuestion}>Ask</Button>
+                )}
               </div>
-              {answer && (
-                <div className="qa-answer">
-                  <p className="text-serif text-sm text-muted">{answer}</p>
-                </div>
-              )}
             </div>
           </Card>
+
+          {/* Related meetings (same series) */}
+          {related.series && related.meetings.length > 0 && (
+            <Card className="detail-card">
+              <div className="detail-card-inner">
+                <div className="qa-header">
+                  <h3 className="text-serif font-medium">Related meetings</h3>
+                  <Button variant="ghost" size="sm" onClick={removeFromSeries}>Not related</Button>
+                </div>
+                <div className="related-meetings-list">
+                  {related.meetings.map((m) => (
+                    <button
+                      key={m.id}
+                      className="related-meeting"
+                      onClick={() => navigate(`/meetings/${m.id}`)}
+                    >
+                      <span className="text-serif text-sm">{m.title}</span>
+                      <span className="text-sans text-xs text-muted">
+                        {new Date(m.startTime).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                        {formatDuration(m.durationMs) && ` \u2022 ${formatDuration(m.durationMs)}`}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+                <Button variant="outline" size="sm" onClick={() => navigate(`/series/${related.series.id}`)}>
+                  <Link2 size={12} />
+                  View series timeline ({related.series.meetingCount} meetings)
+                </Button>
+              </div>
+            </Card>
+          )}
         </Tabs.Panel>
 
         {/* Transcript tab */}
@@ -426,10 +668,10 @@ export default function MeetingDetailView() {
                   <p className="text-muted text-sm" style={{ padding: 20 }}>No transcript available</p>
                 ) : (
                   segments.map((seg, index) => (
-                    <div key={index} className="transcript-entry">
+                    <div key={index} className="transcript-entry" data-seq={seg.seqNo}>
                       <div className="transcript-entry-header">
                         <span className="transcript-timestamp text-mono text-xs text-muted">
-                          {formatTimestamp(seg.tStartMs)}
+                          {formatTimestamp(seg.timestamp)}
                         </span>
                         <span className="transcript-speaker text-sans text-sm font-medium">
                           {seg.speaker?.displayName || seg.speaker?.label || 'Speaker'}
@@ -498,12 +740,24 @@ export default function MeetingDetailView() {
               <div className="detail-card-inner">
                 <h3 className="text-serif font-medium">Action Items</h3>
                 <div className="action-items-detail">
-                  {actionItems.map((item, i) => (
-                    <div key={i} className="action-item-detail">
-                      <p className="text-serif text-sm font-medium">{item.task}</p>
-                      <div className="action-item-meta text-sans text-xs text-muted">
-                        {item.owner && item.owner !== 'null' && <span>Owner: {item.owner}</span>}
-                        {item.priority && <span className="text-accent">{item.priority}</span>}
+                  {actionItems.map((item) => (
+                    <div key={item.id} className={`action-item-detail${item.status === 'done' ? ' action-item-done' : ''}`}>
+                      <input
+                        type="checkbox"
+                        className="action-item-checkbox"
+                        checked={item.status === 'done'}
+                        onChange={() => toggleActionItem(item)}
+                      />
+                      <div className="action-item-body">
+                        <p className="text-serif text-sm font-medium">{item.task}</p>
+                        <div className="action-item-meta text-sans text-xs text-muted">
+                          {item.assignee && <span>Owner: {item.assignee}</span>}
+                          {item.dueDate && (
+                            <span>Due: {new Date(item.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                          )}
+                          {item.tStartMs != null && <span>{formatTimestamp(new Date(meeting.startTime).getTime() + item.tStartMs)}</span>}
+                          {item.priority && <span className="text-accent">{item.priority}</span>}
+                        </div>
                       </div>
                     </div>
                   ))}
@@ -513,7 +767,7 @@ export default function MeetingDetailView() {
           ) : (
             <Card className="detail-card">
               <div className="detail-card-inner detail-card-center">
-                {summaryLoading ? (
+                {actionItemsLoading ? (
                   <>
                     <LoadingSpinner size={24} />
                     <span className="text-muted text-sm">Extracting action items...</span>
@@ -1,25 +1,22 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
-import { Search, FileText, Sparkles } from 'lucide-react';
+import { Search, FileText, Sparkles, GitBranch, MessageCircle, Square, Loader2, Bell, BellOff } from 'lucide-react';
 import Card from '../components/ui/Card';
 import Badge from '../components/ui/Badge';
+import Button from '../components/ui/Button';
 import OwlIcon from '../components/OwlIcon';
+import CitedAnswer from '../components/CitedAnswer';
+import HighlightedText from '../components/HighlightedText';
+import { streamChat } from '../utils/streamChat';
 import './SearchResultsView.css';
 
-function highlightQuery(text, query) {
-  if (!query) return text;
-  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const regex = new RegExp(`(${escaped})`, 'gi');
-  const parts = text.split(regex);
-
-  return parts.map((part, index) =>
-    regex.test(part) ? (
-      <mark key={index}>{part}</mark>
-    ) : (
-      part
-    )
-  );
-}
+// Filter chip groups: URL/API param -> facets key in the search response
+const FILTER_GROUPS = [
+  { param: 'speaker', facet: 'speakers', label: 'Speaker' },
+  { param: 'tag', facet: 'tags', label: 'Tag' },
+  { param: 'status', facet: 'statuses', label: 'Status' },
+  { param: 'duration', facet: 'durations', label: 'Duration' },
+];
 
 function formatDate(date) {
   return new Date(date).toLocaleDateString('en-US', {
@@ -39,22 +36,58 @@ function formatTimestamp(ms) {
 }
 
 export default function SearchResultsView() {
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const navigate = useNavigate();
   const query = searchParams.get('q') || '';
+  const filterParams = FILTER_GROUPS
+    .filter(({ param }) => searchParams.get(param))
+    .map(({ param }) => `&${param}=${encodeURIComponent(searchParams.get(param))}`)
+    .join('');
   const [searchQuery, setSearchQuery] = useState(query);
   const [titleResults, setTitleResults] = useState([]);
   const [summaryResults, setSummaryResults] = useState([]);
+  const [decisionResults, setDecisionResults] = useState([]);
   const [transcriptResults, setTranscriptResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [searched, setSearched] = useState(false);
+  const [facets, setFacets] = useState(null);
+  const [savedSearch, setSavedSearch] = useState(null);
+  const [savingSearch, setSavingSearch] = useState(false);
+  const [answer, setAnswer] = useState(null);
+  const [streamingAnswer, setStreamingAnswer] = useState('');
+  const [answerLoading, setAnswerLoading] = useState(false);
+  const [answerError, setAnswerError] = useState(null);
+  const answerAbortRef = useRef(null);
+
+  // A new query discards the previous answer
+  useEffect(() => {
+    answerAbortRef.current?.abort();
+    setAnswer(null);
+    setAnswerError(null);
+  }, [query]);
+
+  useEffect(() => () => answerAbortRef.current?.abort(), []);
+
+  // Is this query already saved (with keyword alerts)?
+  useEffect(() => {
+    setSavedSearch(null);
+    if (!query.trim()) return;
+    fetch('/api/saved-searches', { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        setSavedSearch((data?.savedSearches || []).find((s) => s.query === query.trim()) || null);
+      })
+      .catch(() => {});
+  }, [query]);
 
   useEffect(() => {
     setSearchQuery(query);
     if (!query.trim()) {
       setTitleResults([]);
       setSummaryResults([]);
+      setDecisionResults([]);
       setTranscriptResults([]);
+      setFacets(null);
       setSearched(false);
       return;
     }
@@ -65,7 +98,7 @@ export default function SearchResultsView() {
     const controller = new AbortController();
     const timer = setTimeout(async () => {
       try {
-        const res = await fetch(`/api/search?q=${encodeURIComponent(query)}`, {
+        const res = await fetch(`/api/search?q=${encodeURIComponent(query)}${filterParams}`, {
           credentials: 'include',
           signal: controller.signal,
         });
@@ -73,7 +106,9 @@ export default function SearchResultsView() {
           const data = await res.json();
           setTitleResults(data.titleResults || []);
           setSummaryResults(data.summaryResults || []);
+          setDecisionResults(data.decisionResults || []);
           setTranscriptResults(data.transcriptResults || []);
+          setFacets(data.facets || null);
         }
       } catch (err) {
         if (err.name === 'AbortError') return; // Ignore aborted requests
@@ -87,18 +122,100 @@ export default function SearchResultsView() {
       clearTimeout(timer);
       controller.abort();
     };
-  }, [query]);
+  }, [query, filterParams]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
     if (searchQuery.trim()) {
-      navigate(`/search?q=${encodeURIComponent(searchQuery)}`);
+      // Keep the active filters for the new query
+      navigate(`/search?q=${encodeURIComponent(searchQuery)}${filterParams}`);
+    }
+  };
+
+  const toggleSavedSearch = async () => {
+    if (savingSearch) return;
+    setSavingSearch(true);
+    try {
+      if (savedSearch) {
+        const res = await fetch(`/api/saved-searches/${savedSearch.id}`, {
+          method: 'DELETE',
+          credentials: 'include',
+        });
+        if (res.ok) setSavedSearch(null);
+      } else {
+        const res = await fetch('/api/saved-searches', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ query: query.trim() }),
+        });
+        if (res.ok) {
+          const data = await res.json();
+          setSavedSearch(data.savedSearch);
+        }
+      }
+    } catch {
+      // Leave the current state
+    } finally {
+      setSavingSearch(false);
+    }
+  };
+
+  const selectedValues = (param) => (searchParams.get(param) || '').split(',').filter(Boolean);
+
+  const toggleFilter = (param, value) => {
+    const selected = selectedValues(param);
+    const next = selected.includes(value)
+      ? selected.filter((v) => v !== value)
+      : [...selected, value];
+    const params = new URLSearchParams(searchParams);
+    if (next.length > 0) params.set(param, next.join(','));
+    else params.delete(param);
+    setSearchParams(params);
+  };
+
+  const clearFilters = () => {
+    const params = new URLSearchParams(searchParams);
+    FILTER_GROUPS.forEach(({ param }) => params.delete(param));
+    setSearchParams(params);
+  };
+
+  const hasActiveFilters = filterParams.length > 0;
+
+  // Answer the query from the most relevant excerpts across all meetings
+  const askArlo = async () => {
+    if (!query.trim() || answerLoading) return;
+    const controller = new AbortController();
+    answerAbortRef.current = controller;
+    setAnswer(null);
+    setAnswerError(null);
+    setStreamingAnswer('');
+    setAnswerLoading(true);
+    try {
+      const result = await streamChat({
+        question: query,
+        signal: controller.signal,
+        onToken: (text) => setStreamingAnswer((prev) => prev + text),
+      });
+      setAnswer(result.message);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setAnswerError(err.message || 'Failed to get answer');
+      }
+    } finally {
+      answerAbortRef.current = null;
+      setAnswerLoading(false);
     }
   };
 
-  const totalCount = titleResults.length + summaryResults.length + transcriptResults.length;
+  const openCitation = (citation) => {
+    const seq = citation.seqNo ? `?seq=${citation.seqNo}` : '';
+    navigate(`/meetings/${citation.meetingId}${seq}`);
+  };
+
+  const totalCount = titleResults.length + summaryResults.length + decisionResults.length + transcriptResults.length;
   const hasResults = totalCount > 0;
-  const hasMultipleSections = [titleResults, summaryResults, transcriptResults].filter(a => a.length > 0).length > 1;
+  const hasMultipleSections = [titleResults, summaryResults, decisionResults, transcriptResults].filter(a => a.length > 0).length > 1;
 
   return (
     <div className="search-results-view">
@@ -108,7 +225,7 @@ export default function SearchResultsView() {
           <input
             type="text"
             className="input"
-            placeholder="Search meetings..."
+            placeholder='Search meetings — "exact phrase", OR, -exclude, speaker:Name'
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
             autoFocus
@@ -117,9 +234,88 @@ export default function SearchResultsView() {
       </form>
 
       {query && searched && !loading && (
-        <p className="search-result-count">
-          {totalCount} {totalCount === 1 ? 'result' : 'results'} for &ldquo;{query}&rdquo;
-        </p>
+        <div className="search-result-count-row">
+          <p className="search-result-count">
+            {totalCount} {totalCount === 1 ? 'result' : 'results'} for &ldquo;{query}&rdquo;
+          </p>
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={toggleSavedSearch}
+            disabled={savingSearch}
+            title={savedSearch
+              ? 'Stop alerts for this search'
+              : 'Save this search and get an alert when it comes up in a meeting'}
+          >
+            {savedSearch ? <BellOff size={14} /> : <Bell size={14} />}
+            {savedSearch ? 'Saved' : 'Save & alert'}
+          </Button>
+        </div>
+      )}
+
+      {query && facets && (
+        <div className="search-filters">
+          {FILTER_GROUPS.map(({ param, facet, label }) => {
+            const selected = selectedValues(param);
+            // Hide empty values unless they're selected, so a filter can always be removed
+            const options = (facets[facet] || []).filter((o) => o.count > 0 || selected.includes(o.value));
+            if (options.length === 0) return null;
+            return (
+              <div key={param} className="search-filter-group">
+                <span className="search-filter-label">{label}</span>
+                {options.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    className={`search-filter-chip${selected.includes(option.value) ? ' active' : ''}`}
+                    onClick={() => toggleFilter(param, option.value)}
+                  >
+                    {option.label || option.value}
+                    <span className="search-filter-count">{option.count}</span>
+                  </button>
+                ))}
+              </div>
+            );
+          })}
+          {hasActiveFilters && (
+            <Button size="sm" variant="ghost" onClick={clearFilters}>Clear filters</Button>
+          )}
+        </div>
+      )}
+
+      {query && (
+        <Card className="search-ask-card">
+          <div className="search-ask-header">
+            <div className="search-ask-title">
+              <MessageCircle size={16} className="search-ask-icon" />
+              <span className="text-sans text-sm font-medium">Ask Arlo across all your meetings</span>
+            </div>
+            {answerLoading ? (
+              <Button size="sm" variant="outline" onClick={() => answerAbortRef.current?.abort()}>
+                <Square size={12} />
+                Stop
+              </Button>
+            ) : (
+              <Button size="sm" variant="outline" onClick={askArlo}>
+                {answer ? 'Ask again' : 'Ask'}
+              </Button>
+            )}
+          </div>
+          {answerLoading && (
+            streamingAnswer
+              ? <CitedAnswer content={streamingAnswer} streaming />
+              : <Loader2 size={14} className="spin" />
+          )}
+          {answer && !answerLoading && (
+            <CitedAnswer
+              content={answer.content}
+              citations={answer.citations}
+              showMeetingTitles
+              onCitationClick={openCitation}
+            />
+          )}
+          {answerError && <p className="search-ask-error text-sans text-sm">{answerError}</p>}
+        </Card>
       )}
 
       {loading ? (
@@ -145,7 +341,7 @@ export default function SearchResultsView() {
                   <div className="search-result-inner">
                     <div className="search-result-text-group">
                       <h3 className="text-serif font-medium search-highlight">
-                        {highlightQuery(result.meetingTitle, query)}
+                        <HighlightedText text={result.meetingTitleHighlight || result.meetingTitle} />
                       </h3>
                     </div>
                     <div className="search-result-meta">
@@ -177,7 +373,7 @@ export default function SearchResultsView() {
                     <div className="search-result-text-group">
                       <h3 className="text-serif font-medium">{result.meetingTitle}</h3>
                       <p className="text-serif text-sm search-highlight">
-                        {highlightQuery(result.snippet, query)}
+                        <HighlightedText text={result.snippet} />
                       </p>
                     </div>
                     <div className="search-result-meta">
@@ -195,6 +391,48 @@ export default function SearchResultsView() {
             </>
           )}
 
+          {decisionResults.length > 0 && (
+            <>
+              {hasMultipleSections && (
+                <div className="search-section-label">
+                  <GitBranch size={14} />
+                  <span>Decisions</span>
+                </div>
+              )}
+              {decisionResults.map((result, i) => (
+                <Card
+                  key={`decision-${i}`}
+                  className="search-result-card"
+                  onClick={() => navigate(`/meetings/${result.meetingId}${result.seqNo ? `?seq=${result.seqNo}` : ''}`)}
+                >
+                  <div className="search-result-inner">
+                    <div className="search-result-text-group">
+                      <h3 className="text-serif font-medium">{result.meetingTitle}</h3>
+                      <p className="text-serif text-sm search-highlight">
+                        <HighlightedText text={result.snippet} />
+                      </p>
+                    </div>
+                    <div className="search-result-meta">
+                      {result.participants.length > 0 && (
+                        <>
+                          <span>{result.participants.join(', ')}</span>
+                          <span>&bull;</span>
+                        </>
+                      )}
+                      {formatTimestamp(result.tStartMs) && (
+                        <>
+                          <span>{formatTimestamp(result.tStartMs)}</span>
+                          <span>&bull;</span>
+                        </>
+                      )}
+                      <span>{formatDate(result.meetingDate)}</span>
+                    </div>
+                  </div>
+                </Card>
+              ))}
+            </>
+          )}
+
           {transcriptResults.length > 0 && (
             <>
               {hasMultipleSections && (
@@ -207,13 +445,13 @@ export default function SearchResultsView() {
                 <Card
                   key={`transcript-${i}`}
                   className="search-result-card"
-                  onClick={() => navigate(`/meetings/${result.meetingId}`)}
+                  onClick={() => navigate(`/meetings/${result.meetingId}${result.seqNo ? `?seq=${result.seqNo}` : ''}`)}
                 >
                   <div className="search-result-inner">
                     <div className="search-result-text-group">
                       <h3 className="text-serif font-medium">{result.meetingTitle}</h3>
                       <p className="text-serif text-sm search-highlight">
-                        {highlightQuery(result.snippet || result.text, query)}
+                        <HighlightedText text={result.snippet || result.text} />
                       </p>
                     </div>
                     <div className="search-result-meta">
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { GitBranch, CheckSquare } from 'lucide-react';
+import Card from '../components/ui/Card';
+import Badge from '../components/ui/Badge';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { formatDuration } from '../utils/formatters';
+import './SeriesTimelineView.css';
+
+/**
+ * SeriesTimelineView — how a recurring meeting evolved: each meeting in the
+ * series, oldest first, with its overview, topics, decisions and action items.
+ * Topics that recur across the series are highlighted.
+ */
+export default function SeriesTimelineView() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [series, setSeries] = useState(null);
+  const [meetings, setMeetings] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setLoading(true);
+    fetch(`/api/meetings/series/${id}`, { credentials: 'include' })
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => {
+        setSeries(data?.series || null);
+        setMeetings(data?.meetings || []);
+      })
+      .catch(() => {})
+      .finally(() => setLoading(false));
+  }, [id]);
+
+  if (loading) {
+    return (
+      <div className="series-loading">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!series) {
+    return (
+      <div className="series-empty">
+        <p className="text-serif text-muted">Series not found</p>
+      </div>
+    );
+  }
+
+  const recurringKeys = new Set(series.recurringTopics.map((t) => t.key));
+
+  return (
+    <div className="series-timeline-view">
+      <div className="series-header">
+        <h1 className="text-serif text-2xl">{series.title}</h1>
+        <p className="text-sans text-sm text-muted">
+          {series.meetingCount} meetings
+          {meetings.length > 0 && ` • since ${new Date(meetings[0].startTime).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`}
+        </p>
+        {series.recurringTopics.length > 0 && (
+          <div className="series-topics">
+            {series.recurringTopics.map((t) => (
+              <Badge key={t.key} variant="default">{t.topic} &times;{t.meetingCount}</Badge>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ol className="series-timeline">
+        {meetings.map((m) => (
+          <li key={m.id} className="series-timeline-item">
+            <span className="series-timeline-dot" />
+            <Card className="series-meeting-card" onClick={() => navigate(`/meetings/${m.id}`)}>
+              <div className="series-meeting-inner">
+                <div className="series-meeting-header">
+                  <h3 className="text-serif font-medium">{m.title}</h3>
+                  <span className="text-sans text-xs text-muted">
+                    {new Date(m.startTime).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                    {formatDuration(m.durationMs) && ` • ${formatDuration(m.durationMs)}`}
+                  </span>
+                </div>
+
+                {m.overview && (
+                  <p className="text-serif text-sm text-muted series-meeting-overview">{m.overview}</p>
+                )}
+
+                {m.topics.length > 0 && (
+                  <div className="series-topics">
+                    {m.topics.map((t) => (
+                      <Badge key={t.key} variant={recurringKeys.has(t.key) ? 'default' : 'outline'}>{t.topic}</Badge>
+                    ))}
+                  </div>
+                )}
+
+                {m.decisions.length > 0 && (
+                  <ul className="series-decisions">
+                    {m.decisions.map((d) => (
+                      <li key={d.id} className="text-serif text-sm">
+                        <GitBranch size={12} />
+                        <span>{d.text}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <div className="series-meeting-meta text-sans text-xs text-muted">
+                  {m.speakers.length > 0 && <span>{m.speakers.join(', ')}</span>}
+                  {(m.actionItems.open + m.actionItems.done) > 0 && (
+                    <span className="series-meeting-tasks">
+                      <CheckSquare size={12} />
+                      {m.actionItems.done}/{m.actionItems.open + m.actionItems.done} tasks done
+                    </span>
+                  )}
+                </div>
+              </div>
+            </Card>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -22,6 +22,7 @@ import Card from '../components/ui/Card';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
 import Textarea from '../components/ui/Textarea';
+import SummaryTemplatesSettings from '../components/SummaryTemplatesSettings';
 import './SettingsView.css';
 
 // Icon mapping for verticals
@@ -35,23 +36,23 @@ const VERTICAL_ICONS = {
 
 const MODELS = {
   openrouter: [
+    { value: 'google/gemini-2.0-flash-thinking-exp:free', label: 'Gemini 2.0 Flash Thinking (free)' },
     { value: 'anthropic/claude-3.5-sonnet', label: 'Claude 3.5 Sonnet' },
-    { value: 'openai/gpt-4', label: 'GPT-4' },
+    { value: 'openai/gpt-4o', label: 'GPT-4o' },
     { value: 'openai/gpt-4-turbo', label: 'GPT-4 Turbo' },
   ],
   anthropic: [
-    { value: 'claude-3.5-sonnet', label: 'Claude 3.5 Sonnet' },
-    { value: 'claude-3-opus', label: 'Claude 3 Opus' },
-    { value: 'claude-3-sonnet', label: 'Claude 3 Sonnet' },
+    { value: 'claude-3-5-sonnet-latest', label: 'Claude 3.5 Sonnet' },
+    { value: 'claude-3-5-haiku-latest', label: 'Claude 3.5 Haiku' },
+    { value: 'claude-3-opus-latest', label: 'Claude 3 Opus' },
   ],
   openai: [
-    { value: 'gpt-4', label: 'GPT-4' },
+    { value: 'gpt-4o', label: 'GPT-4o' },
+    { value: 'gpt-4o-mini', label: 'GPT-4o mini' },
     { value: 'gpt-4-turbo', label: 'GPT-4 Turbo' },
-    { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo' },
-  ],
-  custom: [
-    { value: 'custom-model', label: 'Custom Model' },
   ],
+  // OpenAI-compatible servers (Ollama, vLLM, ...) take a free-form model name
+  custom: [],
 };
 
 const DEFAULT_MESSAGES = {
@@ -85,9 +86,13 @@ export default function SettingsView() {
   const [settingsUpcoming, setSettingsUpcoming] = useState([]);
   const [provider, setProvider] = useState('openrouter');
   const [apiKey, setApiKey] = useState('');
+  const [hasStoredKey, setHasStoredKey] = useState(false);
   const [showApiKey, setShowApiKey] = useState(false);
-  const [model, setModel] = useState('anthropic/claude-3.5-sonnet');
+  const [model, setModel] = useState(MODELS.openrouter[0].value);
+  const [baseUrl, setBaseUrl] = useState('');
+  const [saveStatus, setSaveStatus] = useState('idle');
   const [testStatus, setTestStatus] = useState('idle');
+  const [testError, setTestError] = useState('');
 
   // Chat notifications state
   const [chatNotificationsEnabled, setChatNotificationsEnabled] = useState(true);
@@ -155,6 +160,20 @@ export default function SettingsView() {
       .catch(() => {});
   }, []);
 
+  // Load AI provider settings (the API key itself is never returned)
+  useEffect(() => {
+    fetch('/api/ai/provider', { credentials: 'include' })
+      .then(res => res.ok ? res.json() : null)
+      .then(data => {
+        if (!data?.settings) return;
+        setProvider(data.settings.provider);
+        if (data.settings.model) setModel(data.settings.model);
+        setBaseUrl(data.settings.baseUrl || '');
+        setHasStoredKey(data.settings.hasApiKey);
+      })
+      .catch(() => {});
+  }, []);
+
   function applyNoticesState(notices) {
     if (notices.enabled !== undefined) setChatNotificationsEnabled(notices.enabled);
     if (notices.events) {
@@ -248,17 +267,66 @@ export default function SettingsView() {
     setProvider(newProvider);
     const firstModel = MODELS[newProvider]?.[0]?.value || '';
     setModel(firstModel);
+    // Keys are per provider; the stored one is dropped when switching
+    setApiKey('');
+    setHasStoredKey(false);
+    setTestStatus('idle');
   };
 
-  const handleTestConnection = () => {
+  // Only send apiKey when the user typed one, so the stored key is kept
+  const buildProviderBody = () => ({
+    provider,
+    model,
+    ...(provider === 'custom' && { baseUrl }),
+    ...(apiKey && { apiKey }),
+  });
+
+  const handleSaveProvider = async () => {
+    setSaveStatus('saving');
+    try {
+      const res = await fetch('/api/ai/provider', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(buildProviderBody()),
+      });
+      if (!res.ok) throw new Error('Save failed');
+      const data = await res.json();
+      setHasStoredKey(data.settings.hasApiKey);
+      setApiKey('');
+      setSaveStatus('saved');
+    } catch {
+      setSaveStatus('error');
+    }
+    setTimeout(() => setSaveStatus('idle'), 3000);
+  };
+
+  const handleTestConnection = async () => {
     setTestStatus('testing');
-    // TODO: Replace with actual API test call
-    setTimeout(() => {
-      setTestStatus('success');
-      setTimeout(() => setTestStatus('idle'), 3000);
-    }, 1500);
+    setTestError('');
+    try {
+      const res = await fetch('/api/ai/provider/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify(buildProviderBody()),
+      });
+      const data = await res.json();
+      if (res.ok && data.ok) {
+        setTestStatus('success');
+        setTimeout(() => setTestStatus('idle'), 3000);
+      } else {
+        setTestError(data.error || '');
+        setTestStatus('error');
+      }
+    } catch {
+      setTestStatus('error');
+    }
   };
 
+  const modelOptions = MODELS[provider] || [];
+  const isCustomModel = model && !modelOptions.some((m) => m.value === model);
+
   return (
     <div className="settings-view">
       <div className="settings-header">
@@ -425,62 +493,96 @@ export default function SettingsView() {
                 <option value="openrouter">OpenRouter</option>
                 <option value="anthropic">Anthropic</option>
                 <option value="openai">OpenAI</option>
-                <option value="custom">Custom</option>
+                <option value="custom">OpenAI-compatible (self-hosted)</option>
               </select>
               <p className="settings-field-help">
                 Choose your preferred AI provider for meeting summaries and insights
               </p>
             </div>
 
-            {provider !== 'openrouter' && (
+            {provider === 'custom' && (
               <div className="settings-field">
-                <label className="text-sans font-medium" htmlFor="api-key">
-                  API Key
+                <label className="text-sans font-medium" htmlFor="base-url">
+                  Base URL
                 </label>
-                <div className="settings-api-key-wrapper">
-                  <Input
-                    id="api-key"
-                    type={showApiKey ? 'text' : 'password'}
-                    value={apiKey}
-                    onChange={(e) => setApiKey(e.target.value)}
-                    placeholder="sk-..."
-                  />
-                  <button
-                    type="button"
-                    className="settings-api-key-toggle"
-                    onClick={() => setShowApiKey(!showApiKey)}
-                  >
-                    {showApiKey ? <EyeOff size={16} /> : <Eye size={16} />}
-                  </button>
-                </div>
+                <Input
+                  id="base-url"
+                  type="url"
+                  value={baseUrl}
+                  onChange={(e) => setBaseUrl(e.target.value)}
+                  placeholder="http://localhost:11434/v1"
+                />
                 <p className="settings-field-help">
-                  Your API key is stored locally and never sent to Arlo&apos;s servers
+                  Any OpenAI-compatible endpoint, such as Ollama or vLLM
                 </p>
               </div>
             )}
 
+            <div className="settings-field">
+              <label className="text-sans font-medium" htmlFor="api-key">
+                API Key
+              </label>
+              <div className="settings-api-key-wrapper">
+                <Input
+                  id="api-key"
+                  type={showApiKey ? 'text' : 'password'}
+                  value={apiKey}
+                  onChange={(e) => setApiKey(e.target.value)}
+                  placeholder={hasStoredKey ? '•••••••• (saved)' : 'sk-...'}
+                />
+                <button
+                  type="button"
+                  className="settings-api-key-toggle"
+                  onClick={() => setShowApiKey(!showApiKey)}
+                >
+                  {showApiKey ? <EyeOff size={16} /> : <Eye size={16} />}
+                </button>
+              </div>
+              <p className="settings-field-help">
+                {provider === 'anthropic' || provider === 'openai'
+                  ? 'Required. Stored encrypted with your Arlo account'
+                  : 'Optional. Stored encrypted with your Arlo account'}
+              </p>
+            </div>
+
             <div className="settings-field">
               <label className="text-sans font-medium" htmlFor="model">
                 Model
               </label>
-              <select
-                id="model"
-                className="settings-select"
-                value={model}
-                onChange={(e) => setModel(e.target.value)}
-              >
-                {(MODELS[provider] || []).map((m) => (
-                  <option key={m.value} value={m.value}>
-                    {m.label}
-                  </option>
-                ))}
-              </select>
+              {provider === 'custom' ? (
+                <Input
+                  id="model"
+                  value={model}
+                  onChange={(e) => setModel(e.target.value)}
+                  placeholder="llama3.1"
+                />
+              ) : (
+                <select
+                  id="model"
+                  className="settings-select"
+                  value={model}
+                  onChange={(e) => setModel(e.target.value)}
+                >
+                  {isCustomModel && <option value={model}>{model}</option>}
+                  {modelOptions.map((m) => (
+                    <option key={m.value} value={m.value}>
+                      {m.label}
+                    </option>
+                  ))}
+                </select>
+              )}
               <p className="settings-field-help">
                 Select the AI model to use for processing meeting data
               </p>
             </div>
 
             <div className="settings-test-row">
+              <Button
+                onClick={handleSaveProvider}
+                disabled={saveStatus === 'saving'}
+              >
+                {saveStatus === 'saving' ? 'Saving...' : 'Save'}
+              </Button>
               <Button
                 variant="outline"
                 onClick={handleTestConnection}
@@ -488,6 +590,18 @@ export default function SettingsView() {
               >
                 {testStatus === 'testing' ? 'Testing...' : 'Test Connection'}
               </Button>
+              {saveStatus === 'saved' && (
+                <span className="settings-test-success">
+                  <CheckCircle2 size={16} />
+                  Saved
+                </span>
+              )}
+              {saveStatus === 'error' && (
+                <span className="settings-test-error">
+                  <XCircle size={16} />
+                  Could not save settings
+                </span>
+              )}
               {testStatus === 'success' && (
                 <span className="settings-test-success">
                   <CheckCircle2 size={16} />
@@ -497,7 +611,7 @@ export default function SettingsView() {
               {testStatus === 'error' && (
                 <span className="settings-test-error">
                   <XCircle size={16} />
-                  Connection failed
+                  {testError ? `Connection failed: ${testError}` : 'Connection failed'}
                 </span>
               )}
             </div>
@@ -505,6 +619,9 @@ export default function SettingsView() {
         </Card>
       </section>
 
+      {/* Summary Templates */}
+      <SummaryTemplatesSettings />
+
       {/* Chat Notifications */}
       <section className="settings-section">
         <h2 className="text-serif text-xl">Chat Notifications</h2>
@@ -0,0 +1,81 @@
+const { pcmDurationMs } = require('./transcription/wav');
+
+/**
+ * Per-participant PCM buffering for raw-audio mode.
+ *
+ * Audio packets are collected per participant and handed to onChunk once a
+ * participant has spoken for chunkMs, or has gone quiet for silenceMs (call
+ * flushIdle() periodically). Chunks shorter than minMs are dropped: speech-to-text
+ * engines tend to hallucinate words from tiny clips of noise.
+ *
+ * onChunk receives { userId, userName, pcm, timestamp, durationMs }, where
+ * timestamp is that of the chunk's first packet.
+ */
+function createAudioBuffer({
+  sampleRate = 16000,
+  channels = 1,
+  chunkMs = 8000,
+  silenceMs = 1200,
+  minMs = 500,
+  onChunk,
+}) {
+  const buffers = new Map(); // userId → { userName, packets[], bytes, timestamp, lastPacketAt }
+
+  function flush(userId) {
+    const buffer = buffers.get(userId);
+    if (!buffer) return;
+    buffers.delete(userId);
+
+    const durationMs = pcmDurationMs(buffer.bytes, { sampleRate, channels });
+    if (durationMs < minMs) return;
+
+    onChunk({
+      userId,
+      userName: buffer.userName,
+      pcm: Buffer.concat(buffer.packets, buffer.bytes),
+      timestamp: buffer.timestamp,
+      durationMs,
+    });
+  }
+
+  return {
+    /**
+     * Add an audio packet from a participant
+     */
+    push(userId, userName, data, timestamp) {
+      const key = userId ? String(userId) : 'unknown';
+      let buffer = buffers.get(key);
+      if (!buffer) {
+        buffer = { userName, packets: [], bytes: 0, timestamp, lastPacketAt: 0 };
+        buffers.set(key, buffer);
+      }
+
+      buffer.packets.push(data);
+      buffer.bytes += data.length;
+      buffer.lastPacketAt = Date.now();
+      if (userName) buffer.userName = userName;
+
+      if (pcmDurationMs(buffer.bytes, { sampleRate, channels }) >= chunkMs) {
+        flush(key);
+      }
+    },
+
+    /**
+     * Flush participants who have stopped sending audio
+     */
+    flushIdle(now = Date.now()) {
+      for (const [userId, buffer] of buffers) {
+        if (now - buffer.lastPacketAt >= silenceMs) flush(userId);
+      }
+    },
+
+    /**
+     * Flush everything (when the session stops)
+     */
+    flushAll() {
+      for (const userId of [...buffers.keys()]) flush(userId);
+    },
+  };
+}
+
+module.exports = { createAudioBuffer };
@@ -4,11 +4,65 @@ const crypto = require('crypto');
 const rtmsModule = require('@zoom/rtms');
 const rtms = rtmsModule.default; // ES module default export
 const axios = require('axios');
+const path = require('path');
+const { createOutbox } = require('./outbox');
+const { createAudioBuffer } = require('./audioBuffer');
+const { createTranscriber } = require('./transcription');
+const { createSessionStore } = require('./sessionStore');
+const { signInternal, verifyInternalSignature } = require('./internalSignature');
+const { sessionTimeMs, estimateSpeechMs } = require('./segmentTiming');
+const { ABNORMAL_LEAVE_REASONS, nextSeqNo, createRejoiner } = require('./sessionRecovery');
 
 // Logging is now configured via ZM_RTMS_LOG_LEVEL env var (e.g. "debug")
 
 const app = express();
 
+// =============================================================================
+// TRANSCRIPTION MODE
+// =============================================================================
+// 'captions' (default): Zoom's own captions via onTranscriptData
+// 'audio': raw per-participant PCM, transcribed by a speech-to-text adapter
+//          (STT_ADAPTER, see transcription/index.js) — opt in with RTMS_TRANSCRIPTION_MODE=audio
+
+const AUDIO_SAMPLE_RATE = 16000;
+const AUDIO_CHANNELS = 1;
+const AUDIO_FLUSH_INTERVAL_MS = 500;
+
+let transcriptionMode = process.env.RTMS_TRANSCRIPTION_MODE === 'audio' ? 'audio' : 'captions';
+let transcriber = null;
+
+if (transcriptionMode === 'audio') {
+  try {
+    transcriber = createTranscriber();
+  } catch (error) {
+    console.error(`Raw audio mode unavailable (${error.message}) — falling back to Zoom captions`);
+    transcriptionMode = 'captions';
+  }
+}
+
+// =============================================================================
+// INTERNAL API SIGNATURES
+// =============================================================================
+// Calls between this service and the backend are signed with a shared secret
+// (see internalSignature.js)
+
+const INTERNAL_SECRET = process.env.RTMS_INTERNAL_SECRET || process.env.ZOOM_CLIENT_SECRET || process.env.ZM_RTMS_SECRET;
+
+if (!INTERNAL_SECRET) {
+  console.error('No RTMS_INTERNAL_SECRET or ZOOM_CLIENT_SECRET configured — the backend will reject every call');
+}
+
+/**
+ * Verify a signed call from the backend (forwarded webhooks)
+ */
+function verifyBackendSignature(req) {
+  return verifyInternalSignature(INTERNAL_SECRET, {
+    signature: req.headers['x-arlo-signature'],
+    timestamp: req.headers['x-arlo-request-timestamp'],
+    body: req.rawBody,
+  });
+}
+
 /**
  * Verify Zoom webhook HMAC signature
  */
@@ -45,12 +99,34 @@ function verifyWebhookSignature(req) {
   );
 }
 
-// Middleware
-app.use(express.json());
+// Middleware — keep the raw body for signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
 
 // Store active RTMS sessions — each meeting gets its own Client instance
 const activeSessions = new Map();
 
+// =============================================================================
+// SESSION RECOVERY
+// =============================================================================
+// Session metadata (stream ID, server URLs, reserved seqNos) is persisted so
+// open sessions can be rejoined after a restart, and a connection that drops
+// abnormally is rejoined rather than ended (see sessionRecovery.js).
+
+const sessionStore = createSessionStore(
+  process.env.RTMS_SESSIONS_FILE || path.join(__dirname, '..', 'data', 'sessions.json')
+);
+
+const { handleInterruption, handleRejoinResult } = createRejoiner({
+  isCurrent: (meetingId, session) => activeSessions.get(meetingId) === session,
+  connect: (meetingId, session) => connectSession(meetingId, session),
+  notify: (meetingId, status) => notifyBackend(meetingId, status),
+  end: (meetingId, session) => endSession(meetingId, session),
+});
+
 // =============================================================================
 // RTMS WEBHOOK HANDLER
 // =============================================================================
@@ -62,12 +138,13 @@ const activeSessions = new Map();
 app.post('/webhook', async (req, res) => {
   const { event, payload } = req.body;
 
-  // Skip HMAC verification for URL validation (uses its own mechanism)
-  // Also skip for internally forwarded requests from the backend (already verified)
-  const isInternal = req.headers['x-arlo-internal'] === 'true';
-  if (event !== 'endpoint.url_validation' && !isInternal) {
-    if (!verifyWebhookSignature(req)) {
-      console.error('Webhook signature verification failed');
+  // Skip HMAC verification for URL validation (uses its own mechanism).
+  // Webhooks forwarded by the backend (already verified there) carry its signature instead of Zoom's.
+  const isInternal = Boolean(req.headers['x-arlo-signature']);
+  if (event !== 'endpoint.url_validation') {
+    const verified = isInternal ? verifyBackendSignature(req) : verifyWebhookSignature(req);
+    if (!verified) {
+      console.error(`${isInternal ? 'Internal' : 'Webhook'} signature verification failed (from ${req.ip})`);
       return res.status(401).send('Unauthorized');
     }
   }
@@ -116,15 +193,119 @@ async function handleRTMSStarted(payload) {
   console.log(`Operator ID: ${operator_id || 'not provided'}`);
 
   // Check if already connected to this meeting (prevent duplicate webhook handling)
-  if (activeSessions.has(meeting_uuid)) {
+  const existing = activeSessions.get(meeting_uuid);
+  if (existing && !existing.interrupted) {
     console.log('Already connected to this meeting, ignoring duplicate webhook');
     return;
   }
 
+  // An interrupted (or restored) session is rejoining with the stream ID and
+  // server URLs of the old stream; Zoom started a new one, so join that instead
+  if (existing) {
+    console.log('Replacing interrupted session with the new stream');
+    existing.stopping = true;
+    if (existing.rejoinTimer) clearTimeout(existing.rejoinTimer);
+    try {
+      existing.client?.leave();
+    } catch (error) {
+      console.error('Error leaving interrupted session:', error.message);
+    }
+    endSession(meeting_uuid, existing);
+  }
+
+  // Store session info BEFORE joining to prevent duplicate handling
+  const session = createSession(meeting_uuid, {
+    streamId: rtms_stream_id,
+    serverUrls: server_urls,
+    operatorId: operator_id || null,
+    startTime: new Date(),
+    seqCounter: 0,
+  });
+
   try {
-    // Create a new Client instance for this meeting (v1.0 class-based API)
-    const client = new rtms.Client();
+    connectSession(meeting_uuid, session);
+
+    // Notify backend that RTMS is active
+    notifyBackend(meeting_uuid, 'rtms_started', operator_id);
+
+  } catch (error) {
+    console.error('Failed to start RTMS:', error);
+    console.error('Stack:', error.stack);
+    endSession(meeting_uuid, session);
+  }
+}
+
+/**
+ * Create a session, register it and persist its metadata
+ */
+function createSession(meetingUuid, { streamId, serverUrls, operatorId, startTime, seqCounter }) {
+  const session = {
+    client: null,
+    stopping: false,
+    firstTranscriptReceived: false, // Set true on first transcript — used to classify initial roster vs real joins
+    participantNames: new Map(), // userId → displayName lookup
+    streamId,
+    serverUrls,
+    startTime,
+    operatorId,
+    seqCounter, // Atomic counter for transcript sequence numbers
+    seqReserved: seqCounter, // Highest seqNo persisted as reserved (see nextSeqNo)
+    interrupted: false, // Connection lost; rejoining
+    rejoinAttempts: 0,
+    rejoinTimer: null,
+    audio: null, // Per-participant PCM buffers (raw audio mode)
+    audioTimer: null,
+    sttQueue: Promise.resolve(), // Transcriptions run one at a time, in order
+  };
+  if (transcriptionMode === 'audio') {
+    session.audio = createAudioBuffer({
+      sampleRate: AUDIO_SAMPLE_RATE,
+      channels: AUDIO_CHANNELS,
+      chunkMs: parseInt(process.env.AUDIO_CHUNK_MS || '8000', 10),
+      onChunk: (chunk) => transcribeAudioChunk(meetingUuid, session, chunk),
+    });
+    session.audioTimer = setInterval(() => session.audio.flushIdle(), AUDIO_FLUSH_INTERVAL_MS);
+  }
 
+  activeSessions.set(meetingUuid, session);
+  sessionStore.save(meetingUuid, {
+    meetingUuid,
+    streamId,
+    serverUrls,
+    operatorId,
+    startTime: startTime.toISOString(),
+    seqReserved: session.seqReserved,
+  });
+  return session;
+}
+
+/**
+ * Join (or rejoin) a session's RTMS stream with a new Client
+ */
+function connectSession(meeting_uuid, session) {
+  // Create a new Client instance for this meeting (v1.0 class-based API)
+  const client = new rtms.Client();
+
+  if (transcriptionMode === 'audio') {
+    // Raw audio: per-participant 16 kHz mono L16 PCM, set BEFORE joining
+    client.setAudioParams({
+      contentType: rtms.AudioContentType.RAW_AUDIO,
+      codec: rtms.AudioCodec.L16,
+      sampleRate: rtms.AudioSampleRate.SR_16K,
+      channel: rtms.AudioChannel.MONO,
+      dataOpt: rtms.AudioDataOption.AUDIO_MULTI_STREAMS,
+      duration: 20,
+      frameSize: 320,
+    });
+
+    // v1.0 callback signature: (data, size, timestamp, metadata)
+    // metadata: { userId, userName }
+    client.onAudioData((data, size, timestamp, metadata) => {
+      const session = activeSessions.get(meeting_uuid);
+      if (!session?.audio) return;
+      session.audio.push(metadata?.userId, metadata?.userName, Buffer.from(data), timestamp);
+    });
+  } else {
     // Set up transcript data handler BEFORE joining
     // v1.0 callback signature: (data, timestamp, metadata, user)
     // user: { userId, userName }
@@ -136,134 +317,157 @@ async function handleRTMSStarted(payload) {
         console.log(`  Timestamp: ${timestamp}`);
         console.log(`  User:`, user);
 
-        // Mark first transcript received — boundary between initial roster and real joins
-        const session = activeSessions.get(meeting_uuid);
-        if (session && !session.firstTranscriptReceived) {
-          session.firstTranscriptReceived = true;
-          console.log('First transcript received — subsequent joins are real joins');
-        }
-
-        // Record participant name from transcript for leave event lookup
-        if (user?.userId && user?.userName) {
-          if (session) session.participantNames.set(String(user.userId), user.userName);
-        }
-
-        const transcriptData = {
+        recordTranscript(meeting_uuid, activeSessions.get(meeting_uuid), {
           text,
           timestamp,
           userId: user?.userId,
           userName: user?.userName,
-        };
-
-        handleTranscript(meeting_uuid, transcriptData).catch(err => {
-          console.error('Error handling transcript:', err);
         });
       } catch (err) {
         console.error('Error processing transcript buffer:', err);
       }
     });
+  }
 
-    // Set up join confirmation handler
-    client.onJoinConfirm((reason) => {
-      console.log('Joined RTMS session, reason:', reason);
-    });
+  // Set up join confirmation handler — reason 0 is success
+  client.onJoinConfirm((reason) => {
+    console.log('Joined RTMS session, reason:', reason);
+    const session = activeSessions.get(meeting_uuid);
+    if (!session?.interrupted || session.client !== client) return;
+    handleRejoinResult(meeting_uuid, session, reason);
+  });
 
-    // Set up leave handler — v1.0 now receives a reason parameter
-    client.onLeave((reason) => {
-      console.log('RTMS Connection Closed, reason:', reason);
-      activeSessions.delete(meeting_uuid);
-    });
+  // Set up leave handler — v1.0 now receives a reason parameter
+  client.onLeave((reason) => {
+    console.log('RTMS Connection Closed, reason:', reason);
+    const session = activeSessions.get(meeting_uuid);
+    if (!session || session.client !== client) return; // A client replaced by a rejoin
 
-    // Set up session update handler — v1.0 receives (event, session) object
-    client.onSessionUpdate((event, session) => {
-      console.log('Session update:', event, session);
-    });
+    if (!session.stopping && ABNORMAL_LEAVE_REASONS.has(Number(reason))) {
+      handleInterruption(meeting_uuid, session, `leave reason ${reason}`);
+      return;
+    }
+    endSession(meeting_uuid, session);
+  });
 
-    // Set up participant event handler — renamed from onUserUpdate in v1.0
-    client.onParticipantEvent((event, timestamp, participants) => {
-      console.log('Participant event:', event, timestamp, participants);
+  // Set up session update handler — v1.0 receives (event, session) object
+  client.onSessionUpdate((event, session) => {
+    console.log('Session update:', event, session);
+  });
 
-      const session = activeSessions.get(meeting_uuid);
+  // Set up participant event handler — renamed from onUserUpdate in v1.0
+  client.onParticipantEvent((event, timestamp, participants) => {
+    console.log('Participant event:', event, timestamp, participants);
 
-      // Suppress leave events fired during RTMS shutdown — SDK teardown artifacts
-      if (session?.stopping && (event === 'leave' || event === 'user_leave')) {
-        console.log('Suppressing leave events during RTMS shutdown');
-        return;
-      }
+    const session = activeSessions.get(meeting_uuid);
 
-      const isJoin = event === 'join' || event === 'user_join';
+    // Suppress leave events fired during RTMS shutdown — SDK teardown artifacts
+    if (session?.stopping && (event === 'leave' || event === 'user_leave')) {
+      console.log('Suppressing leave events during RTMS shutdown');
+      return;
+    }
 
-      // Always record participant names from join events for later lookup
-      if (isJoin && session) {
-        (participants || []).forEach(p => {
-          const pid = p.participantId ? String(p.participantId) : (p.userId ? String(p.userId) : null);
-          const name = p.userName || p.name;
-          if (pid && name) session.participantNames.set(pid, name);
-        });
-      }
+    const isJoin = event === 'join' || event === 'user_join';
 
-      // Classify join events: before first transcript = initial roster, after = real join.
-      // The RTMS SDK always reports existing participants as "join" before transcript data flows.
-      const events = (participants || []).map(p => {
+    // Always record participant names from join events for later lookup
+    if (isJoin && session) {
+      (participants || []).forEach(p => {
         const pid = p.participantId ? String(p.participantId) : (p.userId ? String(p.userId) : null);
-        // Look up display name: prefer SDK-provided name, fall back to stored name
-        const name = p.userName || p.name || session?.participantNames.get(pid) || `Participant ${pid || 'unknown'}`;
-
-        let eventType;
-        if (isJoin) {
-          eventType = (session && !session.firstTranscriptReceived) ? 'initial_roster' : 'joined';
-        } else if (event === 'leave' || event === 'user_leave') {
-          eventType = 'left';
-        } else {
-          eventType = event;
-        }
-
-        return {
-          eventType,
-          participantName: name,
-          participantId: pid,
-          timestamp: Date.now(),
-        };
+        const name = p.userName || p.name;
+        if (pid && name) session.participantNames.set(pid, name);
       });
+    }
 
-      if (events.length > 0) {
-        broadcastParticipantEvents(meeting_uuid, events).catch(err => {
-          console.error('Error forwarding participant events:', err);
-        });
+    // Classify join events: before first transcript = initial roster, after = real join.
+    // The RTMS SDK always reports existing participants as "join" before transcript data flows.
+    const events = (participants || []).map(p => {
+      const pid = p.participantId ? String(p.participantId) : (p.userId ? String(p.userId) : null);
+      // Look up display name: prefer SDK-provided name, fall back to stored name
+      const name = p.userName || p.name || session?.participantNames.get(pid) || `Participant ${pid || 'unknown'}`;
+
+      let eventType;
+      if (isJoin) {
+        eventType = (session && !session.firstTranscriptReceived) ? 'initial_roster' : 'joined';
+      } else if (event === 'leave' || event === 'user_leave') {
+        eventType = 'left';
+      } else {
+        eventType = event;
       }
-    });
 
-    // Store session info BEFORE joining to prevent duplicate handling
-    activeSessions.set(meeting_uuid, {
-      client,
-      stopping: false,
-      firstTranscriptReceived: false, // Set true on first transcript — used to classify initial roster vs real joins
-      participantNames: new Map(), // userId → displayName lookup
-      streamId: rtms_stream_id,
-      startTime: new Date(),
-      operatorId: operator_id || null,
-      seqCounter: 0, // Atomic counter for transcript sequence numbers
+      return {
+        eventType,
+        participantName: name,
+        participantId: pid,
+        timestamp: Date.now(),
+      };
     });
 
-    // Join the RTMS session — v1.0 no longer uses pollInterval
-    const result = client.join({
-      meeting_uuid,
-      rtms_stream_id,
-      server_urls,
-    });
+    if (events.length > 0) {
+      try {
+        broadcastParticipantEvents(meeting_uuid, events);
+      } catch (err) {
+        console.error('Error forwarding participant events:', err);
+      }
+    }
+  });
 
-    console.log('Join result:', result);
+  session.client = client;
+  // The SDK reports everyone present as "join" again on every (re)join
+  session.firstTranscriptReceived = false;
 
-    // Notify backend that RTMS is active
-    await notifyBackend(meeting_uuid, 'rtms_started', operator_id);
+  // Join the RTMS session — v1.0 no longer uses pollInterval
+  const result = client.join({
+    meeting_uuid,
+    rtms_stream_id: session.streamId,
+    server_urls: session.serverUrls,
+  });
 
-  } catch (error) {
-    console.error('Failed to start RTMS:', error);
-    console.error('Stack:', error.stack);
-    activeSessions.delete(meeting_uuid);
+  console.log('Join result:', result);
+}
+
+/**
+ * Rejoin the sessions a previous run of the service left open
+ */
+function restoreSessions() {
+  for (const record of sessionStore.list()) {
+    if (activeSessions.has(record.meetingUuid)) continue;
+    console.log(`Restoring RTMS session for meeting ${record.meetingUuid}`);
+
+    const session = createSession(record.meetingUuid, {
+      streamId: record.streamId,
+      serverUrls: record.serverUrls,
+      operatorId: record.operatorId,
+      startTime: new Date(record.startTime),
+      seqCounter: record.seqReserved || 0,
+    });
+    handleInterruption(record.meetingUuid, session, 'service restarted');
   }
 }
 
+/**
+ * Forget a session: stop its timers, flush any buffered audio, and remove it
+ * from memory and the session store
+ */
+function endSession(meetingId, session) {
+  if (session.rejoinTimer) clearTimeout(session.rejoinTimer);
+  drainAudio(session).catch(err => {
+    console.error('Error draining audio:', err);
+  });
+  if (activeSessions.get(meetingId) === session) activeSessions.delete(meetingId);
+  sessionStore.remove(meetingId);
+}
+
+/**
+ * Flush a session's buffered audio and wait for the pending transcriptions
+ * (raw audio mode), so the last words make it in before the meeting completes
+ */
+async function drainAudio(session) {
+  if (!session.audio) return;
+  clearInterval(session.audioTimer);
+  session.audio.flushAll();
+  await session.sttQueue;
+}
+
 /**
  * Handle RTMS stopped event
  */
@@ -277,8 +481,10 @@ async function handleRTMSStopped(payload) {
     try {
       // Set stopping flag to suppress false leave events during teardown
       session.stopping = true;
-      session.client.leave();
-      activeSessions.delete(meeting_uuid);
+      if (session.rejoinTimer) clearTimeout(session.rejoinTimer);
+      session.client?.leave();
+      await drainAudio(session);
+      endSession(meeting_uuid, session);
       console.log('RTMS session stopped');
     } catch (error) {
       console.error('Error stopping RTMS:', error);
@@ -286,83 +492,169 @@ async function handleRTMSStopped(payload) {
   }
 
   // Notify backend (backend handles marking meeting as completed)
-  await notifyBackend(meeting_uuid, 'rtms_stopped');
+  notifyBackend(meeting_uuid, 'rtms_stopped');
+}
+
+/**
+ * Record a transcript line (from captions or speech-to-text) on its session,
+ * then forward it
+ */
+function recordTranscript(meetingId, session, transcriptData) {
+  // Mark first transcript received — boundary between initial roster and real joins
+  if (session && !session.firstTranscriptReceived) {
+    session.firstTranscriptReceived = true;
+    console.log('First transcript received — subsequent joins are real joins');
+  }
+
+  // Record participant name from transcript for leave event lookup
+  if (transcriptData.userId && transcriptData.userName) {
+    if (session) session.participantNames.set(String(transcriptData.userId), transcriptData.userName);
+  }
+
+  return handleTranscript(meetingId, transcriptData, session).catch(err => {
+    console.error('Error handling transcript:', err);
+  });
+}
+
+/**
+ * Transcribe a participant's buffered audio (raw audio mode). Chunks are queued
+ * per session so lines keep their spoken order.
+ */
+function transcribeAudioChunk(meetingId, session, chunk) {
+  session.sttQueue = session.sttQueue
+    .then(async () => {
+      const result = await transcriber.transcribe(chunk.pcm, {
+        sampleRate: AUDIO_SAMPLE_RATE,
+        channels: AUDIO_CHANNELS,
+        userId: chunk.userId,
+      });
+      console.log(`Transcribed ${chunk.durationMs}ms of audio from ${chunk.userName || chunk.userId} (${transcriber.name}): "${result.text.substring(0, 50)}"`);
+
+      if (!result.text) return;
+      await recordTranscript(meetingId, session, {
+        text: result.text,
+        timestamp: chunk.timestamp,
+        durationMs: chunk.durationMs,
+        userId: chunk.userId === 'unknown' ? undefined : chunk.userId,
+        userName: chunk.userName,
+      });
+    })
+    .catch(err => {
+      console.error('Speech-to-text failed:', err.message);
+    });
 }
 
 /**
  * Handle individual transcript segment
+ *
+ * Sends tStartMs/tEndMs relative to the session start along with
+ * sessionStartMs; the backend re-bases them onto the meeting's clock. Caption
+ * end times are estimates (tEndEstimated), which the backend trims to the start
+ * of the next line.
  */
-async function handleTranscript(meetingId, transcript) {
-  const { text, timestamp, userId, userName } = transcript;
+async function handleTranscript(meetingId, transcript, session = activeSessions.get(meetingId)) {
+  const { text, timestamp, userId, userName, durationMs } = transcript;
 
-  const session = activeSessions.get(meetingId);
-  const seqNo = session ? ++session.seqCounter : Date.now();
-  const now = Date.now();
+  const seqNo = session
+    ? nextSeqNo(session, (seqReserved) => sessionStore.save(meetingId, { seqReserved }))
+    : Date.now();
+  const sessionStartMs = session ? session.startTime.getTime() : Date.now();
+  const tStartMs = sessionTimeMs(timestamp, sessionStartMs);
 
   const segment = {
     speakerId: userId ? String(userId) : 'unknown',
     speakerLabel: userName || (userId ? `Speaker ${userId}` : 'Speaker'),
     text: text || '',
-    tStartMs: now,
-    tEndMs: now,
+    tStartMs,
+    tEndMs: tStartMs + (durationMs || estimateSpeechMs(text)),
+    tEndEstimated: !durationMs,
+    sessionStartMs,
     seqNo: seqNo,
   };
 
-  await broadcastSegment(meetingId, segment);
-  console.log(`Broadcast segment: "${(text || '').substring(0, 50)}..."`);
+  broadcastSegment(meetingId, segment);
+  console.log(`Queued segment: "${(text || '').substring(0, 50)}..."`);
 }
 
-/**
- * Broadcast segment to WebSocket clients via backend
- */
-async function broadcastSegment(meetingId, segment) {
-  try {
-    // Use Docker service name for inter-container communication
-    const backendUrl = process.env.BACKEND_URL || 'http://backend:3000';
-    await axios.post(`${backendUrl}/api/rtms/broadcast`, {
-      meetingId,
-      segment,
-    });
-    console.log('Sent to backend for broadcast');
-  } catch (error) {
-    // Non-critical, just log
-    console.warn('Failed to broadcast segment:', error.message);
-  }
-}
+// =============================================================================
+// BACKEND DELIVERY
+// =============================================================================
+// Everything sent to the backend goes through a durable on-disk queue (see
+// outbox.js), so a backend restart mid-meeting delays transcript lines instead
+// of losing them. Segments are batched per meeting and saved idempotently by
+// the backend (POST /api/rtms/segments).
+
+const BACKEND_TIMEOUT_MS = 10000;
 
 /**
- * Broadcast participant events to frontend via backend
+ * POST a signed JSON body to the backend's internal API (signed at send time,
+ * so retried items never carry a stale timestamp)
  */
-async function broadcastParticipantEvents(meetingId, events) {
-  try {
-    const backendUrl = process.env.BACKEND_URL || 'http://backend:3000';
-    await axios.post(`${backendUrl}/api/rtms/participant-event`, {
-      meetingId,
-      events,
-    });
-    console.log(`Sent ${events.length} participant events to backend for broadcast`);
-  } catch (error) {
-    console.warn('Failed to broadcast participant events:', error.message);
-  }
+async function postToBackend(pathname, payload) {
+  // Use Docker service name for inter-container communication
+  const backendUrl = process.env.BACKEND_URL || 'http://backend:3000';
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  await axios.post(`${backendUrl}${pathname}`, body, {
+    timeout: BACKEND_TIMEOUT_MS,
+    headers: {
+      'Content-Type': 'application/json',
+      'x-arlo-request-timestamp': timestamp,
+      'x-arlo-signature': signInternal(INTERNAL_SECRET, timestamp, body),
+    },
+  });
 }
 
 /**
- * Notify backend of RTMS status change
+ * Send queued items to the backend; throws so the outbox retries
  */
-async function notifyBackend(meetingId, status, operatorId) {
-  try {
-    const backendUrl = process.env.BACKEND_URL || 'http://backend:3000';
-    await axios.post(`${backendUrl}/api/rtms/status`, {
+async function deliverToBackend(kind, meetingId, items) {
+  if (kind === 'segment') {
+    await postToBackend('/api/rtms/segments', { meetingId, segments: items });
+    console.log(`Sent ${items.length} segment(s) to backend`);
+  } else if (kind === 'participant-events') {
+    const events = items.flat();
+    await postToBackend('/api/rtms/participant-event', { meetingId, events });
+    console.log(`Sent ${events.length} participant events to backend for broadcast`);
+  } else if (kind === 'status') {
+    const [{ status, operatorId }] = items;
+    await postToBackend('/api/rtms/status', {
       meetingId,
       status,
       ...(operatorId && { operatorId }),
     });
     console.log(`Notified backend: ${status}`);
-  } catch (error) {
-    console.warn('Failed to notify backend:', error.message);
   }
 }
 
+const outbox = createOutbox({
+  dir: process.env.RTMS_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'outbox'),
+  deliver: deliverToBackend,
+  batchKinds: ['segment'],
+});
+
+/**
+ * Queue a segment for broadcast and storage via the backend
+ */
+function broadcastSegment(meetingId, segment) {
+  outbox.enqueue('segment', meetingId, segment);
+}
+
+/**
+ * Queue participant events for broadcast and storage via the backend
+ */
+function broadcastParticipantEvents(meetingId, events) {
+  outbox.enqueue('participant-events', meetingId, events);
+}
+
+/**
+ * Queue an RTMS status change for the backend
+ */
+function notifyBackend(meetingId, status, operatorId) {
+  outbox.enqueue('status', meetingId, { status, operatorId: operatorId || null });
+}
+
 // =============================================================================
 // HEALTH CHECK
 // =============================================================================
@@ -370,8 +662,11 @@ async function notifyBackend(meetingId, status, operatorId) {
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
+    transcriptionMode,
+    sttAdapter: transcriber?.name || null,
     activeSessions: activeSessions.size,
     sessions: Array.from(activeSessions.keys()),
+    outboxQueued: outbox.size(),
   });
 });
 
@@ -388,18 +683,23 @@ app.listen(PORT, () => {
   console.log(`Port: ${PORT}`);
   console.log(`Webhook: http://localhost:${PORT}/webhook`);
   console.log(`Health: http://localhost:${PORT}/health`);
+  console.log(`Transcription: ${transcriptionMode === 'audio' ? `raw audio (${transcriber.name})` : 'Zoom captions'}`);
   console.log('='.repeat(60));
   console.log('Waiting for RTMS webhooks from Zoom...');
   console.log('='.repeat(60));
+  outbox.start();
+  restoreSessions();
 });
 
-// Graceful shutdown
+// Graceful shutdown — session records stay in the store, to be rejoined on startup
 function shutdown(signal) {
   console.log(`${signal} received. Closing RTMS sessions...`);
   for (const [meetingId, session] of activeSessions) {
     try {
       session.stopping = true;
-      session.client.leave();
+      if (session.rejoinTimer) clearTimeout(session.rejoinTimer);
+      session.client?.leave();
+      if (session.audioTimer) clearInterval(session.audioTimer);
       console.log(`Closed RTMS session for meeting: ${meetingId}`);
     } catch (err) {
       console.error(`Error closing session ${meetingId}:`, err.message);
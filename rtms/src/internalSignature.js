@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+/**
+ * Signatures for calls between this service and the backend, made with a
+ * shared secret (RTMS_INTERNAL_SECRET):
+ *   x-arlo-signature = 'v1=' + HMAC-SHA256(secret, `v1:${timestamp}:${raw body}`)
+ *   x-arlo-request-timestamp = Unix seconds
+ * The backend signs and verifies the same way (backend/src/middleware/internalAuth.js;
+ * backend/test/internalAuth.test.js checks that the two agree).
+ */
+
+// Signed calls may be this far off our clock
+const MAX_CLOCK_SKEW_S = 300;
+
+/**
+ * Signature for a raw request body sent at `timestamp` (Unix seconds)
+ */
+function signInternal(secret, timestamp, body) {
+  return 'v1=' + crypto
+    .createHmac('sha256', secret || '')
+    .update(`v1:${timestamp}:${body}`)
+    .digest('hex');
+}
+
+/**
+ * Verify a signed call
+ * @returns {boolean}
+ */
+function verifyInternalSignature(secret, { signature, timestamp, body }) {
+  if (!signature || !timestamp) return false;
+
+  const skew = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (!Number.isFinite(skew) || skew > MAX_CLOCK_SKEW_S) {
+    console.warn(`Internal request timestamp outside ±${MAX_CLOCK_SKEW_S}s (skew: ${skew}s)`);
+    return false;
+  }
+
+  const expectedSignature = signInternal(secret, timestamp, body || '');
+  return signature.length === expectedSignature.length && crypto.timingSafeEqual(
+    Buffer.from(signature),
+    Buffer.from(expectedSignature)
+  );
+}
+
+module.exports = { signInternal, verifyInternalSignature };
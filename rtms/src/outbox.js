@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Durable outbound queue for calls to the backend.
+ *
+ * Each item is written to its own file in `dir` before it is sent, and removed
+ * once deliver() resolves. Failed deliveries are retried with exponential
+ * backoff, and files left over from a previous run are loaded on startup, so
+ * transcript lines survive both a backend restart and an RTMS restart.
+ *
+ * Items are delivered in the order they were queued. Consecutive items of a
+ * batchable kind for the same meeting are delivered together (up to batchSize),
+ * sorted by seqNo.
+ *
+ * A 4xx response other than 401/408/409/429 means the backend will never accept
+ * the item, so it is logged and dropped rather than blocking the queue. (401 is
+ * a signature rejection: a secret or clock to fix, not a bad item; 409 means the
+ * meeting isn't registered yet.)
+ */
+function createOutbox({
+  dir,
+  deliver,
+  batchKinds = [],
+  batchSize = 50,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const queue = []; // { id, file, kind, meetingId, data }
+  let nextId = 1;
+  let attempt = 0;
+  let timer = null;
+  let flushing = false;
+
+  // Reload items a previous run didn't deliver
+  for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const file = path.join(dir, name);
+    try {
+      const item = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      queue.push({ ...item, file });
+      nextId = Math.max(nextId, item.id + 1);
+    } catch (error) {
+      console.error(`Discarding unreadable outbox file ${name}:`, error.message);
+      fs.rmSync(file, { force: true });
+    }
+  }
+  if (queue.length > 0) {
+    console.log(`Outbox: ${queue.length} undelivered items from a previous run`);
+  }
+
+  function schedule(delayMs) {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delayMs);
+  }
+
+  function nextBatch() {
+    const [head] = queue;
+    if (!batchKinds.includes(head.kind)) return [head];
+
+    const batch = [];
+    for (const item of queue) {
+      if (batch.length >= batchSize || item.kind !== head.kind || item.meetingId !== head.meetingId) break;
+      batch.push(item);
+    }
+    return batch;
+  }
+
+  function isPermanentFailure(error) {
+    const status = error.response?.status;
+    return status >= 400 && status < 500 && ![401, 408, 409, 429].includes(status);
+  }
+
+  function remove(batch) {
+    queue.splice(0, batch.length);
+    for (const item of batch) {
+      fs.rmSync(item.file, { force: true });
+    }
+  }
+
+  async function flush() {
+    if (flushing) return;
+    flushing = true;
+
+    try {
+      while (queue.length > 0) {
+        const batch = nextBatch();
+        const sorted = [...batch].sort((a, b) => (a.data?.seqNo || 0) - (b.data?.seqNo || 0));
+
+        try {
+          await deliver(batch[0].kind, batch[0].meetingId, sorted.map(item => item.data));
+        } catch (error) {
+          if (!isPermanentFailure(error)) {
+            const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            attempt++;
+            console.warn(`Outbox: delivering ${batch.length} ${batch[0].kind} item(s) failed (${error.message}), retrying in ${delayMs}ms (${queue.length} queued)`);
+            schedule(delayMs);
+            return;
+          }
+          console.error(`Outbox: backend rejected ${batch.length} ${batch[0].kind} item(s), dropping:`, error.message);
+        }
+
+        attempt = 0;
+        remove(batch);
+      }
+    } finally {
+      flushing = false;
+    }
+  }
+
+  return {
+    /**
+     * Persist an item and schedule its delivery
+     * @param {string} kind - e.g. 'segment', 'participant-events', 'status'
+     * @param {string} meetingId - Meeting UUID
+     * @param {object} data - Payload passed to deliver()
+     */
+    enqueue(kind, meetingId, data) {
+      const id = nextId++;
+      const file = path.join(dir, `${String(id).padStart(12, '0')}.json`);
+      const item = { id, kind, meetingId, data };
+
+      // Write then rename, so a crash never leaves a half-written item
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(item));
+      fs.renameSync(`${file}.tmp`, file);
+
+      queue.push({ ...item, file });
+      schedule(0);
+    },
+
+    /**
+     * Deliver anything left over from a previous run
+     */
+    start() {
+      if (queue.length > 0) schedule(0);
+    },
+
+    size() {
+      return queue.length;
+    },
+  };
+}
+
+module.exports = { createOutbox };
@@ -0,0 +1,34 @@
+/**
+ * Segment timing: transcript lines are timed in ms since the RTMS session
+ * started. The SDK's timestamps arrive as epoch microseconds, epoch
+ * milliseconds, or ms since the stream started, depending on SDK version and
+ * stream; values this large can only be epochs.
+ */
+const EPOCH_US_MIN = 1e14;
+const EPOCH_MS_MIN = 1e11;
+
+// Captions carry no duration: estimate it from the word count (~150 words/min)
+const SPEECH_MS_PER_WORD = 400;
+const MIN_SEGMENT_MS = 1000;
+
+/**
+ * Ms since the session started for an RTMS SDK timestamp (see EPOCH_US_MIN)
+ */
+function sessionTimeMs(timestamp, sessionStartMs, now = Date.now()) {
+  let ts = Number(timestamp);
+  if (!Number.isFinite(ts) || ts <= 0) return Math.max(0, now - sessionStartMs);
+
+  if (ts >= EPOCH_US_MIN) ts = Math.floor(ts / 1000);
+  if (ts >= EPOCH_MS_MIN) return Math.max(0, ts - sessionStartMs);
+  return Math.floor(ts);
+}
+
+/**
+ * Rough speaking time for a caption line
+ */
+function estimateSpeechMs(text) {
+  const words = (text || '').trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(MIN_SEGMENT_MS, words * SPEECH_MS_PER_WORD);
+}
+
+module.exports = { sessionTimeMs, estimateSpeechMs };
@@ -0,0 +1,113 @@
+/**
+ * Session recovery: sequence numbers that survive a restart, and rejoining a
+ * stream whose connection dropped.
+ *
+ * A connection that drops for one of these RTMS stop reasons is rejoined
+ * rather than ended: internal exception, connection timeout, meeting/signal/data
+ * connection interrupted, signal/data connection closed abnormally.
+ */
+const ABNORMAL_LEAVE_REASONS = new Set([10, 11, 12, 13, 14, 15, 16]);
+
+const SEQ_BLOCK = 100;
+
+// seqNos must be unique per meeting across RTMS sessions: a meeting reopened by
+// a new session keeps its segments, and the backend skips seqNos it already
+// has. Each session numbers from (its start time in seconds × SEQ_SESSION_SPAN),
+// which also keeps later sessions' lines after earlier ones.
+const SEQ_SESSION_SPAN = 1e6;
+
+/**
+ * Next transcript sequence number: the session's base (see SEQ_SESSION_SPAN)
+ * plus a counter. Counters are reserved in blocks of SEQ_BLOCK, and onReserve
+ * is called with the top of each new block to persist it, so a restored session
+ * (whose counter starts at the persisted value) never reuses one either.
+ */
+function nextSeqNo(session, onReserve) {
+  session.seqCounter++;
+  if (session.seqCounter > session.seqReserved) {
+    session.seqReserved = session.seqCounter + SEQ_BLOCK - 1;
+    onReserve(session.seqReserved);
+  }
+  return Math.floor(session.startTime.getTime() / 1000) * SEQ_SESSION_SPAN + session.seqCounter;
+}
+
+/**
+ * Rejoin policy for interrupted sessions. Retries with exponential backoff, up
+ * to maxAttempts; after that the session is ended and reported stopped, so the
+ * meeting completes with the transcript it has (a later meeting.rtms_started
+ * reopens it).
+ *
+ * Callbacks:
+ *   isCurrent(meetingId, session)  Whether the session is still the meeting's active one
+ *   connect(meetingId, session)    Join again with a new Client
+ *   notify(meetingId, status)      Report rtms_interrupted/rtms_reconnected/rtms_stopped
+ *   end(meetingId, session)        Forget the session
+ */
+function createRejoiner({
+  isCurrent,
+  connect,
+  notify,
+  end,
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  maxDelayMs = 30000,
+}) {
+  function scheduleRejoin(meetingId, session) {
+    if (session.rejoinTimer || session.stopping) return;
+
+    if (session.rejoinAttempts >= maxAttempts) {
+      console.error(`Giving up on rejoining meeting ${meetingId} after ${maxAttempts} attempts`);
+      end(meetingId, session);
+      notify(meetingId, 'rtms_stopped');
+      return;
+    }
+
+    const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** session.rejoinAttempts);
+    session.rejoinAttempts++;
+    session.rejoinTimer = setTimeout(() => {
+      session.rejoinTimer = null;
+      if (session.stopping || !isCurrent(meetingId, session)) return;
+
+      console.log(`Rejoining RTMS for meeting ${meetingId} (attempt ${session.rejoinAttempts}/${maxAttempts})`);
+      try {
+        connect(meetingId, session);
+      } catch (error) {
+        console.error('Rejoin failed:', error.message);
+        scheduleRejoin(meetingId, session);
+      }
+    }, delayMs);
+  }
+
+  return {
+    scheduleRejoin,
+
+    /**
+     * Connection lost mid-meeting: tell the backend (once) and try to rejoin
+     */
+    handleInterruption(meetingId, session, cause) {
+      if (!session.interrupted) {
+        session.interrupted = true;
+        session.rejoinAttempts = 0;
+        console.warn(`RTMS session for meeting ${meetingId} interrupted (${cause}), rejoining`);
+        notify(meetingId, 'rtms_interrupted');
+      }
+      scheduleRejoin(meetingId, session);
+    },
+
+    /**
+     * Join confirmation for a rejoin attempt (reason 0 is success)
+     */
+    handleRejoinResult(meetingId, session, reason) {
+      if (Number(reason) !== 0) {
+        scheduleRejoin(meetingId, session);
+        return;
+      }
+      console.log(`Rejoined RTMS session for meeting ${meetingId}`);
+      session.interrupted = false;
+      session.rejoinAttempts = 0;
+      notify(meetingId, 'rtms_reconnected');
+    },
+  };
+}
+
+module.exports = { ABNORMAL_LEAVE_REASONS, nextSeqNo, createRejoiner };
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persisted metadata for open RTMS sessions, keyed by meeting UUID.
+ *
+ * Holds what is needed to rejoin a session after the service restarts: stream
+ * ID, server URLs, operator, start time and the highest reserved transcript
+ * seqNo. The whole map lives in one JSON file, rewritten on every change
+ * (sessions change rarely, and seqNos are reserved in blocks).
+ */
+function createSessionStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let records = {};
+  try {
+    records = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Discarding unreadable session store ${file}:`, error.message);
+    }
+  }
+
+  function write() {
+    // Write then rename, so a crash never leaves a half-written file
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(records, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  return {
+    /**
+     * Stored session records
+     * @returns {object[]}
+     */
+    list() {
+      return Object.values(records);
+    },
+
+    /**
+     * Create or update a session record
+     * @param {string} meetingUuid - Meeting UUID
+     * @param {object} fields - Fields to merge into the record
+     */
+    save(meetingUuid, fields) {
+      records[meetingUuid] = {
+        ...records[meetingUuid],
+        ...fields,
+        updatedAt: new Date().toISOString(),
+      };
+      write();
+    },
+
+    /**
+     * Forget a session (it ended, or can't be rejoined)
+     * @param {string} meetingUuid - Meeting UUID
+     */
+    remove(meetingUuid) {
+      if (!(meetingUuid in records)) return;
+      delete records[meetingUuid];
+      write();
+    },
+  };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,46 @@
+const fs = require('fs');
+
+/**
+ * Fake speech-to-text that ignores the audio and replays lines from a file,
+ * so raw-audio mode can be exercised without a Whisper server (STT_FAKE_FILE).
+ *
+ * The file is either plain text (one utterance per line) or JSON:
+ *   ["first utterance", "second utterance"]
+ *   [{ "userId": "16778240", "text": "..." }, ...]  — replayed per participant
+ * Each transcribe() call returns the next line (for that participant, when
+ * lines carry a userId); once the file runs out it returns empty text.
+ */
+function createFileFakeTranscriber({ file }) {
+  if (!file) {
+    throw new Error('STT_FAKE_FILE is required for the file transcription adapter');
+  }
+
+  const raw = fs.readFileSync(file, 'utf-8');
+  const lines = file.endsWith('.json')
+    ? JSON.parse(raw).map((entry) => (typeof entry === 'string' ? { text: entry } : entry))
+    : raw.split('\n').map((text) => text.trim()).filter(Boolean).map((text) => ({ text }));
+
+  let next = 0;
+  const nextByUser = new Map();
+
+  return {
+    name: 'file',
+
+    async transcribe(pcm, { userId } = {}) {
+      let line;
+      const userLines = lines.filter((l) => l.userId !== undefined && String(l.userId) === String(userId));
+      if (userLines.length > 0) {
+        const index = nextByUser.get(String(userId)) || 0;
+        line = userLines[index];
+        nextByUser.set(String(userId), index + 1);
+      } else {
+        while (next < lines.length && lines[next].userId !== undefined) next++;
+        line = lines[next++];
+      }
+
+      return { text: line?.text || '', language: null, segments: [] };
+    },
+  };
+}
+
+module.exports = { createFileFakeTranscriber };
@@ -0,0 +1,38 @@
+/**
+ * Speech-to-text adapters for raw-audio mode.
+ *
+ * An adapter is { name, transcribe(pcm, options) } where pcm is 16-bit mono
+ * PCM and options is { sampleRate, channels, userId }. transcribe() resolves
+ * to { text, language, segments: [{ startMs, endMs, text }] } — segment times
+ * are relative to the start of the audio, and may be empty if the engine
+ * doesn't report them.
+ *
+ * Pick one with STT_ADAPTER:
+ *   whisper-http  Whisper-compatible HTTP endpoint (default), see whisperHttp.js
+ *   file          Replays lines from STT_FAKE_FILE, see fileFake.js
+ */
+const { createWhisperHttpTranscriber } = require('./whisperHttp');
+const { createFileFakeTranscriber } = require('./fileFake');
+
+const ADAPTERS = {
+  'whisper-http': () => createWhisperHttpTranscriber({
+    url: process.env.STT_URL,
+    model: process.env.STT_MODEL || undefined,
+    language: process.env.STT_LANGUAGE || undefined,
+    apiKey: process.env.STT_API_KEY || undefined,
+  }),
+  file: () => createFileFakeTranscriber({ file: process.env.STT_FAKE_FILE }),
+};
+
+/**
+ * Create the adapter configured by STT_ADAPTER
+ */
+function createTranscriber(name = process.env.STT_ADAPTER || 'whisper-http') {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown STT_ADAPTER "${name}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = { createTranscriber };
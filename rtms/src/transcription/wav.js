@@ -0,0 +1,35 @@
+/**
+ * Wrap raw 16-bit little-endian PCM in a WAV (RIFF) container, which is what
+ * speech-to-text endpoints expect as an uploaded file.
+ */
+function pcmToWav(pcm, { sampleRate = 16000, channels = 1 } = {}) {
+  const bitsPerSample = 16;
+  const byteRate = sampleRate * channels * (bitsPerSample / 8);
+  const blockAlign = channels * (bitsPerSample / 8);
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // PCM fmt chunk size
+  header.writeUInt16LE(1, 20); // Audio format: PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
+
+/**
+ * Duration of 16-bit PCM audio in milliseconds
+ */
+function pcmDurationMs(byteLength, { sampleRate = 16000, channels = 1 } = {}) {
+  return Math.round((byteLength / (2 * channels * sampleRate)) * 1000);
+}
+
+module.exports = { pcmToWav, pcmDurationMs };
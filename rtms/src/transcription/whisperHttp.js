@@ -0,0 +1,51 @@
+const axios = require('axios');
+const { pcmToWav } = require('./wav');
+
+/**
+ * Speech-to-text via a Whisper-compatible HTTP endpoint — OpenAI's
+ * /v1/audio/transcriptions API, as served by faster-whisper-server,
+ * whisper.cpp's server (--inference-path /v1/audio/transcriptions), LocalAI, etc.
+ *
+ * Options:
+ *   url       Full transcription URL (STT_URL)
+ *   model     Model name sent with each request (STT_MODEL, default whisper-1)
+ *   language  ISO-639-1 hint, e.g. "de" (STT_LANGUAGE); omit to auto-detect
+ *   apiKey    Sent as a Bearer token if set (STT_API_KEY)
+ *   timeoutMs Per-request timeout (default 30s)
+ */
+function createWhisperHttpTranscriber({ url, model = 'whisper-1', language, apiKey, timeoutMs = 30000 }) {
+  if (!url) {
+    throw new Error('STT_URL is required for the whisper-http transcription adapter');
+  }
+
+  return {
+    name: 'whisper-http',
+
+    async transcribe(pcm, { sampleRate, channels }) {
+      const form = new FormData();
+      form.append('file', new Blob([pcmToWav(pcm, { sampleRate, channels })], { type: 'audio/wav' }), 'audio.wav');
+      form.append('model', model);
+      form.append('response_format', 'verbose_json');
+      if (language) form.append('language', language);
+
+      const response = await axios.post(url, form, {
+        timeout: timeoutMs,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      });
+
+      // verbose_json: { text, language, segments: [{ start, end, text }] } (seconds)
+      const data = response.data || {};
+      return {
+        text: (data.text || '').trim(),
+        language: data.language || language || null,
+        segments: (data.segments || []).map((s) => ({
+          startMs: Math.round((s.start || 0) * 1000),
+          endMs: Math.round((s.end || 0) * 1000),
+          text: (s.text || '').trim(),
+        })),
+      };
+    },
+  };
+}
+
+module.exports = { createWhisperHttpTranscriber };
@@ -0,0 +1,63 @@
+/**
+ * Per-participant PCM buffering for raw-audio mode (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createAudioBuffer } = require('../src/audioBuffer');
+
+// 16 kHz mono 16-bit PCM: 32 bytes per millisecond
+const pcm = (ms) => Buffer.alloc(ms * 32);
+
+function buffer(options = {}) {
+  const chunks = [];
+  const audio = createAudioBuffer({ chunkMs: 100, silenceMs: 50, minMs: 20, ...options, onChunk: (c) => chunks.push(c) });
+  return { audio, chunks };
+}
+
+test('a participant who has spoken for chunkMs is flushed', () => {
+  const { audio, chunks } = buffer();
+  audio.push(7, 'Ada', pcm(60), 1000);
+  assert.strictEqual(chunks.length, 0);
+  audio.push(7, null, pcm(40), 1060);
+
+  assert.strictEqual(chunks.length, 1);
+  assert.deepStrictEqual(
+    { userId: chunks[0].userId, userName: chunks[0].userName, timestamp: chunks[0].timestamp, durationMs: chunks[0].durationMs },
+    { userId: '7', userName: 'Ada', timestamp: 1000, durationMs: 100 }
+  );
+  assert.strictEqual(chunks[0].pcm.length, pcm(100).length);
+});
+
+test('participants are buffered separately', () => {
+  const { audio, chunks } = buffer();
+  audio.push(1, 'A', pcm(60), 0);
+  audio.push(2, 'B', pcm(60), 0);
+  audio.push(1, 'A', pcm(40), 60);
+  assert.deepStrictEqual(chunks.map(c => c.userId), ['1']);
+});
+
+test('flushIdle() flushes participants who went quiet', () => {
+  const { audio, chunks } = buffer();
+  audio.push(1, 'A', pcm(30), 0);
+  audio.flushIdle(Date.now());
+  assert.strictEqual(chunks.length, 0);
+
+  audio.flushIdle(Date.now() + 60);
+  assert.strictEqual(chunks.length, 1);
+  assert.strictEqual(chunks[0].durationMs, 30);
+});
+
+test('clips shorter than minMs are dropped', () => {
+  const { audio, chunks } = buffer();
+  audio.push(1, 'A', pcm(10), 0);
+  audio.flushAll();
+  assert.strictEqual(chunks.length, 0);
+});
+
+test('audio without a user ID is buffered as unknown', () => {
+  const { audio, chunks } = buffer();
+  audio.push(undefined, undefined, pcm(30), 0);
+  audio.flushAll();
+  assert.strictEqual(chunks[0].userId, 'unknown');
+});
@@ -0,0 +1,36 @@
+/**
+ * Signatures on calls between this service and the backend (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { signInternal, verifyInternalSignature } = require('../src/internalSignature');
+
+const now = () => Math.floor(Date.now() / 1000).toString();
+
+test('signatures are v1= HMAC-SHA256 over version, timestamp and raw body', () => {
+  const expected = 'v1=' + crypto.createHmac('sha256', 's3cret').update('v1:1700000000:{"a":1}').digest('hex');
+  assert.strictEqual(signInternal('s3cret', '1700000000', '{"a":1}'), expected);
+});
+
+test('a valid signature verifies', () => {
+  const timestamp = now();
+  const signature = signInternal('s3cret', timestamp, '{}');
+  assert.strictEqual(verifyInternalSignature('s3cret', { signature, timestamp, body: '{}' }), true);
+});
+
+test('a wrong secret, body or malformed signature fails', () => {
+  const timestamp = now();
+  const signature = signInternal('s3cret', timestamp, '{}');
+  assert.strictEqual(verifyInternalSignature('other', { signature, timestamp, body: '{}' }), false);
+  assert.strictEqual(verifyInternalSignature('s3cret', { signature, timestamp, body: '{"a":1}' }), false);
+  assert.strictEqual(verifyInternalSignature('s3cret', { signature: 'v1=abc', timestamp, body: '{}' }), false);
+  assert.strictEqual(verifyInternalSignature('s3cret', { timestamp, body: '{}' }), false);
+});
+
+test('a stale timestamp fails, even with a valid signature', () => {
+  const stale = (Math.floor(Date.now() / 1000) - 301).toString();
+  const signature = signInternal('s3cret', stale, '{}');
+  assert.strictEqual(verifyInternalSignature('s3cret', { signature, timestamp: stale, body: '{}' }), false);
+});
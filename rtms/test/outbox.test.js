@@ -0,0 +1,125 @@
+/**
+ * Durable delivery queue to the backend (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutbox } = require('../src/outbox');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'arlo-outbox-'));
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the outbox');
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+}
+
+test('items are delivered in queue order, batching consecutive segments per meeting', async () => {
+  const dir = tempDir();
+  const delivered = [];
+  const outbox = createOutbox({
+    dir,
+    batchKinds: ['segment'],
+    batchSize: 2,
+    deliver: async (kind, meetingId, items) => { delivered.push([kind, meetingId, items]); },
+  });
+
+  outbox.enqueue('status', 'm1', { status: 'rtms_started' });
+  outbox.enqueue('segment', 'm1', { seqNo: 2 });
+  outbox.enqueue('segment', 'm1', { seqNo: 1 });
+  outbox.enqueue('segment', 'm1', { seqNo: 3 });
+  outbox.enqueue('segment', 'm2', { seqNo: 1 });
+  outbox.enqueue('status', 'm1', { status: 'rtms_stopped' });
+
+  await waitFor(() => outbox.size() === 0);
+  assert.deepStrictEqual(delivered, [
+    ['status', 'm1', [{ status: 'rtms_started' }]],
+    ['segment', 'm1', [{ seqNo: 1 }, { seqNo: 2 }]],
+    ['segment', 'm1', [{ seqNo: 3 }]],
+    ['segment', 'm2', [{ seqNo: 1 }]],
+    ['status', 'm1', [{ status: 'rtms_stopped' }]],
+  ]);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test('retryable failures are retried and keep the queue order', async () => {
+  for (const status of [401, 408, 409, 429, 500, undefined]) {
+    const failures = [status === undefined ? new Error('ECONNREFUSED') : httpError(status)];
+    const delivered = [];
+    const outbox = createOutbox({
+      dir: tempDir(),
+      baseDelayMs: 5,
+      deliver: async (kind, meetingId, items) => {
+        if (failures.length > 0) throw failures.shift();
+        delivered.push(items[0].n);
+      },
+    });
+
+    outbox.enqueue('status', 'm', { n: 1 });
+    outbox.enqueue('status', 'm', { n: 2 });
+    await waitFor(() => outbox.size() === 0);
+    assert.deepStrictEqual(delivered, [1, 2], `status ${status}`);
+  }
+});
+
+test('items the backend rejects for good are dropped', async () => {
+  const delivered = [];
+  const outbox = createOutbox({
+    dir: tempDir(),
+    deliver: async (kind, meetingId, items) => {
+      if (items[0].n === 1) throw httpError(400);
+      delivered.push(items[0].n);
+    },
+  });
+
+  outbox.enqueue('status', 'm', { n: 1 });
+  outbox.enqueue('status', 'm', { n: 2 });
+  await waitFor(() => outbox.size() === 0);
+  assert.deepStrictEqual(delivered, [2]);
+});
+
+test('undelivered items are replayed by the next run, in order', async () => {
+  const dir = tempDir();
+  // A run that dies mid-delivery
+  let attempted = false;
+  const first = createOutbox({
+    dir,
+    deliver: () => { attempted = true; return new Promise(() => {}); },
+  });
+  first.enqueue('status', 'm', { n: 1 });
+  first.enqueue('status', 'm', { n: 2 });
+  await waitFor(() => attempted);
+  assert.strictEqual(fs.readdirSync(dir).length, 2);
+
+  const delivered = [];
+  const second = createOutbox({
+    dir,
+    deliver: async (kind, meetingId, items) => { delivered.push(items[0].n); },
+  });
+  assert.strictEqual(second.size(), 2);
+  second.start();
+  await waitFor(() => second.size() === 0);
+  assert.deepStrictEqual(delivered, [1, 2]);
+
+  // New items never reuse a replayed item's file
+  second.enqueue('status', 'm', { n: 3 });
+  await waitFor(() => second.size() === 0);
+  assert.deepStrictEqual(delivered, [1, 2, 3]);
+});
+
+test('unreadable items are discarded on startup', () => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, '000000000001.json'), '{not json');
+  const outbox = createOutbox({ dir, deliver: async () => {} });
+  assert.strictEqual(outbox.size(), 0);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
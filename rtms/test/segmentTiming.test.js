@@ -0,0 +1,38 @@
+/**
+ * Segment times from RTMS SDK timestamps (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sessionTimeMs, estimateSpeechMs } = require('../src/segmentTiming');
+
+const START_MS = 1760000000000;
+
+test('epoch milliseconds are made relative to the session start', () => {
+  assert.strictEqual(sessionTimeMs(START_MS + 4200, START_MS), 4200);
+});
+
+test('epoch microseconds are detected and converted', () => {
+  assert.strictEqual(sessionTimeMs((START_MS + 4200) * 1000 + 999, START_MS), 4200);
+});
+
+test('stream-relative timestamps are used as they are', () => {
+  assert.strictEqual(sessionTimeMs(4200, START_MS), 4200);
+  assert.strictEqual(sessionTimeMs('4200.7', START_MS), 4200);
+});
+
+test('epoch times before the session start clamp to 0', () => {
+  assert.strictEqual(sessionTimeMs(START_MS - 5000, START_MS), 0);
+});
+
+test('missing or invalid timestamps fall back to the clock', () => {
+  assert.strictEqual(sessionTimeMs(undefined, START_MS, START_MS + 900), 900);
+  assert.strictEqual(sessionTimeMs('garbage', START_MS, START_MS + 900), 900);
+  assert.strictEqual(sessionTimeMs(0, START_MS, START_MS + 900), 900);
+});
+
+test('caption durations are estimated from the word count, with a floor', () => {
+  assert.strictEqual(estimateSpeechMs('one two three four five'), 2000);
+  assert.strictEqual(estimateSpeechMs('hi'), 1000);
+  assert.strictEqual(estimateSpeechMs(''), 1000);
+});
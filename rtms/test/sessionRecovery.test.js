@@ -0,0 +1,113 @@
+/**
+ * seqNo reservation and the rejoin policy (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { nextSeqNo, createRejoiner } = require('../src/sessionRecovery');
+
+const START = new Date('2026-01-05T10:00:00Z');
+const BASE = (START.getTime() / 1000) * 1e6;
+
+test('seqNos count up from the session base, reserving blocks of 100', () => {
+  const session = { startTime: START, seqCounter: 0, seqReserved: 0 };
+  const reserved = [];
+  const seqNos = [];
+  for (let i = 0; i < 101; i++) seqNos.push(nextSeqNo(session, (top) => reserved.push(top)));
+
+  assert.strictEqual(seqNos[0], BASE + 1);
+  assert.strictEqual(seqNos[100], BASE + 101);
+  assert.deepStrictEqual(reserved, [100, 200]);
+  assert.ok(Number.isSafeInteger(seqNos[100]));
+});
+
+test('a restored session continues after its reserved block', () => {
+  // Restored from a record with seqReserved 100: numbers 1-100 may have been used
+  const session = { startTime: START, seqCounter: 100, seqReserved: 100 };
+  const reserved = [];
+  assert.strictEqual(nextSeqNo(session, (top) => reserved.push(top)), BASE + 101);
+  assert.deepStrictEqual(reserved, [200]);
+});
+
+test('a later session for the same meeting numbers after an earlier one', () => {
+  const first = { startTime: START, seqCounter: 5000, seqReserved: 5000 };
+  const second = { startTime: new Date(START.getTime() + 1000), seqCounter: 0, seqReserved: 0 };
+  assert.ok(nextSeqNo(second, () => {}) > nextSeqNo(first, () => {}));
+});
+
+/**
+ * A rejoiner over one session, recording what it reports
+ */
+function setup({ connectFails = false } = {}) {
+  const session = { interrupted: false, stopping: false, rejoinAttempts: 0, rejoinTimer: null };
+  const calls = [];
+  let current = true;
+  const rejoiner = createRejoiner({
+    isCurrent: () => current,
+    connect: () => {
+      calls.push('connect');
+      if (connectFails) throw new Error('join refused');
+    },
+    notify: (meetingId, status) => calls.push(status),
+    end: () => calls.push('end'),
+  });
+  return { session, calls, rejoiner, replace: () => { current = false; } };
+}
+
+test('an interruption is reported once and rejoined with exponential backoff', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { session, calls, rejoiner } = setup();
+
+  rejoiner.handleInterruption('m', session, 'leave reason 12');
+  rejoiner.handleInterruption('m', session, 'leave reason 12');
+  assert.deepStrictEqual(calls, ['rtms_interrupted']);
+
+  t.mock.timers.tick(1999);
+  assert.deepStrictEqual(calls, ['rtms_interrupted']);
+  t.mock.timers.tick(1);
+  assert.deepStrictEqual(calls, ['rtms_interrupted', 'connect']);
+
+  // Join refused: the next attempt waits twice as long
+  rejoiner.handleRejoinResult('m', session, 5);
+  t.mock.timers.tick(3999);
+  assert.strictEqual(calls.length, 2);
+  t.mock.timers.tick(1);
+  assert.deepStrictEqual(calls, ['rtms_interrupted', 'connect', 'connect']);
+
+  rejoiner.handleRejoinResult('m', session, 0);
+  assert.deepStrictEqual(calls, ['rtms_interrupted', 'connect', 'connect', 'rtms_reconnected']);
+  assert.strictEqual(session.interrupted, false);
+  assert.strictEqual(session.rejoinAttempts, 0);
+});
+
+test('after five failed attempts the session is ended and reported stopped', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { session, calls, rejoiner } = setup({ connectFails: true });
+
+  rejoiner.handleInterruption('m', session, 'service restarted');
+  // 2s, 4s, 8s, 16s, then capped at 30s
+  for (const delayMs of [2000, 4000, 8000, 16000]) t.mock.timers.tick(delayMs);
+  t.mock.timers.tick(29999);
+  assert.strictEqual(calls.filter(c => c === 'connect').length, 4);
+  t.mock.timers.tick(1);
+
+  assert.deepStrictEqual(calls, ['rtms_interrupted', 'connect', 'connect', 'connect', 'connect', 'connect', 'end', 'rtms_stopped']);
+  assert.strictEqual(session.rejoinTimer, null);
+});
+
+test('a stopping or replaced session is not rejoined', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+
+  const stopping = setup();
+  stopping.rejoiner.handleInterruption('m', stopping.session, 'leave reason 12');
+  stopping.session.stopping = true;
+  t.mock.timers.tick(60000);
+  assert.deepStrictEqual(stopping.calls, ['rtms_interrupted']);
+
+  const replaced = setup();
+  replaced.rejoiner.handleInterruption('m', replaced.session, 'leave reason 12');
+  replaced.replace();
+  t.mock.timers.tick(60000);
+  assert.deepStrictEqual(replaced.calls, ['rtms_interrupted']);
+});
+
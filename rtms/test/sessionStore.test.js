@@ -0,0 +1,58 @@
+/**
+ * Persisted RTMS session metadata (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionStore } = require('../src/sessionStore');
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'arlo-sessions-')), 'data', 'sessions.json');
+
+test('records survive a restart, with updates merged in', () => {
+  const file = tempFile();
+  const store = createSessionStore(file);
+  store.save('m1', { meetingUuid: 'm1', streamId: 's1', seqReserved: 100 });
+  store.save('m1', { seqReserved: 200 });
+  store.save('m2', { meetingUuid: 'm2', streamId: 's2' });
+
+  const records = createSessionStore(file).list();
+  assert.strictEqual(records.length, 2);
+  assert.deepStrictEqual(
+    { meetingUuid: records[0].meetingUuid, streamId: records[0].streamId, seqReserved: records[0].seqReserved },
+    { meetingUuid: 'm1', streamId: 's1', seqReserved: 200 }
+  );
+  assert.ok(records[0].updatedAt);
+});
+
+test('writes go through a temporary file and a rename', () => {
+  const file = tempFile();
+  const store = createSessionStore(file);
+  store.save('m1', { meetingUuid: 'm1' });
+
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(file)), ['sessions.json']);
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf-8'))), ['m1']);
+});
+
+test('removed sessions are forgotten', () => {
+  const file = tempFile();
+  const store = createSessionStore(file);
+  store.save('m1', { meetingUuid: 'm1' });
+  store.remove('m1');
+  store.remove('never-saved');
+
+  assert.deepStrictEqual(createSessionStore(file).list(), []);
+});
+
+test('an unreadable store starts empty', () => {
+  const file = tempFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{half a record');
+
+  const store = createSessionStore(file);
+  assert.deepStrictEqual(store.list(), []);
+  store.save('m1', { meetingUuid: 'm1' });
+  assert.strictEqual(createSessionStore(file).list().length, 1);
+});
@@ -0,0 +1,76 @@
+/**
+ * Speech-to-text adapters and the WAV encoder (node --test)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pcmToWav, pcmDurationMs } = require('../src/transcription/wav');
+const { createFileFakeTranscriber } = require('../src/transcription/fileFake');
+const { createTranscriber } = require('../src/transcription');
+
+function tempFile(name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arlo-stt-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('pcmToWav() writes a RIFF/WAVE header for 16-bit PCM', () => {
+  const pcm = Buffer.alloc(3200, 1);
+  const wav = pcmToWav(pcm, { sampleRate: 16000, channels: 1 });
+
+  assert.strictEqual(wav.length, 44 + pcm.length);
+  assert.strictEqual(wav.toString('ascii', 0, 4), 'RIFF');
+  assert.strictEqual(wav.readUInt32LE(4), 36 + pcm.length);
+  assert.strictEqual(wav.toString('ascii', 8, 16), 'WAVEfmt ');
+  assert.strictEqual(wav.readUInt16LE(20), 1); // PCM
+  assert.strictEqual(wav.readUInt16LE(22), 1); // Channels
+  assert.strictEqual(wav.readUInt32LE(24), 16000);
+  assert.strictEqual(wav.readUInt32LE(28), 32000); // Byte rate
+  assert.strictEqual(wav.readUInt16LE(34), 16);
+  assert.strictEqual(wav.toString('ascii', 36, 40), 'data');
+  assert.strictEqual(wav.readUInt32LE(40), pcm.length);
+  assert.ok(wav.subarray(44).equals(pcm));
+});
+
+test('pcmDurationMs() counts 16-bit samples per channel', () => {
+  assert.strictEqual(pcmDurationMs(32000, { sampleRate: 16000, channels: 1 }), 1000);
+  assert.strictEqual(pcmDurationMs(32000, { sampleRate: 16000, channels: 2 }), 500);
+});
+
+test('the file fake replays text lines, then returns empty text', async () => {
+  const stt = createFileFakeTranscriber({ file: tempFile('lines.txt', 'first line\n\n  second line  \n') });
+
+  assert.strictEqual(stt.name, 'file');
+  assert.deepStrictEqual(await stt.transcribe(Buffer.alloc(0)), { text: 'first line', language: null, segments: [] });
+  assert.strictEqual((await stt.transcribe(Buffer.alloc(0))).text, 'second line');
+  assert.strictEqual((await stt.transcribe(Buffer.alloc(0))).text, '');
+});
+
+test('the file fake replays JSON lines per participant', async () => {
+  const stt = createFileFakeTranscriber({
+    file: tempFile('lines.json', JSON.stringify([
+      { userId: 1, text: 'one-a' },
+      'anyone',
+      { userId: 2, text: 'two-a' },
+      { userId: 1, text: 'one-b' },
+    ])),
+  });
+
+  assert.strictEqual((await stt.transcribe(null, { userId: '1' })).text, 'one-a');
+  assert.strictEqual((await stt.transcribe(null, { userId: 2 })).text, 'two-a');
+  assert.strictEqual((await stt.transcribe(null, { userId: 1 })).text, 'one-b');
+  assert.strictEqual((await stt.transcribe(null, { userId: 1 })).text, '');
+  assert.strictEqual((await stt.transcribe(null, { userId: 3 })).text, 'anyone');
+});
+
+test('the file fake requires STT_FAKE_FILE', () => {
+  assert.throws(() => createFileFakeTranscriber({}), /STT_FAKE_FILE/);
+});
+
+test('createTranscriber() rejects unknown adapters', () => {
+  assert.throws(() => createTranscriber('nope'), /Unknown STT_ADAPTER "nope"/);
+});